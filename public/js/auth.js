@@ -85,11 +85,13 @@ const apiRequest = async (method, endpoint, body = null) => {
     return { ok: res.ok, status: res.status, data };
 };
 
-/** API helper for FormData (file upload) */
+/** API helper for FormData (file upload); guests in a meeting send their guest token */
 const apiUpload = async (endpoint, formData) => {
     const headers = {};
     const token = getToken();
+    const guestToken = localStorage.getItem('sm_guestToken');
     if (token) headers['Authorization'] = `Bearer ${token}`;
+    else if (guestToken) headers['X-Guest-Token'] = guestToken;
 
     const res = await fetch(`/api${endpoint}`, {
         method: 'POST',
@@ -100,6 +102,41 @@ const apiUpload = async (endpoint, formData) => {
     return { ok: res.ok, data };
 };
 
+/** API helper for one chunk of a chunked upload (raw bytes) */
+const apiUploadChunk = async (endpoint, blob) => {
+    const headers = { 'Content-Type': 'application/octet-stream' };
+    const token = getToken();
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(`/api${endpoint}`, { method: 'PUT', headers, body: blob });
+    const data = await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, data };
+};
+
+/** API helper for file downloads (saves the response under its Content-Disposition name) */
+const apiDownload = async (endpoint, fallbackName = 'download') => {
+    const headers = {};
+    const token = getToken();
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(`/api${endpoint}`, { headers });
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        return { ok: false, data };
+    }
+
+    const name = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return { ok: true, data: { filename: name } };
+};
+
 // ── Toast Notification System ─────────────────────────────────────────────
 
 /**
@@ -142,5 +179,5 @@ document.addEventListener('DOMContentLoaded', () => {
 window.SM = {
     getToken, getUser, isLoggedIn, saveAuth, clearAuth,
     requireAuth, redirectIfLoggedIn, updateNavbar, handleLogout,
-    apiRequest, apiUpload, showToast,
+    apiRequest, apiUpload, apiUploadChunk, apiDownload, showToast,
 };
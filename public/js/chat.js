@@ -0,0 +1,367 @@
+/**
+ * chat.js – Meeting chat in the sidebar
+ *
+ * Messages go to everyone on our stage (main room or breakout room), or
+ * privately to one person picked in "To". Replies are grouped under the
+ * message that started the thread and go to the same people. We can edit and
+ * delete our own messages (the host / co-hosts can delete any) and react with
+ * emoji. "@Name" mentions are highlighted, and the person mentioned gets a
+ * toast. 📎 shares a file with the same people: it is uploaded first (with a
+ * small JPEG preview for images, shown inline), then sent as a message whose
+ * text is an optional caption. Recent history arrives with join-approved /
+ * session-resumed.
+ *
+ * Usage (meeting.js):
+ *   MeetingChat.init({ meetingId, getSocket, getMyId, getPeople, isModerator })
+ *   MeetingChat.setHistory(chatHistory)          // join-approved / session-resumed
+ *   MeetingChat.reset('Chat in Room 1 👋')       // moved to another stage
+ *   MeetingChat.handle('chat-message', payload)
+ *   MeetingChat.peopleChanged() / roleChanged()
+ */
+
+window.MeetingChat = (() => {
+    const REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👏'];
+    const THUMBNAIL_PX = 320;     // longest side of an image preview
+
+    const messages = new Map();   // id -> message
+    let meetingId = null;
+    let getSocket = () => null;
+    let getMyId = () => null;
+    let getPeople = () => [];     // [{ socketId, userName }] on our stage
+    let isModerator = () => false;
+    let replyingTo = null;        // message id
+    let editing = null;           // message id
+    let uploading = false;
+    let unseen = 0;
+
+    const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[c]));
+
+    const list = () => document.getElementById('chatMessages');
+    const input = () => document.getElementById('chatInput');
+
+    const isOwn = (msg) => String(msg.userId) === String(getMyId());
+    const mentionsMe = (msg) => msg.mentions?.some((m) => String(m.userId) === String(getMyId()));
+    const snippet = (text, n = 60) => (text.length > n ? `${text.slice(0, n)}…` : text);
+    const preview = (msg) => snippet(msg.message || (msg.attachment ? `📎 ${msg.attachment.name}` : ''));
+    const formatSize = (bytes) => {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    };
+    const visible = () => !document.getElementById('sidebar')?.classList.contains('collapsed')
+        && document.getElementById('tab-chat')?.classList.contains('active');
+
+    const setUnseen = (n) => {
+        unseen = n;
+        const badge = document.getElementById('chatBadge');
+        if (!badge) return;
+        badge.textContent = n;
+        badge.classList.toggle('hidden', n === 0);
+    };
+
+    // ── Rendering ─────────────────────────────────────────────────────────
+    // Escaped text with the mentioned names highlighted
+    const textHtml = (msg) => {
+        let html = escapeHtml(msg.message);
+        (msg.mentions || []).forEach((m) => {
+            const tag = escapeHtml(`@${m.userName}`).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            html = html.replace(new RegExp(tag, 'gi'), (found) => `<span class="chat-mention">${found}</span>`);
+        });
+        return html;
+    };
+
+    const reactionsHtml = (msg) => (msg.reactions || []).map((r) => `
+      <button class="chat-reaction${r.userIds.map(String).includes(String(getMyId())) ? ' active' : ''}"
+        data-react="${r.emoji}" data-message="${msg.id}" title="${escapeHtml(r.userNames.join(', '))}">${r.emoji} ${r.count}</button>`).join('');
+
+    // Images as their preview (opens the full image), other files as a download
+    const attachmentHtml = (msg) => {
+        const file = msg.attachment;
+        if (!file) return '';
+        if (file.image && file.thumbnailUrl) {
+            return `
+              <a class="chat-attachment image" href="${escapeHtml(file.url)}" target="_blank" rel="noopener" title="${escapeHtml(file.name)}">
+                <img src="${escapeHtml(file.thumbnailUrl)}" alt="${escapeHtml(file.name)}" loading="lazy" />
+              </a>`;
+        }
+        return `
+          <a class="chat-attachment file" href="${escapeHtml(file.url)}" ${file.image ? 'target="_blank" rel="noopener"' : `download="${escapeHtml(file.name)}"`}>
+            <span class="chat-attachment-icon">${file.image ? '🖼️' : '📄'}</span>
+            <span class="chat-attachment-name">${escapeHtml(file.name)}</span>
+            <span class="chat-attachment-size">${formatSize(file.size)}</span>
+          </a>`;
+    };
+
+    const actionsHtml = (msg) => {
+        if (msg.deleted) return '';
+        const buttons = [
+            `<button data-picker="${msg.id}" title="React">😊</button>`,
+            `<button data-reply="${msg.id}" title="Reply in thread">↩</button>`,
+        ];
+        if (isOwn(msg)) buttons.push(`<button data-edit="${msg.id}" title="Edit">✏️</button>`);
+        if (isOwn(msg) || isModerator()) buttons.push(`<button data-delete="${msg.id}" title="Delete">🗑</button>`);
+        return `
+          <div class="chat-msg-actions">${buttons.join('')}</div>
+          <div class="chat-react-picker hidden" id="chat-picker-${msg.id}">
+            ${REACTIONS.map((e) => `<button data-react="${e}" data-message="${msg.id}">${e}</button>`).join('')}
+          </div>`;
+    };
+
+    const bodyHtml = (msg) => {
+        const own = isOwn(msg);
+        const time = new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const to = msg.to ? ` <span class="chat-msg-private">🔒 ${own ? `to ${escapeHtml(msg.to.userName)}` : 'to you'}</span>` : '';
+        let text = '';
+        if (msg.deleted) {
+            text = `<div class="chat-msg-text deleted">${msg.deletedByName ? `Removed by ${escapeHtml(msg.deletedByName)}` : 'Message deleted'}</div>`;
+        } else if (msg.message || !msg.attachment) {
+            text = `<div class="chat-msg-text">${textHtml(msg)}${msg.editedAt ? ' <span class="chat-msg-edited">(edited)</span>' : ''}</div>`;
+        }
+        return `
+          <div class="chat-msg-header">
+            <div class="chat-msg-avatar">${escapeHtml(msg.userName?.charAt(0)?.toUpperCase() || '?')}</div>
+            <span class="chat-msg-name">${escapeHtml(msg.userName)}${own ? ' (You)' : ''}</span>${to}
+            <span class="chat-msg-time">${time}</span>
+          </div>
+          ${text}
+          ${msg.deleted ? '' : attachmentHtml(msg)}
+          <div class="chat-reactions">${reactionsHtml(msg)}</div>
+          ${actionsHtml(msg)}`;
+    };
+
+    const classesOf = (msg) => ['chat-msg', isOwn(msg) && 'own', msg.to && 'private', mentionsMe(msg) && 'mentioned']
+        .filter(Boolean).join(' ');
+
+    // A thread's replies live under its first message; one whose start we never got stands alone
+    const place = (msg) => {
+        const box = list();
+        if (!box) return;
+        box.querySelector('.chat-empty')?.remove();
+
+        const existing = document.getElementById(`chat-${msg.id}`);
+        if (existing) {
+            existing.className = classesOf(msg);
+            existing.querySelector(':scope > .chat-msg-body').innerHTML = bodyHtml(msg);
+            return;
+        }
+
+        const div = document.createElement('div');
+        div.id = `chat-${msg.id}`;
+        div.className = classesOf(msg);
+        div.innerHTML = `<div class="chat-msg-body">${bodyHtml(msg)}</div><div class="chat-thread"></div>`;
+
+        const root = msg.replyTo && document.getElementById(`chat-${msg.replyTo}`);
+        if (root) root.querySelector(':scope > .chat-thread').appendChild(div);
+        else box.appendChild(div);
+        box.scrollTop = box.scrollHeight;
+    };
+
+    // ── Composing: to whom, reply, edit ───────────────────────────────────
+    const renderRecipients = () => {
+        const select = document.getElementById('chatTo');
+        if (!select) return;
+        const current = select.value;
+        const people = getPeople();
+        select.innerHTML = `<option value="">Everyone</option>${people
+            .map((p) => `<option value="${p.socketId}">🔒 ${escapeHtml(p.userName)}</option>`).join('')}`;
+        select.value = people.some((p) => p.socketId === current) ? current : '';
+        select.disabled = !!(replyingTo || editing);
+        const attach = document.getElementById('chatAttachBtn');
+        if (attach) attach.disabled = !!editing || uploading;
+    };
+
+    const setCompose = (mode, id = null) => {
+        const wasEditing = !!editing;
+        replyingTo = mode === 'reply' ? id : null;
+        editing = mode === 'edit' ? id : null;
+
+        const bar = document.getElementById('chatComposeBar');
+        const msg = messages.get(id);
+        if (bar) {
+            bar.classList.toggle('hidden', !mode);
+            document.getElementById('chatComposeLabel').textContent = mode === 'reply'
+                ? `↩ Replying to ${msg.userName}${msg.to ? ' (private)' : ''}: ${preview(msg)}`
+                : mode === 'edit' ? '✏️ Editing your message' : '';
+        }
+        // An edit that is given up leaves the input empty; a draft reply stays
+        const field = input();
+        if (field && mode === 'edit') field.value = msg.message;
+        else if (field && wasEditing) field.value = '';
+        if (mode) field?.focus();
+        renderRecipients();
+    };
+
+    /** Send what is in the input; with fileId it shares that uploaded file and the text is its caption */
+    const send = (fileId = null) => {
+        const field = input();
+        const text = field?.value.trim();
+        const socket = getSocket();
+        if ((!text && !fileId) || !socket) return;
+
+        if (editing && !fileId) {
+            socket.emit('chat-edit', { meetingId, messageId: editing, message: text });
+        } else {
+            window.EngagementTracker?.onChatMessage();
+            socket.emit('chat-message', {
+                meetingId,
+                message: text,
+                fileId: fileId || undefined,
+                replyTo: replyingTo || undefined,
+                toSocketId: replyingTo ? undefined : document.getElementById('chatTo')?.value || undefined,
+            });
+        }
+        field.value = '';
+        setCompose(null);
+    };
+
+    // ── Sharing files ─────────────────────────────────────────────────────
+    // Small JPEG preview of an image, drawn on a canvas; null if the browser can't read it
+    const makeThumbnail = (file) => new Promise((resolve) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            const scale = Math.min(1, THUMBNAIL_PX / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#fff'; // Transparent parts of a PNG would turn black in a JPEG
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(resolve, 'image/jpeg', 0.8);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            resolve(null);
+        };
+        img.src = url;
+    });
+
+    const shareFile = async (file) => {
+        if (!file || uploading) return;
+        uploading = true;
+        renderRecipients();
+        window.SM.showToast(`Uploading ${file.name}…`, 'info', 2000);
+        try {
+            const form = new FormData();
+            form.append('file', file);
+            const thumbnail = file.type.startsWith('image/') ? await makeThumbnail(file) : null;
+            if (thumbnail) form.append('thumbnail', thumbnail, 'thumbnail.jpg');
+
+            const { ok, data } = await window.SM.apiUpload(`/meetings/${meetingId}/files`, form);
+            if (!ok) throw new Error(data.message);
+            send(data.file.id);
+        } catch (err) {
+            window.SM.showToast(err.message || 'The file could not be shared.', 'error');
+        } finally {
+            uploading = false;
+            renderRecipients();
+        }
+    };
+
+    const bindUI = () => {
+        document.getElementById('sendChatBtn')?.addEventListener('click', () => send());
+        input()?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') send();
+            if (e.key === 'Escape' && (replyingTo || editing)) setCompose(null);
+        });
+        document.getElementById('chatComposeCancel')?.addEventListener('click', () => setCompose(null));
+
+        const fileInput = document.getElementById('chatFileInput');
+        document.getElementById('chatAttachBtn')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            shareFile(file);
+        });
+
+        list()?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            const socket = getSocket();
+            const { picker, reply, edit, react, message } = btn.dataset;
+
+            if (picker) {
+                list().querySelectorAll('.chat-react-picker').forEach((p) => {
+                    p.classList.toggle('hidden', p.id !== `chat-picker-${picker}` || !p.classList.contains('hidden'));
+                });
+            }
+            if (reply) setCompose('reply', reply);
+            if (edit) setCompose('edit', edit);
+            if (btn.dataset.delete && window.confirm('Delete this message?')) {
+                socket?.emit('chat-delete', { meetingId, messageId: btn.dataset.delete });
+            }
+            if (react) {
+                socket?.emit('chat-react', { meetingId, messageId: message, emoji: react });
+                document.getElementById(`chat-picker-${message}`)?.classList.add('hidden');
+            }
+        });
+
+        const seen = () => { if (visible()) setUnseen(0); };
+        document.querySelector('.sidebar-tab[data-tab="chat"]')?.addEventListener('click', seen);
+        document.getElementById('chatToggleBtn')?.addEventListener('click', seen);
+    };
+
+    // ── Socket events ─────────────────────────────────────────────────────
+    const handlers = {
+        'chat-message': (msg) => {
+            messages.set(msg.id, msg);
+            place(msg);
+            if (!isOwn(msg) && !visible()) {
+                setUnseen(unseen + 1);
+                if (msg.to && !mentionsMe(msg)) window.SM.showToast(`🔒 ${msg.userName}: ${preview(msg)}`, 'info', 4000);
+            }
+        },
+        'chat-updated': ({ message: msg }) => {
+            if (!messages.has(msg.id)) return;
+            messages.set(msg.id, msg);
+            place(msg);
+            if (msg.deleted && (replyingTo === msg.id || editing === msg.id)) setCompose(null);
+        },
+        'chat-mention': ({ message: msg }) => {
+            window.SM.showToast(`💬 ${msg.userName} mentioned you${msg.to ? ' (private)' : ''}: ${preview(msg)}`, 'info', 5000);
+        },
+        'chat-error': ({ message }) => window.SM.showToast(message || 'Chat action failed.', 'error'),
+    };
+
+    const init = (options) => {
+        ({ meetingId, getSocket, getMyId, getPeople, isModerator } = options);
+        bindUI();
+        renderRecipients();
+    };
+
+    /** Empty chat for a new stage */
+    const reset = (placeholder = 'No messages yet. Say hello! 👋') => {
+        messages.clear();
+        if (replyingTo || editing) setCompose(null);
+        const box = list();
+        if (box) box.innerHTML = `<div class="chat-empty">${escapeHtml(placeholder)}</div>`;
+    };
+
+    /** Recent messages from join-approved / session-resumed */
+    const setHistory = (history = []) => {
+        if (!history.length) return;
+        reset();
+        history.forEach((msg) => {
+            messages.set(msg.id, msg);
+            place(msg);
+        });
+    };
+
+    const rerender = () => messages.forEach(place);
+
+    const handle = (event, payload) => handlers[event]?.(payload);
+
+    return {
+        init,
+        reset,
+        setHistory,
+        handle,
+        peopleChanged: renderRecipients,
+        roleChanged: rerender,
+        events: Object.keys(handlers),
+    };
+})();
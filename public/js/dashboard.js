@@ -1,5 +1,7 @@
 /**
  * dashboard.js – User dashboard page logic
+ * Recorded meetings are imported in resumable chunks: picking the same file
+ * again after an interruption only uploads the chunks the server is missing.
  */
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -42,6 +44,31 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Scheduling
+    setupScheduling();
+    loadUpcoming();
+
+    // Import a recorded meeting
+    setupImport();
+
+    // Search across my meetings
+    document.getElementById('searchForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        runSearch(0);
+    });
+
+    // Action items assigned to me
+    let actionFilter = 'active';
+    loadActionItems(actionFilter);
+    document.querySelectorAll('.action-filter').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.action-filter').forEach((b) => b.classList.remove('active'));
+            btn.classList.add('active');
+            actionFilter = btn.dataset.status;
+            loadActionItems(actionFilter);
+        });
+    });
+
     // Load stats
     loadStats();
 
@@ -119,7 +146,7 @@ const loadHistory = async (tab) => {
             m.status === 'active'
                 ? '<span class="badge badge-success">Live</span>'
                 : m.status === 'ended'
-                    ? '<span class="badge badge-primary">Ended</span>'
+                    ? `<span class="badge badge-primary">${m.source === 'imported' ? 'Imported' : 'Ended'}</span>`
                     : '<span class="badge badge-warning">Waiting</span>';
 
         return `
@@ -143,3 +170,387 @@ const loadHistory = async (tab) => {
 
     table?.classList.remove('hidden');
 };
+
+// ── Scheduled meetings ────────────────────────────────────────────────────
+const setupScheduling = () => {
+    const form = document.getElementById('scheduleForm');
+    const tzInput = document.getElementById('schedTimeZone');
+    if (tzInput) tzInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+    document.getElementById('scheduleToggleBtn')?.addEventListener('click', () => {
+        form?.classList.toggle('hidden');
+    });
+    document.getElementById('scheduleCancelBtn')?.addEventListener('click', () => {
+        form?.classList.add('hidden');
+    });
+
+    form?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const repeat = document.getElementById('schedRepeat').value;
+        const count = parseInt(document.getElementById('schedCount').value, 10);
+        const recurrence = repeat ? `${repeat}${count > 0 ? `;COUNT=${count}` : ''}` : null;
+
+        const btn = document.getElementById('scheduleSubmitBtn');
+        btn.disabled = true;
+        const { ok, data } = await window.SM.apiRequest('POST', '/meetings/scheduled', {
+            title: document.getElementById('schedTitle').value.trim() || undefined,
+            startTime: document.getElementById('schedStart').value,
+            durationMinutes: parseInt(document.getElementById('schedDuration').value, 10),
+            timeZone: tzInput.value.trim() || 'UTC',
+            recurrence,
+            agenda: document.getElementById('schedAgenda').value.trim() || undefined,
+        });
+        btn.disabled = false;
+
+        if (ok) {
+            window.SM.showToast(`Meeting ${data.meetingId} scheduled 📆`, 'success');
+            form.reset();
+            tzInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+            form.classList.add('hidden');
+            loadUpcoming();
+        } else {
+            window.SM.showToast(data.message || 'Failed to schedule meeting.', 'error');
+        }
+    });
+
+    document.getElementById('calendarFeedBtn')?.addEventListener('click', async () => {
+        const { ok, data } = await window.SM.apiRequest('GET', '/calendar/feed-url');
+        if (!ok) return window.SM.showToast(data.message || 'Could not get calendar link.', 'error');
+        try {
+            await navigator.clipboard.writeText(data.feedUrl);
+            window.SM.showToast('Calendar feed URL copied – add it to your calendar app as a subscription.', 'success', 5000);
+        } catch {
+            window.prompt('Subscribe to this URL in your calendar app:', data.feedUrl);
+        }
+    });
+};
+
+const loadUpcoming = async () => {
+    const list = document.getElementById('upcomingList');
+    if (!list) return;
+
+    const { ok, data } = await window.SM.apiRequest('GET', '/meetings/scheduled?days=14');
+    if (!ok) {
+        list.innerHTML = '<div class="dash-empty"><p>Failed to load upcoming meetings.</p></div>';
+        return;
+    }
+
+    if (!data.occurrences?.length) {
+        list.innerHTML = '<div class="dash-empty"><div class="empty-icon">📆</div><p>Nothing scheduled for the next two weeks.</p></div>';
+        return;
+    }
+
+    const now = Date.now();
+    list.innerHTML = data.occurrences.map((o) => {
+        const start = new Date(o.start);
+        const end = new Date(o.end);
+        const isLive = start.getTime() - 10 * 60 * 1000 <= now && now <= end.getTime();
+        const day = start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+        const time = `${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} – ${end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+        return `
+      <div class="upcoming-item">
+        <div class="upcoming-when">
+          <div class="upcoming-day">${day}</div>
+          <div class="upcoming-time">${time}</div>
+        </div>
+        <div class="upcoming-details">
+          <div class="upcoming-title">${escapeHtml(o.title)}${o.isRecurring ? ' <span class="badge badge-primary">🔁 Recurring</span>' : ''}</div>
+          <div class="upcoming-meta">${o.meetingId} · ${o.isHost ? 'You host' : `Host: ${escapeHtml(o.hostName || '---')}`}</div>
+        </div>
+        <div class="upcoming-actions">
+          ${isLive ? `<button class="btn btn-success btn-sm" data-start="${o.meetingId}" data-host="${o.isHost}">${o.isHost ? 'Start' : 'Join'}</button>` : ''}
+          <button class="btn btn-secondary btn-sm" data-copy="${o.inviteLink}">Copy link</button>
+          ${o.isHost ? `<button class="btn btn-secondary btn-sm" data-agenda="${o.meetingId}">📋 Agenda${o.agendaItems ? ` (${o.agendaItems})` : ''}</button>` : ''}
+          ${o.isHost ? `<button class="btn btn-danger btn-sm" data-cancel="${o.meetingId}">Cancel</button>` : ''}
+        </div>
+      </div>
+    `;
+    }).join('');
+
+    list.querySelectorAll('[data-start]').forEach((btn) => btn.addEventListener('click', async () => {
+        const mid = btn.dataset.start;
+        const { ok: joined, data: joinData } = await window.SM.apiRequest('POST', '/meetings/join', { meetingId: mid });
+        if (!joined) return window.SM.showToast(joinData.message || 'Failed to join.', 'error');
+        localStorage.setItem('sm_isHost', btn.dataset.host);
+        localStorage.setItem('sm_joinToken', joinData.joinToken);
+        window.location.href = `/meeting.html?id=${mid}`;
+    }));
+
+    list.querySelectorAll('[data-copy]').forEach((btn) => btn.addEventListener('click', () => {
+        navigator.clipboard.writeText(btn.dataset.copy).then(() => {
+            window.SM.showToast('Invite link copied!', 'success', 2000);
+        });
+    }));
+
+    // Prepare the agenda ahead of the meeting: one "Title minutes" line per item
+    list.querySelectorAll('[data-agenda]').forEach((btn) => btn.addEventListener('click', async () => {
+        const item = btn.closest('.upcoming-item');
+        if (item.nextElementSibling?.classList.contains('upcoming-agenda')) return item.nextElementSibling.remove();
+
+        const mid = btn.dataset.agenda;
+        const { ok, data } = await window.SM.apiRequest('GET', `/meetings/${mid}/notes`);
+        if (!ok) return window.SM.showToast(data.message || 'Failed to load the agenda.', 'error');
+
+        item.insertAdjacentHTML('afterend', `
+      <form class="upcoming-agenda">
+        <textarea class="form-input" rows="4" placeholder="One item per line, with its minutes:&#10;Introductions 5&#10;Budget review 15">${escapeHtml(data.agenda.map((a) => `${a.title} ${a.minutes}`).join('\n'))}</textarea>
+        <div class="schedule-actions">
+          <button type="button" class="btn btn-secondary btn-sm" data-close>Close</button>
+          <button type="submit" class="btn btn-primary btn-sm">Save agenda</button>
+        </div>
+      </form>
+    `);
+        const form = item.nextElementSibling;
+        form.querySelector('[data-close]').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { ok: saved, data: saveData } = await window.SM.apiRequest('PUT', `/meetings/${mid}/agenda`, {
+                agenda: form.querySelector('textarea').value,
+            });
+            if (!saved) return window.SM.showToast(saveData.message || 'Failed to save the agenda.', 'error');
+            window.SM.showToast(`Agenda saved (${saveData.agenda.length} item${saveData.agenda.length === 1 ? '' : 's'})`, 'success');
+            loadUpcoming();
+        });
+    }));
+
+    list.querySelectorAll('[data-cancel]').forEach((btn) => btn.addEventListener('click', async () => {
+        if (!confirm('Cancel this meeting (all occurrences)?')) return;
+        const { ok: cancelled, data: cancelData } = await window.SM.apiRequest('DELETE', `/meetings/scheduled/${btn.dataset.cancel}`);
+        if (cancelled) {
+            window.SM.showToast('Meeting cancelled.', 'info');
+            loadUpcoming();
+        } else {
+            window.SM.showToast(cancelData.message || 'Failed to cancel meeting.', 'error');
+        }
+    }));
+};
+
+const SEARCH_TYPE_LABELS = { transcript: '🎙 Transcript', chat: '💬 Chat', summary: '🧠 Summary', title: '📌 Title' };
+const SEARCH_PAGE_SIZE = 20;
+
+// Snippet with the matched ranges wrapped in <mark> (everything else escaped)
+const markSnippet = (snippet, highlights = []) => {
+    let html = '';
+    let at = 0;
+    highlights.forEach(({ start, end }) => {
+        html += `${escapeHtml(snippet.slice(at, start))}<mark>${escapeHtml(snippet.slice(start, end))}</mark>`;
+        at = end;
+    });
+    return html + escapeHtml(snippet.slice(at));
+};
+
+const formatAt = (seconds = 0) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const runSearch = async (offset) => {
+    const list = document.getElementById('searchResults');
+    const q = document.getElementById('searchInput')?.value.trim();
+    if (!list) return;
+    if (!q || q.length < 2) return window.SM.showToast('Type at least 2 characters to search.', 'warning');
+
+    const params = new URLSearchParams({ q, limit: SEARCH_PAGE_SIZE, offset });
+    const type = document.getElementById('searchType')?.value;
+    if (type) params.set('type', type);
+
+    list.classList.remove('hidden');
+    list.innerHTML = '<div class="dash-loading"><div class="spinner"></div><span>Searching...</span></div>';
+
+    const { ok, data } = await window.SM.apiRequest('GET', `/search?${params}`);
+    if (!ok) {
+        list.innerHTML = `<div class="dash-empty"><p>${escapeHtml(data.message || 'Search failed.')}</p></div>`;
+        return;
+    }
+    if (!data.results.length) {
+        list.innerHTML = '<div class="dash-empty"><div class="empty-icon">🔍</div><p>No matches in your meetings.</p></div>';
+        return;
+    }
+
+    const more = offset + data.results.length < data.total;
+    list.innerHTML = data.results.map((r) => `
+      <a class="upcoming-item" href="${escapeHtml(r.link)}" style="color: inherit; text-decoration: none;">
+        <div class="upcoming-when">
+          <div class="upcoming-day">${SEARCH_TYPE_LABELS[r.type]}</div>
+          <div class="upcoming-time">${new Date(r.meetingDate).toLocaleDateString()}${r.at !== undefined ? ` · ${formatAt(r.at)}` : ''}</div>
+        </div>
+        <div class="upcoming-details">
+          <div class="upcoming-title">${escapeHtml(r.meetingTitle)}${r.speaker ? ` <span class="upcoming-meta">– ${escapeHtml(r.speaker)}</span>` : ''}</div>
+          <div class="search-snippet">${markSnippet(r.snippet, r.highlights)}</div>
+        </div>
+      </a>
+    `).join('') + `
+      <div class="upcoming-item">
+        <div class="upcoming-details upcoming-meta">${offset + 1}–${offset + data.results.length} of ${data.total}</div>
+        <div class="upcoming-actions">
+          ${offset > 0 ? '<button class="btn btn-secondary btn-sm" data-page="prev">← Previous</button>' : ''}
+          ${more ? '<button class="btn btn-secondary btn-sm" data-page="next">Next →</button>' : ''}
+        </div>
+      </div>
+    `;
+
+    list.querySelector('[data-page="prev"]')?.addEventListener('click', () => runSearch(Math.max(0, offset - SEARCH_PAGE_SIZE)));
+    list.querySelector('[data-page="next"]')?.addEventListener('click', () => runSearch(offset + SEARCH_PAGE_SIZE));
+};
+
+// ── Import a recording (resumable chunked upload) ─────────────────────────
+const IMPORT_CHUNK_RETRIES = 3;
+
+const setupImport = () => {
+    const form = document.getElementById('importForm');
+    const fileInput = document.getElementById('importFile');
+    const progress = document.getElementById('importProgress');
+    const fill = document.getElementById('importProgressFill');
+    const status = document.getElementById('importStatus');
+    const btn = document.getElementById('importSubmitBtn');
+
+    const show = (fraction, text) => {
+        progress?.classList.remove('hidden');
+        fill.style.width = `${Math.round(fraction * 100)}%`;
+        status.textContent = text;
+    };
+
+    // Default "Recorded" to the file's modification time
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        const local = new Date(file.lastModified - new Date().getTimezoneOffset() * 60000);
+        document.getElementById('importRecordedAt').value = local.toISOString().slice(0, 16);
+    });
+
+    const sendChunk = async (upload, file, index) => {
+        const blob = file.slice(index * upload.chunkSize, (index + 1) * upload.chunkSize);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const { ok, status: code, data } = await window.SM.apiUploadChunk(`/imports/${upload.id}/chunks/${index}`, blob);
+                if (ok) return;
+                if (code < 500 || attempt >= IMPORT_CHUNK_RETRIES) throw new Error(data.message || 'Upload failed.');
+            } catch (err) {
+                if (attempt >= IMPORT_CHUNK_RETRIES) throw err;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 2000 * attempt));
+        }
+    };
+
+    const watch = (upload) => new Promise((resolve) => {
+        const poll = async () => {
+            const { ok, data } = await window.SM.apiRequest('GET', `/imports/${upload.id}`);
+            if (!ok) return resolve(null);
+            const { job } = data.import;
+            if (data.import.status === 'completed' || data.import.status === 'failed') return resolve(data.import);
+            if (job?.progress?.total) {
+                show(job.progress.done / job.progress.total, `Transcribing… ${job.progress.done}/${job.progress.total} parts`);
+            } else {
+                show(0, job?.status === 'queued' ? 'Waiting for a worker…' : 'Preparing the recording…');
+            }
+            setTimeout(poll, 3000);
+        };
+        poll();
+    });
+
+    form?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const file = fileInput.files[0];
+        if (!file) return;
+        btn.disabled = true;
+
+        try {
+            // Same file as an interrupted upload → only send what's missing
+            const pending = await window.SM.apiRequest('GET', '/imports?status=uploading');
+            let upload = pending.ok && pending.data.imports.find((u) => u.filename === file.name && u.size === file.size);
+            if (upload) {
+                window.SM.showToast('Resuming the earlier upload of this file.', 'info');
+            } else {
+                const recordedAt = document.getElementById('importRecordedAt').value;
+                const { ok, data } = await window.SM.apiRequest('POST', '/imports', {
+                    filename: file.name,
+                    size: file.size,
+                    mimeType: file.type || 'application/octet-stream',
+                    title: document.getElementById('importTitle').value.trim() || undefined,
+                    recordedAt: recordedAt ? new Date(recordedAt).toISOString() : undefined,
+                    diarize: document.getElementById('importDiarize').checked,
+                });
+                if (!ok) throw new Error(data.message || 'Failed to start the import.');
+                upload = data.upload;
+            }
+
+            const total = upload.totalChunks;
+            let sent = total - upload.missing.length;
+            for (const index of upload.missing) {
+                show(sent / total, `Uploading… ${Math.round((sent / total) * 100)}%`);
+                await sendChunk(upload, file, index);
+                sent++;
+            }
+
+            const { ok, data } = await window.SM.apiRequest('POST', `/imports/${upload.id}/complete`);
+            if (!ok) throw new Error(data.message || 'Failed to queue the transcription.');
+            show(0, 'Uploaded – transcription queued…');
+
+            const done = await watch(upload);
+            if (done?.status === 'completed') {
+                show(1, 'Done – the summary is being built.');
+                window.SM.showToast('Recording imported 🎉', 'success');
+                form.reset();
+                loadHistory('hosted');
+                setTimeout(() => (window.location.href = `/summary.html?id=${upload.meetingId}`), 1500);
+            } else {
+                throw new Error(done?.error || 'The recording could not be transcribed.');
+            }
+        } catch (err) {
+            progress?.classList.remove('hidden');
+            status.textContent = err.message;
+            window.SM.showToast(err.message, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    });
+};
+
+const ACTION_STATUSES = { open: 'Open', 'in-progress': 'In progress', done: 'Done' };
+
+const loadActionItems = async (status) => {
+    const list = document.getElementById('actionItemList');
+    if (!list) return;
+
+    const { ok, data } = await window.SM.apiRequest('GET', `/action-items/mine?status=${status}`);
+    if (!ok) {
+        list.innerHTML = '<div class="dash-empty"><p>Failed to load action items.</p></div>';
+        return;
+    }
+
+    if (!data.actionItems?.length) {
+        list.innerHTML = `<div class="dash-empty"><div class="empty-icon">📋</div><p>${status === 'done' ? 'No finished action items yet.' : 'Nothing assigned to you. 🎉'}</p></div>`;
+        return;
+    }
+
+    const now = new Date();
+    list.innerHTML = data.actionItems.map((item) => {
+        const due = item.dueDate ? new Date(item.dueDate) : null;
+        const overdue = due && item.status !== 'done' && due < now;
+
+        return `
+      <div class="upcoming-item">
+        <div class="upcoming-when">
+          <div class="upcoming-day action-due ${overdue ? 'overdue' : ''}">${due ? due.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' }) : 'No due date'}</div>
+          <div class="upcoming-time">${overdue ? 'Overdue' : ACTION_STATUSES[item.status]}</div>
+        </div>
+        <div class="upcoming-details">
+          <div class="upcoming-title">${escapeHtml(item.text)}</div>
+          <div class="upcoming-meta"><a href="/summary.html?id=${item.meetingId}">${escapeHtml(item.meetingTitle)}</a> · ${item.meetingId}</div>
+        </div>
+        <div class="upcoming-actions">
+          <select class="form-input" data-action-item="${item.id}">
+            ${Object.entries(ACTION_STATUSES).map(([value, label]) => `<option value="${value}" ${item.status === value ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+    `;
+    }).join('');
+
+    list.querySelectorAll('[data-action-item]').forEach((select) => select.addEventListener('change', async () => {
+        const { ok: updated, data: updateData } = await window.SM.apiRequest('PUT', `/action-items/${select.dataset.actionItem}`, { status: select.value });
+        if (!updated) window.SM.showToast(updateData.message || 'Failed to update action item.', 'error');
+        else if (select.value === 'done') window.SM.showToast('Action item done!', 'success', 2000);
+        loadActionItems(status);
+    }));
+};
+
+const escapeHtml = (str = '') => String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
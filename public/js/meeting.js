@@ -11,7 +11,7 @@ const user = window.SM.getUser();
 const token = window.SM.getToken();
 const isHost = localStorage.getItem('sm_isHost') === 'true';
 const MY_NAME = user?.name || localStorage.getItem('sm_userName') || 'Guest';
-const MY_ID = user?.id || `guest_${Date.now()}`;
+let MY_ID = user?.id || localStorage.getItem('sm_guestId');   // Guests get theirs from the server
 
 // ── State ────────────────────────────────────────────────────────────────
 let localStream = null;
@@ -24,12 +24,22 @@ let isTranscribing = false;
 let meetingStartTime = Date.now();
 let timerInterval = null;
 let socket = null;
+let currentBreakout = null;     // { id, name } while in a breakout room
+let breakoutEndsAt = null;      // Countdown target (Date) set by the host
+let breakoutTick = null;
+let myRole = isHost ? 'host' : 'attendee';   // Confirmed by the server on join-approved
+let attendeePermissions = { canUnmute: true, canShareScreen: true, canDrawWhiteboard: true };
+const participantRoles = {};    // socketId -> role
+const participantNames = {};    // socketId -> name (chat recipients)
+let waitingQueue = [];          // Host / co-host: [{ socketId, userId, userName, requestedAt }]
+let hasJoined = false;          // Set once on the first join-approved / session-resumed
+let transcriptionMode = 'browser';   // 'stream' = server-side captions for the whole room
+const RESUME_KEY = `sm_resume_${MEETING_ID}`;   // { socketId, resumeToken } – survives a reload
+let recordingState = { active: false };   // Announced by the server: { active, recordingId, startedAt, startedByName }
 
 // ── DOM Elements ─────────────────────────────────────────────────────────
 const videoGrid = document.getElementById('videoGrid');
 const participantCount = document.getElementById('participantCount');
-const chatMessages = document.getElementById('chatMessages');
-const chatInput = document.getElementById('chatInput');
 const participantsList = document.getElementById('participantsList');
 const liveTranscript = document.getElementById('liveTranscript');
 const engagementList = document.getElementById('engagementList');
@@ -39,6 +49,33 @@ const activeSpeakerBanner = document.getElementById('activeSpeakerBanner');
 const activeSpeakerName = document.getElementById('activeSpeakerName');
 const leaveModal = document.getElementById('leaveModal');
 
+// ── Roles (enforced on the server, mirrored here for the UI) ─────────────
+const ROLE_LABELS = {
+    host: '👑 Host',
+    'co-host': '⭐ Co-host',
+    presenter: '🎤 Presenter',
+    attendee: 'Attendee',
+    viewer: '👁 Viewer',
+};
+
+const isModeratorRole = (role) => role === 'host' || role === 'co-host';
+
+const canUseMedia = (kind) => {
+    if (myRole === 'viewer') return false;
+    if (myRole !== 'attendee') return true;
+    if (kind === 'audio') return attendeePermissions.canUnmute;
+    if (kind === 'screen') return attendeePermissions.canShareScreen;
+    return true;
+};
+
+const canDrawWhiteboard = () => {
+    if (myRole === 'viewer') return false;
+    return myRole !== 'attendee' || attendeePermissions.canDrawWhiteboard;
+};
+
+const roleBadge = (role) =>
+    role && role !== 'attendee' ? `<span class="role-badge role-${role}">${ROLE_LABELS[role]}</span>` : '';
+
 // ── ICE Servers (STUN) ───────────────────────────────────────────────────
 const ICE_SERVERS = {
     iceServers: [
@@ -61,10 +98,44 @@ const init = async () => {
     // Set meeting ID display
     if (meetingIdDisplay) meetingIdDisplay.textContent = MEETING_ID;
 
-    // Show end meeting button if host
-    if (isHost) {
-        document.getElementById('endMeetingBtn')?.classList.remove('hidden');
-    }
+    // Polls tab
+    window.MeetingPolls?.init({ meetingId: MEETING_ID, getSocket: () => socket, isModerator: () => isModeratorRole(myRole) });
+
+    // Q&A tab + hand-raise queue
+    window.MeetingQA?.init({
+        meetingId: MEETING_ID,
+        getSocket: () => socket,
+        getSocketId: () => socket?.id,
+        isModerator: () => isModeratorRole(myRole),
+    });
+
+    // Shared whiteboard over the video area
+    window.MeetingWhiteboard?.init({
+        meetingId: MEETING_ID,
+        getSocket: () => socket,
+        canDraw: canDrawWhiteboard,
+        isModerator: () => isModeratorRole(myRole),
+    });
+
+    // Chat tab: direct messages, threads, reactions
+    window.MeetingChat?.init({
+        meetingId: MEETING_ID,
+        getSocket: () => socket,
+        getMyId: () => MY_ID,
+        getPeople: () => Object.entries(participantNames).map(([socketId, userName]) => ({ socketId, userName })),
+        isModerator: () => isModeratorRole(myRole),
+    });
+
+    // Notes tab: agenda + shared notes
+    window.MeetingNotes?.init({
+        meetingId: MEETING_ID,
+        getSocket: () => socket,
+        canEdit: () => myRole !== 'viewer',
+        isModerator: () => isModeratorRole(myRole),
+    });
+
+    // Host / co-host controls
+    applyModeratorUI();
 
     // Start timer
     startTimer();
@@ -107,7 +178,7 @@ const setupLocalMedia = async () => {
 // VIDEO TILE MANAGEMENT
 // ════════════════════════════════════════════════════════════════════════════
 
-const addVideoTile = (socketId, stream, name, isLocal = false) => {
+const addVideoTile = (socketId, stream, name, isLocal = false, role = isLocal ? myRole : participantRoles[socketId]) => {
     const tileId = isLocal ? 'local-tile' : `tile-${socketId}`;
 
     // Don't add duplicate
@@ -130,9 +201,10 @@ const addVideoTile = (socketId, stream, name, isLocal = false) => {
     <div class="video-tile-info">
       <div class="tile-name">
         ${initials}
-        <span>${name}${isLocal ? ' (You)' : ''}${isHost && isLocal ? ' 👑' : ''}</span>
+        <span>${name}${isLocal ? ' (You)' : ''}</span>
       </div>
       <div class="tile-badges">
+        <span id="role-${tileId}">${roleBadge(role)}</span>
         <span class="tile-badge tile-muted-icon" id="mute-indicator-${tileId}" style="display:none;">🔇</span>
       </div>
     </div>
@@ -177,14 +249,30 @@ const updateParticipantCount = () => {
 const connectSocket = () => {
     const joinToken = localStorage.getItem('sm_joinToken') || '';
     socket = io({
-        auth: { token: token || 'guest' },
+        // Re-read on every (re)connect so a guest keeps the identity the server gave it
+        auth: (cb) => cb({ token: token || 'guest', guestToken: localStorage.getItem('sm_guestToken') || undefined }),
         query: { userName: MY_NAME, joinToken },
     });
 
+    // First connect joins; after a drop or a reload we try to take our seat back
     socket.on('connect', () => {
         console.log('✅ Socket connected:', socket.id);
-        const joinTok = localStorage.getItem('sm_joinToken') || '';
-        socket.emit('join-room', { meetingId: MEETING_ID, joinToken: joinTok });
+        const saved = readResumeSession();
+        if (saved && saved.socketId !== socket.id) {
+            socket.emit('resume-session', {
+                meetingId: MEETING_ID,
+                previousSocketId: saved.socketId,
+                resumeToken: saved.resumeToken,
+            });
+            return;
+        }
+        joinRoom();
+    });
+
+    socket.on('guest-identity', ({ userId, guestToken }) => {
+        MY_ID = userId;
+        localStorage.setItem('sm_guestId', userId);
+        localStorage.setItem('sm_guestToken', guestToken);
     });
 
     socket.on('connect_error', (err) => {
@@ -193,27 +281,50 @@ const connectSocket = () => {
     });
 
     // ── Join gate events ──────────────────────────────────────────────────
-    socket.on('join-approved', ({ isHost: serverIsHost, participants }) => {
-        console.log('✅ Join approved by server');
+    socket.on('join-approved', ({ role, attendeePermissions: perms, transcription, recording, polls, questions, handQueue, chatHistory, participants, resumeToken }) => {
+        console.log(`✅ Join approved by server (${role})`);
+        saveResumeSession(resumeToken);
+        if (transcription) transcriptionMode = transcription;
+        if (perms) attendeePermissions = perms;
+        if (role) setMyRole(role);
+        if (recording) renderRecordingState(recording);
+        if (recording?.active) window.SM.showToast('🔴 This meeting is being recorded', 'info', 4000);
+        if (polls) window.MeetingPolls?.setLive(polls);
+        window.MeetingQA?.setState({ questions, handQueue });
+        window.MeetingWhiteboard?.sync();
+        window.MeetingNotes?.sync();
+        window.MeetingChat?.setHistory(chatHistory);
+
         // Start engagement + speech recognition after join approved
-        if (window.EngagementTracker) window.EngagementTracker.start(MEETING_ID, socket);
-        if (window.SpeechRec) window.SpeechRec.start(MEETING_ID);
+        startSessionServices();
 
         // Populate existing participants
         if (participants) {
             participants.forEach((p) => {
-                if (p.socketId !== socket.id) addParticipantToList(p.socketId, p.userName);
+                if (p.socketId !== socket.id) addParticipantToList(p.socketId, p.userName, p.role);
             });
         }
     });
 
+    // Back within the grace period: same seat, role, room and raised hand
+    socket.on('session-resumed', handleSessionResumed);
+
+    // Seat is gone (grace period over, meeting ended, ...): join like a newcomer
+    socket.on('resume-failed', ({ message }) => {
+        console.warn('Resume failed:', message);
+        sessionStorage.removeItem(RESUME_KEY);
+        resetMesh();
+        joinRoom();
+    });
+
     socket.on('join-rejected', ({ message }) => {
+        sessionStorage.removeItem(RESUME_KEY);
         window.SM.showToast(message || 'Rejected from meeting', 'error');
         setTimeout(() => { window.location.href = '/'; }, 2500);
     });
 
     socket.on('join-waiting-room', ({ message }) => {
-        window.SM.showToast('⏳ ' + message, 'info');
+        window.SM.showToast('⏳ ' + escapeHtml(message), 'info');
     });
 
     socket.on('meeting-locked', ({ isLocked, lockedBy }) => {
@@ -224,30 +335,39 @@ const connectSocket = () => {
     });
 
     socket.on('removed-from-meeting', ({ message }) => {
+        sessionStorage.removeItem(RESUME_KEY);
         window.SM.showToast(message || 'You were removed from the meeting.', 'error');
         cleanup();
         setTimeout(() => { window.location.href = '/'; }, 2500);
     });
 
-    // Waiting room: host gets approval requests
-    socket.on('waiting-room-request', ({ userId, userName, socketId: waitingSid }) => {
-        if (!isHost) return;
-        const toast = document.createElement('div');
-        toast.style.cssText = 'position:fixed;bottom:80px;right:20px;background:rgba(30,30,60,0.95);border:1px solid #6366f1;border-radius:12px;padding:1rem 1.25rem;z-index:9999;color:#e2e8f0;min-width:280px;';
-        toast.innerHTML = `
-          <div style="font-weight:600;margin-bottom:0.5rem;">👋 ${userName} wants to join</div>
-          <div style="display:flex;gap:0.5rem;">
-            <button onclick="this.closest('div[style]').remove();socket?.emit('approve-waiting',{waitingSocketId:'${waitingSid}',meetingId:'${MEETING_ID}'})" style="flex:1;padding:0.4rem;background:#6366f1;border:none;border-radius:8px;color:#fff;cursor:pointer;">Admit</button>
-            <button onclick="this.closest('div[style]').remove();socket?.emit('reject-waiting',{waitingSocketId:'${waitingSid}'})" style="flex:1;padding:0.4rem;background:rgba(239,68,68,0.3);border:1px solid rgba(239,68,68,0.5);border-radius:8px;color:#fca5a5;cursor:pointer;">Deny</button>
-          </div>`;
-        document.body.appendChild(toast);
-        setTimeout(() => toast.remove(), 30000);
+    // Waiting room: host / co-hosts get each new request plus the full queue
+    socket.on('waiting-room-request', ({ userName }) => {
+        if (!isModeratorRole(myRole)) return;
+        window.SM.showToast(`👋 ${escapeHtml(userName || 'Someone')} wants to join`, 'info', 5000);
+    });
+
+    socket.on('waiting-room-queue', ({ waiting, message }) => {
+        waitingQueue = waiting || [];
+        const input = document.getElementById('waitingMessageInput');
+        if (input && document.activeElement !== input) input.value = message || '';
+        renderWaitingQueue();
+    });
+
+    // We are waiting and the host changed the message
+    socket.on('waiting-room-message', ({ message }) => {
+        window.SM.showToast('⏳ ' + escapeHtml(message), 'info', 6000);
+    });
+
+    // A peer reconnected on a new socket: keep its tile, wait for its offer
+    socket.on('participant-resumed', ({ previousSocketId, socketId }) => {
+        rekeyParticipant(previousSocketId, socketId);
     });
 
     // Someone joined the room
-    socket.on('user-joined', async ({ socketId, userName }) => {
+    socket.on('user-joined', async ({ socketId, userName, role }) => {
         window.SM.showToast(`${userName} joined the meeting`, 'info', 3000);
-        addParticipantToList(socketId, userName);
+        addParticipantToList(socketId, userName, role);
         // Create peer connection and send offer
         await createPeerAndOffer(socketId, userName);
     });
@@ -256,7 +376,7 @@ const connectSocket = () => {
     socket.on('room-participants', ({ participants }) => {
         participants.forEach((p) => {
             if (p.socketId !== socket.id) {
-                addParticipantToList(p.socketId, p.userName);
+                addParticipantToList(p.socketId, p.userName, p.role);
             }
         });
     });
@@ -284,9 +404,12 @@ const connectSocket = () => {
         }
     });
 
-    // User left
-    socket.on('user-left', ({ socketId, userName }) => {
-        window.SM.showToast(`${userName} left the meeting`, 'info', 3000);
+    // User left (or was moved to another breakout room)
+    socket.on('user-left', ({ socketId, userName, reason }) => {
+        window.SM.showToast(
+            reason === 'breakout' ? `${userName} moved to another room` : `${userName} left the meeting`,
+            'info', 3000
+        );
         removeVideoTile(socketId);
         removeParticipantFromList(socketId);
         if (peers[socketId]) {
@@ -295,14 +418,33 @@ const connectSocket = () => {
         }
     });
 
-    // Chat message received
-    socket.on('chat-message', (msg) => addChatMessage(msg));
+    // Server-side captions (streaming transcription), same for everyone on the stage
+    socket.on('transcript-partial', (caption) => window.SpeechRec?.showCaption(caption, false));
+    socket.on('transcript-final', (caption) => window.SpeechRec?.showCaption(caption, true));
+    socket.on('transcription-error', ({ message }) => {
+        window.SM.showToast(`📝 ${message}`, 'warning', 4000);
+    });
+    // The server ended our stream (role or permission changed): stop capturing
+    socket.on('transcription-stopped', ({ message }) => {
+        if (isTranscribing) toggleTranscript();
+        window.SM.showToast(`📝 ${message}`, 'warning', 4000);
+    });
+
+    // Background jobs of this meeting (e.g. our uploaded audio chunks being transcribed)
+    socket.on('job-updated', (job) => window.SpeechRec?.handleJobUpdate(job));
 
     // Raise hand
-    socket.on('hand-raised', ({ socketId, userName, raised }) => {
+    socket.on('hand-raised', ({ socketId, userName, raised, loweredBy }) => {
         const handEl = document.getElementById(`hand-tile-${socketId}`);
         if (handEl) handEl.classList.toggle('visible', raised);
-        if (raised) window.SM.showToast(`${userName} raised their hand ✋`, 'info', 3000);
+        if (socketId === socket.id) {
+            // A host / co-host took our hand down
+            isHandRaised = raised;
+            document.getElementById('raiseHandBtn')?.classList.toggle('active', isHandRaised);
+            if (loweredBy) window.SM.showToast(`${loweredBy} lowered your hand`, 'info', 3000);
+        } else if (raised) {
+            window.SM.showToast(`${userName} raised their hand ✋`, 'info', 3000);
+        }
     });
 
     // Audio/video toggles
@@ -346,8 +488,116 @@ const connectSocket = () => {
         document.getElementById('screenShareView')?.classList.add('hidden');
     });
 
+    // Breakout rooms
+    socket.on('breakout-moved', handleBreakoutMoved);
+    socket.on('breakout-state', renderBreakoutState);
+
+    socket.on('breakout-opened', ({ rooms }) => {
+        if (isModeratorRole(myRole)) window.SM.showToast(`🧩 ${rooms.length} breakout room${rooms.length !== 1 ? 's' : ''} opened`, 'success', 3000);
+    });
+
+    socket.on('breakout-timer', ({ endsAt }) => {
+        breakoutEndsAt = endsAt ? new Date(endsAt) : null;
+        startBreakoutCountdown();
+    });
+
+    socket.on('breakout-broadcast', ({ message, from }) => {
+        window.SM.showToast(`📢 ${escapeHtml(from)}: ${escapeHtml(message)}`, 'info', 10000);
+    });
+
+    socket.on('breakout-closed', () => {
+        breakoutEndsAt = null;
+        startBreakoutCountdown();
+    });
+
+    socket.on('breakout-error', ({ message }) => {
+        window.SM.showToast(message, 'error');
+    });
+
+    // Server refused an action: roll back local media the server did not accept
+    socket.on('permission-denied', ({ event, message }) => {
+        window.SM.showToast(`🚫 ${message}`, 'error');
+        if (event === 'toggle-audio' && !isMuted) document.getElementById('muteBtn')?.click();
+        if (event === 'toggle-video' && isCameraOn) document.getElementById('cameraBtn')?.click();
+        if (event === 'screen-share-started' && screenStream) document.getElementById('screenShareBtn')?.click();
+        // Our drawing was refused: fetch the board as the server has it
+        if (event?.startsWith('wb-')) window.MeetingWhiteboard?.sync();
+    });
+
+    // Roles
+    socket.on('role-changed', ({ socketId, userName, role, changedBy }) => {
+        if (socketId === socket.id) {
+            setMyRole(role);
+            window.SM.showToast(`${changedBy} made you ${ROLE_LABELS[role]}`, 'info', 4000);
+        } else {
+            applyParticipantRole(socketId, role);
+            window.SM.showToast(`${userName} is now ${ROLE_LABELS[role]}`, 'info', 3000);
+        }
+    });
+
+    socket.on('attendee-permissions', ({ canUnmute, canShareScreen, canDrawWhiteboard: canDraw }) => {
+        const previous = attendeePermissions;
+        attendeePermissions = { canUnmute, canShareScreen, canDrawWhiteboard: canDraw };
+        syncAttendeePermsPanel();
+        if (myRole === 'attendee') {
+            if (canUnmute !== previous.canUnmute || canShareScreen !== previous.canShareScreen) {
+                window.SM.showToast(
+                    `Attendees ${canUnmute ? 'can' : 'cannot'} unmute and ${canShareScreen ? 'can' : 'cannot'} share their screen`,
+                    'info', 4000
+                );
+            }
+            if (canDraw !== previous.canDrawWhiteboard) {
+                window.SM.showToast(`Attendees ${canDraw ? 'can' : 'cannot'} draw on the whiteboard`, 'info', 4000);
+            }
+        }
+        enforceMediaPermissions();
+        window.MeetingWhiteboard?.permissionsChanged();
+    });
+
+    // Recording started / stopped (by any host or co-host)
+    socket.on('recording-status', ({ recording, ...state }) => {
+        const wasActive = recordingState.active;
+        // Someone else stopped the recording we are making: the server no longer takes chunks
+        if (!state.active && recording && window.MeetingRecorder?.currentId() === recording.id) {
+            window.MeetingRecorder.cancel();
+        }
+        renderRecordingState(state);
+
+        if (state.active && !wasActive) {
+            window.SM.showToast(`🔴 ${state.startedByName || 'The host'} started recording this meeting`, 'info', 4000);
+        } else if (!state.active && wasActive) {
+            window.SM.showToast('⏹ Recording stopped', 'info', 3000);
+        }
+    });
+
+    // Polls: launched / results / closed / deleted, and replies to our own vote
+    window.MeetingPolls?.events.forEach((event) => {
+        socket.on(event, (payload) => window.MeetingPolls.handle(event, payload));
+    });
+
+    // Q&A questions and the hand-raise queue
+    window.MeetingQA?.events.forEach((event) => {
+        socket.on(event, (payload) => window.MeetingQA.handle(event, payload));
+    });
+
+    // Whiteboard operations from everyone else
+    window.MeetingWhiteboard?.events.forEach((event) => {
+        socket.on(event, (payload) => window.MeetingWhiteboard.handle(event, payload));
+    });
+
+    // Shared notes edits and agenda progress
+    window.MeetingNotes?.events.forEach((event) => {
+        socket.on(event, (payload) => window.MeetingNotes.handle(event, payload));
+    });
+
+    // Chat: messages, edits / deletes / reactions, mentions
+    window.MeetingChat?.events.forEach((event) => {
+        socket.on(event, (payload) => window.MeetingChat.handle(event, payload));
+    });
+
     // Meeting ended by host
     socket.on('meeting-ended', ({ meetingId }) => {
+        sessionStorage.removeItem(RESUME_KEY);
         window.SM.showToast('Meeting ended by host. Redirecting to summary...', 'info');
         cleanup();
         setTimeout(() => {
@@ -356,6 +606,109 @@ const connectSocket = () => {
     });
 };
 
+// ════════════════════════════════════════════════════════════════════════════
+// SESSION RESUME
+// ════════════════════════════════════════════════════════════════════════════
+
+const joinRoom = () => {
+    const joinTok = localStorage.getItem('sm_joinToken') || '';
+    socket.emit('join-room', { meetingId: MEETING_ID, joinToken: joinTok });
+};
+
+const readResumeSession = () => {
+    try {
+        return JSON.parse(sessionStorage.getItem(RESUME_KEY));
+    } catch {
+        return null;
+    }
+};
+
+const saveResumeSession = (resumeToken) => {
+    if (resumeToken) sessionStorage.setItem(RESUME_KEY, JSON.stringify({ socketId: socket.id, resumeToken }));
+};
+
+const speechOptions = () => ({
+    mode: transcriptionMode,
+    socket,
+    stream: localStream,
+    sharedMic: document.getElementById('sharedMicToggle')?.checked || false,
+});
+
+const startSessionServices = () => {
+    // Rejoined on a new socket: only the caption stream needs restarting
+    if (hasJoined) {
+        window.SpeechRec?.resume(socket);
+        return;
+    }
+    hasJoined = true;
+    if (window.EngagementTracker) window.EngagementTracker.start(MEETING_ID, socket);
+    if (window.SpeechRec) window.SpeechRec.start(MEETING_ID, speechOptions());
+};
+
+// Close every peer connection and forget the remote tiles
+const resetMesh = () => {
+    Object.keys(peers).forEach((sid) => {
+        peers[sid].close();
+        removeVideoTile(sid);
+        removeParticipantFromList(sid);
+    });
+    peers = {};
+};
+
+// Move a peer's tile, list entry and role to its new socket id
+const rekeyParticipant = (oldId, newId) => {
+    peers[oldId]?.close();
+    delete peers[oldId];
+    if (participantRoles[oldId]) {
+        participantRoles[newId] = participantRoles[oldId];
+        delete participantRoles[oldId];
+    }
+    if (participantNames[oldId]) {
+        participantNames[newId] = participantNames[oldId];
+        delete participantNames[oldId];
+        window.MeetingChat?.peopleChanged();
+    }
+    [`tile-${oldId}`, `pitem-${oldId}`].forEach((id) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        [el, ...el.querySelectorAll('[id]')].forEach((node) => { node.id = node.id.replace(oldId, newId); });
+        el.querySelectorAll('[data-role-for]').forEach((node) => { node.dataset.roleFor = newId; });
+    });
+};
+
+// We are the one who reconnected: rebuild the mesh by offering to everyone on our stage
+const handleSessionResumed = async ({ role, attendeePermissions: perms, transcription, recording, polls, questions, handQueue, chatHistory, handRaised, breakout, participants, resumeToken }) => {
+    console.log(`🔁 Session resumed (${role})`);
+    saveResumeSession(resumeToken);
+    resetMesh();
+    if (transcription) transcriptionMode = transcription;
+
+    if (perms) attendeePermissions = perms;
+    if (role) setMyRole(role);
+    if (recording) renderRecordingState(recording);
+    if (polls) window.MeetingPolls?.setLive(polls);
+    window.MeetingQA?.setState({ questions, handQueue });
+    window.MeetingWhiteboard?.sync();
+    window.MeetingNotes?.sync();
+    window.MeetingChat?.setHistory(chatHistory);
+
+    isHandRaised = !!handRaised;
+    document.getElementById('raiseHandBtn')?.classList.toggle('active', isHandRaised);
+
+    currentBreakout = breakout ? { id: breakout.breakoutId, name: breakout.name } : null;
+    breakoutEndsAt = breakout?.endsAt ? new Date(breakout.endsAt) : null;
+    window.SpeechRec?.setBreakout(breakout?.breakoutId || null);
+    startBreakoutCountdown();
+
+    startSessionServices();
+    window.SM.showToast('Reconnected', 'success', 2000);
+
+    for (const p of participants) {
+        addParticipantToList(p.socketId, p.userName, p.role);
+        if (!p.disconnected) await createPeerAndOffer(p.socketId, p.userName);
+    }
+};
+
 // ════════════════════════════════════════════════════════════════════════════
 // WEBRTC PEER CONNECTIONS
 // ════════════════════════════════════════════════════════════════════════════
@@ -366,8 +719,8 @@ const createPeerConnection = (socketId, userName) => {
     const pc = new RTCPeerConnection(ICE_SERVERS);
     peers[socketId] = pc;
 
-    // Add local tracks
-    if (localStream) {
+    // Add local tracks (viewers are receive-only)
+    if (localStream && myRole !== 'viewer') {
         localStream.getTracks().forEach((track) => pc.addTrack(track, localStream));
     }
 
@@ -405,47 +758,163 @@ const createPeerConnection = (socketId, userName) => {
 
 const createPeerAndOffer = async (socketId, userName) => {
     const pc = createPeerConnection(socketId, userName);
+    // Nothing to send: still ask for the other side's audio + video
+    if (pc.getTransceivers().length === 0) {
+        ['audio', 'video'].forEach((kind) => pc.addTransceiver(kind, { direction: 'recvonly' }));
+    }
     const offer = await pc.createOffer();
     await pc.setLocalDescription(offer);
     socket.emit('offer', { targetSocketId: socketId, offer });
 };
 
+// Start / stop sending local media on every connection (role changed to or from viewer)
+const setPublishing = (publish) => {
+    Object.keys(peers).forEach((sid) => {
+        peers[sid].getTransceivers().forEach((t) => {
+            const track = publish ? localStream?.getTracks().find((tr) => tr.kind === t.receiver.track.kind) : null;
+            t.sender.replaceTrack(track || null);
+            t.direction = track ? 'sendrecv' : 'recvonly';
+        });
+        createPeerAndOffer(sid);
+    });
+};
+
 // ════════════════════════════════════════════════════════════════════════════
 // CHAT
 // ════════════════════════════════════════════════════════════════════════════
+// Messages, direct messages, threads and reactions live in chat.js (MeetingChat)
 
-const addChatMessage = ({ userId, userName, message, timestamp }) => {
-    const isEmpty = chatMessages.querySelector('.chat-empty');
-    if (isEmpty) isEmpty.remove();
+const escapeHtml = (str) => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
-    const isOwn = userId?.toString() === MY_ID?.toString();
-    const time = new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    const initial = userName?.charAt(0)?.toUpperCase() || '?';
+// ════════════════════════════════════════════════════════════════════════════
+// BREAKOUT ROOMS
+// ════════════════════════════════════════════════════════════════════════════
 
-    const div = document.createElement('div');
-    div.className = `chat-msg${isOwn ? ' own' : ''}`;
-    div.innerHTML = `
-    <div class="chat-msg-header">
-      <div class="chat-msg-avatar">${initial}</div>
-      <span class="chat-msg-name">${userName}${isOwn ? ' (You)' : ''}</span>
-      <span class="chat-msg-time">${time}</span>
-    </div>
-    <div class="chat-msg-text">${escapeHtml(message)}</div>
-  `;
+// Server moved us to another stage: drop the old mesh, the new peers will send offers
+const handleBreakoutMoved = ({ breakoutId, name, endsAt }) => {
+    resetMesh();
 
-    chatMessages.appendChild(div);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    currentBreakout = breakoutId ? { id: breakoutId, name } : null;
+    breakoutEndsAt = endsAt ? new Date(endsAt) : null;
+    window.SpeechRec?.setBreakout(breakoutId);
+
+    window.MeetingChat?.reset(breakoutId ? `Chat in ${name} 👋` : 'Back in the main room 👋');
+    window.SM.showToast(breakoutId ? `🧩 You joined ${escapeHtml(name)}` : '🏠 You are back in the main room', 'info', 4000);
+    startBreakoutCountdown();
 };
 
-const escapeHtml = (str) => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const startBreakoutCountdown = () => {
+    const banner = document.getElementById('breakoutBanner');
+    const label = document.getElementById('breakoutBannerName');
+    const countdown = document.getElementById('breakoutCountdown');
+
+    clearInterval(breakoutTick);
+    if (label) label.textContent = currentBreakout ? `🧩 ${currentBreakout.name}` : '🧩 Breakout rooms open';
+    banner?.classList.toggle('hidden', !currentBreakout && !breakoutEndsAt);
+    countdown?.classList.toggle('hidden', !breakoutEndsAt);
+    if (!breakoutEndsAt) return;
+
+    const render = () => {
+        const left = Math.max(0, Math.floor((breakoutEndsAt - Date.now()) / 1000));
+        if (countdown) countdown.textContent = `${String(Math.floor(left / 60)).padStart(2, '0')}:${String(left % 60).padStart(2, '0')}`;
+        if (left === 0) clearInterval(breakoutTick);
+    };
+    render();
+    breakoutTick = setInterval(render, 1000);
+};
+
+// Host panel: rooms with their participants and a "move to" picker per person
+const renderBreakoutState = (state) => {
+    if (!isModeratorRole(myRole)) return;
+    document.getElementById('breakoutSetup')?.classList.toggle('hidden', state.active);
+    document.getElementById('breakoutActive')?.classList.toggle('hidden', !state.active);
+    document.getElementById('breakoutBtn')?.classList.toggle('active', state.active);
+
+    const list = document.getElementById('breakoutRoomsList');
+    if (!list || !state.active) return;
+
+    const stages = [{ id: '', name: '🏠 Main room', participants: state.main }, ...state.rooms];
+    const options = (currentId) => stages
+        .map((st) => `<option value="${st.id}"${st.id === (currentId || '') ? ' selected' : ''}>${escapeHtml(st.name)}</option>`)
+        .join('');
+
+    list.innerHTML = stages.map((st) => `
+      <div class="breakout-room">
+        <div class="breakout-room-header">
+          <span>${escapeHtml(st.name)} <small>(${st.participants.length})</small></span>
+          ${st.participants.some((p) => p.socketId === socket?.id)
+                ? '<span class="badge badge-primary">You</span>'
+                : `<button class="btn btn-secondary btn-sm" data-visit="${st.id}">Join</button>`}
+        </div>
+        ${st.participants.map((p) => `
+          <div class="breakout-member">
+            <span>${escapeHtml(p.userName)} ${roleBadge(p.role)}</span>
+            <select class="form-input" data-move="${p.socketId}">${options(st.id)}</select>
+          </div>`).join('') || '<div class="breakout-empty">Empty</div>'}
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-move]').forEach((sel) => sel.addEventListener('change', () => {
+        socket?.emit('breakout-move', { meetingId: MEETING_ID, targetSocketId: sel.dataset.move, breakoutId: sel.value || null });
+    }));
+    list.querySelectorAll('[data-visit]').forEach((btn) => btn.addEventListener('click', () => {
+        socket?.emit('breakout-move', { meetingId: MEETING_ID, targetSocketId: socket.id, breakoutId: btn.dataset.visit || null });
+    }));
+};
+
+const breakoutModal = document.getElementById('breakoutModal');
+document.getElementById('breakoutBtn')?.addEventListener('click', () => breakoutModal?.classList.remove('hidden'));
+document.getElementById('breakoutCancelBtn')?.addEventListener('click', () => breakoutModal?.classList.add('hidden'));
+document.getElementById('breakoutHideBtn')?.addEventListener('click', () => breakoutModal?.classList.add('hidden'));
+
+document.getElementById('breakoutStartBtn')?.addEventListener('click', () => {
+    socket?.emit('breakout-start', {
+        meetingId: MEETING_ID,
+        count: parseInt(document.getElementById('breakoutCount').value, 10),
+        mode: document.getElementById('breakoutMode').value,
+        durationMinutes: parseFloat(document.getElementById('breakoutDuration').value) || null,
+    });
+});
+
+document.getElementById('breakoutBroadcastBtn')?.addEventListener('click', () => {
+    const input = document.getElementById('breakoutBroadcastInput');
+    if (!input?.value.trim()) return;
+    socket?.emit('breakout-broadcast', { meetingId: MEETING_ID, message: input.value.trim() });
+    input.value = '';
+});
+
+document.getElementById('breakoutTimerBtn')?.addEventListener('click', () => {
+    const minutes = parseFloat(document.getElementById('breakoutTimerInput').value);
+    if (!(minutes > 0)) return window.SM.showToast('Enter the minutes left.', 'warning');
+    socket?.emit('breakout-timer', { meetingId: MEETING_ID, seconds: Math.round(minutes * 60) });
+});
+
+document.getElementById('breakoutCloseBtn')?.addEventListener('click', () => {
+    if (!confirm('Close all breakout rooms and bring everyone back?')) return;
+    socket?.emit('breakout-close', { meetingId: MEETING_ID });
+});
 
 // ════════════════════════════════════════════════════════════════════════════
 // PARTICIPANTS LIST
 // ════════════════════════════════════════════════════════════════════════════
 
-const addParticipantToList = (socketId, name) => {
+// Role picker shown to the host / co-hosts (only the host manages co-hosts)
+const roleControls = (socketId, role) => {
+    if (!isModeratorRole(myRole) || role === 'host') return '';
+    if (role === 'co-host' && myRole !== 'host') return '';
+
+    const choices = myRole === 'host' ? ['co-host', 'presenter', 'attendee', 'viewer'] : ['presenter', 'attendee', 'viewer'];
+    return `<select class="role-select" data-role-for="${socketId}" title="Change role">
+      ${choices.map((r) => `<option value="${r}"${r === role ? ' selected' : ''}>${ROLE_LABELS[r]}</option>`).join('')}
+    </select>`;
+};
+
+const addParticipantToList = (socketId, name, role = 'attendee') => {
     if (!participantsList) return;
     if (document.getElementById(`pitem-${socketId}`)) return;
+    participantRoles[socketId] = role;
+    participantNames[socketId] = name;
+    window.MeetingChat?.peopleChanged();
 
     const initial = name?.charAt(0)?.toUpperCase() || '?';
     const div = document.createElement('div');
@@ -455,10 +924,11 @@ const addParticipantToList = (socketId, name) => {
     <div class="participant-avatar">${initial}</div>
     <div class="participant-details">
       <div class="participant-name">${name}</div>
-      <div class="participant-status">In meeting</div>
+      <div class="participant-status" id="prole-${socketId}">${ROLE_LABELS[role] || 'In meeting'}</div>
     </div>
     <div class="participant-icons">
       <span id="pmute-${socketId}"></span>
+      <span id="pctrl-${socketId}">${roleControls(socketId, role)}</span>
     </div>
   `;
     participantsList.appendChild(div);
@@ -466,8 +936,195 @@ const addParticipantToList = (socketId, name) => {
 
 const removeParticipantFromList = (socketId) => {
     document.getElementById(`pitem-${socketId}`)?.remove();
+    delete participantRoles[socketId];
+    delete participantNames[socketId];
+    window.MeetingChat?.peopleChanged();
 };
 
+const applyParticipantRole = (socketId, role) => {
+    participantRoles[socketId] = role;
+    const status = document.getElementById(`prole-${socketId}`);
+    const controls = document.getElementById(`pctrl-${socketId}`);
+    const badge = document.getElementById(`role-tile-${socketId}`);
+    if (status) status.textContent = ROLE_LABELS[role];
+    if (controls) controls.innerHTML = roleControls(socketId, role);
+    if (badge) badge.innerHTML = roleBadge(role);
+};
+
+participantsList?.addEventListener('change', (e) => {
+    const select = e.target.closest('.role-select');
+    if (!select) return;
+    socket?.emit('set-role', { meetingId: MEETING_ID, targetSocketId: select.dataset.roleFor, role: select.value });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// ROLES & PERMISSIONS
+// ════════════════════════════════════════════════════════════════════════════
+
+const setMyRole = (role) => {
+    const wasViewer = myRole === 'viewer';
+    myRole = role;
+
+    const selfStatus = document.querySelector('#pitem-self .participant-status');
+    const localBadge = document.getElementById('role-local-tile');
+    if (selfStatus) selfStatus.textContent = ROLE_LABELS[role];
+    if (localBadge) localBadge.innerHTML = roleBadge(role);
+
+    applyModeratorUI();
+    Object.keys(participantRoles).forEach((sid) => applyParticipantRole(sid, participantRoles[sid]));
+    enforceMediaPermissions();
+    if (wasViewer !== (role === 'viewer')) setPublishing(role !== 'viewer');
+};
+
+const applyModeratorUI = () => {
+    const moderator = isModeratorRole(myRole);
+    document.getElementById('endMeetingBtn')?.classList.toggle('hidden', myRole !== 'host');
+    document.getElementById('breakoutControl')?.classList.toggle('hidden', !moderator);
+    document.getElementById('recordControl')?.classList.toggle('hidden', !moderator);
+    document.getElementById('attendeePermsPanel')?.classList.toggle('hidden', !moderator);
+    if (!moderator) breakoutModal?.classList.add('hidden');
+    syncAttendeePermsPanel();
+    renderWaitingQueue();
+    window.MeetingPolls?.roleChanged();
+    window.MeetingQA?.roleChanged();
+    window.MeetingWhiteboard?.permissionsChanged();
+    window.MeetingNotes?.roleChanged();
+    window.MeetingChat?.roleChanged();
+};
+
+const syncAttendeePermsPanel = () => {
+    const unmute = document.getElementById('permUnmute');
+    const screen = document.getElementById('permScreen');
+    const whiteboard = document.getElementById('permWhiteboard');
+    if (unmute) unmute.checked = attendeePermissions.canUnmute;
+    if (screen) screen.checked = attendeePermissions.canShareScreen;
+    if (whiteboard) whiteboard.checked = attendeePermissions.canDrawWhiteboard;
+};
+
+// Turn off whatever the current role no longer allows
+const enforceMediaPermissions = () => {
+    if (!canUseMedia('audio') && !isMuted) document.getElementById('muteBtn')?.click();
+    if (!canUseMedia('video') && isCameraOn) document.getElementById('cameraBtn')?.click();
+    if (!canUseMedia('screen') && screenStream) document.getElementById('screenShareBtn')?.click();
+};
+
+['permUnmute', 'permScreen', 'permWhiteboard'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => {
+        socket?.emit('set-attendee-permissions', {
+            meetingId: MEETING_ID,
+            canUnmute: document.getElementById('permUnmute').checked,
+            canShareScreen: document.getElementById('permScreen').checked,
+            canDrawWhiteboard: document.getElementById('permWhiteboard').checked,
+        });
+    });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// WAITING ROOM (host / co-host)
+// ════════════════════════════════════════════════════════════════════════════
+
+const renderWaitingQueue = () => {
+    const panel = document.getElementById('waitingPanel');
+    const list = document.getElementById('waitingList');
+    if (!panel || !list) return;
+
+    panel.classList.toggle('hidden', !isModeratorRole(myRole) || waitingQueue.length === 0);
+    document.getElementById('waitingCount').textContent = waitingQueue.length;
+    list.innerHTML = waitingQueue.map((w) => `
+      <div class="waiting-entry">
+        <span>${escapeHtml(w.userName || 'Guest')}</span>
+        <button class="btn btn-primary btn-sm" data-admit="${w.socketId}">Admit</button>
+        <button class="btn btn-secondary btn-sm" data-deny="${w.socketId}">Deny</button>
+      </div>`).join('');
+};
+
+document.getElementById('waitingList')?.addEventListener('click', (e) => {
+    const admit = e.target.closest('[data-admit]');
+    const deny = e.target.closest('[data-deny]');
+    if (admit) socket?.emit('approve-waiting', { meetingId: MEETING_ID, waitingSocketId: admit.dataset.admit });
+    if (deny) socket?.emit('reject-waiting', { meetingId: MEETING_ID, waitingSocketId: deny.dataset.deny });
+});
+
+document.getElementById('admitAllBtn')?.addEventListener('click', () => {
+    socket?.emit('approve-waiting', { meetingId: MEETING_ID, all: true });
+});
+
+document.getElementById('denyAllBtn')?.addEventListener('click', () => {
+    if (!confirm(`Deny all ${waitingQueue.length} waiting?`)) return;
+    socket?.emit('reject-waiting', { meetingId: MEETING_ID, all: true });
+});
+
+document.getElementById('waitingMessageBtn')?.addEventListener('click', () => {
+    const input = document.getElementById('waitingMessageInput');
+    socket?.emit('set-waiting-message', { meetingId: MEETING_ID, message: input?.value || '' });
+    window.SM.showToast('Message sent to the waiting room', 'success', 2000);
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// RECORDING (host / co-host record; everyone sees the REC indicator)
+// ════════════════════════════════════════════════════════════════════════════
+
+const renderRecordingState = (state) => {
+    recordingState = state;
+    const indicator = document.getElementById('recordingIndicator');
+    indicator?.classList.toggle('hidden', !state.active);
+    if (indicator) indicator.title = state.active ? `Recorded by ${state.startedByName}` : '';
+
+    const btn = document.getElementById('recordBtn');
+    btn?.classList.toggle('danger', state.active);
+    if (btn) btn.title = state.active ? 'Stop recording' : 'Start recording';
+    const icon = document.getElementById('recordIcon');
+    if (icon) icon.textContent = state.active ? '⏹️' : '⏺️';
+    const layout = document.getElementById('recordLayout');
+    if (layout) layout.disabled = state.active;
+};
+
+// Finish our own recording (uploads what is left); resolves once the server has it
+const stopOwnRecording = async () => {
+    if (!window.MeetingRecorder?.isRecording()) return;
+    try {
+        await window.MeetingRecorder.stop();
+    } catch (err) {
+        console.error('[Meeting] Stop recording failed:', err);
+        window.SM.showToast(err.message || 'Failed to stop recording.', 'error');
+    }
+};
+
+const toggleRecording = async () => {
+    if (!isModeratorRole(myRole)) return;
+
+    if (window.MeetingRecorder?.isRecording()) {
+        window.SM.showToast('Saving the recording…', 'info', 2000);
+        return stopOwnRecording();
+    }
+
+    // Recording from another host / co-host's browser: stop it on the server
+    if (recordingState.active) {
+        const { ok, data } = await window.SM.apiRequest('POST', `/recordings/${recordingState.recordingId}/stop`);
+        if (!ok) window.SM.showToast(data.message || 'Failed to stop recording.', 'error');
+        return;
+    }
+
+    try {
+        await window.MeetingRecorder.start(MEETING_ID, {
+            layout: document.getElementById('recordLayout')?.value,
+            onError: (err) => window.SM.showToast(`Recording stopped: ${err.message}`, 'error', 5000),
+        });
+    } catch (err) {
+        window.SM.showToast(err.message || 'Failed to start recording.', 'error');
+    }
+};
+
+document.getElementById('recordBtn')?.addEventListener('click', async (e) => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    try {
+        await toggleRecording();
+    } finally {
+        btn.disabled = false;
+    }
+});
+
 // ════════════════════════════════════════════════════════════════════════════
 // ENGAGEMENT UI UPDATE
 // ════════════════════════════════════════════════════════════════════════════
@@ -532,6 +1189,9 @@ document.getElementById('muteBtn')?.addEventListener('click', () => {
     if (!localStream) return;
     const audioTrack = localStream.getAudioTracks()[0];
     if (!audioTrack) return;
+    if (isMuted && !canUseMedia('audio')) {
+        return window.SM.showToast('The host has not allowed you to unmute.', 'warning');
+    }
 
     isMuted = !isMuted;
     audioTrack.enabled = !isMuted;
@@ -550,6 +1210,9 @@ document.getElementById('cameraBtn')?.addEventListener('click', () => {
     if (!localStream) return;
     const videoTrack = localStream.getVideoTracks()[0];
     if (!videoTrack) return;
+    if (!isCameraOn && !canUseMedia('video')) {
+        return window.SM.showToast('Viewers cannot turn on their camera.', 'warning');
+    }
 
     isCameraOn = !isCameraOn;
     videoTrack.enabled = isCameraOn;
@@ -584,6 +1247,10 @@ document.getElementById('screenShareBtn')?.addEventListener('click', async () =>
         return;
     }
 
+    if (!canUseMedia('screen')) {
+        return window.SM.showToast('The host has not allowed you to share your screen.', 'warning');
+    }
+
     try {
         screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true });
 
@@ -628,17 +1295,6 @@ document.getElementById('chatToggleBtn')?.addEventListener('click', () => {
     if (sidebarEl) sidebarEl.classList.toggle('collapsed');
 });
 
-// Send chat
-const sendChat = () => {
-    const msg = chatInput?.value.trim();
-    if (!msg || !socket) return;
-    socket.emit('chat-message', { meetingId: MEETING_ID, message: msg });
-    chatInput.value = '';
-};
-
-document.getElementById('sendChatBtn')?.addEventListener('click', sendChat);
-chatInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') sendChat(); });
-
 // Copy meeting ID
 document.getElementById('copyMeetingId')?.addEventListener('click', () => {
     navigator.clipboard.writeText(MEETING_ID).then(() => {
@@ -668,7 +1324,7 @@ const toggleTranscript = () => {
             isTranscribing = false;
             return;
         }
-        window.SpeechRec.start(MEETING_ID);
+        window.SpeechRec.start(MEETING_ID, speechOptions());
         window.SM.showToast('🎤 Live transcription started', 'success', 2500);
 
         // Auto-switch to AI tab so user can see transcript
@@ -685,6 +1341,13 @@ const toggleTranscript = () => {
 document.getElementById('transcriptBtn')?.addEventListener('click', toggleTranscript);
 document.getElementById('transcriptToggleBtn')?.addEventListener('click', toggleTranscript);
 
+// Switching mic mode mid-session restarts capture with the new options
+document.getElementById('sharedMicToggle')?.addEventListener('change', () => {
+    if (!isTranscribing || !window.SpeechRec) return;
+    window.SpeechRec.stop();
+    window.SpeechRec.start(MEETING_ID, speechOptions());
+});
+
 // Sidebar tabs
 document.querySelectorAll('.sidebar-tab').forEach((tab) => {
     tab.addEventListener('click', () => {
@@ -708,13 +1371,18 @@ document.getElementById('cancelLeave')?.addEventListener('click', () => {
     leaveModal?.classList.add('hidden');
 });
 
-document.getElementById('confirmLeave')?.addEventListener('click', () => {
+document.getElementById('confirmLeave')?.addEventListener('click', async (e) => {
+    e.currentTarget.disabled = true;
+    await stopOwnRecording();
     leaveMeeting();
 });
 
 document.getElementById('endMeetingBtn')?.addEventListener('click', async () => {
     if (!confirm('End meeting for all participants?')) return;
 
+    // Upload the rest of our recording before the meeting (and the recording) ends
+    await stopOwnRecording();
+
     // Call end meeting API
     const { ok, data } = await window.SM.apiRequest('POST', `/meetings/${MEETING_ID}/end`);
     if (ok) {
@@ -727,6 +1395,7 @@ document.getElementById('endMeetingBtn')?.addEventListener('click', async () =>
 });
 
 const leaveMeeting = () => {
+    sessionStorage.removeItem(RESUME_KEY);
     socket?.emit('leave-room', { meetingId: MEETING_ID });
     cleanup();
     window.location.href = '/dashboard.html';
@@ -734,12 +1403,14 @@ const leaveMeeting = () => {
 
 const cleanup = () => {
     clearInterval(timerInterval);
+    clearInterval(breakoutTick);
     localStream?.getTracks().forEach((t) => t.stop());
     screenStream?.getTracks().forEach((t) => t.stop());
     Object.values(peers).forEach((pc) => pc.close());
     peers = {};
     if (window.EngagementTracker) window.EngagementTracker.stop();
     if (window.SpeechRec) window.SpeechRec.stop();
+    window.MeetingRecorder?.cancel();
     socket?.disconnect();
 };
 
@@ -757,7 +1428,7 @@ const addSelfToParticipantList = () => {
     <div class="participant-avatar">${initial}</div>
     <div class="participant-details">
       <div class="participant-name">${MY_NAME} (You)</div>
-      <div class="participant-status">${isHost ? '👑 Host' : 'Participant'}</div>
+      <div class="participant-status">${ROLE_LABELS[myRole]}</div>
     </div>
   `;
     if (participantsList) participantsList.prepend(div);
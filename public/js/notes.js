@@ -0,0 +1,390 @@
+/**
+ * notes.js – Shared notes and agenda in the meeting sidebar
+ *
+ * Everyone (except viewers) types in the same notes. Each change is sent as an
+ * operation on the revision we last saw; while one is on its way, further
+ * typing is collected into a single next operation. Operations from others
+ * are transformed past our unconfirmed ones, so nobody's typing is lost and
+ * all copies end up identical (server/utils/textOperation.js has the same
+ * rules). The agenda lists the host's items with their time boxes; the running
+ * item is shown with a countdown in the header.
+ *
+ * Usage (meeting.js):
+ *   MeetingNotes.init({ meetingId, getSocket, canEdit, isModerator })
+ *   MeetingNotes.sync()                   // after join-approved / session-resumed
+ *   MeetingNotes.handle('notes-op', payload)
+ *   MeetingNotes.roleChanged()
+ */
+
+window.MeetingNotes = (() => {
+    const STATUS_LABELS = { active: '▶ Now', done: '✓ Done', skipped: 'Skipped' };
+
+    let meetingId = null;
+    let getSocket = () => null;
+    let canEdit = () => false;
+    let isModerator = () => false;
+
+    // Notes
+    let text = '';
+    let revision = 0;
+    let outstanding = null;     // sent, waiting for notes-ack
+    let buffer = null;          // typed since, sent after the ack
+    let syncing = false;
+    const early = new Map();    // revision -> notes-op / notes-ack that arrived out of order
+
+    // Agenda
+    let agenda = [];
+    let receivedAt = Date.now();
+    let warned = null;          // id of the item we already said is over time
+
+    const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[c]));
+
+    // ── Text operations (same as server/utils/textOperation.js) ──────────
+    // n > 0 keep n characters, n < 0 delete -n characters, "text" insert
+    const isRetain = (c) => typeof c === 'number' && c > 0;
+    const isDelete = (c) => typeof c === 'number' && c < 0;
+    const isInsert = (c) => typeof c === 'string';
+
+    const push = (ops, c) => {
+        if (c === 0 || c === '') return ops;
+        const last = ops[ops.length - 1];
+        if (isInsert(c) && isInsert(last)) ops[ops.length - 1] = last + c;
+        else if (isRetain(c) && isRetain(last)) ops[ops.length - 1] = last + c;
+        else if (isDelete(c) && isDelete(last)) ops[ops.length - 1] = last + c;
+        else if (isInsert(c) && isDelete(last)) {
+            const prev = ops[ops.length - 2];
+            if (isInsert(prev)) ops[ops.length - 2] = prev + c;
+            else ops.splice(ops.length - 1, 0, c);
+        } else ops.push(c);
+        return ops;
+    };
+
+    const apply = (str, ops) => {
+        let out = '';
+        let pos = 0;
+        for (const c of ops) {
+            if (isRetain(c)) {
+                out += str.slice(pos, pos + c);
+                pos += c;
+            } else if (isDelete(c)) pos -= c;
+            else out += c;
+        }
+        return out;
+    };
+
+    // [a', b'] for two operations on the same text; a's inserts go first
+    const transform = (a, b) => {
+        const aPrime = [];
+        const bPrime = [];
+        let i = 0;
+        let j = 0;
+        let ca = a[i++];
+        let cb = b[j++];
+        while (ca !== undefined || cb !== undefined) {
+            if (isInsert(ca)) {
+                push(aPrime, ca);
+                push(bPrime, ca.length);
+                ca = a[i++];
+                continue;
+            }
+            if (isInsert(cb)) {
+                push(aPrime, cb.length);
+                push(bPrime, cb);
+                cb = b[j++];
+                continue;
+            }
+            const n = Math.min(Math.abs(ca), Math.abs(cb));
+            if (isRetain(ca) && isRetain(cb)) {
+                push(aPrime, n);
+                push(bPrime, n);
+            } else if (isDelete(ca) && isRetain(cb)) push(aPrime, -n);
+            else if (isRetain(ca) && isDelete(cb)) push(bPrime, -n);
+            ca = Math.abs(ca) === n ? a[i++] : ca - Math.sign(ca) * n;
+            cb = Math.abs(cb) === n ? b[j++] : cb - Math.sign(cb) * n;
+        }
+        return [aPrime, bPrime];
+    };
+
+    // One operation doing a then b
+    const compose = (a, b) => {
+        const out = [];
+        let i = 0;
+        let j = 0;
+        let ca = a[i++];
+        let cb = b[j++];
+        while (ca !== undefined || cb !== undefined) {
+            if (isDelete(ca)) {
+                push(out, ca);
+                ca = a[i++];
+                continue;
+            }
+            if (isInsert(cb)) {
+                push(out, cb);
+                cb = b[j++];
+                continue;
+            }
+            const lenA = isInsert(ca) ? ca.length : ca;
+            const n = Math.min(lenA, Math.abs(cb));
+            if (isRetain(ca)) push(out, isRetain(cb) ? n : -n);
+            else if (isRetain(cb)) push(out, ca.slice(0, n));
+            // Inserted by a, deleted by b: nothing left
+
+            if (lenA === n) ca = a[i++];
+            else ca = isInsert(ca) ? ca.slice(n) : ca - n;
+            cb = Math.abs(cb) === n ? b[j++] : cb - Math.sign(cb) * n;
+        }
+        return out;
+    };
+
+    // Where a cursor ends up after an operation by someone else
+    const transformIndex = (ops, index) => {
+        let pos = 0;
+        let moved = index;
+        for (const c of ops) {
+            if (pos > index) break;
+            if (isRetain(c)) pos += c;
+            else if (isInsert(c)) {
+                if (pos < index) moved += c.length;
+            } else {
+                moved -= Math.min(-c, Math.max(0, index - pos));
+                pos -= c;
+            }
+        }
+        return moved;
+    };
+
+    // The edit that turns `before` into `after` (one changed range)
+    const diff = (before, after) => {
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) start++;
+        let end = 0;
+        while (end < before.length - start && end < after.length - start
+            && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+        const ops = [];
+        push(ops, start);
+        push(ops, -(before.length - start - end));
+        push(ops, after.slice(start, after.length - end));
+        push(ops, end);
+        return ops;
+    };
+
+    // ── Notes ─────────────────────────────────────────────────────────────
+    const editor = () => document.getElementById('notesEditor');
+
+    const setStatus = () => {
+        const status = document.getElementById('notesStatus');
+        if (status) status.textContent = syncing ? 'Loading…' : outstanding ? 'Saving…' : 'Saved';
+    };
+
+    const send = (ops) => {
+        outstanding = ops;
+        getSocket()?.emit('notes-edit', { meetingId, revision, ops });
+        setStatus();
+    };
+
+    const onInput = () => {
+        const box = editor();
+        if (syncing || !canEdit()) {
+            box.value = text;
+            return;
+        }
+        const ops = diff(text, box.value);
+        text = box.value;
+        if (ops.every(isRetain)) return;
+        if (!outstanding) send(ops);
+        else buffer = buffer ? compose(buffer, ops) : ops;
+        setStatus();
+    };
+
+    // Someone else's edit, made after everything we have applied
+    const applyRemote = (ops) => {
+        let incoming = ops;
+        if (outstanding) [incoming, outstanding] = transform(incoming, outstanding);
+        if (buffer) [incoming, buffer] = transform(incoming, buffer);
+
+        const box = editor();
+        const focused = document.activeElement === box;
+        const [start, end] = [box.selectionStart, box.selectionEnd];
+        text = apply(text, incoming);
+        box.value = text;
+        if (focused) box.setSelectionRange(transformIndex(incoming, start), transformIndex(incoming, end));
+    };
+
+    // notes-op and notes-ack are applied one revision after the other
+    const drain = () => {
+        while (early.has(revision + 1)) {
+            const next = early.get(revision + 1);
+            early.delete(revision + 1);
+            revision += 1;
+            // An ack for an edit sent before a resync: it's news to this copy
+            if (next.ack && !outstanding) applyRemote(next.ops);
+            else if (next.ack) {
+                outstanding = null;
+                if (buffer) {
+                    const queued = buffer;
+                    buffer = null;
+                    send(queued);
+                }
+            } else applyRemote(next.ops);
+        }
+        setStatus();
+    };
+
+    // Kept while syncing too: notes-state may be older than what arrives meanwhile
+    const receive = (rev, entry) => {
+        if (!syncing && rev <= revision) return;
+        early.set(rev, entry);
+        if (!syncing) drain();
+    };
+
+    // ── Agenda ────────────────────────────────────────────────────────────
+    const clock = (seconds) => {
+        const s = Math.max(0, Math.floor(seconds));
+        return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+    };
+
+    const spent = (item) => item.spentSeconds + (item.status === 'active' ? (Date.now() - receivedAt) / 1000 : 0);
+
+    const actionsHtml = (item) => {
+        if (!isModerator()) return '';
+        const buttons = {
+            pending: [['active', '▶ Start'], ['skipped', 'Skip']],
+            active: [['done', '✓ Done'], ['skipped', 'Skip']],
+            done: [['active', '▶ Resume'], ['pending', '↺ Reset']],
+            skipped: [['active', '▶ Start'], ['pending', '↺ Reset']],
+        }[item.status];
+        return `<div class="agenda-actions">${buttons.map(([status, label]) =>
+            `<button class="btn btn-secondary btn-sm" data-agenda-item="${item.id}" data-status="${status}">${label}</button>`).join('')}</div>`;
+    };
+
+    const renderAgenda = () => {
+        const list = document.getElementById('agendaList');
+        document.getElementById('agendaEditBtn')?.classList.toggle('hidden', !isModerator());
+        if (!isModerator()) document.getElementById('agendaForm')?.classList.add('hidden');
+        if (!list) return;
+
+        list.innerHTML = agenda.length ? agenda.map((item, i) => `
+          <div class="agenda-item ${item.status}">
+            <div class="agenda-item-row">
+              <span class="agenda-title">${i + 1}. ${escapeHtml(item.title)}</span>
+              <span class="agenda-time" data-agenda-time="${item.id}">${item.spentSeconds || item.status === 'active' ? `${clock(spent(item))} / ` : ''}${item.minutes} min</span>
+            </div>
+            ${STATUS_LABELS[item.status] ? `<div class="qa-meta">${STATUS_LABELS[item.status]}</div>` : ''}
+            ${actionsHtml(item)}
+          </div>`).join('') : `<div class="ai-empty">${isModerator() ? 'No agenda yet. Add the items you want to cover.' : 'No agenda for this meeting.'}</div>`;
+        tick();
+    };
+
+    // Header countdown for the running item (and its time in the list)
+    const tick = () => {
+        const active = agenda.find((i) => i.status === 'active');
+        const timer = document.getElementById('agendaTimer');
+        if (timer) {
+            timer.classList.toggle('hidden', !active);
+            if (active) {
+                const left = active.minutes * 60 - spent(active);
+                timer.classList.toggle('over', left < 0);
+                timer.textContent = `📋 ${active.title} · ${left < 0 ? '+' : ''}${clock(Math.abs(left))}`;
+                timer.title = `${clock(spent(active))} of ${active.minutes} min`;
+            }
+        }
+        if (!active) return;
+
+        const time = document.querySelector(`[data-agenda-time="${active.id}"]`);
+        if (time) time.textContent = `${clock(spent(active))} / ${active.minutes} min`;
+        if (spent(active) > active.minutes * 60 && warned !== active.id) {
+            warned = active.id;
+            if (isModerator()) window.SM.showToast(`⏰ Time's up for "${active.title}"`, 'warning', 5000);
+        }
+    };
+
+    const setAgenda = (items) => {
+        agenda = items || [];
+        receivedAt = Date.now();
+        renderAgenda();
+    };
+
+    const bindUI = () => {
+        const box = editor();
+        box?.addEventListener('input', onInput);
+
+        document.getElementById('agendaEditBtn')?.addEventListener('click', () => {
+            const form = document.getElementById('agendaForm');
+            form.querySelector('[name="agenda"]').value = agenda.map((i) => `${i.title} ${i.minutes}`).join('\n');
+            form.classList.toggle('hidden');
+        });
+        document.getElementById('agendaCancelBtn')?.addEventListener('click', () => {
+            document.getElementById('agendaForm').classList.add('hidden');
+        });
+        document.getElementById('agendaForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            getSocket()?.emit('agenda-set', { meetingId, agenda: e.currentTarget.querySelector('[name="agenda"]').value });
+            e.currentTarget.classList.add('hidden');
+        });
+        document.getElementById('agendaList')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-agenda-item]');
+            if (btn) getSocket()?.emit('agenda-item', { meetingId, itemId: btn.dataset.agendaItem, status: btn.dataset.status });
+        });
+
+        setInterval(tick, 1000);
+    };
+
+    // ── Socket events ─────────────────────────────────────────────────────
+    const handlers = {
+        'notes-state': ({ text: current, revision: rev, agenda: items }) => {
+            syncing = false;
+            text = current;
+            revision = rev;
+            outstanding = null;
+            buffer = null;
+            [...early.keys()].filter((r) => r <= revision).forEach((r) => early.delete(r));
+            const box = editor();
+            if (box) box.value = text;
+            setAgenda(items);
+            drain();
+        },
+        'notes-op': ({ revision: rev, ops }) => receive(rev, { ops }),
+        'notes-ack': ({ revision: rev, ops }) => receive(rev, { ack: true, ops }),
+        'notes-error': ({ message }) => {
+            window.SM.showToast(`${message || 'The notes could not be updated.'} Reloading them…`, 'error');
+            sync();
+        },
+        'agenda-updated': ({ agenda: items, byName }) => {
+            const before = agenda.find((i) => i.status === 'active')?.id;
+            setAgenda(items);
+            const now = agenda.find((i) => i.status === 'active');
+            if (now && now.id !== before) {
+                window.SM.showToast(`📋 Now: ${now.title} (${now.minutes} min)${byName ? ` – ${byName}` : ''}`, 'info', 4000);
+            }
+        },
+    };
+
+    const init = (options) => {
+        ({ meetingId, getSocket, canEdit, isModerator } = options);
+        bindUI();
+        roleChanged();
+    };
+
+    /** Fetch notes + agenda (join / reconnect / after a refused edit); unsent typing is dropped */
+    const sync = () => {
+        syncing = true;
+        early.clear();
+        setStatus();
+        getSocket()?.emit('notes-sync', { meetingId });
+    };
+
+    const roleChanged = () => {
+        const box = editor();
+        if (box) {
+            box.readOnly = !canEdit();
+            box.placeholder = canEdit() ? 'Shared notes – everyone in the meeting can edit them' : 'Notes (view only)';
+        }
+        renderAgenda();
+    };
+
+    const handle = (event, payload) => handlers[event]?.(payload);
+
+    return { init, sync, handle, roleChanged, events: Object.keys(handlers) };
+})();
@@ -0,0 +1,311 @@
+/**
+ * polls.js – Polls and quizzes in the meeting sidebar
+ *
+ * Host / co-hosts write polls (single / multiple choice, rating, free text;
+ * anonymous or named; choice polls become quizzes when answers are marked
+ * correct) through /api/polls and launch / close them over the socket.
+ * Everyone answers from the Polls tab and watches the results come in.
+ * Live polls arrive with join-approved / session-resumed, so late joiners
+ * and reconnects see them too.
+ *
+ * Usage (meeting.js):
+ *   MeetingPolls.init({ meetingId, getSocket, isModerator })
+ *   MeetingPolls.setLive(polls)           // join-approved / session-resumed
+ *   MeetingPolls.handle('poll-launched', payload)
+ *   MeetingPolls.roleChanged()            // moderators load their drafts
+ */
+
+window.MeetingPolls = (() => {
+    const TYPE_LABELS = { single: 'Single choice', multiple: 'Multiple choice', rating: 'Rating', text: 'Free text' };
+
+    const polls = new Map();   // id -> poll (public view, + drafts for moderators)
+    let meetingId = null;
+    let getSocket = () => null;
+    let isModerator = () => false;
+    let unseen = 0;
+
+    const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[c]));
+
+    const listEl = () => document.getElementById('pollList');
+    const tabActive = () => document.getElementById('tab-polls')?.classList.contains('active');
+
+    // ── Unseen badge on the tab ───────────────────────────────────────────
+    const setUnseen = (n) => {
+        unseen = n;
+        const badge = document.getElementById('pollBadge');
+        if (!badge) return;
+        badge.textContent = n;
+        badge.classList.toggle('hidden', n === 0);
+    };
+
+    // ── Rendering ─────────────────────────────────────────────────────────
+    const percent = (n, total) => (total ? Math.round((n / total) * 100) : 0);
+
+    const resultsHtml = (poll) => {
+        const r = poll.results;
+        if (!r) return '';
+        const total = `<div class="poll-total">${r.total} answer${r.total === 1 ? '' : 's'}${poll.quiz && r.correctCount !== undefined ? ` · ${r.correctCount} correct` : ''}</div>`;
+
+        if (poll.type === 'single' || poll.type === 'multiple') {
+            return poll.options.map((option, i) => {
+                const count = r.counts?.[i] || 0;
+                const correct = poll.correctOptions?.includes(i);
+                const voters = r.voters?.[i]?.length ? `<div class="poll-voters">${r.voters[i].map(escapeHtml).join(', ')}</div>` : '';
+                return `
+                  <div class="poll-result ${correct ? 'correct' : ''}">
+                    <div class="poll-result-label"><span>${correct ? '✓ ' : ''}${escapeHtml(option)}</span><span>${count} · ${percent(count, r.total)}%</span></div>
+                    <div class="poll-bar"><div class="poll-bar-fill" style="width:${percent(count, r.total)}%"></div></div>
+                    ${voters}
+                  </div>`;
+            }).join('') + total;
+        }
+
+        if (poll.type === 'rating') {
+            const bars = (r.distribution || []).map((count, i) => `
+              <div class="poll-result">
+                <div class="poll-result-label"><span>${'★'.repeat(i + 1)}</span><span>${count}</span></div>
+                <div class="poll-bar"><div class="poll-bar-fill" style="width:${percent(count, r.total)}%"></div></div>
+              </div>`).join('');
+            return `<div class="poll-average">Average ${r.average ?? '—'} / ${poll.ratingMax}</div>${bars}${total}`;
+        }
+
+        const answers = (r.answers || []).map((a) => `
+          <div class="poll-text-answer">${a.userName ? `<strong>${escapeHtml(a.userName)}:</strong> ` : ''}${escapeHtml(a.text)}</div>`).join('');
+        return `<div class="poll-text-answers">${answers}</div>${total}`;
+    };
+
+    const voteHtml = (poll) => {
+        const mine = poll.myAnswer || {};
+        if (poll.type === 'single' || poll.type === 'multiple') {
+            const input = poll.type === 'single' ? 'radio' : 'checkbox';
+            return `
+              <form class="poll-vote" data-poll="${poll.id}">
+                ${poll.options.map((option, i) => `
+                  <label class="poll-option">
+                    <input type="${input}" name="choice-${poll.id}" value="${i}" ${mine.choices?.includes(i) ? 'checked' : ''} />
+                    <span>${escapeHtml(option)}</span>
+                  </label>`).join('')}
+                <button type="submit" class="btn btn-primary btn-sm">${poll.myAnswer ? 'Change answer' : 'Vote'}</button>
+              </form>`;
+        }
+        if (poll.type === 'rating') {
+            return `
+              <form class="poll-vote poll-rating" data-poll="${poll.id}">
+                ${Array.from({ length: poll.ratingMax }, (_, i) => `
+                  <label class="poll-star" title="${i + 1}">
+                    <input type="radio" name="rating-${poll.id}" value="${i + 1}" ${mine.rating === i + 1 ? 'checked' : ''} />
+                    <span>${i + 1}</span>
+                  </label>`).join('')}
+                <button type="submit" class="btn btn-primary btn-sm">${poll.myAnswer ? 'Change' : 'Rate'}</button>
+              </form>`;
+        }
+        return `
+          <form class="poll-vote" data-poll="${poll.id}">
+            <textarea class="form-input" name="text" maxlength="1000" rows="2" placeholder="Your answer">${escapeHtml(mine.text || '')}</textarea>
+            <button type="submit" class="btn btn-primary btn-sm">${poll.myAnswer ? 'Update answer' : 'Send'}</button>
+          </form>`;
+    };
+
+    const cardHtml = (poll) => {
+        const moderator = isModerator();
+        const tags = [
+            TYPE_LABELS[poll.type],
+            poll.quiz ? 'Quiz' : '',
+            poll.anonymous ? 'Anonymous' : 'Named',
+            poll.status === 'draft' ? 'Draft' : poll.status === 'closed' ? 'Closed' : '',
+        ].filter(Boolean).map((t) => `<span class="poll-tag">${t}</span>`).join('');
+
+        const actions = !moderator ? '' : poll.status === 'draft'
+            ? `<button class="btn btn-primary btn-sm" data-launch="${poll.id}">▶ Launch</button>
+               <button class="btn btn-secondary btn-sm" data-delete="${poll.id}">Delete</button>`
+            : poll.status === 'live'
+                ? `<button class="btn btn-secondary btn-sm" data-close="${poll.id}">⏹ Close poll</button>`
+                : '';
+
+        // Voters see the results once they have answered (moderators always)
+        const showResults = poll.status === 'closed' || moderator || poll.myAnswer;
+        return `
+          <div class="poll-card ${poll.status}" id="poll-${poll.id}">
+            <div class="poll-tags">${tags}</div>
+            <div class="poll-question">${escapeHtml(poll.question)}</div>
+            ${poll.status === 'live' ? voteHtml(poll) : ''}
+            ${showResults ? `<div class="poll-results">${resultsHtml(poll)}</div>` : ''}
+            ${actions ? `<div class="poll-actions">${actions}</div>` : ''}
+          </div>`;
+    };
+
+    const render = () => {
+        const el = listEl();
+        if (!el) return;
+        document.getElementById('pollCreateToggle')?.classList.toggle('hidden', !isModerator());
+        if (!isModerator()) document.getElementById('pollForm')?.classList.add('hidden');
+
+        // Live first, then drafts, then closed; newest first within each
+        const order = { live: 0, draft: 1, closed: 2 };
+        const sorted = [...polls.values()].sort((a, b) =>
+            order[a.status] - order[b.status] || new Date(b.launchedAt || 0) - new Date(a.launchedAt || 0));
+        el.innerHTML = sorted.length
+            ? sorted.map(cardHtml).join('')
+            : `<div class="ai-empty">${isModerator() ? 'No polls yet. Create one to ask the room.' : 'No polls yet.'}</div>`;
+    };
+
+    const upsert = (poll) => {
+        const known = polls.get(String(poll.id));
+        // Broadcasts carry no per-viewer answer: keep ours
+        polls.set(String(poll.id), { ...poll, myAnswer: poll.myAnswer !== undefined ? poll.myAnswer : known?.myAnswer ?? null });
+    };
+
+    // ── Moderators: drafts and everything else over REST ─────────────────
+    const loadAll = async () => {
+        if (!isModerator()) return;
+        const { ok, data } = await window.SM.apiRequest('GET', `/polls?meetingId=${encodeURIComponent(meetingId)}`);
+        if (!ok) return;
+        data.polls.forEach(upsert);
+        render();
+    };
+
+    const readForm = () => {
+        const form = document.getElementById('pollForm');
+        const type = form.querySelector('[name="type"]').value;
+        const lines = form.querySelector('[name="options"]').value.split('\n').map((l) => l.trim()).filter(Boolean);
+        return {
+            meetingId,
+            question: form.querySelector('[name="question"]').value,
+            type,
+            // "*Paris" marks a correct answer and turns the poll into a quiz
+            options: lines.map((l) => l.replace(/^\*\s*/, '')),
+            correctOptions: lines.map((l, i) => (l.startsWith('*') ? i : -1)).filter((i) => i >= 0),
+            ratingMax: Number(form.querySelector('[name="ratingMax"]').value),
+            anonymous: form.querySelector('[name="anonymous"]').checked,
+        };
+    };
+
+    const syncFormType = () => {
+        const form = document.getElementById('pollForm');
+        const type = form?.querySelector('[name="type"]').value;
+        form?.querySelector('.poll-form-options')?.classList.toggle('hidden', type !== 'single' && type !== 'multiple');
+        form?.querySelector('.poll-form-rating')?.classList.toggle('hidden', type !== 'rating');
+    };
+
+    const bindUI = () => {
+        document.getElementById('pollCreateToggle')?.addEventListener('click', () => {
+            document.getElementById('pollForm')?.classList.toggle('hidden');
+            syncFormType();
+        });
+        document.getElementById('pollForm')?.querySelector('[name="type"]')?.addEventListener('change', syncFormType);
+
+        document.getElementById('pollForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.currentTarget;
+            const launch = e.submitter?.dataset.launchNow !== undefined;
+            const { ok, data } = await window.SM.apiRequest('POST', '/polls', readForm());
+            if (!ok) return window.SM.showToast(data.message || 'Failed to create the poll.', 'error');
+
+            upsert(data.poll);
+            form.reset();
+            form.classList.add('hidden');
+            render();
+            if (launch) getSocket()?.emit('poll-launch', { meetingId, pollId: data.poll.id });
+        });
+
+        listEl()?.addEventListener('click', async (e) => {
+            const launch = e.target.closest('[data-launch]');
+            const close = e.target.closest('[data-close]');
+            const del = e.target.closest('[data-delete]');
+            if (launch) getSocket()?.emit('poll-launch', { meetingId, pollId: launch.dataset.launch });
+            if (close) getSocket()?.emit('poll-close', { meetingId, pollId: close.dataset.close });
+            if (del) {
+                if (!confirm('Delete this poll?')) return;
+                const { ok, data } = await window.SM.apiRequest('DELETE', `/polls/${del.dataset.delete}`);
+                if (!ok) return window.SM.showToast(data.message || 'Failed to delete the poll.', 'error');
+                polls.delete(del.dataset.delete);
+                render();
+            }
+        });
+
+        listEl()?.addEventListener('submit', (e) => {
+            const form = e.target.closest('.poll-vote');
+            if (!form) return;
+            e.preventDefault();
+            const poll = polls.get(form.dataset.poll);
+            if (!poll) return;
+
+            let answer;
+            if (poll.type === 'single' || poll.type === 'multiple') {
+                answer = { choices: [...form.querySelectorAll('input:checked')].map((i) => Number(i.value)) };
+                if (!answer.choices.length) return window.SM.showToast('Pick an option first.', 'warning', 2000);
+            } else if (poll.type === 'rating') {
+                const picked = form.querySelector('input:checked');
+                if (!picked) return window.SM.showToast('Pick a rating first.', 'warning', 2000);
+                answer = { rating: Number(picked.value) };
+            } else {
+                answer = { text: form.querySelector('[name="text"]').value };
+                if (!answer.text.trim()) return;
+            }
+            form.querySelector('button[type="submit"]').disabled = true;
+            getSocket()?.emit('poll-vote', { meetingId, pollId: poll.id, answer });
+        });
+
+        // Opening the tab clears the badge
+        document.querySelector('.sidebar-tab[data-tab="polls"]')?.addEventListener('click', () => setUnseen(0));
+    };
+
+    // ── Socket events ─────────────────────────────────────────────────────
+    const handlers = {
+        'poll-launched': ({ poll }) => {
+            upsert(poll);
+            render();
+            if (!tabActive()) setUnseen(unseen + 1);
+            window.SM.showToast(`📊 New poll: ${poll.question}`, 'info', 4000);
+        },
+        'poll-results': ({ pollId, results }) => {
+            const poll = polls.get(String(pollId));
+            if (!poll) return;
+            poll.results = results;
+            render();
+        },
+        'poll-closed': ({ poll }) => {
+            upsert(poll);
+            render();
+        },
+        'poll-deleted': ({ pollId }) => {
+            polls.delete(String(pollId));
+            render();
+        },
+        'poll-voted': ({ pollId, answer }) => {
+            const poll = polls.get(String(pollId));
+            if (!poll) return;
+            poll.myAnswer = answer;
+            render();
+            window.SM.showToast('✅ Answer sent', 'success', 1500);
+        },
+        'poll-error': ({ message }) => {
+            window.SM.showToast(message || 'Poll action failed.', 'error');
+            render();
+        },
+    };
+
+    const init = (options) => {
+        ({ meetingId, getSocket, isModerator } = options);
+        bindUI();
+        render();
+    };
+
+    /** Live polls from join-approved / session-resumed */
+    const setLive = (live = []) => {
+        live.forEach(upsert);
+        render();
+        if (live.some((p) => !p.myAnswer) && !tabActive()) setUnseen(live.filter((p) => !p.myAnswer).length);
+    };
+
+    const handle = (event, payload) => handlers[event]?.(payload);
+
+    const roleChanged = () => {
+        render();
+        loadAll();
+    };
+
+    return { init, setLive, handle, roleChanged, events: Object.keys(handlers) };
+})();
@@ -0,0 +1,205 @@
+/**
+ * qa.js – Q&A panel and hand-raise queue in the meeting sidebar
+ *
+ * Everyone asks (optionally anonymously) and upvotes; the host / co-hosts
+ * promote a question to be asked live, mark it answered (with an optional
+ * written answer), dismiss or reopen it. Raised hands are listed in the order
+ * they went up, and moderators can lower them. Questions and the hand queue
+ * arrive with join-approved / session-resumed and stay in sync over the socket.
+ *
+ * Usage (meeting.js):
+ *   MeetingQA.init({ meetingId, getSocket, getSocketId, isModerator })
+ *   MeetingQA.setState({ questions, handQueue })   // join-approved / session-resumed
+ *   MeetingQA.handle('qa-question', payload)
+ *   MeetingQA.roleChanged()
+ */
+
+window.MeetingQA = (() => {
+    const STATUS_LABELS = { live: '🎙 Asked live', answered: '✅ Answered', dismissed: 'Dismissed' };
+    const STATUS_ORDER = { live: 0, open: 1, answered: 2, dismissed: 3 };
+
+    const questions = new Map();   // id -> question
+    const mine = new Set();        // ids of questions we asked
+    const upvoted = new Set();     // ids we upvoted
+    let handQueue = [];
+    let meetingId = null;
+    let getSocket = () => null;
+    let getSocketId = () => null;
+    let isModerator = () => false;
+    let unseen = 0;
+
+    const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[c]));
+
+    const tabActive = () => document.getElementById('tab-qa')?.classList.contains('active');
+
+    const setUnseen = (n) => {
+        unseen = n;
+        const badge = document.getElementById('qaBadge');
+        if (!badge) return;
+        badge.textContent = n;
+        badge.classList.toggle('hidden', n === 0);
+    };
+
+    const since = (iso) => {
+        const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+        return minutes < 1 ? 'just now' : `${minutes}m ago`;
+    };
+
+    // ── Hand queue ────────────────────────────────────────────────────────
+    const renderHands = () => {
+        const section = document.getElementById('handQueue');
+        if (!section) return;
+        section.classList.toggle('hidden', handQueue.length === 0);
+        document.getElementById('handQueueCount').textContent = handQueue.length;
+        document.getElementById('handQueueList').innerHTML = handQueue.map((h, i) => `
+          <div class="hand-queue-entry">
+            <span class="hand-queue-place">${i + 1}</span>
+            <span class="hand-queue-name">${escapeHtml(h.userName)}${h.socketId === getSocketId() ? ' (You)' : ''}</span>
+            <span class="hand-queue-time">${h.raisedAt ? since(h.raisedAt) : ''}</span>
+            ${isModerator() ? `<button class="btn btn-secondary btn-sm" data-lower="${h.socketId}">Lower</button>` : ''}
+          </div>`).join('');
+    };
+
+    // ── Questions ─────────────────────────────────────────────────────────
+    const sorted = () => [...questions.values()]
+        .filter((q) => q.status !== 'dismissed' || isModerator())
+        .sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status]
+            || (a.status === 'open' ? b.upvotes - a.upvotes : 0)
+            || new Date(a.createdAt) - new Date(b.createdAt));
+
+    const actionsHtml = (q) => {
+        if (!isModerator()) return '';
+        const buttons = {
+            open: [['promote', '🎙 Ask live'], ['answer', '✅ Answered'], ['dismiss', 'Dismiss']],
+            live: [['answer', '✅ Answered'], ['reopen', 'Back to queue']],
+            answered: [['reopen', 'Reopen']],
+            dismissed: [['reopen', 'Restore']],
+        }[q.status];
+        return `<div class="qa-actions">${buttons.map(([action, label]) =>
+            `<button class="btn btn-secondary btn-sm" data-action="${action}" data-question="${q.id}">${label}</button>`).join('')}</div>`;
+    };
+
+    const cardHtml = (q) => {
+        const inPlay = q.status === 'open' || q.status === 'live';
+        const author = q.anonymous ? 'Anonymous' : escapeHtml(q.userName);
+        return `
+          <div class="qa-card ${q.status}" id="qa-${q.id}">
+            <button class="qa-upvote ${upvoted.has(String(q.id)) ? 'active' : ''}" data-upvote="${q.id}" ${inPlay ? '' : 'disabled'} title="Upvote">
+              ▲<span>${q.upvotes}</span>
+            </button>
+            <div class="qa-body">
+              <div class="qa-text">${escapeHtml(q.text)}</div>
+              <div class="qa-meta">${author}${mine.has(String(q.id)) ? ' (You)' : ''}${STATUS_LABELS[q.status] ? ` · <span class="qa-status">${STATUS_LABELS[q.status]}</span>` : ''}</div>
+              ${q.answer ? `<div class="qa-answer">${escapeHtml(q.answer)}${q.answeredByName ? ` <span class="qa-meta">– ${escapeHtml(q.answeredByName)}</span>` : ''}</div>` : ''}
+              ${actionsHtml(q)}
+            </div>
+          </div>`;
+    };
+
+    const render = () => {
+        renderHands();
+        const list = document.getElementById('qaList');
+        if (!list) return;
+        const all = sorted();
+        list.innerHTML = all.length ? all.map(cardHtml).join('') : '<div class="ai-empty">No questions yet. Ask the first one!</div>';
+
+        const live = all.find((q) => q.status === 'live');
+        const banner = document.getElementById('qaLiveBanner');
+        if (banner) {
+            banner.classList.toggle('hidden', !live);
+            banner.innerHTML = live ? `🎙 <strong>Now:</strong> ${escapeHtml(live.text)}` : '';
+        }
+    };
+
+    const upsert = (q) => {
+        if (q.mine) mine.add(String(q.id));
+        if (q.upvoted) upvoted.add(String(q.id));
+        questions.set(String(q.id), q);
+    };
+
+    const bindUI = () => {
+        document.getElementById('qaForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.currentTarget;
+            const text = form.querySelector('[name="text"]').value.trim();
+            if (!text) return;
+            getSocket()?.emit('qa-ask', { meetingId, text, anonymous: form.querySelector('[name="anonymous"]').checked });
+            form.querySelector('[name="text"]').value = '';
+        });
+
+        document.getElementById('tab-qa')?.addEventListener('click', (e) => {
+            const up = e.target.closest('[data-upvote]');
+            const act = e.target.closest('[data-action]');
+            const lower = e.target.closest('[data-lower]');
+
+            if (up) {
+                getSocket()?.emit('qa-upvote', { meetingId, questionId: up.dataset.upvote, upvote: !upvoted.has(up.dataset.upvote) });
+            }
+            if (act) {
+                const payload = { meetingId, questionId: act.dataset.question, action: act.dataset.action };
+                if (payload.action === 'answer') {
+                    const answer = window.prompt('Written answer (optional):', '');
+                    if (answer === null) return;
+                    payload.answer = answer;
+                }
+                getSocket()?.emit('qa-moderate', payload);
+            }
+            if (lower) getSocket()?.emit('lower-hand', { meetingId, targetSocketId: lower.dataset.lower });
+        });
+
+        document.querySelector('.sidebar-tab[data-tab="qa"]')?.addEventListener('click', () => setUnseen(0));
+
+        // Keep "2m ago" current
+        setInterval(() => { if (handQueue.length) renderHands(); }, 30000);
+    };
+
+    // ── Socket events ─────────────────────────────────────────────────────
+    const handlers = {
+        'qa-question': ({ question }) => {
+            const known = questions.get(String(question.id));
+            upsert(question);
+            render();
+            if (!known && !mine.has(String(question.id)) && !tabActive()) setUnseen(unseen + 1);
+            if (question.status === 'live' && known?.status !== 'live') {
+                window.SM.showToast(`🎙 Asked live: ${question.text}`, 'info', 4000);
+            }
+        },
+        'qa-asked': ({ questionId }) => {
+            mine.add(String(questionId));
+            render();
+            window.SM.showToast('❓ Question sent', 'success', 1500);
+        },
+        'qa-upvoted': ({ questionId, upvoted: on }) => {
+            if (on) upvoted.add(String(questionId));
+            else upvoted.delete(String(questionId));
+            render();
+        },
+        'qa-error': ({ message }) => window.SM.showToast(message || 'Q&A action failed.', 'error'),
+        'hand-queue': ({ queue }) => {
+            handQueue = queue || [];
+            renderHands();
+        },
+    };
+
+    const init = (options) => {
+        ({ meetingId, getSocket, getSocketId, isModerator } = options);
+        bindUI();
+        render();
+    };
+
+    /** Questions and hand queue from join-approved / session-resumed */
+    const setState = ({ questions: list, handQueue: queue } = {}) => {
+        if (list) {
+            questions.clear();
+            list.forEach(upsert);
+        }
+        if (queue) handQueue = queue;
+        render();
+    };
+
+    const handle = (event, payload) => handlers[event]?.(payload);
+
+    return { init, setState, handle, roleChanged: render, events: Object.keys(handlers) };
+})();
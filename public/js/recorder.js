@@ -0,0 +1,321 @@
+/**
+ * recorder.js – Meeting recording in the host's browser
+ *
+ * Composites the call onto a canvas – every tile of #videoGrid ("grid") or only
+ * the active speaker ("speaker") – mixes the audio of every tile (our own mic
+ * included) with Web Audio, and records both with MediaRecorder. Each timeslice
+ * is uploaded in order to PUT /api/recordings/:id/chunks/:index; a failed chunk
+ * is retried before the recording is given up. Nothing is kept on disk here.
+ *
+ * Usage (meeting.js):
+ *   await MeetingRecorder.start(meetingId, { layout: 'grid', onError })
+ *   await MeetingRecorder.stop()     // flushes the last chunks, then finishes it
+ *   MeetingRecorder.cancel()         // page closing / stopped by someone else
+ */
+
+window.MeetingRecorder = (() => {
+    const WIDTH = 1280;
+    const HEIGHT = 720;
+    const FPS = 24;
+    const TIMESLICE_MS = 5000;
+    const AUDIO_SCAN_MS = 1000;
+    const MAX_RETRIES = 4;
+    const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+    const LOG_PREFIX = '[Recorder]';
+
+    let recordingId = null;
+    let layout = 'grid';
+    let onError = null;
+    let mediaRecorder = null;
+    let canvas = null;
+    let ctx = null;
+    let drawInterval = null;
+    let audioContext = null;
+    let audioDestination = null;
+    let audioScan = null;
+    let audioSources = new Map();  // MediaStream id -> MediaStreamAudioSourceNode
+    let lastSpeakerTile = null;
+    let queue = [];                // Blobs waiting to be uploaded, in order
+    let nextIndex = 0;
+    let uploading = null;          // Promise of the running upload loop
+    let stopping = false;
+
+    const pickMimeType = () => MIME_TYPES.find((type) => window.MediaRecorder?.isTypeSupported(type)) || '';
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    // ── Video: composite the tiles onto the canvas ────────────────────────────
+
+    const tileVideo = (tile) => {
+        const video = tile.querySelector('video');
+        const live = video?.srcObject?.getVideoTracks?.().some((t) => t.readyState === 'live' && t.enabled);
+        return live && video.readyState >= 2 && video.videoWidth ? video : null;
+    };
+
+    const tileName = (tile) => tile.querySelector('.tile-name span')?.textContent?.trim() || '';
+
+    // Scale to cover the cell, cropping the overflow (like object-fit: cover)
+    const drawCover = (video, x, y, w, h) => {
+        const scale = Math.max(w / video.videoWidth, h / video.videoHeight);
+        const sw = w / scale;
+        const sh = h / scale;
+        ctx.drawImage(video, (video.videoWidth - sw) / 2, (video.videoHeight - sh) / 2, sw, sh, x, y, w, h);
+    };
+
+    const drawTile = (tile, x, y, w, h) => {
+        ctx.fillStyle = '#1a1d29';
+        ctx.fillRect(x, y, w, h);
+
+        const name = tileName(tile);
+        const video = tileVideo(tile);
+        if (video) {
+            drawCover(video, x, y, w, h);
+        } else {
+            // Camera off: initial in a circle, like the tile avatar
+            const r = Math.min(w, h) / 6;
+            ctx.fillStyle = '#6c63ff';
+            ctx.beginPath();
+            ctx.arc(x + w / 2, y + h / 2, r, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#fff';
+            ctx.font = `600 ${Math.round(r)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(name.charAt(0).toUpperCase() || '?', x + w / 2, y + h / 2);
+        }
+
+        if (name) {
+            ctx.font = '500 16px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'bottom';
+            const pad = 8;
+            const textWidth = ctx.measureText(name).width;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(x + pad, y + h - 30 - pad, textWidth + 16, 30);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(name, x + pad + 8, y + h - pad - 7);
+        }
+    };
+
+    // The highlighted speaker; otherwise whoever spoke last, or the first remote tile
+    const speakerTile = (tiles) => {
+        const speaking = tiles.find((t) => t.classList.contains('active-speaker'));
+        if (speaking) lastSpeakerTile = speaking;
+        if (lastSpeakerTile && tiles.includes(lastSpeakerTile)) return lastSpeakerTile;
+        return tiles.find((t) => !t.classList.contains('local-tile')) || tiles[0];
+    };
+
+    const drawFrame = () => {
+        const tiles = Array.from(document.querySelectorAll('#videoGrid .video-tile'));
+        ctx.fillStyle = '#0f1117';
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        if (tiles.length === 0) return;
+
+        if (layout === 'speaker') {
+            drawTile(speakerTile(tiles), 0, 0, WIDTH, HEIGHT);
+            return;
+        }
+
+        const cols = Math.ceil(Math.sqrt(tiles.length));
+        const rows = Math.ceil(tiles.length / cols);
+        const gap = 4;
+        const w = (WIDTH - gap * (cols + 1)) / cols;
+        const h = (HEIGHT - gap * (rows + 1)) / rows;
+        tiles.forEach((tile, i) => {
+            const col = i % cols;
+            const row = Math.floor(i / cols);
+            drawTile(tile, gap + col * (w + gap), gap + row * (h + gap), w, h);
+        });
+    };
+
+    // ── Audio: mix every tile's stream, following joins and leaves ───────────
+
+    const scanAudio = () => {
+        const streams = new Map();
+        document.querySelectorAll('#videoGrid video').forEach((video) => {
+            const stream = video.srcObject;
+            if (stream?.getAudioTracks?.().length) streams.set(stream.id, stream);
+        });
+
+        streams.forEach((stream, id) => {
+            if (audioSources.has(id)) return;
+            try {
+                const source = audioContext.createMediaStreamSource(stream);
+                source.connect(audioDestination);
+                audioSources.set(id, source);
+            } catch (err) {
+                console.warn(`${LOG_PREFIX} Could not mix stream ${id}:`, err);
+            }
+        });
+
+        audioSources.forEach((source, id) => {
+            if (streams.has(id)) return;
+            source.disconnect();
+            audioSources.delete(id);
+        });
+    };
+
+    // ── Upload queue ──────────────────────────────────────────────────────────
+
+    const uploadChunk = async (blob, index) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const { ok, status, data } = await window.SM.apiUploadChunk(`/recordings/${recordingId}/chunks/${index}`, blob);
+                if (ok) return;
+                // 4xx other than a rate limit won't get better by retrying
+                if (status >= 400 && status < 500 && status !== 429) throw new Error(data.message || `HTTP ${status}`);
+                if (attempt >= MAX_RETRIES) throw new Error(data.message || `HTTP ${status}`);
+            } catch (err) {
+                if (!(err instanceof TypeError) || attempt >= MAX_RETRIES) throw err;
+                console.warn(`${LOG_PREFIX} Chunk ${index} failed (network), retrying…`);
+            }
+            await sleep(1000 * 2 ** attempt);
+        }
+    };
+
+    const drainQueue = async () => {
+        while (queue.length && recordingId) {
+            const blob = queue[0];
+            await uploadChunk(blob, nextIndex);
+            queue.shift();
+            nextIndex++;
+        }
+    };
+
+    const pump = () => {
+        if (uploading) return uploading;
+        uploading = drainQueue()
+            .catch((err) => {
+                console.error(`${LOG_PREFIX} Upload failed:`, err);
+                const handler = onError;
+                abandon();
+                handler?.(err);
+            })
+            .finally(() => {
+                uploading = null;
+                if (queue.length && recordingId) pump();
+            });
+        return uploading;
+    };
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    const isRecording = () => !!recordingId;
+    const currentId = () => recordingId;
+
+    /**
+     * Start recording the meeting
+     * @param {string} meetingId
+     * @param {{layout?: 'grid'|'speaker', onError?: (err: Error) => void}} opts
+     * @returns {Promise<object>} the recording (as returned by POST /api/recordings)
+     */
+    const start = async (meetingId, opts = {}) => {
+        if (recordingId) throw new Error('Already recording');
+        if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+            throw new Error('Recording is not supported in this browser');
+        }
+        const mimeType = pickMimeType();
+        if (!mimeType) throw new Error('This browser cannot record video');
+
+        layout = opts.layout === 'speaker' ? 'speaker' : 'grid';
+        const { ok, data } = await window.SM.apiRequest('POST', '/recordings', { meetingId, mimeType, layout });
+        if (!ok) throw new Error(data.message || 'Could not start recording');
+
+        recordingId = data.recording.id;
+        onError = opts.onError || null;
+        queue = [];
+        nextIndex = 0;
+        stopping = false;
+        lastSpeakerTile = null;
+
+        canvas = document.createElement('canvas');
+        canvas.width = WIDTH;
+        canvas.height = HEIGHT;
+        ctx = canvas.getContext('2d');
+        drawFrame();
+        drawInterval = setInterval(drawFrame, 1000 / FPS);
+
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        audioDestination = audioContext.createMediaStreamDestination();
+        scanAudio();
+        audioScan = setInterval(scanAudio, AUDIO_SCAN_MS);
+
+        const stream = new MediaStream([
+            ...canvas.captureStream(FPS).getVideoTracks(),
+            ...audioDestination.stream.getAudioTracks(),
+        ]);
+        mediaRecorder = new MediaRecorder(stream, { mimeType });
+        mediaRecorder.ondataavailable = (e) => {
+            if (!e.data?.size || !recordingId) return;
+            queue.push(e.data);
+            pump();
+        };
+        mediaRecorder.start(TIMESLICE_MS);
+
+        console.log(`${LOG_PREFIX} Recording ${recordingId} (${layout}, ${mimeType})`);
+        return data.recording;
+    };
+
+    // Stop capturing and release the canvas / audio graph
+    const teardown = () => {
+        clearInterval(drawInterval);
+        clearInterval(audioScan);
+        drawInterval = null;
+        audioScan = null;
+        if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop();
+        mediaRecorder?.stream.getTracks().forEach((t) => t.stop());
+        mediaRecorder = null;
+        audioSources.forEach((source) => source.disconnect());
+        audioSources = new Map();
+        audioContext?.close().catch(() => {});
+        audioContext = null;
+        audioDestination = null;
+        canvas = null;
+        ctx = null;
+    };
+
+    /**
+     * Stop recording: the last timeslice is uploaded, then the server finishes
+     * the recording and tells everyone
+     * @returns {Promise<object|null>} the saved recording (null if nothing was recorded)
+     */
+    const stop = async () => {
+        if (!recordingId || stopping) return null;
+        stopping = true;
+        const id = recordingId;
+
+        // The final dataavailable fires before stop
+        if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+            await new Promise((resolve) => {
+                mediaRecorder.addEventListener('stop', resolve, { once: true });
+                mediaRecorder.stop();
+            });
+        }
+        teardown();
+
+        try {
+            while (queue.length && recordingId) await pump();
+        } finally {
+            recordingId = null;
+            stopping = false;
+        }
+
+        const { ok, data } = await window.SM.apiRequest('POST', `/recordings/${id}/stop`);
+        if (!ok) throw new Error(data.message || 'Could not stop recording');
+        return data.recording;
+    };
+
+    const abandon = () => {
+        teardown();
+        queue = [];
+        recordingId = null;
+        onError = null;
+    };
+
+    /** Drop everything without finishing the recording (the server stops it when the meeting ends) */
+    const cancel = () => {
+        if (recordingId && !stopping) abandon();
+    };
+
+    return { start, stop, cancel, isRecording, currentId };
+})();
@@ -0,0 +1,88 @@
+/**
+ * recordingPlayer.js – A meeting's recordings on the meeting's own time axis
+ * Used by the summary and replay pages. Times are seconds from the meeting
+ * start, like transcript lines and timeline events. A meeting can have several
+ * recordings (one per start / stop); seekTo() picks the one covering the time.
+ *
+ *   const player = RecordingPlayer.create(videoEl, meeting.startTime);
+ *   await player.load(meetingId);
+ *   await player.seekTo(95)   // false when that moment was not recorded
+ *   player.currentAt()        // meeting time at the playhead, or null
+ */
+
+window.RecordingPlayer = (() => {
+    const create = (video, meetingStart) => {
+        const origin = new Date(meetingStart).getTime();
+        const state = { recordings: [], current: null, canDelete: false };
+
+        /** Meeting time at which a recording starts */
+        const startOf = (rec) => (new Date(rec.startedAt).getTime() - origin) / 1000;
+
+        // A second of slack either side: the recorder starts a moment after the click
+        const recordingAt = (at) => state.recordings.find((r) => at >= startOf(r) - 1 && at <= startOf(r) + r.duration + 1);
+
+        // MediaRecorder files have no duration in their header; reading past the
+        // end makes the browser work it out, after which seeking is reliable
+        const resolveDuration = () => new Promise((resolve) => {
+            if (Number.isFinite(video.duration)) return resolve();
+            video.addEventListener('durationchange', () => {
+                video.currentTime = 0;
+                resolve();
+            }, { once: true });
+            video.currentTime = 1e101;
+        });
+
+        const show = (rec) => {
+            if (!rec || state.current?.id === rec.id) return;
+            state.current = rec;
+            video.src = rec.mediaUrl;
+            video.addEventListener('loadedmetadata', resolveDuration, { once: true });
+        };
+
+        /** @returns {Promise<boolean>} false if no recording covers `at` */
+        const seekTo = async (at, { play = true } = {}) => {
+            const rec = recordingAt(at);
+            if (!rec) return false;
+
+            show(rec);
+            if (video.readyState < 1) await new Promise((resolve) => video.addEventListener('loadedmetadata', resolve, { once: true }));
+            await resolveDuration();
+            video.currentTime = Math.max(0, at - startOf(rec));
+            if (play) video.play().catch(() => {});
+            return true;
+        };
+
+        const currentAt = () => (state.current ? startOf(state.current) + video.currentTime : null);
+
+        /** Fetch the playable recordings; keeps the current one if it still exists */
+        const load = async (meetingId) => {
+            const { ok, data } = await window.SM.apiRequest('GET', `/recordings?meetingId=${encodeURIComponent(meetingId)}`);
+            if (!ok) return state.recordings;
+            state.recordings = (data.recordings || []).filter((r) => r.mediaUrl);
+            state.canDelete = data.canDelete;
+
+            const kept = state.recordings.find((r) => r.id === state.current?.id);
+            if (!kept) {
+                state.current = null;
+                video.removeAttribute('src');
+                video.load();
+            }
+            show(kept || state.recordings[0]);
+            return state.recordings;
+        };
+
+        return {
+            load,
+            show,
+            seekTo,
+            currentAt,
+            startOf,
+            recordingAt,
+            recordings: () => state.recordings,
+            current: () => state.current,
+            canDelete: () => state.canDelete,
+        };
+    };
+
+    return { create };
+})();
@@ -0,0 +1,239 @@
+/**
+ * replay.js – Meeting replay page
+ * The recording, the transcript, the chat and the event timeline share one
+ * clock: seconds from the meeting start. Clicking a transcript line, a chat
+ * message or the timeline seeks the recording (switching recordings when the
+ * meeting was recorded in parts); playback moves the timeline playhead and
+ * highlights the line and message at that moment. Without a recording the
+ * timeline can still be scrubbed through the transcript and chat.
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!window.SM.requireAuth()) return;
+
+    const meetingId = new URLSearchParams(window.location.search).get('id');
+    if (!meetingId) return (window.location.href = '/dashboard.html');
+
+    const [summaryRes, transcriptRes, timelineRes] = await Promise.all([
+        window.SM.apiRequest('GET', `/meetings/${meetingId}/summary`),
+        window.SM.apiRequest('GET', `/transcripts/${meetingId}`),
+        window.SM.apiRequest('GET', `/meetings/${meetingId}/timeline`),
+    ]);
+
+    document.getElementById('replayLoading')?.classList.add('hidden');
+    if (!summaryRes.ok || !timelineRes.ok) {
+        window.SM.showToast((timelineRes.data || summaryRes.data).message || 'Failed to load the replay.', 'error');
+        return;
+    }
+    document.getElementById('replayContent')?.classList.remove('hidden');
+
+    const { meeting } = summaryRes.data;
+    const { timeline } = timelineRes.data;
+    const transcripts = transcriptRes.ok ? transcriptRes.data.transcripts || [] : [];
+    const origin = new Date(meeting.startTime).getTime();
+    const offsetOf = (date) => Math.max(0, (new Date(date).getTime() - origin) / 1000);
+
+    // ── Header ───────────────────────────────────────────────────────────
+    document.title = `Replay – ${meeting.meetingId} – SmartMeet`;
+    document.getElementById('summaryLink').href = `/summary.html?id=${encodeURIComponent(meetingId)}`;
+    document.getElementById('replayTitle').textContent = meeting.title || 'Meeting Replay';
+    document.getElementById('replayMeetingId').textContent = meeting.meetingId;
+    const startDate = new Date(meeting.startTime);
+    document.getElementById('replayDate').textContent =
+        `📅 ${startDate.toLocaleDateString()} ${startDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+    // ── Recording ────────────────────────────────────────────────────────
+    const video = document.getElementById('replayPlayer');
+    const player = window.RecordingPlayer.create(video, meeting.startTime);
+    const recordings = await player.load(meetingId);
+    video.classList.toggle('hidden', recordings.length === 0);
+    document.getElementById('replayNoRecording')?.classList.toggle('hidden', recordings.length > 0);
+
+    // The axis covers the meeting and anything recorded or said after its recorded end
+    const duration = Math.max(
+        timeline.duration || 0,
+        meeting.duration || 0,
+        ...recordings.map((r) => player.startOf(r) + r.duration),
+        ...transcripts.map((t) => offsetOf(t.timestamp) + (t.duration || 0)),
+        1
+    );
+    document.getElementById('replayDuration').textContent = `⏱ ${formatOffset(duration)}`;
+
+    // ── Transcript + chat lists ──────────────────────────────────────────
+    const rooms = new Map((meeting.breakoutRooms || []).map((r) => [r.breakoutId, r.name]));
+    const roomTag = (breakoutId) => (breakoutId ? `<span class="replay-room">${escapeHtml(rooms.get(breakoutId) || breakoutId)}</span>` : '');
+
+    const transcriptEl = document.getElementById('replayTranscript');
+    transcriptEl.innerHTML = transcripts.length
+        ? transcripts.map((seg) => {
+            const at = offsetOf(seg.timestamp);
+            return `<div class="replay-item" data-at="${at}"><span class="transcript-time">${formatOffset(at)}</span>${roomTag(seg.breakoutId)}<strong>${escapeHtml(seg.speakerName)}</strong>: ${escapeHtml(seg.text)}</div>`;
+        }).join('')
+        : '<p class="replay-empty">No transcript for this meeting.</p>';
+
+    const chatEl = document.getElementById('replayChat');
+    const chat = meeting.chatMessages || [];
+    chatEl.innerHTML = chat.length
+        ? chat.map((m) => {
+            const at = offsetOf(m.timestamp);
+            const to = m.to ? ` → ${escapeHtml(m.to.userName)} (private)` : '';
+            const file = m.attachment
+                ? ` <a class="replay-file" href="${escapeHtml(m.attachment.url)}" target="_blank" rel="noopener">📎 ${escapeHtml(m.attachment.name)}</a>`
+                : '';
+            return `<div class="replay-item${m.replyTo ? ' reply' : ''}" data-at="${at}"><span class="transcript-time">${formatOffset(at)}</span>${roomTag(m.breakoutId)}${m.replyTo ? '↳ ' : ''}<strong>${escapeHtml(m.userName)}</strong>${to}: ${escapeHtml(m.message)}${file}${m.editedAt ? ' <span class="replay-edited">(edited)</span>' : ''}</div>`;
+        }).join('')
+        : '<p class="replay-empty">No chat messages.</p>';
+
+    document.querySelectorAll('.replay-tabs .history-tab').forEach((tab) => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.replay-tabs .history-tab').forEach((t) => t.classList.toggle('active', t === tab));
+            transcriptEl.classList.toggle('hidden', tab.dataset.tab !== 'transcript');
+            chatEl.classList.toggle('hidden', tab.dataset.tab !== 'chat');
+        });
+    });
+
+    // ── Timeline ─────────────────────────────────────────────────────────
+    const timelineEl = document.getElementById('timeline');
+    const lanesEl = document.getElementById('timelineLanes');
+    const playhead = document.getElementById('timelinePlayhead');
+    const pct = (seconds) => `${Math.min(100, Math.max(0, (seconds / duration) * 100))}%`;
+    const block = (cls, start, end, title) =>
+        `<div class="tl-block ${cls}" style="left:${pct(start)};width:${pct(Math.max(end - start, duration / 400))}" title="${escapeHtml(title)}"></div>`;
+
+    // Imported meetings have no live events: their speaker turns come from the transcript
+    const turns = timeline.tracks.speaking.length
+        ? timeline.tracks.speaking
+        : transcripts.map((t) => ({
+            userId: t.speakerId || null,
+            userName: t.speakerName,
+            start: offsetOf(t.timestamp),
+            end: offsetOf(t.timestamp) + (t.duration || 1),
+        }));
+
+    // One lane per person, in order of arrival (or first words)
+    const lanes = new Map();
+    const laneOf = (p) => {
+        const key = p.userId || p.userName;
+        if (!lanes.has(key)) lanes.set(key, { name: p.userName || 'Participant', blocks: [], marks: [] });
+        return lanes.get(key);
+    };
+    timeline.participants.forEach(laneOf);
+
+    const range = (p) => `${formatOffset(p.start)}–${formatOffset(p.end)}`;
+    timeline.tracks.presence.forEach((p) => laneOf(p).blocks.push(block('tl-presence', p.start, p.end, `In the meeting ${range(p)}`)));
+    turns.forEach((p) => laneOf(p).blocks.push(block('tl-speaking', p.start, p.end, `${p.userName} speaking ${range(p)}`)));
+    timeline.tracks.screenShare.forEach((p) => laneOf(p).blocks.push(block('tl-screen', p.start, p.end, `${p.userName} sharing their screen ${range(p)}`)));
+    timeline.tracks.handRaised.forEach((p) => laneOf(p).blocks.push(block('tl-hand', p.start, p.end, `${p.userName} raised a hand ${range(p)}`)));
+    timeline.events
+        .filter((e) => e.type === 'join' || e.type === 'leave')
+        .forEach((e) => {
+            const verb = e.type === 'join' ? 'joined' : e.data?.reason === 'removed' ? 'was removed' : 'left';
+            laneOf(e).marks.push(`<div class="tl-mark tl-${e.type}" style="left:${pct(e.offset)}" title="${escapeHtml(`${e.userName} ${verb} at ${formatOffset(e.offset)}`)}"></div>`);
+        });
+
+    const recordedLane = recordings.length
+        ? `<div class="timeline-lane">
+             <div class="timeline-lane-name">Recording</div>
+             <div class="timeline-lane-track">${recordings.map((r) => block('tl-recording', player.startOf(r), player.startOf(r) + r.duration, `Recorded by ${r.startedByName}`)).join('')}</div>
+           </div>`
+        : '';
+    lanesEl.innerHTML = recordedLane + [...lanes.values()].map((lane) => `
+        <div class="timeline-lane">
+          <div class="timeline-lane-name" title="${escapeHtml(lane.name)}">${escapeHtml(lane.name)}</div>
+          <div class="timeline-lane-track">${lane.blocks.join('')}${lane.marks.join('')}</div>
+        </div>`).join('');
+
+    // Axis ticks: about 8 labels whatever the length
+    const step = [10, 30, 60, 120, 300, 600, 900, 1800, 3600].find((s) => duration / s <= 8) || 7200;
+    let ticks = '';
+    for (let t = 0; t <= duration; t += step) ticks += `<span class="timeline-tick" style="left:${pct(t)}">${formatOffset(t)}</span>`;
+    document.getElementById('timelineAxis').innerHTML = ticks;
+
+    // ── One clock for everything ─────────────────────────────────────────
+    const clock = document.getElementById('replayClock');
+    let following = true; // Auto-scroll the lists, paused while the user scrolls them
+
+    const highlight = (listEl, at) => {
+        const items = [...listEl.querySelectorAll('.replay-item')];
+        const current = items.filter((i) => Number(i.dataset.at) <= at).pop();
+        items.forEach((i) => i.classList.toggle('active', i === current));
+        if (current && following && !listEl.classList.contains('hidden')) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    const setClock = (at) => {
+        playhead.style.left = `calc(var(--lane-name-width) + (100% - var(--lane-name-width)) * ${Math.min(1, at / duration)})`;
+        clock.textContent = `${formatOffset(at)} / ${formatOffset(duration)}`;
+        highlight(transcriptEl, at);
+        highlight(chatEl, at);
+    };
+
+    const seek = async (at) => {
+        setClock(at);
+        if (!recordings.length) return;
+        if (!(await player.seekTo(at))) {
+            video.pause();
+            window.SM.showToast('That part of the meeting was not recorded.', 'info', 2000);
+        }
+    };
+
+    video.addEventListener('timeupdate', () => {
+        const at = player.currentAt();
+        if (at !== null && !video.seeking) setClock(at);
+    });
+
+    // A meeting recorded in parts plays on into the next part
+    video.addEventListener('ended', () => {
+        const current = player.current();
+        const next = recordings.find((r) => player.startOf(r) > player.startOf(current));
+        if (next) player.seekTo(player.startOf(next));
+    });
+
+    [transcriptEl, chatEl].forEach((listEl) => {
+        listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.replay-item');
+            if (!item || e.target.closest('a')) return; // Shared file links open the file
+            following = true;
+            seek(Number(item.dataset.at));
+        });
+        listEl.addEventListener('wheel', () => { following = false; }, { passive: true });
+    });
+    video.addEventListener('play', () => { following = true; });
+
+    // Click or drag on the lanes
+    const atPointer = (e) => {
+        const track = lanesEl.querySelector('.timeline-lane-track') || timelineEl;
+        const rect = track.getBoundingClientRect();
+        return Math.min(duration, Math.max(0, ((e.clientX - rect.left) / rect.width) * duration));
+    };
+    let dragging = false;
+    timelineEl.addEventListener('pointerdown', (e) => {
+        dragging = true;
+        timelineEl.setPointerCapture(e.pointerId);
+        setClock(atPointer(e));
+    });
+    timelineEl.addEventListener('pointermove', (e) => {
+        if (dragging) setClock(atPointer(e));
+    });
+    timelineEl.addEventListener('pointerup', (e) => {
+        if (!dragging) return;
+        dragging = false;
+        following = true;
+        seek(atPointer(e));
+    });
+
+    setClock(0);
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
+const formatOffset = (seconds = 0) => {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
@@ -12,6 +12,11 @@
  * 4. Added recognition.onstart log so you can confirm mic access in console.
  * 5. interimText now shows in a dedicated <span id="interimTranscript"> instead
  *    of appending entries, giving real-time visual feedback while speaking.
+ *
+ * Streaming mode (server decides, see join-approved `transcription`):
+ *    MediaRecorder chunks go over the meeting socket; the server transcribes them
+ *    and sends `transcript-partial` / `transcript-final` to the whole room, which
+ *    meeting.js hands to showCaption(). Everyone sees the same captions.
  */
 
 window.SpeechRec = (() => {
@@ -19,16 +24,19 @@ window.SpeechRec = (() => {
     let mediaRecorder = null;
     let audioChunks = [];
     let currentMeetingId = null;
+    let currentBreakoutId = null; // Tags segments spoken inside a breakout room
     let isActive = false;
     let restartTimeout = null;   // Prevent multiple simultaneous restarts
     let audioInterval = null;
+    let options = {};            // { mode: 'stream' | 'browser', socket, stream, sharedMic }
+    const pendingJobs = new Set(); // Uploaded chunks still being transcribed by a server job
 
     const LOG_PREFIX = '[SpeechRec]';
     const SEND_MIN_CHARS = 5; // Don't save empty/noise transcripts
 
     // ── Public API ────────────────────────────────────────────────────────────
 
-    const start = (meetingId) => {
+    const start = (meetingId, opts = {}) => {
         if (isActive) {
             console.log(`${LOG_PREFIX} Already active — skipping start()`);
             return;
@@ -39,9 +47,23 @@ window.SpeechRec = (() => {
         }
 
         currentMeetingId = meetingId;
+        options = opts;
         isActive = true;
         console.log(`${LOG_PREFIX} Starting for meeting: ${meetingId}`);
 
+        // Room mic: record chunks so the server can tell the speakers apart (diarization)
+        if (options.sharedMic) {
+            console.log(`${LOG_PREFIX} Shared room mic — uploading chunks for speaker diarization`);
+            startMediaRecorderFallback();
+            return;
+        }
+
+        if (options.mode === 'stream' && options.socket) {
+            console.log(`${LOG_PREFIX} Streaming audio to the server for transcription`);
+            startSocketStream();
+            return;
+        }
+
         const hasSpeechAPI = 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
         console.log(`${LOG_PREFIX} Web Speech API available: ${hasSpeechAPI}`);
 
@@ -66,6 +88,17 @@ window.SpeechRec = (() => {
         if (mediaRecorder && mediaRecorder.state !== 'inactive') {
             try { mediaRecorder.stop(); } catch (e) { }
         }
+        if (options.mode === 'stream' && !options.sharedMic) options.socket?.emit('transcription-stop');
+    };
+
+    /** New socket after a reconnect: the server lost our stream, start a fresh one */
+    const resume = (socket) => {
+        if (!isActive || options.mode !== 'stream' || options.sharedMic) return;
+        options.socket = socket;
+        if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+            try { mediaRecorder.stop(); } catch (e) { }
+        }
+        startSocketStream();
     };
 
     // ── Web Speech API ────────────────────────────────────────────────────────
@@ -217,14 +250,16 @@ window.SpeechRec = (() => {
                 const formData = new FormData();
                 formData.append('audio', blob, 'segment.webm');
                 formData.append('meetingId', currentMeetingId);
+                if (currentBreakoutId) formData.append('breakoutId', currentBreakoutId);
+                if (options.sharedMic) formData.append('diarize', '1');
 
                 try {
                     const { ok, data } = await window.SM.apiUpload('/transcribe', formData);
                     console.log(`${LOG_PREFIX} Whisper response:`, { ok, data });
 
-                    if (ok && data.transcript?.text) {
-                        appendFinalTranscriptEntry(data.transcript.text);
-                        window.SM?.showToast('Transcribed: ' + data.transcript.text.slice(0, 50), 'info', 2000);
+                    if (ok && data.jobId) {
+                        // Text arrives with the job's `job-updated` event (handleJobUpdate)
+                        pendingJobs.add(String(data.jobId));
                     } else if (!ok) {
                         console.warn(`${LOG_PREFIX} Whisper API error:`, data?.message);
                     }
@@ -241,6 +276,81 @@ window.SpeechRec = (() => {
         }
     };
 
+    // ── Streaming to the server over Socket.IO ──────────────────────────────
+
+    const startSocketStream = async () => {
+        try {
+            // Reuse the meeting microphone when there is one, so mute applies here too
+            const meetingTracks = options.stream?.getAudioTracks() || [];
+            const stream = meetingTracks.length
+                ? new MediaStream(meetingTracks)
+                : await navigator.mediaDevices.getUserMedia({ audio: true });
+            const [track] = stream.getAudioTracks();
+
+            const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus')
+                ? 'audio/webm;codecs=opus'
+                : MediaRecorder.isTypeSupported('audio/webm')
+                    ? 'audio/webm'
+                    : 'audio/ogg';
+
+            const socket = options.socket;
+            const recorder = new MediaRecorder(stream, { mimeType });
+            mediaRecorder = recorder;
+            let sentHeader = false;
+            let paused = false;
+
+            recorder.ondataavailable = async (e) => {
+                if (!isActive || mediaRecorder !== recorder || !e.data?.size) return;
+
+                // The first chunk holds the container header: always send it
+                if (sentHeader && track && !track.enabled) {
+                    if (!paused) socket.emit('transcription-flush');
+                    paused = true;
+                    return;
+                }
+                paused = false;
+                sentHeader = true;
+                socket.emit('transcription-audio', { meetingId: currentMeetingId, chunk: await e.data.arrayBuffer() });
+            };
+
+            socket.emit('transcription-start', { meetingId: currentMeetingId, mimeType });
+            recorder.start(1000);
+            showTranscriptStatus('🎤 Live captions on');
+        } catch (err) {
+            console.error(`${LOG_PREFIX} Streaming setup failed:`, err);
+            if (err.name === 'NotAllowedError') {
+                window.SM?.showToast('Microphone access denied.', 'error');
+            }
+        }
+    };
+
+    /**
+     * Render a caption from the server (anyone in the room, including us).
+     * Partials update the same entry in place until the final arrives.
+     */
+    const showCaption = ({ segmentId, userName, text }, isFinal) => {
+        const el = document.getElementById('liveTranscript');
+        if (!el) return;
+
+        let entry = Array.from(el.querySelectorAll('.transcript-entry'))
+            .find((node) => node.dataset.segment === segmentId);
+        if (isFinal && !text) {
+            entry?.remove();
+            return;
+        }
+        if (!entry) {
+            el.querySelector('.ai-empty')?.remove();
+            entry = document.createElement('div');
+            entry.className = 'transcript-entry';
+            entry.dataset.segment = segmentId;
+            el.appendChild(entry);
+        }
+
+        entry.classList.toggle('partial', !isFinal);
+        entry.innerHTML = `<span class="transcript-speaker">${escHtml(userName || 'Guest')}:</span> ${escHtml(text)}`;
+        el.scrollTop = el.scrollHeight;
+    };
+
     // ── Save text transcript to backend ──────────────────────────────────────
 
     /**
@@ -260,6 +370,7 @@ window.SpeechRec = (() => {
         try {
             const { ok, status, data } = await window.SM.apiRequest('POST', '/transcribe/text', {
                 meetingId: currentMeetingId,
+                breakoutId: currentBreakoutId,
                 text,
                 duration: 0,
                 confidence: 0.95,
@@ -280,7 +391,7 @@ window.SpeechRec = (() => {
     // ── UI Helpers ────────────────────────────────────────────────────────────
 
     /** Append a confirmed final transcript entry to the sidebar */
-    const appendFinalTranscriptEntry = (text) => {
+    const appendFinalTranscriptEntry = (text, speaker) => {
         const el = document.getElementById('liveTranscript');
         if (!el) {
             console.warn(`${LOG_PREFIX} #liveTranscript element not found in DOM`);
@@ -299,7 +410,7 @@ window.SpeechRec = (() => {
         const user = window.SM?.getUser();
         const entry = document.createElement('div');
         entry.className = 'transcript-entry';
-        entry.innerHTML = `<span class="transcript-speaker">${user?.name || 'You'}:</span> ${escHtml(text)}`;
+        entry.innerHTML = `<span class="transcript-speaker">${escHtml(speaker || user?.name || 'You')}:</span> ${escHtml(text)}`;
         el.appendChild(entry);
         el.scrollTop = el.scrollHeight;
 
@@ -330,5 +441,26 @@ window.SpeechRec = (() => {
 
     const escHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
-    return { start, stop };
+    /** Called when the host moves this user into (or out of) a breakout room */
+    const setBreakout = (breakoutId) => { currentBreakoutId = breakoutId || null; };
+
+    // ── Result of an uploaded chunk (server `job-updated`) ──────────────────
+    const handleJobUpdate = (job) => {
+        if (job.type !== 'transcribe-chunk' || !pendingJobs.has(String(job.id))) return;
+        if (job.status === 'completed') {
+            pendingJobs.delete(String(job.id));
+            if (job.result?.segments) {
+                // Diarized chunk: one entry per speaker turn
+                job.result.segments.forEach((s) => appendFinalTranscriptEntry(s.text, s.speakerName));
+            } else if (job.result?.text) {
+                appendFinalTranscriptEntry(job.result.text);
+                window.SM?.showToast('Transcribed: ' + job.result.text.slice(0, 50), 'info', 2000);
+            }
+        } else if (job.status === 'failed') {
+            pendingJobs.delete(String(job.id));
+            console.warn(`${LOG_PREFIX} Transcription job failed:`, job.lastError);
+        }
+    };
+
+    return { start, stop, resume, setBreakout, showCaption, handleJobUpdate };
 })();
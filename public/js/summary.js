@@ -1,6 +1,19 @@
 /**
  * summary.js – Post-meeting summary page logic
- * Fetches meeting summary + analytics and populates the page
+ * Fetches meeting summary + analytics and populates the page. While the summary
+ * or report is still being built by a background job, a "processing" notice is
+ * shown and the page refreshes its data over the socket when the job finishes.
+ * Action items are tracked on a board: the host / co-hosts edit owners, due
+ * dates and status; an assignee can move their own items along. Search results
+ * deep-link into the transcript with ?t=<seconds from start>&q=<query>.
+ * Speaker labels of shared-mic recordings ("Speaker 2") can be mapped to
+ * participants by the host / co-hosts. When the meeting was recorded, a player
+ * is shown and clicking a transcript line plays the recording from that point.
+ * Host / co-hosts also get the attendance report, downloadable as CSV.
+ * Polls and quizzes run during the meeting are listed with their results, and
+ * the Q&A with its answers. The whiteboard is shown as left at the end, with
+ * PNG / SVG downloads, next to the shared notes and the agenda (time planned
+ * and spent per item). Files shared in the chat are listed as attachments.
  */
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -11,6 +24,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         return (window.location.href = '/dashboard.html');
     }
 
+    document.getElementById('replayLink').href = `/replay.html?id=${encodeURIComponent(meetingId)}`;
+
     const summaryLoading = document.getElementById('summaryLoading');
     const summaryContent = document.getElementById('summaryContent');
 
@@ -28,7 +43,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     summaryContent?.classList.remove('hidden');
 
-    const { meeting, summary, analytics } = data;
+    let { meeting, summary, analytics, polls = [], questions = [], agenda = [], notes = '', attachments = [] } = data;
 
     // ── Meeting Overview ─────────────────────────────────────────────────
     document.getElementById('sumMeetingId').textContent = meeting.meetingId;
@@ -46,33 +61,304 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('sumDurationStat').textContent = `${durationMin}m ${durationSec}s`;
     document.getElementById('sumChatCount').textContent = meeting.chatMessages?.length || 0;
 
-    const topEng = analytics.engagements[0];
-    document.getElementById('sumTopEngagement').textContent =
-        topEng ? `${topEng.engagementScore}%` : 'N/A';
+    renderSummary(meeting, summary);
+    renderAnalytics(analytics);
+    renderPolls(polls);
+    renderQuestions(questions);
+    renderAgenda(agenda);
+    renderNotes(notes);
+    renderAttachments(attachments);
+
+    const board = setupActionBoard(meeting);
+    await board.load();
+
+    // Timed transcript; a search hit links here with ?t=<seconds>&q=<query>
+    const jumpTo = { t: urlParams.has('t') ? Number(urlParams.get('t')) : null, q: urlParams.get('q') || '' };
+    await loadTimedTranscript(meetingId, meeting, jumpTo);
+
+    document.getElementById('toggleTranscript')?.addEventListener('click', (e) => {
+        const container = document.getElementById('transcriptContainer');
+        const isExpanded = container.classList.contains('expanded');
+        container.classList.toggle('expanded', !isExpanded);
+        e.target.textContent = isExpanded ? 'Show Full' : 'Collapse';
+    });
+
+    // ── Transcript export (server-rendered files) ─────────────────────────
+    const speakerSelect = document.getElementById('exportSpeaker');
+    (analytics.engagements || []).forEach((eng) => {
+        if (!eng.userName) return;
+        speakerSelect?.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(eng.userName)}">${escapeHtml(eng.userName)}</option>`);
+    });
+    document.getElementById('exportTranscriptBtn')?.addEventListener('click', async () => {
+        const format = document.getElementById('exportFormat').value;
+        const params = new URLSearchParams({ format });
+        if (speakerSelect?.value) params.set('speaker', speakerSelect.value);
+
+        const { ok: exported, data: exportData } = await window.SM.apiDownload(
+            `/transcripts/${meetingId}/export?${params}`,
+            `${meetingId}-transcript.${format}`
+        );
+        if (!exported) window.SM.showToast(exportData.message || 'Failed to export transcript.', 'error');
+    });
+
+    const refresh = async () => {
+        const fresh = await window.SM.apiRequest('GET', `/meetings/${meetingId}/summary`);
+        if (!fresh.ok) return;
+        ({ meeting, summary, analytics, polls = [], questions = [], agenda = [], notes = '', attachments = [] } = fresh.data);
+        renderSummary(meeting, summary);
+        renderAnalytics(analytics);
+        renderPolls(polls);
+        renderQuestions(questions);
+        renderAgenda(agenda);
+        renderNotes(notes);
+        renderAttachments(attachments);
+        await board.load();
+        await loadTimedTranscript(meetingId, meeting, { t: null, q: jumpTo.q });
+    };
 
-    // ── AI Summary ───────────────────────────────────────────────────────
+    // ── Recording player (transcript lines seek it) ───────────────────────
+    await setupRecordingPlayer(meetingId, meeting).load();
+
+    // ── Diarized speaker labels → participants ────────────────────────────
+    await setupSpeakerMap(meetingId, refresh).load();
+
+    // ── Attendance report (host / co-hosts) ───────────────────────────────
+    await setupAttendance(meetingId).load();
+
+    // ── Whiteboard snapshot ───────────────────────────────────────────────
+    const whiteboard = setupWhiteboard(meetingId);
+    await whiteboard.load();
+
+    // ── Background processing (summary / report jobs) ─────────────────────
+    watchJobs(meetingId, data.jobs || [], refresh);
+
+    // ── Page Title ────────────────────────────────────────────────────────
+    document.title = `Summary – ${meeting.meetingId} – SmartMeet`;
+
+    // ── PDF Download ─────────────────────────────────────────────────────
+    document.getElementById('downloadPdfBtn')?.addEventListener('click', () => downloadPDF(meeting, summary, analytics, board.items, polls, questions, { agenda, notes, attachments }, whiteboard.png()));
+});
+
+// ── AI summary, structured lists, breakouts and transcript ────────────────
+const renderSummary = (meeting, summary) => {
     document.getElementById('aiSummaryText').textContent =
         summary.text || 'No summary available. Ensure Hugging Face API is configured.';
 
+    // Bullets with the transcript range (and speakers) each one came from
+    const highlights = summary.structured?.highlights || [];
+    const highlightList = document.getElementById('summaryHighlights');
+    if (highlightList) {
+        highlightList.innerHTML = highlightsHtml(highlights);
+        highlightList.classList.toggle('hidden', highlights.length === 0);
+    }
+
     // ── Structured Summary ───────────────────────────────────────────────
     renderList('keyDecisions', summary.structured?.decisions, 'No decisions recorded.');
     renderList('actionItems', summary.structured?.actionItems, 'No action items identified.');
     renderList('keyPoints', summary.structured?.keyPoints, 'No key points extracted.');
 
+    // ── Breakout Rooms ────────────────────────────────────────────────────
+    const breakouts = meeting.breakoutRooms || [];
+    if (breakouts.length > 0) {
+        document.getElementById('breakoutSection')?.classList.remove('hidden');
+        document.getElementById('breakoutSummaries').innerHTML = breakouts
+            .map((room) => `
+        <div class="breakout-summary">
+          <h3 class="structured-title">${room.name}</h3>
+          <div class="breakout-summary-people">👥 ${room.participants?.length ? room.participants.join(', ') : 'Nobody joined'}</div>
+          <p class="summary-text">${room.summary || 'No transcript was captured in this room.'}</p>
+          ${room.summaryStructured?.highlights?.length ? `<ul class="structured-list summary-highlights">${highlightsHtml(room.summaryStructured.highlights)}</ul>` : ''}
+        </div>
+      `)
+            .join('');
+    }
+
     // ── Full Transcript ───────────────────────────────────────────────────
     document.getElementById('transcriptContent').textContent =
         summary.transcript || 'No transcript available for this meeting.';
+};
 
-    document.getElementById('toggleTranscript')?.addEventListener('click', (e) => {
-        const container = document.getElementById('transcriptContainer');
-        const isExpanded = container.classList.contains('expanded');
-        container.classList.toggle('expanded', !isExpanded);
-        e.target.textContent = isExpanded ? 'Show Full' : 'Collapse';
+// ── Polls and quizzes ─────────────────────────────────────────────────────
+// One line per option / rating / answer, shared by the page and the PDF
+const pollResultLines = (poll, { correctMark = '✓ ' } = {}) => {
+    const r = poll.results || { total: 0 };
+    const pct = (n) => (r.total ? Math.round((n / r.total) * 100) : 0);
+    if (poll.type === 'rating') {
+        return [`Average ${r.average ?? '—'} / ${poll.ratingMax}`, ...(r.distribution || []).map((n, i) => `${i + 1}: ${n} (${pct(n)}%)`)];
+    }
+    if (poll.type === 'text') {
+        return (r.answers || []).map((a) => (a.userName ? `${a.userName}: ${a.text}` : a.text));
+    }
+    return poll.options.map((option, i) => {
+        const mark = poll.correctOptions?.includes(i) ? correctMark : '';
+        const voters = r.voters?.[i]?.length ? ` – ${r.voters[i].join(', ')}` : '';
+        return `${mark}${option}: ${r.counts?.[i] || 0} (${pct(r.counts?.[i] || 0)}%)${voters}`;
     });
+};
 
-    // ── Charts ───────────────────────────────────────────────────────────
+const pollScoreLine = (poll) => {
+    const r = poll.results || {};
+    if (!poll.quiz || r.correctCount === undefined) return '';
+    const scored = `${r.correctCount} of ${r.total} correct`;
+    const right = (r.scores || []).filter((s) => s.correct).map((s) => s.userName);
+    return right.length ? `${scored} (${right.join(', ')})` : scored;
+};
+
+const renderPolls = (polls) => {
+    const held = polls.filter((p) => p.status !== 'draft');
+    document.getElementById('pollSection')?.classList.toggle('hidden', held.length === 0);
+    const list = document.getElementById('pollSummaries');
+    if (!list) return;
+
+    list.innerHTML = held.map((poll) => `
+      <div class="poll-summary">
+        <h3 class="structured-title">${escapeHtml(poll.question)}</h3>
+        <div class="poll-summary-meta">${poll.quiz ? 'Quiz' : 'Poll'} · ${poll.results?.total || 0} answer${poll.results?.total === 1 ? '' : 's'}${poll.anonymous ? ' · anonymous' : ''}</div>
+        <ul class="structured-list">${pollResultLines(poll).map((l) => `<li>${escapeHtml(l)}</li>`).join('') || '<li>No answers.</li>'}</ul>
+        ${pollScoreLine(poll) ? `<div class="poll-summary-score">🏁 ${escapeHtml(pollScoreLine(poll))}</div>` : ''}
+      </div>
+    `).join('');
+};
+
+// ── Agenda and notes ──────────────────────────────────────────────────────
+const AGENDA_OUTCOMES = { done: 'covered', skipped: 'skipped', active: 'covered', pending: 'not reached' };
+
+const agendaLine = (item) => {
+    const spent = Math.round(item.spentSeconds / 60);
+    const outcome = AGENDA_OUTCOMES[item.status];
+    return item.startedAt && item.status !== 'skipped'
+        ? `${item.minutes} min planned · ${outcome} in ${spent} min`
+        : `${item.minutes} min planned · ${outcome}`;
+};
+
+const renderAgenda = (agenda) => {
+    document.getElementById('agendaSection')?.classList.toggle('hidden', agenda.length === 0);
+    const list = document.getElementById('agendaSummary');
+    if (!list) return;
+
+    list.innerHTML = agenda.map((item) => `
+      <li>${escapeHtml(item.title)}<span class="agenda-summary-meta${item.spentSeconds > item.minutes * 60 ? ' over' : ''}">${escapeHtml(agendaLine(item))}</span></li>
+    `).join('');
+};
+
+const renderNotes = (notes) => {
+    document.getElementById('notesSection')?.classList.toggle('hidden', !notes.trim());
+    const box = document.getElementById('notesSummary');
+    if (box) box.textContent = notes;
+};
+
+// ── Files shared in the chat ──────────────────────────────────────────────
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const attachmentMeta = (file) => [
+    formatFileSize(file.size),
+    `shared by ${file.sharedBy}`,
+    file.private && 'private',
+].filter(Boolean).join(' · ');
+
+const renderAttachments = (attachments) => {
+    document.getElementById('attachmentSection')?.classList.toggle('hidden', attachments.length === 0);
+    const list = document.getElementById('attachmentList');
+    if (!list) return;
+
+    list.innerHTML = attachments.map((file) => `
+      <a class="attachment-item" href="${escapeHtml(file.url)}" ${file.image ? 'target="_blank" rel="noopener"' : `download="${escapeHtml(file.name)}"`}>
+        ${file.thumbnailUrl
+            ? `<img class="attachment-thumb" src="${escapeHtml(file.thumbnailUrl)}" alt="" loading="lazy" />`
+            : `<span class="attachment-icon">${file.image ? '🖼️' : '📄'}</span>`}
+        <span class="attachment-info">
+          <span class="attachment-name">${escapeHtml(file.name)}</span>
+          <span class="attachment-meta">${escapeHtml(attachmentMeta(file))}</span>
+        </span>
+      </a>
+    `).join('');
+};
+
+// ── Q&A ───────────────────────────────────────────────────────────────────
+const QUESTION_STATUS = { open: 'Not answered', live: 'Asked live', answered: 'Answered' };
+
+const questionMeta = (q) => [
+    q.anonymous ? 'Anonymous' : q.userName,
+    `${q.upvotes} upvote${q.upvotes === 1 ? '' : 's'}`,
+    QUESTION_STATUS[q.status],
+].filter(Boolean).join(' · ');
+
+const renderQuestions = (questions) => {
+    document.getElementById('qaSection')?.classList.toggle('hidden', questions.length === 0);
+    const list = document.getElementById('qaSummaries');
+    if (!list) return;
+
+    list.innerHTML = questions.map((q) => `
+      <div class="qa-summary">
+        <div class="qa-summary-question">${escapeHtml(q.text)}</div>
+        <div class="poll-summary-meta">${escapeHtml(questionMeta(q))}</div>
+        ${q.answer ? `<p class="qa-summary-answer">${escapeHtml(q.answer)}${q.answeredByName ? ` <span class="poll-summary-meta">– ${escapeHtml(q.answeredByName)}</span>` : ''}</p>` : ''}
+      </div>
+    `).join('');
+};
+
+// ── Timed transcript (replaces the plain text when segments are available) ──
+// Query words as a pattern; close to the server's stemming ("budgets" ~ "budget")
+const searchPattern = (q) => {
+    const terms = (q.match(/-?"[^"]*"|\S+/g) || [])
+        .filter((t) => !t.startsWith('-'))
+        .flatMap((t) => t.replace(/"/g, '').toLowerCase().split(/[^\p{L}\p{N}']+/u))
+        .filter((t) => t.length >= 2)
+        .map((t) => (t.length > 5 ? t.slice(0, -2) : t.replace(/s$/, '')).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return terms.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})[\\p{L}\\p{N}']*`, 'giu') : null;
+};
+
+const markMatches = (text, pattern) => {
+    if (!pattern) return escapeHtml(text);
+    let html = '';
+    let at = 0;
+    for (const m of text.matchAll(pattern)) {
+        html += `${escapeHtml(text.slice(at, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+        at = m.index + m[0].length;
+    }
+    return html + escapeHtml(text.slice(at));
+};
+
+const loadTimedTranscript = async (meetingId, meeting, { t, q }) => {
+    const { ok, data } = await window.SM.apiRequest('GET', `/transcripts/${meetingId}`);
+    if (!ok || !data.transcripts?.length) return;
+
+    const origin = new Date(meeting.startTime);
+    const rooms = new Map((meeting.breakoutRooms || []).map((r) => [r.breakoutId, r.name]));
+    const pattern = searchPattern(q);
+
+    const content = document.getElementById('transcriptContent');
+    content.innerHTML = data.transcripts.map((seg) => {
+        const at = Math.max(0, Math.round((new Date(seg.timestamp) - origin) / 1000));
+        const room = seg.breakoutId ? `[${escapeHtml(rooms.get(seg.breakoutId) || seg.breakoutId)}] ` : '';
+        return `<div class="transcript-line" data-at="${at}"><span class="transcript-time">${formatOffset(at)}</span>${room}<strong>${escapeHtml(seg.speakerName)}</strong>: ${markMatches(seg.text, pattern)}</div>`;
+    }).join('');
+
+    if (t === null || Number.isNaN(t)) return;
+
+    // Last segment that started at or before t
+    const lines = [...content.querySelectorAll('.transcript-line')];
+    const target = lines.filter((l) => Number(l.dataset.at) <= t).pop() || lines[0];
+    document.getElementById('transcriptContainer')?.classList.replace('collapsed', 'expanded');
+    const toggle = document.getElementById('toggleTranscript');
+    if (toggle) toggle.textContent = 'Collapse';
+    target.classList.add('transcript-hit');
+    setTimeout(() => target.scrollIntoView({ behavior: 'smooth', block: 'center' }), 450); // After the expand transition
+};
+
+// ── Engagement stat, charts and leaderboard ───────────────────────────────
+const renderAnalytics = (analytics) => {
     const engagements = analytics.engagements || [];
 
+    const topEng = engagements[0];
+    document.getElementById('sumTopEngagement').textContent =
+        topEng ? `${topEng.engagementScore}%` : 'N/A';
+
+    // ── Charts ───────────────────────────────────────────────────────────
     if (window.SMCharts) {
         window.SMCharts.renderEngagementChart('engagementChart', engagements);
         window.SMCharts.renderContributionChart('contributionChart', engagements);
@@ -84,7 +370,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (engagements.length === 0) {
             leaderboard.innerHTML = '<p style="color: var(--text-muted); font-size:13px; text-align:center;">No engagement data available.</p>';
         } else {
-            leaderboard.innerHTML = engagements
+            leaderboard.innerHTML = [...engagements]
                 .sort((a, b) => b.speakingTime - a.speakingTime)
                 .map((eng, i) => {
                     const rankClass = ['gold', 'silver', 'bronze'][i] || '';
@@ -105,13 +391,469 @@ document.addEventListener('DOMContentLoaded', async () => {
                 .join('');
         }
     }
+};
 
-    // ── Page Title ────────────────────────────────────────────────────────
-    document.title = `Summary – ${meeting.meetingId} – SmartMeet`;
+// ── Action item board ─────────────────────────────────────────────────────
+const ACTION_STATUSES = [
+    { value: 'open', label: 'Open' },
+    { value: 'in-progress', label: 'In progress' },
+    { value: 'done', label: 'Done' },
+];
 
-    // ── PDF Download ─────────────────────────────────────────────────────
-    document.getElementById('downloadPdfBtn')?.addEventListener('click', () => downloadPDF(meeting, summary, analytics));
-});
+// Date input value ("YYYY-MM-DD") in local time
+const toDateInput = (date) => {
+    if (!date) return '';
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// End of the picked day, local time (matches server-extracted due dates)
+const fromDateInput = (value) => (value ? new Date(`${value}T23:59:59`).toISOString() : null);
+
+const setupActionBoard = (meeting) => {
+    const section = document.getElementById('actionBoardSection');
+    const boardEl = document.getElementById('actionBoard');
+    const form = document.getElementById('actionItemForm');
+    const addBtn = document.getElementById('addActionItemBtn');
+    const me = String(window.SM.getUser()?.id || '');
+
+    const state = { items: [], canEdit: false };
+
+    // Host + joined participants with an account
+    const people = [meeting.host, ...(meeting.participants || [])]
+        .filter((p, i, all) => p?._id && all.findIndex((q) => q?._id === p._id) === i);
+
+    const assigneeOptions = (item) => {
+        const options = ['<option value="">Unassigned</option>']
+            .concat(people.map((p) => `<option value="${p._id}" ${item?.assignee === p._id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`));
+        // Guests were matched by name only
+        if (item && !item.assignee && item.assigneeName) {
+            options.push(`<option value="guest:${escapeHtml(item.assigneeName)}" selected>${escapeHtml(item.assigneeName)} (guest)</option>`);
+        }
+        return options.join('');
+    };
+
+    const assigneeFields = (value) => (value.startsWith('guest:')
+        ? { assignee: null, assigneeName: value.slice(6) }
+        : { assignee: value || null, assigneeName: '' });
+
+    const cardHtml = (item) => {
+        const canEdit = state.canEdit;
+        const canMove = canEdit || (item.assignee && String(item.assignee) === me);
+        const overdue = item.dueDate && item.status !== 'done' && new Date(item.dueDate) < new Date();
+        const statusSelect = `<select class="form-input" data-field="status">${ACTION_STATUSES
+            .map((s) => `<option value="${s.value}" ${item.status === s.value ? 'selected' : ''}>${s.label}</option>`).join('')}</select>`;
+        const source = item.source
+            ? `<div class="action-card-meta">🎙 ${escapeHtml(item.source.speakerName || 'Unknown')} at ${formatOffset(item.source.from)}</div>`
+            : '';
+
+        if (!canEdit) {
+            return `
+        <div class="action-card" data-id="${item.id}">
+          <div>${escapeHtml(item.text)}</div>
+          <div class="action-card-meta">👤 ${escapeHtml(item.assigneeName || 'Unassigned')}
+            · <span class="action-due ${overdue ? 'overdue' : ''}">📅 ${item.dueDate ? new Date(item.dueDate).toLocaleDateString() : 'No due date'}</span></div>
+          ${source}
+          ${canMove ? statusSelect : ''}
+        </div>`;
+        }
+
+        return `
+        <div class="action-card" data-id="${item.id}">
+          <input type="text" class="form-input" data-field="text" maxlength="500" value="${escapeHtml(item.text)}" />
+          <div class="action-card-controls">
+            <select class="form-input" data-field="assignee">${assigneeOptions(item)}</select>
+            <input type="date" class="form-input action-due ${overdue ? 'overdue' : ''}" data-field="dueDate" value="${toDateInput(item.dueDate)}" />
+            ${statusSelect}
+            <button type="button" class="btn btn-danger btn-sm" data-delete="${item.id}">Delete</button>
+          </div>
+          ${source}
+        </div>`;
+    };
+
+    const render = () => {
+        section?.classList.remove('hidden');
+        addBtn?.classList.toggle('hidden', !state.canEdit);
+
+        boardEl.innerHTML = ACTION_STATUSES.map((s) => {
+            const items = state.items.filter((i) => i.status === s.value);
+            return `
+        <div class="action-column">
+          <div class="action-column-title">${s.label} (${items.length})</div>
+          ${items.map(cardHtml).join('') || '<p style="color: var(--text-muted); font-size:13px;">Nothing here.</p>'}
+        </div>`;
+        }).join('');
+    };
+
+    const update = async (id, changes) => {
+        const { ok, data } = await window.SM.apiRequest('PUT', `/action-items/${id}`, changes);
+        if (!ok) {
+            window.SM.showToast(data.message || 'Failed to update action item.', 'error');
+        } else {
+            state.items = state.items.map((i) => (i.id === id ? data.actionItem : i));
+        }
+        render();
+    };
+
+    boardEl?.addEventListener('change', (e) => {
+        const field = e.target.dataset.field;
+        const id = e.target.closest('.action-card')?.dataset.id;
+        if (!field || !id) return;
+
+        if (field === 'assignee') update(id, assigneeFields(e.target.value));
+        else if (field === 'dueDate') update(id, { dueDate: fromDateInput(e.target.value) });
+        else update(id, { [field]: e.target.value });
+    });
+
+    boardEl?.addEventListener('click', async (e) => {
+        const id = e.target.dataset.delete;
+        if (!id || !confirm('Delete this action item?')) return;
+        const { ok, data } = await window.SM.apiRequest('DELETE', `/action-items/${id}`);
+        if (!ok) return window.SM.showToast(data.message || 'Failed to delete action item.', 'error');
+        state.items = state.items.filter((i) => i.id !== id);
+        render();
+    });
+
+    addBtn?.addEventListener('click', () => {
+        document.getElementById('actionItemAssignee').innerHTML = assigneeOptions(null);
+        form?.classList.remove('hidden');
+        document.getElementById('actionItemText')?.focus();
+    });
+    document.getElementById('actionItemCancelBtn')?.addEventListener('click', () => {
+        form?.reset();
+        form?.classList.add('hidden');
+    });
+    form?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { ok, data } = await window.SM.apiRequest('POST', '/action-items', {
+            meetingId: meeting.meetingId,
+            text: document.getElementById('actionItemText').value,
+            ...assigneeFields(document.getElementById('actionItemAssignee').value),
+            dueDate: fromDateInput(document.getElementById('actionItemDue').value),
+        });
+        if (!ok) return window.SM.showToast(data.message || 'Failed to add action item.', 'error');
+
+        state.items.push(data.actionItem);
+        form.reset();
+        form.classList.add('hidden');
+        render();
+    });
+
+    return {
+        get items() {
+            return state.items;
+        },
+        // Falls back to the plain "Action Items" list when the board can't be loaded
+        async load() {
+            const { ok, data } = await window.SM.apiRequest('GET', `/action-items?meetingId=${encodeURIComponent(meeting.meetingId)}`);
+            if (!ok) return;
+
+            state.items = data.actionItems || [];
+            state.canEdit = data.canEdit;
+            document.getElementById('actionItems')?.closest('.structured-card')?.classList.add('hidden');
+            document.querySelector('.structured-row')?.classList.add('without-actions');
+            render();
+        },
+    };
+};
+
+// ── Speaker mapping ───────────────────────────────────────────────────────
+const setupSpeakerMap = (meetingId, onChanged) => {
+    const section = document.getElementById('speakerSection');
+    const mapEl = document.getElementById('speakerMap');
+    const state = { speakers: [], participants: [], canEdit: false };
+
+    const rowHtml = (s) => {
+        const mapped = s.speakerName !== s.label ? ` → <strong>${escapeHtml(s.speakerName)}</strong>` : '';
+        const meta = `<div class="speaker-map-meta">${s.segments} segment${s.segments === 1 ? '' : 's'} · ${formatOffset(s.duration)} · “${escapeHtml(s.sample)}”</div>`;
+        if (!state.canEdit) {
+            return `<div class="speaker-map-row"><div><strong>${escapeHtml(s.label)}</strong>${mapped}</div>${meta}</div>`;
+        }
+
+        const guest = !s.speakerId && s.speakerName !== s.label ? s.speakerName : '';
+        const options = ['<option value="">Keep label</option>']
+            .concat(state.participants.map((p) => `<option value="${p.id}" ${s.speakerId === p.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`));
+        return `
+        <div class="speaker-map-row" data-run="${escapeHtml(s.diarizationId)}" data-label="${escapeHtml(s.label)}">
+          <div><strong>${escapeHtml(s.label)}</strong>${mapped}</div>
+          ${meta}
+          <div class="speaker-map-controls">
+            <select class="form-input" data-field="userId">${options.join('')}</select>
+            <input type="text" class="form-input" data-field="name" maxlength="100" placeholder="or guest name / user email" value="${escapeHtml(guest)}" />
+            <button type="button" class="btn btn-primary btn-sm" data-save>Save</button>
+          </div>
+        </div>`;
+    };
+
+    const render = () => {
+        section?.classList.toggle('hidden', state.speakers.length === 0);
+        document.getElementById('speakerMapHint')?.classList.toggle('hidden', !state.canEdit);
+        mapEl.innerHTML = state.speakers.map(rowHtml).join('');
+    };
+
+    const load = async () => {
+        const { ok, data } = await window.SM.apiRequest('GET', `/transcripts/${meetingId}/speakers`);
+        if (!ok) return;
+        state.speakers = data.speakers || [];
+        state.participants = data.participants || [];
+        state.canEdit = data.canEdit;
+        render();
+    };
+
+    mapEl?.addEventListener('click', async (e) => {
+        const row = e.target.closest('.speaker-map-row');
+        if (!e.target.hasAttribute('data-save') || !row) return;
+
+        const userId = row.querySelector('[data-field="userId"]').value;
+        const name = row.querySelector('[data-field="name"]').value.trim();
+        // An email address names a registered user who wasn't in the meeting (imports)
+        const target = userId ? { userId } : /^\S+@\S+\.\S+$/.test(name) ? { email: name } : { name };
+        e.target.disabled = true;
+        const { ok, data } = await window.SM.apiRequest('PUT', `/transcripts/${meetingId}/speakers`, {
+            mappings: [{ diarizationId: row.dataset.run, label: row.dataset.label, ...target }],
+        });
+        e.target.disabled = false;
+        if (!ok) return window.SM.showToast(data.message || 'Failed to update speaker.', 'error');
+
+        window.SM.showToast(`${row.dataset.label} → ${data.speakers[0].speakerName}`, 'success', 2500);
+        await load();
+        await onChanged();
+    });
+
+    return { load };
+};
+
+// ── Attendance ────────────────────────────────────────────────────────────
+const LEAVE_REASONS = { left: 'left', dropped: 'connection lost', removed: 'removed', ended: 'meeting ended' };
+const NOT_ADMITTED = { rejected: 'Denied entry', 'left-waiting': 'Left the waiting room' };
+
+const setupAttendance = (meetingId) => {
+    const section = document.getElementById('attendanceSection');
+    const clock = (date) => (date ? new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—');
+
+    const rowHtml = (a) => {
+        if (a.status !== 'attended') {
+            return `<tr class="attendance-absent"><td>${escapeHtml(a.userName)}${a.guest ? ' <span class="badge">Guest</span>' : ''}</td>
+                <td colspan="4">—</td><td>${NOT_ADMITTED[a.status] || a.status}</td></tr>`;
+        }
+        const notes = [
+            a.late ? `<span class="badge badge-warning">Late ${Math.round(a.minutesLate)}m</span>` : '',
+            a.admittedBy ? `Admitted by ${escapeHtml(a.admittedBy)}` : '',
+            a.stillIn ? 'Still in the meeting' : a.leaveReason && a.leaveReason !== 'left' ? LEAVE_REASONS[a.leaveReason] || a.leaveReason : '',
+            a.removedBy ? `by ${escapeHtml(a.removedBy)}` : '',
+        ].filter(Boolean).join(' · ');
+        return `<tr>
+            <td>${escapeHtml(a.userName)}${a.guest ? ' <span class="badge">Guest</span>' : ''}${a.role && a.role !== 'attendee' ? ` <span class="attendance-role">${a.role}</span>` : ''}</td>
+            <td>${clock(a.firstJoin)}</td>
+            <td>${a.stillIn ? '—' : clock(a.lastLeave)}</td>
+            <td>${formatOffset(a.secondsPresent)}</td>
+            <td>${a.rejoins || ''}</td>
+            <td>${notes}</td>
+        </tr>`;
+    };
+
+    const load = async () => {
+        const { ok, data } = await window.SM.apiRequest('GET', `/meetings/${meetingId}/attendance`);
+        // Only moderators get the report; everyone else simply doesn't see the section
+        if (!ok || !data.attendance.attendees.length) return;
+
+        const { totals, attendees, lateAfterMinutes } = data.attendance;
+        document.getElementById('attendanceTotals').textContent = [
+            `${totals.attended} attended`,
+            totals.guests ? `${totals.guests} guest${totals.guests === 1 ? '' : 's'}` : '',
+            `${totals.late} late (over ${lateAfterMinutes} min)`,
+            totals.rejoined ? `${totals.rejoined} rejoined` : '',
+            totals.notAdmitted ? `${totals.notAdmitted} not admitted` : '',
+            `average ${totals.averageMinutes} min`,
+        ].filter(Boolean).join(' · ');
+        document.getElementById('attendanceRows').innerHTML = attendees.map(rowHtml).join('');
+        section?.classList.remove('hidden');
+    };
+
+    document.getElementById('attendanceCsvBtn')?.addEventListener('click', async () => {
+        const { ok, data } = await window.SM.apiDownload(`/meetings/${meetingId}/attendance?format=csv`, `${meetingId}-attendance.csv`);
+        if (!ok) window.SM.showToast(data.message || 'Failed to download attendance.', 'error');
+    });
+
+    return { load };
+};
+
+// ── Whiteboard ────────────────────────────────────────────────────────────
+const setupWhiteboard = (meetingId) => {
+    let png = null;   // data URL of the board, for the PDF
+
+    // Draw the SVG onto a canvas to get a PNG of the same board
+    const toPng = (svg, width, height) => new Promise((resolve) => {
+        const img = new Image();
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/png'));
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            resolve(null);
+        };
+        img.src = url;
+    });
+
+    const load = async () => {
+        const { ok, data } = await window.SM.apiRequest('GET', `/meetings/${meetingId}/whiteboard`);
+        if (!ok || !data.whiteboard.svg) return;
+
+        const { svg, width, height } = data.whiteboard;
+        // Rendered by the server with every text escaped
+        document.getElementById('whiteboardSnapshot').innerHTML = svg;
+        document.getElementById('whiteboardSection')?.classList.remove('hidden');
+        png = await toPng(svg, width, height);
+    };
+
+    document.getElementById('whiteboardPngBtn')?.addEventListener('click', () => {
+        if (!png) return window.SM.showToast('The whiteboard image is not ready.', 'error');
+        const a = document.createElement('a');
+        a.href = png;
+        a.download = `${meetingId}-whiteboard.png`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+    });
+
+    document.getElementById('whiteboardSvgBtn')?.addEventListener('click', async () => {
+        const { ok, data } = await window.SM.apiDownload(`/meetings/${meetingId}/whiteboard?format=svg`, `${meetingId}-whiteboard.svg`);
+        if (!ok) window.SM.showToast(data.message || 'Failed to download the whiteboard.', 'error');
+    });
+
+    return { load, png: () => png };
+};
+
+// ── Recording player ──────────────────────────────────────────────────────
+const setupRecordingPlayer = (meetingId, meeting) => {
+    const section = document.getElementById('recordingSection');
+    const video = document.getElementById('recordingPlayer');
+    const select = document.getElementById('recordingSelect');
+    const content = document.getElementById('transcriptContent');
+    const player = window.RecordingPlayer.create(video, meeting.startTime);
+
+    // Follow playback in the transcript
+    video?.addEventListener('timeupdate', () => {
+        const at = player.currentAt();
+        if (at === null || !content) return;
+        const lines = [...content.querySelectorAll('.transcript-line')];
+        const playing = lines.filter((l) => Number(l.dataset.at) <= at).pop();
+        lines.forEach((l) => l.classList.toggle('transcript-playing', l === playing));
+    });
+
+    content?.addEventListener('click', async (e) => {
+        const line = e.target.closest('.transcript-line');
+        if (!line || !player.recordings().length) return;
+        if (!(await player.seekTo(Number(line.dataset.at)))) {
+            return window.SM.showToast('That part of the meeting was not recorded.', 'info', 2500);
+        }
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+
+    select?.addEventListener('change', () => {
+        player.show(player.recordings().find((r) => String(r.id) === select.value));
+    });
+
+    document.getElementById('deleteRecordingBtn')?.addEventListener('click', async (e) => {
+        const current = player.current();
+        if (!current || !confirm('Delete this recording for everyone? This cannot be undone.')) return;
+        e.target.disabled = true;
+        const { ok, data } = await window.SM.apiRequest('DELETE', `/recordings/${current.id}`);
+        e.target.disabled = false;
+        if (!ok) return window.SM.showToast(data.message || 'Failed to delete the recording.', 'error');
+
+        window.SM.showToast('Recording deleted', 'success', 2500);
+        await load();
+    });
+
+    const render = () => {
+        const recordings = player.recordings();
+        const hasAny = recordings.length > 0;
+        section?.classList.toggle('hidden', !hasAny);
+        document.getElementById('transcriptContainer')?.classList.toggle('seekable', hasAny);
+        document.getElementById('deleteRecordingBtn')?.classList.toggle('hidden', !player.canDelete() || !hasAny);
+        if (select) {
+            select.classList.toggle('hidden', recordings.length < 2);
+            select.innerHTML = recordings.map((r, i) => {
+                const at = new Date(r.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                return `<option value="${r.id}">Part ${i + 1} · ${at} · ${formatOffset(r.duration)}</option>`;
+            }).join('');
+            if (player.current()) select.value = player.current().id;
+        }
+    };
+
+    const load = async () => {
+        await player.load(meetingId);
+        render();
+    };
+
+    return { load };
+};
+
+// ── Background jobs: "processing" notice + live updates ────────────────────
+const JOB_LABELS = {
+    'summarize-meeting': 'AI summary',
+    'build-report': 'engagement report',
+    'import-recording': 'transcript of the recording',
+};
+
+const watchJobs = (meetingId, initialJobs, onFinished) => {
+    const notice = document.getElementById('processingNotice');
+    const active = new Map(); // jobId → job, summary page jobs only
+
+    const track = (job) => {
+        if (!JOB_LABELS[job.type]) return;
+        if (job.status === 'queued' || job.status === 'running') active.set(String(job.id), job);
+        else active.delete(String(job.id));
+    };
+
+    const showNotice = () => {
+        if (!notice) return;
+        // Imports report how many parts of the recording are transcribed
+        const labels = [...new Set([...active.values()].map((j) => (j.progress?.total
+            ? `${JOB_LABELS[j.type]} (${j.progress.done}/${j.progress.total} parts)`
+            : JOB_LABELS[j.type])))];
+        notice.textContent = `⏳ Processing: ${labels.join(' and ')} – this page updates when it's ready.`;
+        notice.classList.toggle('hidden', labels.length === 0);
+    };
+
+    initialJobs.forEach(track);
+    showNotice();
+    if (active.size === 0 || typeof io === 'undefined') return;
+
+    const socket = io({
+        auth: { token: window.SM.getToken() },
+        query: { userName: window.SM.getUser()?.name || 'User' },
+    });
+
+    socket.on('connect', () => socket.emit('watch-jobs', { meetingId }));
+    socket.on('jobs-snapshot', ({ jobs }) => {
+        active.clear();
+        jobs.forEach(track);
+        showNotice();
+        if (active.size === 0) {
+            socket.disconnect();
+            onFinished();
+        }
+    });
+    socket.on('job-updated', async (job) => {
+        if (job.meetingId !== meetingId || !JOB_LABELS[job.type]) return;
+        track(job);
+        showNotice();
+
+        if (job.status === 'failed') {
+            window.SM.showToast(`Could not build the ${JOB_LABELS[job.type]}: ${job.lastError || 'unknown error'}`, 'error');
+        }
+        if (job.status === 'completed' || job.status === 'failed') await onFinished();
+        if (active.size === 0) socket.disconnect();
+    });
+};
 
 // ── Helper: Render list items ─────────────────────────────────────────────
 const renderList = (listId, items, emptyMsg) => {
@@ -126,8 +868,30 @@ const renderList = (listId, items, emptyMsg) => {
     el.innerHTML = items.map((item) => `<li>${item}</li>`).join('');
 };
 
+// ── Helper: Summary highlights with their time range ───────────────────────
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
+// Seconds from meeting start → "m:ss" / "h:mm:ss"
+const formatOffset = (seconds = 0) => {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const citationOf = (h) => {
+    const range = `${formatOffset(h.from)}–${formatOffset(h.to)}`;
+    return h.speakers?.length ? `${range} · ${h.speakers.join(', ')}` : range;
+};
+
+const highlightsHtml = (highlights) => highlights
+    .map((h) => `<li>${escapeHtml(h.text)}<span class="highlight-source">${escapeHtml(citationOf(h))}</span></li>`)
+    .join('');
+
 // ── PDF Export ────────────────────────────────────────────────────────────
-const downloadPDF = (meeting, summary, analytics) => {
+const downloadPDF = (meeting, summary, analytics, actionItems = [], polls = [], questions = [], { agenda = [], notes = '', attachments = [] } = {}, whiteboardPng = null) => {
     if (!window.jspdf) {
         window.SM.showToast('PDF library not loaded.', 'error');
         return;
@@ -177,10 +941,31 @@ const downloadPDF = (meeting, summary, analytics) => {
         y += lineH - 1;
     });
 
+    (summary.structured?.highlights || []).forEach((h) => {
+        y += 2;
+        doc.splitTextToSize(`• ${h.text}`, contentW - 3).forEach((line) => {
+            if (y > 270) { doc.addPage(); y = margin; }
+            doc.text(line, margin + 3, y);
+            y += lineH - 1;
+        });
+        if (y > 270) { doc.addPage(); y = margin; }
+        doc.setTextColor(120, 120, 140);
+        doc.text(`[${citationOf(h)}]`, margin + 6, y);
+        doc.setTextColor(30, 30, 30);
+        y += lineH - 1;
+    });
+
     y += 6;
 
-    // Action Items
-    if (summary.structured?.actionItems?.length) {
+    // Action Items (board items with owner / due date when available)
+    const actionLines = actionItems.length
+        ? actionItems.map((item) => {
+            const details = [item.assigneeName, item.dueDate && `due ${new Date(item.dueDate).toLocaleDateString()}`, item.status !== 'open' && item.status]
+                .filter(Boolean).join(', ');
+            return details ? `${item.text} (${details})` : item.text;
+        })
+        : summary.structured?.actionItems || [];
+    if (actionLines.length) {
         doc.setFontSize(13);
         doc.setFont('helvetica', 'bold');
         doc.setTextColor(30, 30, 30);
@@ -189,14 +974,162 @@ const downloadPDF = (meeting, summary, analytics) => {
 
         doc.setFontSize(10);
         doc.setFont('helvetica', 'normal');
-        summary.structured.actionItems.forEach((item) => {
+        actionLines.forEach((item) => {
+            doc.splitTextToSize(`• ${item}`, contentW - 3).forEach((line) => {
+                if (y > 270) { doc.addPage(); y = margin; }
+                doc.text(line, margin + 3, y);
+                y += lineH - 1;
+            });
+        });
+        y += 4;
+    }
+
+    // Agenda (planned vs spent) and the shared notes
+    if (agenda.length) {
+        doc.setFontSize(13);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Agenda', margin, y);
+        y += lineH;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        agenda.forEach((item) => {
+            doc.splitTextToSize(`• ${item.title} (${agendaLine(item).replace(' · ', ', ')})`, contentW - 3).forEach((line) => {
+                if (y > 270) { doc.addPage(); y = margin; }
+                doc.text(line, margin + 3, y);
+                y += lineH - 1;
+            });
+        });
+        y += 4;
+    }
+
+    if (notes.trim()) {
+        doc.setFontSize(13);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Meeting Notes', margin, y);
+        y += lineH;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.splitTextToSize(notes.trim(), contentW - 3).forEach((line) => {
             if (y > 270) { doc.addPage(); y = margin; }
-            doc.text(`• ${item}`, margin + 3, y);
+            doc.text(line, margin + 3, y);
             y += lineH - 1;
         });
         y += 4;
     }
 
+    if (attachments.length) {
+        doc.setFontSize(13);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Shared Files', margin, y);
+        y += lineH;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        attachments.forEach((file) => {
+            doc.splitTextToSize(`• ${file.name} (${attachmentMeta(file)})`, contentW - 3).forEach((line) => {
+                if (y > 270) { doc.addPage(); y = margin; }
+                doc.text(line, margin + 3, y);
+                y += lineH - 1;
+            });
+        });
+        y += 4;
+    }
+
+    // Breakout Rooms
+    if (meeting.breakoutRooms?.length) {
+        doc.setFontSize(13);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Breakout Rooms', margin, y);
+        y += lineH;
+
+        doc.setFontSize(10);
+        meeting.breakoutRooms.forEach((room) => {
+            if (y > 270) { doc.addPage(); y = margin; }
+            doc.setFont('helvetica', 'bold');
+            doc.text(`${room.name} (${room.participants?.length || 0})`, margin + 3, y);
+            y += lineH - 1;
+
+            doc.setFont('helvetica', 'normal');
+            doc.splitTextToSize(room.summary || 'No transcript captured.', contentW - 3).forEach((line) => {
+                if (y > 270) { doc.addPage(); y = margin; }
+                doc.text(line, margin + 3, y);
+                y += lineH - 1;
+            });
+            y += 2;
+        });
+        y += 4;
+    }
+
+    // Polls and quizzes
+    const held = polls.filter((p) => p.status !== 'draft');
+    if (held.length) {
+        doc.setFontSize(13);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Polls', margin, y);
+        y += lineH;
+
+        doc.setFontSize(10);
+        held.forEach((poll) => {
+            doc.setFont('helvetica', 'bold');
+            doc.splitTextToSize(`${poll.question} (${poll.results?.total || 0} answers)`, contentW - 3).forEach((line) => {
+                if (y > 270) { doc.addPage(); y = margin; }
+                doc.text(line, margin + 3, y);
+                y += lineH - 1;
+            });
+
+            // The PDF font has no check mark
+            doc.setFont('helvetica', 'normal');
+            const score = pollScoreLine(poll);
+            [...pollResultLines(poll, { correctMark: '[correct] ' }), ...(score ? [`Score: ${score}`] : [])].forEach((item) => {
+                doc.splitTextToSize(`• ${item}`, contentW - 6).forEach((line) => {
+                    if (y > 270) { doc.addPage(); y = margin; }
+                    doc.text(line, margin + 6, y);
+                    y += lineH - 1;
+                });
+            });
+            y += 2;
+        });
+        y += 4;
+    }
+
+    // Q&A
+    if (questions.length) {
+        doc.setFontSize(13);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Q&A', margin, y);
+        y += lineH;
+
+        doc.setFontSize(10);
+        questions.forEach((q) => {
+            doc.setFont('helvetica', 'bold');
+            doc.splitTextToSize(`Q: ${q.text}`, contentW - 3).forEach((line) => {
+                if (y > 270) { doc.addPage(); y = margin; }
+                doc.text(line, margin + 3, y);
+                y += lineH - 1;
+            });
+
+            doc.setFont('helvetica', 'normal');
+            const answer = q.answer ? [`A: ${q.answer}${q.answeredByName ? ` (${q.answeredByName})` : ''}`] : [];
+            [...answer, questionMeta(q)].forEach((item) => {
+                doc.splitTextToSize(item, contentW - 6).forEach((line) => {
+                    if (y > 270) { doc.addPage(); y = margin; }
+                    doc.text(line, margin + 6, y);
+                    y += lineH - 1;
+                });
+            });
+            y += 2;
+        });
+        y += 4;
+    }
+
     // Contribution Leaderboard
     doc.setFontSize(13);
     doc.setFont('helvetica', 'bold');
@@ -219,6 +1152,18 @@ const downloadPDF = (meeting, summary, analytics) => {
             y += lineH - 1;
         });
 
+    // Whiteboard, on a page of its own
+    if (whiteboardPng) {
+        doc.addPage();
+        y = margin;
+        doc.setFontSize(13);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Whiteboard', margin, y);
+        y += lineH;
+        doc.addImage(whiteboardPng, 'PNG', margin, y, contentW, (contentW * 9) / 16);
+    }
+
     doc.save(`SmartMeet_${meeting.meetingId}_Summary.pdf`);
     window.SM.showToast('PDF downloaded!', 'success');
 };
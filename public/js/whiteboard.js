@@ -0,0 +1,409 @@
+/**
+ * whiteboard.js – Shared whiteboard in the meeting room
+ *
+ * The board covers the video area when opened (🖍 Board in the control bar).
+ * Pens, lines, arrows, rectangles, ellipses, text and sticky notes are drawn
+ * locally at once and sent to the server as one operation each; other people's
+ * operations arrive over the socket. Coordinates are board units (1600 x 900),
+ * so everyone sees the same drawing whatever their screen size. The board is
+ * fetched with wb-sync on join / reconnect; operations arriving meanwhile are
+ * replayed on top of it.
+ *
+ * Usage (meeting.js):
+ *   MeetingWhiteboard.init({ meetingId, getSocket, canDraw, isModerator })
+ *   MeetingWhiteboard.sync()                  // after join-approved / session-resumed
+ *   MeetingWhiteboard.handle('wb-added', payload)
+ *   MeetingWhiteboard.permissionsChanged()    // role / attendee permissions changed
+ */
+
+window.MeetingWhiteboard = (() => {
+    const WIDTH = 1600;
+    const HEIGHT = 900;
+    const MAX_PEN_POINTS = 2000;
+    const STICKY = { width: 200, height: 140, fontSize: 18, lineChars: 20, maxLines: 6 };
+    const TWO_POINT = ['line', 'arrow', 'rect', 'ellipse'];
+    const FONT = 'Inter, Arial, sans-serif';
+
+    let elements = [];          // bottom first
+    let meetingId = null;
+    let getSocket = () => null;
+    let canDraw = () => false;
+    let isModerator = () => false;
+
+    let syncing = false;
+    let pending = [];           // [event, payload] received while a wb-sync is in flight
+    let tool = 'pen';
+    let draft = null;           // element being drawn
+    let erasing = false;
+
+    let canvas;
+    let ctx;
+    const base = document.createElement('canvas');   // every committed element, redrawn on change
+    base.width = WIDTH;
+    base.height = HEIGHT;
+    const baseCtx = base.getContext('2d');
+
+    const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const isOpen = () => !document.getElementById('whiteboardView')?.classList.contains('hidden');
+    const fontSizeOf = (e) => 12 + e.width * 4;
+
+    // Sticky note text → lines that fit the note (same rule as the server's SVG)
+    const wrapText = (text) => {
+        const lines = [];
+        for (const paragraph of String(text).split('\n')) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                if (line && (line + ' ' + word).length > STICKY.lineChars) {
+                    lines.push(line);
+                    line = '';
+                }
+                line = line ? `${line} ${word}` : word;
+                while (line.length > STICKY.lineChars) {
+                    lines.push(line.slice(0, STICKY.lineChars));
+                    line = line.slice(STICKY.lineChars);
+                }
+            }
+            lines.push(line);
+        }
+        return lines.slice(0, STICKY.maxLines);
+    };
+
+    // ── Drawing ───────────────────────────────────────────────────────────
+    const drawElement = (c, e) => {
+        const p = e.points;
+        c.save();
+        c.strokeStyle = e.color;
+        c.fillStyle = e.color;
+        c.lineWidth = e.width;
+        c.lineCap = 'round';
+        c.lineJoin = 'round';
+        c.textBaseline = 'top';
+
+        switch (e.type) {
+            case 'pen':
+                c.beginPath();
+                c.moveTo(p[0], p[1]);
+                for (let i = 2; i < p.length; i += 2) c.lineTo(p[i], p[i + 1]);
+                if (p.length === 2) c.lineTo(p[0] + 0.1, p[1]);
+                c.stroke();
+                break;
+            case 'line':
+            case 'arrow':
+                c.beginPath();
+                c.moveTo(p[0], p[1]);
+                c.lineTo(p[2], p[3]);
+                if (e.type === 'arrow') {
+                    const angle = Math.atan2(p[3] - p[1], p[2] - p[0]);
+                    const head = 10 + e.width * 3;
+                    c.moveTo(p[2] - head * Math.cos(angle - 0.5), p[3] - head * Math.sin(angle - 0.5));
+                    c.lineTo(p[2], p[3]);
+                    c.lineTo(p[2] - head * Math.cos(angle + 0.5), p[3] - head * Math.sin(angle + 0.5));
+                }
+                c.stroke();
+                break;
+            case 'rect':
+                c.beginPath();
+                c.rect(Math.min(p[0], p[2]), Math.min(p[1], p[3]), Math.abs(p[2] - p[0]), Math.abs(p[3] - p[1]));
+                if (e.fill) c.fill();
+                c.stroke();
+                break;
+            case 'ellipse':
+                c.beginPath();
+                c.ellipse((p[0] + p[2]) / 2, (p[1] + p[3]) / 2, Math.abs(p[2] - p[0]) / 2, Math.abs(p[3] - p[1]) / 2, 0, 0, Math.PI * 2);
+                if (e.fill) c.fill();
+                c.stroke();
+                break;
+            case 'text':
+                c.font = `${fontSizeOf(e)}px ${FONT}`;
+                String(e.text).split('\n').forEach((line, i) => c.fillText(line, p[0], p[1] + i * fontSizeOf(e) * 1.2));
+                break;
+            case 'sticky':
+                c.fillRect(p[0], p[1], STICKY.width, STICKY.height);
+                c.strokeStyle = 'rgba(0,0,0,0.15)';
+                c.lineWidth = 1;
+                c.strokeRect(p[0], p[1], STICKY.width, STICKY.height);
+                c.fillStyle = '#222222';
+                c.font = `${STICKY.fontSize}px ${FONT}`;
+                wrapText(e.text).forEach((line, i) => c.fillText(line, p[0] + 12, p[1] + 12 + i * STICKY.fontSize * 1.2));
+                break;
+            default:
+                break;
+        }
+        c.restore();
+    };
+
+    const redrawBase = () => {
+        baseCtx.fillStyle = '#ffffff';
+        baseCtx.fillRect(0, 0, WIDTH, HEIGHT);
+        elements.forEach((e) => drawElement(baseCtx, e));
+        paint();
+    };
+
+    const paint = () => {
+        if (!ctx) return;
+        ctx.drawImage(base, 0, 0);
+        if (draft) drawElement(ctx, draft);
+    };
+
+    // ── Hit testing (eraser) ──────────────────────────────────────────────
+    const segmentDistance = (px, py, x1, y1, x2, y2) => {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const t = dx || dy ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy))) : 0;
+        return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+    };
+
+    const hits = (e, x, y) => {
+        const p = e.points;
+        const reach = e.width / 2 + 8;
+        if (e.type === 'pen') {
+            if (p.length === 2) return Math.hypot(x - p[0], y - p[1]) <= reach;
+            for (let i = 2; i < p.length; i += 2) {
+                if (segmentDistance(x, y, p[i - 2], p[i - 1], p[i], p[i + 1]) <= reach) return true;
+            }
+            return false;
+        }
+        if (e.type === 'line' || e.type === 'arrow') return segmentDistance(x, y, p[0], p[1], p[2], p[3]) <= reach;
+
+        let box;
+        if (e.type === 'sticky') box = [p[0], p[1], p[0] + STICKY.width, p[1] + STICKY.height];
+        else if (e.type === 'text') {
+            baseCtx.font = `${fontSizeOf(e)}px ${FONT}`;
+            const lines = String(e.text).split('\n');
+            const width = Math.max(...lines.map((l) => baseCtx.measureText(l).width));
+            box = [p[0], p[1], p[0] + width, p[1] + lines.length * fontSizeOf(e) * 1.2];
+        } else box = [Math.min(p[0], p[2]) - reach, Math.min(p[1], p[3]) - reach, Math.max(p[0], p[2]) + reach, Math.max(p[1], p[3]) + reach];
+        return x >= box[0] && x <= box[2] && y >= box[1] && y <= box[3];
+    };
+
+    const eraseAt = (x, y) => {
+        const target = [...elements].reverse().find((e) => hits(e, x, y));
+        if (!target) return;
+        elements = elements.filter((e) => e.id !== target.id);
+        redrawBase();
+        getSocket()?.emit('wb-erase', { meetingId, ids: [target.id] });
+    };
+
+    // ── Local operations ──────────────────────────────────────────────────
+    const style = () => ({
+        color: document.getElementById('wbColor')?.value || '#222222',
+        width: Number(document.getElementById('wbWidth')?.value) || 3,
+        fill: !!document.getElementById('wbFill')?.checked,
+    });
+
+    const commit = (element) => {
+        elements.push(element);
+        redrawBase();
+        getSocket()?.emit('wb-add', { meetingId, element });
+    };
+
+    // Pointer position → board units (the canvas is scaled with object-fit: contain)
+    const toBoard = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const scale = Math.min(rect.width / WIDTH, rect.height / HEIGHT);
+        const left = rect.left + (rect.width - WIDTH * scale) / 2;
+        const top = rect.top + (rect.height - HEIGHT * scale) / 2;
+        return [
+            Math.round(Math.min(WIDTH, Math.max(0, (e.clientX - left) / scale)) * 10) / 10,
+            Math.round(Math.min(HEIGHT, Math.max(0, (e.clientY - top) / scale)) * 10) / 10,
+        ];
+    };
+
+    const onPointerDown = (e) => {
+        if (!canDraw() || e.button !== 0) return;
+        const [x, y] = toBoard(e);
+        canvas.setPointerCapture(e.pointerId);
+
+        if (tool === 'eraser') {
+            erasing = true;
+            return eraseAt(x, y);
+        }
+        if (tool === 'text' || tool === 'sticky') {
+            const text = window.prompt(tool === 'sticky' ? 'Sticky note:' : 'Text:', '');
+            if (!text?.trim()) return;
+            const { color, width } = style();
+            // Sticky notes keep their pastel colour; the picked colour is for ink
+            return commit({ id: newId(), type: tool, points: [x, y], color: tool === 'sticky' ? document.getElementById('wbStickyColor').value : color, width, fill: false, text: text.trim().slice(0, 300) });
+        }
+        draft = { id: newId(), type: tool, points: tool === 'pen' ? [x, y] : [x, y, x, y], ...style() };
+        paint();
+    };
+
+    const onPointerMove = (e) => {
+        if (!erasing && !draft) return;
+        const [x, y] = toBoard(e);
+        if (erasing) return eraseAt(x, y);
+
+        if (draft.type === 'pen') {
+            const p = draft.points;
+            if (Math.hypot(x - p[p.length - 2], y - p[p.length - 1]) < 2) return;
+            p.push(x, y);
+            // Very long strokes are sent in pieces
+            if (p.length >= MAX_PEN_POINTS * 2) {
+                commit(draft);
+                draft = { ...draft, id: newId(), points: [x, y] };
+            }
+        } else {
+            draft.points[2] = x;
+            draft.points[3] = y;
+        }
+        paint();
+    };
+
+    const onPointerUp = () => {
+        erasing = false;
+        if (!draft) return;
+        const done = draft;
+        draft = null;
+        const p = done.points;
+        // A click with a shape tool draws nothing
+        if (TWO_POINT.includes(done.type) && Math.hypot(p[2] - p[0], p[3] - p[1]) < 3) return paint();
+        commit(done);
+    };
+
+    const undo = () => {
+        if (canDraw()) getSocket()?.emit('wb-undo', { meetingId });
+    };
+
+    // ── Export ────────────────────────────────────────────────────────────
+    const exportPng = () => {
+        base.toBlob((blob) => {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${meetingId}-whiteboard.png`;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }, 'image/png');
+    };
+
+    const exportSvg = async () => {
+        const { ok, data } = await window.SM.apiDownload(`/meetings/${encodeURIComponent(meetingId)}/whiteboard?format=svg`, `${meetingId}-whiteboard.svg`);
+        if (!ok) window.SM.showToast(data.message || 'Failed to export the whiteboard.', 'error');
+    };
+
+    // ── View ──────────────────────────────────────────────────────────────
+    const setTool = (next) => {
+        tool = next;
+        document.querySelectorAll('.wb-tool').forEach((b) => b.classList.toggle('active', b.dataset.tool === tool));
+        if (canvas) canvas.style.cursor = tool === 'eraser' ? 'cell' : tool === 'text' || tool === 'sticky' ? 'text' : 'crosshair';
+    };
+
+    const setOpen = (open) => {
+        document.getElementById('whiteboardView')?.classList.toggle('hidden', !open);
+        document.getElementById('whiteboardBtn')?.classList.toggle('active', open);
+        if (open) document.getElementById('whiteboardBtn')?.classList.remove('has-news');
+        paint();
+    };
+
+    const permissionsChanged = () => {
+        const drawing = canDraw();
+        document.getElementById('wbTools')?.classList.toggle('hidden', !drawing);
+        document.getElementById('wbViewOnly')?.classList.toggle('hidden', drawing);
+        document.getElementById('wbClearBtn')?.classList.toggle('hidden', !isModerator());
+        // The SVG is rendered by the server, which needs an account
+        document.getElementById('wbSvgBtn')?.classList.toggle('hidden', !window.SM.getToken());
+        if (!drawing && draft) {
+            draft = null;
+            paint();
+        }
+    };
+
+    const bindUI = () => {
+        canvas = document.getElementById('whiteboardCanvas');
+        if (!canvas) return;
+        canvas.width = WIDTH;
+        canvas.height = HEIGHT;
+        ctx = canvas.getContext('2d');
+
+        canvas.addEventListener('pointerdown', onPointerDown);
+        canvas.addEventListener('pointermove', onPointerMove);
+        canvas.addEventListener('pointerup', onPointerUp);
+        canvas.addEventListener('pointercancel', onPointerUp);
+
+        document.getElementById('whiteboardBtn')?.addEventListener('click', () => setOpen(!isOpen()));
+        document.getElementById('wbCloseBtn')?.addEventListener('click', () => setOpen(false));
+        document.querySelectorAll('.wb-tool').forEach((b) => b.addEventListener('click', () => setTool(b.dataset.tool)));
+        document.getElementById('wbUndoBtn')?.addEventListener('click', undo);
+        document.getElementById('wbClearBtn')?.addEventListener('click', () => {
+            if (confirm('Clear the whiteboard for everyone?')) getSocket()?.emit('wb-clear', { meetingId });
+        });
+        document.getElementById('wbPngBtn')?.addEventListener('click', exportPng);
+        document.getElementById('wbSvgBtn')?.addEventListener('click', exportSvg);
+
+        document.addEventListener('keydown', (e) => {
+            if (!isOpen() || !(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (['INPUT', 'TEXTAREA'].includes(document.activeElement?.tagName)) return;
+            e.preventDefault();
+            undo();
+        });
+
+        setTool('pen');
+        redrawBase();
+    };
+
+    // ── Socket events ─────────────────────────────────────────────────────
+    const notify = () => {
+        if (!isOpen()) document.getElementById('whiteboardBtn')?.classList.add('has-news');
+    };
+
+    const apply = {
+        'wb-added': ({ element }) => {
+            if (elements.some((e) => e.id === element.id)) return;
+            elements.push(element);
+            redrawBase();
+            notify();
+        },
+        'wb-removed': ({ ids }) => {
+            const gone = new Set(ids);
+            elements = elements.filter((e) => !gone.has(e.id));
+            redrawBase();
+        },
+        'wb-cleared': ({ byName }) => {
+            elements = [];
+            redrawBase();
+            window.SM.showToast(`🧽 ${byName || 'The host'} cleared the whiteboard`, 'info', 3000);
+        },
+    };
+
+    const handlers = {
+        ...Object.fromEntries(Object.entries(apply).map(([event, fn]) => [event, (payload) => {
+            if (syncing) pending.push([event, payload]);
+            else fn(payload);
+        }])),
+        'wb-state': ({ elements: board }) => {
+            syncing = false;
+            elements = board || [];
+            const queued = pending;
+            pending = [];
+            queued.forEach(([event, payload]) => apply[event](payload));
+            redrawBase();
+        },
+        'wb-error': ({ elementId, message }) => {
+            if (elementId) {
+                elements = elements.filter((e) => e.id !== elementId);
+                redrawBase();
+            }
+            window.SM.showToast(message || 'Whiteboard action failed.', 'error');
+        },
+    };
+
+    const init = (options) => {
+        ({ meetingId, getSocket, canDraw, isModerator } = options);
+        bindUI();
+        permissionsChanged();
+    };
+
+    /** Fetch the whole board (join / reconnect / after a refused operation) */
+    const sync = () => {
+        syncing = true;
+        pending = [];
+        getSocket()?.emit('wb-sync', { meetingId });
+    };
+
+    const handle = (event, payload) => handlers[event]?.(payload);
+
+    return { init, sync, handle, permissionsChanged, events: Object.keys(handlers) };
+})();
@@ -0,0 +1,21 @@
+/**
+ * Redis Configuration
+ * Optional – only used when REDIS_URL is set (shared socket state + Socket.io adapter).
+ * Any Redis-protocol server works (Redis, Valkey, KeyDB, Dragonfly...).
+ */
+
+const { createClient } = require('redis');
+
+const createRedisClient = async (name = 'main') => {
+    const client = createClient({ url: process.env.REDIS_URL });
+
+    client.on('error', (err) => {
+        console.error(`❌ Redis (${name}) error: ${err.message}`);
+    });
+
+    await client.connect();
+    console.log(`✅ Redis Connected (${name})`);
+    return client;
+};
+
+module.exports = createRedisClient;
@@ -0,0 +1,225 @@
+/**
+ * Action Item Controller
+ * Meeting action items (extracted with the summary or added by hand) and
+ * the "my action items" list on the dashboard
+ */
+
+const mongoose = require('mongoose');
+const ActionItem = require('../models/ActionItem');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { getMeetingActionItems, formatActionItem } = require('../services/actionItemService');
+const { isModerator, resolveRole } = require('../socket/permissions');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+const STATUSES = ['open', 'in-progress', 'done'];
+
+const findMeeting = (meetingId) =>
+    Meeting.findOne({ meetingId: String(meetingId || '').toUpperCase() }).select('meetingId title host participants roles').lean();
+
+// "" / null clears the due date; undefined = invalid
+const toDueDate = (value) => {
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date;
+};
+
+// Assignee must be a meeting member with an account; guests go by name only
+const resolveAssignee = async (meeting, assignee, assigneeName) => {
+    if (!assignee) return { assignee: null, assigneeName: String(assigneeName || '').trim().slice(0, 100) };
+    if (!mongoose.isValidObjectId(assignee) || !isMeetingMember(meeting, assignee)) return null;
+    const user = await User.findById(assignee).select('name');
+    return user ? { assignee: user._id, assigneeName: user.name } : null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/action-items?meetingId=ABC-123
+// @access  Private (meeting members)
+// ─────────────────────────────────────────────────────────────────────────────
+const getActionItems = async (req, res) => {
+    try {
+        const meeting = await findMeeting(req.query.meetingId);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+        if (!isMeetingMember(meeting, req.user._id)) {
+            return res.status(403).json({ success: false, message: 'Not allowed to view this meeting' });
+        }
+
+        const items = await getMeetingActionItems(meeting.meetingId);
+        res.json({
+            success: true,
+            canEdit: isModerator(resolveRole(meeting, req.user._id)),
+            actionItems: items.map(formatActionItem),
+        });
+    } catch (error) {
+        console.error('Get action items error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch action items' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/action-items/mine?status=open
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+const getMyActionItems = async (req, res) => {
+    try {
+        const query = { assignee: req.user._id };
+        if (req.query.status) {
+            if (req.query.status === 'active') query.status = { $ne: 'done' };
+            else if (STATUSES.includes(req.query.status)) query.status = req.query.status;
+            else return res.status(400).json({ success: false, message: 'Invalid status' });
+        }
+
+        // Undated items after the dated ones
+        const items = await ActionItem.find(query).sort({ dueDate: 1, createdAt: -1 }).limit(200);
+        const dated = items.filter((i) => i.dueDate);
+        const undated = items.filter((i) => !i.dueDate);
+
+        const meetings = await Meeting.find({ meetingId: { $in: [...new Set(items.map((i) => i.meetingId))] } })
+            .select('meetingId title startTime')
+            .lean();
+        const byId = new Map(meetings.map((m) => [m.meetingId, m]));
+
+        res.json({
+            success: true,
+            actionItems: [...dated, ...undated].map((i) => ({
+                ...formatActionItem(i),
+                meetingTitle: byId.get(i.meetingId)?.title || i.meetingId,
+                meetingDate: byId.get(i.meetingId)?.startTime || null,
+            })),
+        });
+    } catch (error) {
+        console.error('Get my action items error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch action items' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/action-items
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const createActionItem = async (req, res) => {
+    try {
+        const { meetingId, text, assignee, assigneeName, dueDate } = req.body;
+
+        const meeting = await findMeeting(meetingId);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only the host or a co-host can add action items' });
+        }
+
+        if (!text || !String(text).trim()) {
+            return res.status(400).json({ success: false, message: 'Action item text is required' });
+        }
+        const due = toDueDate(dueDate ?? null);
+        if (due === undefined) return res.status(400).json({ success: false, message: 'Invalid due date' });
+
+        const owner = await resolveAssignee(meeting, assignee, assigneeName);
+        if (!owner) return res.status(400).json({ success: false, message: 'Assignee is not part of this meeting' });
+
+        const item = await ActionItem.create({
+            meetingId: meeting.meetingId,
+            text: String(text).trim(),
+            ...owner,
+            dueDate: due,
+            origin: 'manual',
+            createdBy: req.user._id,
+        });
+
+        res.status(201).json({ success: true, actionItem: formatActionItem(item) });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+        }
+        console.error('Create action item error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create action item' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   PUT /api/action-items/:id
+// @access  Private (host / co-host; the assignee may change the status)
+// ─────────────────────────────────────────────────────────────────────────────
+const updateActionItem = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Action item not found' });
+        }
+        const item = await ActionItem.findById(req.params.id);
+        if (!item) return res.status(404).json({ success: false, message: 'Action item not found' });
+
+        const meeting = await findMeeting(item.meetingId);
+        const canEdit = meeting && isModerator(resolveRole(meeting, req.user._id));
+        const isAssignee = item.assignee?.toString() === req.user._id.toString();
+
+        const { text, assignee, assigneeName, dueDate, status } = req.body;
+        const editsDetails = text !== undefined || assignee !== undefined || assigneeName !== undefined || dueDate !== undefined;
+
+        if (!canEdit && !(isAssignee && !editsDetails)) {
+            return res.status(403).json({ success: false, message: 'Not allowed to edit this action item' });
+        }
+
+        if (status !== undefined) {
+            if (!STATUSES.includes(status)) return res.status(400).json({ success: false, message: 'Invalid status' });
+            item.status = status;
+        }
+        if (text !== undefined) {
+            if (!String(text).trim()) return res.status(400).json({ success: false, message: 'Action item text is required' });
+            item.text = String(text).trim();
+        }
+        if (dueDate !== undefined) {
+            const due = toDueDate(dueDate);
+            if (due === undefined) return res.status(400).json({ success: false, message: 'Invalid due date' });
+            item.dueDate = due;
+        }
+        if (assignee !== undefined || assigneeName !== undefined) {
+            const owner = await resolveAssignee(meeting, assignee, assigneeName);
+            if (!owner) return res.status(400).json({ success: false, message: 'Assignee is not part of this meeting' });
+            Object.assign(item, owner);
+        }
+
+        // Kept when the summary is rebuilt
+        item.edited = true;
+        await item.save();
+
+        res.json({ success: true, actionItem: formatActionItem(item) });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+        }
+        console.error('Update action item error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update action item' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   DELETE /api/action-items/:id
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const deleteActionItem = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Action item not found' });
+        }
+        const item = await ActionItem.findById(req.params.id);
+        if (!item) return res.status(404).json({ success: false, message: 'Action item not found' });
+
+        const meeting = await findMeeting(item.meetingId);
+        if (!meeting || !isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only the host or a co-host can delete action items' });
+        }
+
+        await item.deleteOne();
+        res.json({ success: true, message: 'Action item deleted' });
+    } catch (error) {
+        console.error('Delete action item error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete action item' });
+    }
+};
+
+module.exports = {
+    getActionItems,
+    getMyActionItems,
+    createActionItem,
+    updateActionItem,
+    deleteActionItem,
+};
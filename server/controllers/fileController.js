@@ -0,0 +1,94 @@
+/**
+ * File Controller
+ * Files shared in the meeting chat: people in the live meeting (users and
+ * guests) upload a file, then share it with a chat-message over the socket
+ * (socket/chat.js). Downloads go through the links that come with the
+ * message, signed for the person they were sent to, and only while that person
+ * can still see the message (supports Range requests, like recording playback).
+ */
+
+const mongoose = require('mongoose');
+const SharedFile = require('../models/SharedFile');
+const { getStorage } = require('../services/storage');
+const { formatFile, saveSharedFile, verifyFileToken, canOpenSharedFile } = require('../services/fileService');
+const { getRoomParticipants } = require('../socket/roomState');
+const { isImageType } = require('../utils/fileTypes');
+const { parseRange } = require('../utils/httpRange');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/meetings/:meetingId/files
+// @body    multipart: file, thumbnail? (small preview of an image)
+// @access  Participants in the live meeting (JWT or X-Guest-Token)
+// ─────────────────────────────────────────────────────────────────────────────
+const uploadSharedFile = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const seat = (await getRoomParticipants(meetingId)).find((p) => String(p.userId) === req.participantId);
+        if (!seat) {
+            return res.status(403).json({ success: false, message: 'Only people in the meeting can share files' });
+        }
+
+        const file = await saveSharedFile(
+            meetingId,
+            { userId: req.participantId, userName: seat.userName },
+            req.files?.file?.[0],
+            req.files?.thumbnail?.[0]
+        );
+        res.status(201).json({ success: true, file: formatFile(file) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Upload shared file error:', error);
+        res.status(500).json({ success: false, message: 'Failed to upload the file' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/files/:id/content?token=&thumbnail=1
+// @access  Token from the chat message that shares the file, for a viewer who can still see it
+// ─────────────────────────────────────────────────────────────────────────────
+const streamSharedFile = async (req, res) => {
+    try {
+        const grant = verifyFileToken(req.query.token);
+        if (grant?.fileId !== req.params.id || !mongoose.isValidObjectId(req.params.id)) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired file link' });
+        }
+        const file = await SharedFile.findById(req.params.id);
+        if (file && !(await canOpenSharedFile(file, grant.viewerId))) {
+            return res.status(403).json({ success: false, message: 'You no longer have access to this file' });
+        }
+        const thumbnail = req.query.thumbnail === '1';
+        const key = thumbnail ? file?.thumbnailKey : file?.storageKey;
+        const stored = file?.messageId && key && (await getStorage().stat(key));
+        if (!stored) return res.status(404).json({ success: false, message: 'File not found' });
+
+        const range = req.headers.range ? parseRange(req.headers.range, stored.size) : { start: 0, end: stored.size - 1 };
+        if (!range) return res.status(416).set('Content-Range', `bytes */${stored.size}`).end();
+
+        // Images open in the browser; anything else is downloaded, never rendered on our origin
+        const disposition = isImageType(file.mimeType) ? 'inline' : 'attachment';
+        res.set({
+            'Content-Type': thumbnail ? 'image/jpeg' : file.mimeType,
+            'Content-Length': String(range.end - range.start + 1),
+            'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=3600',
+        });
+        if (req.headers.range) res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${stored.size}`);
+
+        const stream = getStorage().createReadStream(key, range);
+        stream.on('error', (err) => {
+            console.error('Shared file stream error:', err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Stream shared file error:', error);
+        res.status(500).json({ success: false, message: 'Failed to download the file' });
+    }
+};
+
+module.exports = {
+    uploadSharedFile,
+    streamSharedFile,
+};
@@ -0,0 +1,172 @@
+/**
+ * Import Controller
+ * Resumable chunked upload of a recorded meeting: start, send chunks (in any
+ * order, again after a dropped connection), complete → import-recording job
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Meeting = require('../models/Meeting');
+const Transcript = require('../models/Transcript');
+const Upload = require('../models/Upload');
+const UploadChunk = require('../models/UploadChunk');
+const User = require('../models/User');
+const { createImport, saveChunk, formatUpload, missingChunks } = require('../services/importService');
+const { enqueueJob, formatJob } = require('../services/jobQueue');
+const { JOB_TYPES } = require('../services/jobHandlers');
+
+// The uploader's own upload, or null
+const findUpload = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    const upload = await Upload.findById(req.params.id);
+    return upload && upload.createdBy.toString() === req.user._id.toString() ? upload : null;
+};
+
+const withJob = async (upload) => {
+    const job = upload.jobId ? await Job.findById(upload.jobId) : null;
+    return { ...formatUpload(upload), job: job ? formatJob(job) : null };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/imports
+// @body    { filename, size, mimeType, title?, recordedAt?, diarize? }
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+const startImport = async (req, res) => {
+    try {
+        const { filename, size, mimeType, title, recordedAt, diarize } = req.body;
+        const { upload, meeting } = await createImport(req.user, {
+            filename: String(filename || '').trim(),
+            size: Number(size),
+            mimeType: String(mimeType || '').toLowerCase(),
+            title,
+            recordedAt,
+            diarize: diarize === true || diarize === 'true',
+        });
+
+        res.status(201).json({ success: true, meetingId: meeting.meetingId, upload: formatUpload(upload) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Start import error:', error);
+        res.status(500).json({ success: false, message: 'Failed to start the import' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/imports?status=uploading
+// @access  Private – your imports, newest first (resume an interrupted upload)
+// ─────────────────────────────────────────────────────────────────────────────
+const listImports = async (req, res) => {
+    try {
+        const query = { createdBy: req.user._id };
+        if (req.query.status) query.status = String(req.query.status);
+        const uploads = await Upload.find(query).sort({ createdAt: -1 }).limit(20);
+        res.json({ success: true, imports: await Promise.all(uploads.map(withJob)) });
+    } catch (error) {
+        console.error('List imports error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch imports' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/imports/:id
+// @access  Private (uploader) – chunks still missing, job status and progress
+// ─────────────────────────────────────────────────────────────────────────────
+const getImport = async (req, res) => {
+    try {
+        const upload = await findUpload(req);
+        if (!upload) return res.status(404).json({ success: false, message: 'Import not found' });
+        res.json({ success: true, import: await withJob(upload) });
+    } catch (error) {
+        console.error('Get import error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch the import' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   PUT /api/imports/:id/chunks/:index   (body: raw bytes)
+// @access  Private (uploader)
+// ─────────────────────────────────────────────────────────────────────────────
+const uploadChunk = async (req, res) => {
+    try {
+        const upload = await findUpload(req);
+        if (!upload) return res.status(404).json({ success: false, message: 'Import not found' });
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, message: 'Send the chunk as application/octet-stream' });
+        }
+
+        const updated = await saveChunk(upload, Number(req.params.index), req.body);
+        res.json({ success: true, received: updated.received.length, missing: missingChunks(updated).length });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Upload chunk error:', error);
+        res.status(500).json({ success: false, message: 'Failed to store the chunk' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/imports/:id/complete
+// @access  Private (uploader) – also retries an import that failed
+// ─────────────────────────────────────────────────────────────────────────────
+const completeImport = async (req, res) => {
+    try {
+        const upload = await findUpload(req);
+        if (!upload) return res.status(404).json({ success: false, message: 'Import not found' });
+        if (!['uploading', 'failed'].includes(upload.status)) {
+            return res.status(409).json({ success: false, message: `The import is already ${upload.status}` });
+        }
+
+        const missing = missingChunks(upload);
+        if (missing.length) {
+            return res.status(400).json({ success: false, message: `${missing.length} chunk(s) still missing`, missing });
+        }
+
+        const job = await enqueueJob(JOB_TYPES.IMPORT_RECORDING, { uploadId: upload._id }, {
+            meetingId: upload.meetingId,
+            createdBy: req.user._id,
+        });
+        upload.status = 'processing';
+        upload.jobId = job._id;
+        upload.error = null;
+        await upload.save();
+
+        res.status(202).json({ success: true, message: 'Transcription queued', jobId: job._id, import: formatUpload(upload) });
+    } catch (error) {
+        console.error('Complete import error:', error);
+        res.status(500).json({ success: false, message: 'Failed to queue the import' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   DELETE /api/imports/:id
+// @access  Private (uploader) – abandons an upload and its meeting
+// ─────────────────────────────────────────────────────────────────────────────
+const cancelImport = async (req, res) => {
+    try {
+        const upload = await findUpload(req);
+        if (!upload) return res.status(404).json({ success: false, message: 'Import not found' });
+        if (!['uploading', 'failed'].includes(upload.status)) {
+            return res.status(409).json({ success: false, message: `Can't cancel an import that is ${upload.status}` });
+        }
+
+        const meeting = await Meeting.findOneAndDelete({ meetingId: upload.meetingId, source: 'imported' });
+        if (meeting) await User.findByIdAndUpdate(req.user._id, { $pull: { meetingsHosted: meeting._id } });
+        await Transcript.deleteMany({ meetingId: upload.meetingId });
+        await UploadChunk.deleteMany({ uploadId: upload._id });
+        await upload.deleteOne();
+
+        res.json({ success: true, message: 'Import cancelled' });
+    } catch (error) {
+        console.error('Cancel import error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel the import' });
+    }
+};
+
+module.exports = {
+    startImport,
+    listImports,
+    getImport,
+    uploadChunk,
+    completeImport,
+    cancelImport,
+};
@@ -0,0 +1,42 @@
+/**
+ * Job Controller
+ * Status of background jobs (summaries, chunk transcription, reports)
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Meeting = require('../models/Meeting');
+const { formatJob } = require('../services/jobQueue');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/jobs/:id
+// @access  Private (whoever queued it, or a member of its meeting)
+// ─────────────────────────────────────────────────────────────────────────────
+const getJob = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+
+        const isOwner = job.createdBy?.toString() === req.user._id.toString();
+        if (!isOwner) {
+            const meeting = job.meetingId
+                ? await Meeting.findOne({ meetingId: job.meetingId }).select('host participants roles').lean()
+                : null;
+            if (!isMeetingMember(meeting, req.user._id)) {
+                return res.status(403).json({ success: false, message: 'Not allowed to view this job' });
+            }
+        }
+
+        res.json({ success: true, job: formatJob(job) });
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch job' });
+    }
+};
+
+module.exports = { getJob };
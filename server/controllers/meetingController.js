@@ -5,7 +5,18 @@
 
 const Meeting = require('../models/Meeting');
 const User = require('../models/User');
-const { generateMeetingId } = require('../utils/meetingUtils');
+const { generateMeetingId, isMeetingMember } = require('../utils/meetingUtils');
+const { enqueueJob, getActiveJobs, formatJob } = require('../services/jobQueue');
+const { JOB_TYPES } = require('../services/jobHandlers');
+const { finishRecordings } = require('../services/recordingService');
+const { closeMeetingPolls, getMeetingPolls } = require('../services/pollService');
+const { getMeetingQuestions } = require('../services/qaService');
+const { finishAgenda, formatAgenda } = require('../services/notesService');
+const { readableMessages, formatMessage } = require('../services/chatService');
+const { startNextOccurrence } = require('../services/occurrenceService');
+const { removeUnsharedFiles } = require('../services/fileService');
+const { isModerator, resolveRole } = require('../socket/permissions');
+const { admitWaiting, rejectWaiting } = require('../socket/admission');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @route   POST /api/meetings/create
@@ -80,7 +91,7 @@ const joinMeeting = async (req, res) => {
         }
 
         // Fetch meeting WITH password field
-        const meeting = await Meeting.findOne({
+        let meeting = await Meeting.findOne({
             meetingId: meetingId.toUpperCase().trim(),
         }).select('+meetingPassword');
 
@@ -93,13 +104,21 @@ const joinMeeting = async (req, res) => {
             return res.status(410).json({ success: false, message: 'This meeting has expired.' });
         }
 
+        // Recurring series reuse one meetingId — the host or an invitee files the
+        // last occurrence and reopens it, around the time the next one is scheduled
+        if (meeting.status === 'ended' && meeting.recurrence?.freq) {
+            meeting = await startNextOccurrence(meeting, req.user?._id);
+        }
+
         // Check if ended
         if (meeting.status === 'ended') {
             return res.status(410).json({ success: false, message: 'This meeting has already ended.' });
         }
 
-        // Check if locked
-        if (meeting.isLocked) {
+        const role = req.user ? resolveRole(meeting, req.user._id) : 'attendee';
+
+        // Check if locked (host / co-hosts may still enter)
+        if (meeting.isLocked && !isModerator(role)) {
             return res.status(403).json({ success: false, message: 'This meeting is locked. No new participants can join.' });
         }
 
@@ -126,6 +145,8 @@ const joinMeeting = async (req, res) => {
         // Update status to active if still waiting
         if (meeting.status === 'waiting') {
             meeting.status = 'active';
+            // Scheduled meetings are created ahead of time — duration counts from the actual start
+            if (meeting.isScheduled) meeting.startTime = new Date();
             await meeting.save();
         }
 
@@ -152,10 +173,12 @@ const joinMeeting = async (req, res) => {
             meetingId: meeting.meetingId,
             title: meeting.title,
             hostId: meeting.host,
+            role,
             waitingRoomEnabled: meeting.waitingRoomEnabled,
             joinToken, // Used by Socket.io to verify authorized entry
         });
     } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
         console.error('Join meeting error:', error);
         res.status(500).json({ success: false, message: 'Failed to join meeting' });
     }
@@ -184,25 +207,29 @@ const endMeeting = async (req, res) => {
         meeting.status = 'ended';
         meeting.endTime = endTime;
         meeting.duration = duration;
+        finishAgenda(meeting, endTime);
         await meeting.save();
 
-        // Optionally trigger AI summary generation
-        try {
-            const { generateSummary } = require('../services/huggingfaceService');
-            if (meeting.transcript && meeting.transcript.length > 50) {
-                const summary = await generateSummary(meeting.transcript);
-                meeting.summary = summary;
-                await meeting.save();
-            }
-        } catch (aiErr) {
-            console.warn('AI summary failed (non-fatal):', aiErr.message);
-        }
+        // The host's browser normally stops its recording first; this catches a closed tab
+        await finishRecordings(req.app.get('io'), meetingId);
+        // Polls still open close with the meeting, so their results are final
+        await closeMeetingPolls(req.app.get('io'), meetingId);
+        // Uploads nobody shared in the chat won't be any more
+        await removeUnsharedFiles({ meetingId });
+
+        // Post-meeting processing runs in the background (services/jobQueue.js);
+        // the summary page shows it as "processing" until the jobs finish
+        const [summaryJob, reportJob] = await Promise.all([
+            enqueueJob(JOB_TYPES.SUMMARIZE_MEETING, { meetingId }, { meetingId, createdBy: req.user._id, unique: true }),
+            enqueueJob(JOB_TYPES.BUILD_REPORT, { meetingId }, { meetingId, createdBy: req.user._id, unique: true }),
+        ]);
 
         res.json({
             success: true,
             message: 'Meeting ended',
             duration,
             meetingId,
+            jobs: { summary: summaryJob._id, report: reportJob._id },
         });
     } catch (error) {
         console.error('End meeting error:', error);
@@ -212,14 +239,14 @@ const endMeeting = async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @route   POST /api/meetings/:meetingId/lock
-// @access  Private (host only)
+// @access  Private (host / co-host)
 // ─────────────────────────────────────────────────────────────────────────────
 const toggleLock = async (req, res) => {
     try {
         const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
-        if (meeting.host.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ success: false, message: 'Only host can lock meeting' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only host or co-hosts can lock meeting' });
         }
 
         meeting.isLocked = !meeting.isLocked;
@@ -231,26 +258,63 @@ const toggleLock = async (req, res) => {
     }
 };
 
+// Which waiting sockets a REST call targets: { socketId } | { userId } | { all: true }
+const waitingTarget = ({ socketId, userId, all } = {}) => {
+    if (all === true) return { all: true };
+    if (socketId) return { socketId: String(socketId) };
+    if (userId) return { userId: String(userId) };
+    return null;
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // @route   POST /api/meetings/:meetingId/approve-waiting
-// @access  Private (host only)
+// @access  Private (host / co-host)
 // ─────────────────────────────────────────────────────────────────────────────
 const approveWaiting = async (req, res) => {
     try {
-        const { userId } = req.body;
+        const target = waitingTarget(req.body);
+        if (!target) return res.status(400).json({ success: false, message: 'socketId, userId or all is required' });
+
         const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
-        if (meeting.host.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ success: false, message: 'Only host can approve' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only host or co-hosts can approve' });
         }
 
-        // Remove from waiting queue
-        meeting.waitingQueue = meeting.waitingQueue.filter(
-            (w) => w.userId.toString() !== userId.toString()
-        );
-        await meeting.save();
+        // Same path as the socket event: the waiting socket is admitted live
+        const admitted = await admitWaiting(req.app.get('io'), meeting.meetingId, target, { userId: req.user._id, userName: req.user.name });
+
+        res.json({
+            success: true,
+            message: admitted ? `${admitted} participant${admitted !== 1 ? 's' : ''} admitted` : 'No one matching is waiting',
+            admitted,
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/meetings/:meetingId/reject-waiting
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const rejectWaitingRequest = async (req, res) => {
+    try {
+        const target = waitingTarget(req.body);
+        if (!target) return res.status(400).json({ success: false, message: 'socketId, userId or all is required' });
+
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only host or co-hosts can deny' });
+        }
 
-        res.json({ success: true, message: 'Participant approved' });
+        const rejected = await rejectWaiting(req.app.get('io'), meeting.meetingId, target, req.body.message, {
+            userId: req.user._id,
+            userName: req.user.name,
+        });
+
+        res.json({ success: true, rejected });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -265,7 +329,7 @@ const getMeetingHistory = async (req, res) => {
         const user = await User.findById(req.user._id)
             .populate({
                 path: 'meetingsHosted',
-                select: 'meetingId title status startTime endTime duration participants',
+                select: 'meetingId title status source startTime endTime duration participants',
                 options: { sort: { createdAt: -1 }, limit: 20 },
             })
             .populate({
@@ -279,6 +343,7 @@ const getMeetingHistory = async (req, res) => {
             meetingId: m.meetingId,
             title: m.title,
             status: m.status,
+            source: m.source,
             startTime: m.startTime,
             duration: m.duration,
             hostName: isHosted ? req.user.name : m.host?.name,
@@ -298,17 +363,15 @@ const getMeetingHistory = async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @route   GET /api/meetings/:meetingId/summary
-// @access  Private
+// @access  Private (members, like /notes, /timeline and /whiteboard)
 // ─────────────────────────────────────────────────────────────────────────────
 const getMeetingSummary = async (req, res) => {
     try {
-        const meeting = await Meeting.findOne({
-            meetingId: req.params.meetingId,
-        }).populate('host participants', 'name email');
-
-        if (!meeting) {
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
+        if (!meeting || !isMeetingMember(meeting, req.user._id)) {
             return res.status(404).json({ success: false, message: 'Meeting not found' });
         }
+        await meeting.populate('host participants', 'name email');
 
         // Fetch analytics
         const Engagement = require('../models/Engagement');
@@ -325,6 +388,10 @@ const getMeetingSummary = async (req, res) => {
             contributionPercentage: Math.round(e.contributionPercentage),
         }));
 
+        // Without deleted messages and other people's direct messages
+        const chatMessages = readableMessages(meeting.chatMessages, req.user._id)
+            .map((m) => formatMessage(m, String(req.user._id)));
+
         res.json({
             success: true,
             meeting: {
@@ -333,14 +400,28 @@ const getMeetingSummary = async (req, res) => {
                 startTime: meeting.startTime,
                 endTime: meeting.endTime,
                 duration: meeting.duration,
+                host: meeting.host,
                 participants: meeting.participants,
-                chatMessages: meeting.chatMessages,
+                chatMessages,
+                breakoutRooms: meeting.breakoutRooms || [],
             },
+            // Launched polls and quizzes with their final results
+            polls: await getMeetingPolls(meeting.meetingId, { viewerId: req.user._id }),
+            questions: await getMeetingQuestions(meeting.meetingId),
+            // Files shared in the chat, with download links
+            attachments: chatMessages
+                .filter((m) => m.attachment)
+                .map((m) => ({ ...m.attachment, sharedBy: m.userName, private: !!m.to, timestamp: m.timestamp })),
+            // Shared notes as left at the end, and how far the agenda got
+            notes: meeting.notes?.text || '',
+            agenda: formatAgenda(meeting.agenda),
             summary: {
                 text: meeting.summary || '',
                 structured: meeting.summaryStructured || {},
                 transcript: meeting.transcript || '',
             },
+            // Summary / report still being built in the background
+            jobs: (await getActiveJobs(meeting.meetingId)).map(formatJob),
             analytics: {
                 engagements: formattedEngagements,
             },
@@ -375,6 +456,12 @@ const getMeetingInfo = async (req, res) => {
             isLocked: meeting.isLocked,
             waitingRoomEnabled: meeting.waitingRoomEnabled,
             participantCount: meeting.participants?.length || 0,
+            isScheduled: meeting.isScheduled,
+            scheduledStart: meeting.scheduledStart,
+            durationMinutes: meeting.durationMinutes,
+            timeZone: meeting.timeZone,
+            isRecurring: !!meeting.recurrence?.freq,
+            seriesId: meeting.seriesId,
         });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -387,6 +474,7 @@ module.exports = {
     endMeeting,
     toggleLock,
     approveWaiting,
+    rejectWaitingRequest,
     getMeetingHistory,
     getMeetingSummary,
     getMeetingInfo,
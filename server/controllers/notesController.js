@@ -0,0 +1,62 @@
+/**
+ * Notes Controller
+ * The meeting's shared notes and agenda outside the live room: read them
+ * (members), and prepare or change the agenda (host / co-hosts), before or
+ * during the meeting. Live editing happens over the socket (socket/notes.js).
+ */
+
+const Meeting = require('../models/Meeting');
+const { getNotes, updateAgenda } = require('../services/notesService');
+const { isModerator, resolveRole } = require('../socket/permissions');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/meetings/:meetingId/notes
+// @access  Private (meeting members)
+// ─────────────────────────────────────────────────────────────────────────────
+const getMeetingNotes = async (req, res) => {
+    try {
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
+        if (!meeting || !isMeetingMember(meeting, req.user._id)) {
+            return res.status(404).json({ success: false, message: 'Meeting not found' });
+        }
+
+        const { text, agenda } = await getNotes(meeting.meetingId);
+        res.json({
+            success: true,
+            canManage: isModerator(resolveRole(meeting, req.user._id)),
+            notes: { text, updatedAt: meeting.notes?.updatedAt || null },
+            agenda,
+        });
+    } catch (error) {
+        console.error('Get notes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch the notes' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   PUT /api/meetings/:meetingId/agenda
+// @body    { agenda: [{ id?, title, minutes }] } or { agenda: "Title 10\nTitle 5" }
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const updateMeetingAgenda = async (req, res) => {
+    try {
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only the host or a co-host can change the agenda' });
+        }
+        if (meeting.status === 'ended') {
+            return res.status(400).json({ success: false, message: 'Meeting has already ended' });
+        }
+
+        const agenda = await updateAgenda(req.app.get('io'), meeting.meetingId, req.body.agenda, { byName: req.user.name });
+        res.json({ success: true, agenda });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Update agenda error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update the agenda' });
+    }
+};
+
+module.exports = { getMeetingNotes, updateMeetingAgenda };
@@ -0,0 +1,121 @@
+/**
+ * Poll Controller
+ * Host / co-hosts prepare polls and quizzes before or during a meeting and
+ * edit or delete them; members list them with their results. Launching,
+ * closing and voting happen live over the socket (socket/polls.js).
+ */
+
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const Poll = require('../models/Poll');
+const {
+    formatPoll,
+    getMeetingPolls,
+    createPoll: addPoll,
+    updatePoll: editPoll,
+    deletePoll: removePoll,
+} = require('../services/pollService');
+const { isModerator, resolveRole } = require('../socket/permissions');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+// The poll and its meeting, if the user moderates that meeting
+const findModeratedPoll = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return {};
+    const poll = await Poll.findById(req.params.id);
+    const meeting = poll && (await Meeting.findOne({ meetingId: poll.meetingId }));
+    if (!meeting || !isModerator(resolveRole(meeting, req.user._id))) return {};
+    return { poll, meeting };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/polls
+// @body    { meetingId, question, type, options?, ratingMax?, anonymous?, correctOptions? }
+//          type: single | multiple | rating | text; correctOptions makes a quiz
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const createPoll = async (req, res) => {
+    try {
+        const meeting = await Meeting.findOne({ meetingId: String(req.body.meetingId || '') });
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only the host or a co-host can create polls' });
+        }
+        if (meeting.status === 'ended') {
+            return res.status(400).json({ success: false, message: 'Meeting has already ended' });
+        }
+
+        const poll = await addPoll(meeting, req.user, req.body);
+        res.status(201).json({ success: true, poll: formatPoll(poll, { viewerId: req.user._id, moderator: true }) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Create poll error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create the poll' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/polls?meetingId=
+// @access  Private (meeting members; drafts for host / co-hosts only)
+// ─────────────────────────────────────────────────────────────────────────────
+const listPolls = async (req, res) => {
+    try {
+        const meeting = await Meeting.findOne({ meetingId: String(req.query.meetingId || '') });
+        if (!meeting || !isMeetingMember(meeting, req.user._id)) {
+            return res.status(404).json({ success: false, message: 'Meeting not found' });
+        }
+
+        const moderator = isModerator(resolveRole(meeting, req.user._id));
+        res.json({
+            success: true,
+            canManage: moderator,
+            polls: await getMeetingPolls(meeting.meetingId, { viewerId: req.user._id, moderator }),
+        });
+    } catch (error) {
+        console.error('List polls error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch polls' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   PUT /api/polls/:id
+// @body    any field of POST /api/polls
+// @access  Private (host / co-host, drafts only)
+// ─────────────────────────────────────────────────────────────────────────────
+const updatePoll = async (req, res) => {
+    try {
+        const { poll } = await findModeratedPoll(req);
+        if (!poll) return res.status(404).json({ success: false, message: 'Poll not found' });
+
+        const updated = await editPoll(poll, req.body);
+        res.json({ success: true, poll: formatPoll(updated, { viewerId: req.user._id, moderator: true }) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Update poll error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update the poll' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   DELETE /api/polls/:id
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const deletePoll = async (req, res) => {
+    try {
+        const { poll } = await findModeratedPoll(req);
+        if (!poll) return res.status(404).json({ success: false, message: 'Poll not found' });
+
+        await removePoll(req.app.get('io'), poll);
+        res.json({ success: true, message: 'Poll deleted' });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Delete poll error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete the poll' });
+    }
+};
+
+module.exports = {
+    createPoll,
+    listPolls,
+    updatePoll,
+    deletePoll,
+};
@@ -0,0 +1,199 @@
+/**
+ * Recording Controller
+ * Host-side recording of a live meeting: start, append chunks in order, stop.
+ * Members of the meeting list the finished recordings and play them back
+ * through a token-signed media URL (supports Range requests for seeking).
+ */
+
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const Recording = require('../models/Recording');
+const { getStorage } = require('../services/storage');
+const {
+    formatRecording,
+    getRecordingState,
+    startRecording: beginRecording,
+    appendChunk,
+    stopRecording: endRecording,
+    deleteRecording: removeRecording,
+    issueMediaToken,
+    verifyMediaToken,
+} = require('../services/recordingService');
+const { isModerator, resolveRole } = require('../socket/permissions');
+const { isMeetingMember } = require('../utils/meetingUtils');
+const { parseRange } = require('../utils/httpRange');
+
+// The recording and its meeting, if the user moderates that meeting
+const findModeratedRecording = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return {};
+    const recording = await Recording.findById(req.params.id);
+    const meeting = recording && (await Meeting.findOne({ meetingId: recording.meetingId }));
+    if (!meeting || !isModerator(resolveRole(meeting, req.user._id))) return {};
+    return { recording, meeting };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/recordings
+// @body    { meetingId, mimeType, layout? }   layout: grid | speaker
+// @access  Private (host / co-host, live meeting)
+// ─────────────────────────────────────────────────────────────────────────────
+const startRecording = async (req, res) => {
+    try {
+        const { meetingId, mimeType, layout } = req.body;
+
+        const meeting = await Meeting.findOne({ meetingId });
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only the host or a co-host can record' });
+        }
+        if (meeting.status === 'ended') {
+            return res.status(400).json({ success: false, message: 'Meeting has already ended' });
+        }
+
+        const recording = await beginRecording(req.app.get('io'), meeting, req.user, { mimeType, layout });
+        res.status(201).json({ success: true, recording: formatRecording(recording) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Start recording error:', error);
+        res.status(500).json({ success: false, message: 'Failed to start recording' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   PUT /api/recordings/:id/chunks/:index   (body: raw bytes)
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const uploadChunk = async (req, res) => {
+    try {
+        const { recording } = await findModeratedRecording(req);
+        if (!recording) return res.status(404).json({ success: false, message: 'Recording not found' });
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, message: 'Send the chunk as application/octet-stream' });
+        }
+
+        const updated = await appendChunk(recording, Number(req.params.index), req.body);
+        res.json({ success: true, chunks: updated.chunks, size: updated.size });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message, expected: error.expected });
+        }
+        console.error('Recording chunk error:', error);
+        res.status(500).json({ success: false, message: 'Failed to store the chunk' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/recordings/:id/stop
+// @access  Private (host / co-host) – after the last chunk was sent
+// ─────────────────────────────────────────────────────────────────────────────
+const stopRecording = async (req, res) => {
+    try {
+        const { recording } = await findModeratedRecording(req);
+        if (!recording) return res.status(404).json({ success: false, message: 'Recording not found' });
+
+        const finished = await endRecording(req.app.get('io'), recording);
+        res.json({
+            success: true,
+            message: finished ? 'Recording saved' : 'Nothing was recorded',
+            recording: finished ? formatRecording(finished) : null,
+        });
+    } catch (error) {
+        console.error('Stop recording error:', error);
+        res.status(500).json({ success: false, message: 'Failed to stop recording' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/recordings?meetingId=
+// @access  Private (meeting members) – recordings with a playable mediaUrl
+// ─────────────────────────────────────────────────────────────────────────────
+const listRecordings = async (req, res) => {
+    try {
+        const meeting = await Meeting.findOne({ meetingId: String(req.query.meetingId || '') });
+        if (!meeting || !isMeetingMember(meeting, req.user._id)) {
+            return res.status(404).json({ success: false, message: 'Meeting not found' });
+        }
+
+        const recordings = await Recording.find({ meetingId: meeting.meetingId }).sort({ startedAt: 1 });
+        res.json({
+            success: true,
+            meetingStart: meeting.startTime,
+            canDelete: meeting.host.toString() === req.user._id.toString(),
+            state: await getRecordingState(meeting.meetingId),
+            recordings: recordings.map((r) => ({
+                ...formatRecording(r),
+                mediaUrl: r.status === 'completed'
+                    ? `/api/recordings/${r._id}/media?token=${issueMediaToken(r, req.user._id)}`
+                    : null,
+            })),
+        });
+    } catch (error) {
+        console.error('List recordings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch recordings' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/recordings/:id/media?token=
+// @access  Token from GET /api/recordings (a <video> element can't send headers)
+// ─────────────────────────────────────────────────────────────────────────────
+const streamRecording = async (req, res) => {
+    try {
+        if (verifyMediaToken(req.query.token) !== req.params.id) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired media link' });
+        }
+        const recording = await Recording.findById(req.params.id);
+        const stored = recording && (await getStorage().stat(recording.storageKey));
+        if (!stored) return res.status(404).json({ success: false, message: 'Recording not found' });
+
+        const range = req.headers.range ? parseRange(req.headers.range, stored.size) : { start: 0, end: stored.size - 1 };
+        if (!range) return res.status(416).set('Content-Range', `bytes */${stored.size}`).end();
+
+        res.set({
+            'Content-Type': recording.mimeType.split(';')[0],
+            'Content-Length': String(range.end - range.start + 1),
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=3600',
+        });
+        if (req.headers.range) res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${stored.size}`);
+
+        const stream = getStorage().createReadStream(recording.storageKey, range);
+        stream.on('error', (err) => {
+            console.error('Recording stream error:', err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Stream recording error:', error);
+        res.status(500).json({ success: false, message: 'Failed to play the recording' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   DELETE /api/recordings/:id
+// @access  Private (host only)
+// ─────────────────────────────────────────────────────────────────────────────
+const deleteRecording = async (req, res) => {
+    try {
+        const { recording, meeting } = await findModeratedRecording(req);
+        if (!recording) return res.status(404).json({ success: false, message: 'Recording not found' });
+        if (meeting.host.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ success: false, message: 'Only the host can delete a recording' });
+        }
+
+        await removeRecording(req.app.get('io'), recording);
+        res.json({ success: true, message: 'Recording deleted' });
+    } catch (error) {
+        console.error('Delete recording error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete the recording' });
+    }
+};
+
+module.exports = {
+    startRecording,
+    uploadChunk,
+    stopRecording,
+    listRecordings,
+    streamRecording,
+    deleteRecording,
+};
@@ -0,0 +1,316 @@
+/**
+ * scheduleController.js – Scheduled & recurring meetings, iCalendar feeds
+ */
+
+const crypto = require('crypto');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { generateMeetingId } = require('../utils/meetingUtils');
+const {
+    isValidTimeZone,
+    parseRRule,
+    toRRuleString,
+    zonedTimeToUtc,
+    expandOccurrences,
+    getSeriesEnd,
+} = require('../utils/recurrence');
+const { buildCalendar } = require('../utils/icalendar');
+const { cleanAgenda, formatAgenda } = require('../services/notesService');
+
+const EXPIRY_GRACE_MS = 24 * 60 * 60 * 1000; // Keep a series around 24h after its last occurrence
+
+/**
+ * Parse the requested start. A zone-less "2026-10-20T09:30" (what <input type="datetime-local">
+ * produces) is read as wall time in `timeZone`; anything else goes through Date.
+ */
+const parseStart = (value, timeZone) => {
+    if (!value) return null;
+    const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    const date = m
+        ? zonedTimeToUtc({ year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +(m[6] || 0) }, timeZone)
+        : new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+const toSeries = (meeting) => ({
+    start: meeting.scheduledStart,
+    durationMinutes: meeting.durationMinutes,
+    timeZone: meeting.timeZone,
+    recurrence: meeting.recurrence,
+});
+
+const getBaseUrl = (req) => process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/meetings/scheduled
+// @access  Private (JWT required)
+// ─────────────────────────────────────────────────────────────────────────────
+const scheduleMeeting = async (req, res) => {
+    try {
+        const {
+            title,
+            description,
+            startTime,
+            durationMinutes = 60,
+            timeZone = 'UTC',
+            recurrence,
+            password,
+            waitingRoomEnabled = false,
+            agenda,
+        } = req.body;
+
+        if (!isValidTimeZone(timeZone)) {
+            return res.status(400).json({ success: false, message: `Unknown time zone: ${timeZone}` });
+        }
+
+        const start = parseStart(startTime, timeZone);
+        if (!start) {
+            return res.status(400).json({ success: false, message: 'A valid startTime is required.' });
+        }
+
+        const duration = parseInt(durationMinutes, 10);
+        if (!Number.isInteger(duration) || duration < 5 || duration > 24 * 60) {
+            return res.status(400).json({ success: false, message: 'durationMinutes must be between 5 and 1440.' });
+        }
+
+        let rule = null;
+        try {
+            rule = parseRRule(recurrence);
+        } catch (ruleErr) {
+            return res.status(400).json({ success: false, message: ruleErr.message });
+        }
+
+        const series = { start, durationMinutes: duration, timeZone, recurrence: rule };
+        if (rule && expandOccurrences(series, { limit: 1 }).length === 0) {
+            return res.status(400).json({ success: false, message: 'Recurrence rule produces no occurrences.' });
+        }
+
+        const seriesEnd = getSeriesEnd(series);
+        if (seriesEnd && seriesEnd < new Date()) {
+            return res.status(400).json({ success: false, message: 'The meeting would end in the past.' });
+        }
+
+        // Agenda prepared with the invitation: items, or one "Title 10" per line
+        let agendaItems = [];
+        try {
+            agendaItems = agenda ? cleanAgenda(agenda) : [];
+        } catch (agendaErr) {
+            return res.status(400).json({ success: false, message: agendaErr.message });
+        }
+
+        const meetingData = {
+            meetingId: generateMeetingId(),
+            title: title || 'SmartMeet Session',
+            description: description || '',
+            host: req.user._id,
+            waitingRoomEnabled,
+            isScheduled: true,
+            scheduledStart: start,
+            startTime: start,
+            durationMinutes: duration,
+            timeZone,
+            recurrence: rule,
+            expiresAt: seriesEnd ? new Date(seriesEnd.getTime() + EXPIRY_GRACE_MS) : null,
+            agenda: agendaItems,
+        };
+
+        if (password && password.trim().length > 0) {
+            meetingData.meetingPassword = password.trim();
+        }
+
+        const meeting = await Meeting.create(meetingData);
+
+        await User.findByIdAndUpdate(req.user._id, {
+            $push: { meetingsHosted: meeting._id },
+        });
+
+        const baseUrl = getBaseUrl(req);
+
+        res.status(201).json({
+            success: true,
+            meetingId: meeting.meetingId,
+            title: meeting.title,
+            scheduledStart: meeting.scheduledStart,
+            durationMinutes: meeting.durationMinutes,
+            timeZone: meeting.timeZone,
+            rrule: toRRuleString(rule),
+            nextOccurrences: expandOccurrences(series, { from: new Date(), limit: 5 }),
+            isPasswordProtected: meeting.isPasswordProtected,
+            inviteLink: `${baseUrl}/join/${meeting.meetingId}`,
+            expiresAt: meeting.expiresAt,
+            agenda: formatAgenda(meeting.agenda),
+        });
+    } catch (error) {
+        console.error('Schedule meeting error:', error);
+        res.status(500).json({ success: false, message: 'Failed to schedule meeting' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/meetings/scheduled?days=14
+// @access  Private – upcoming occurrences of meetings the user hosts or joined
+// ─────────────────────────────────────────────────────────────────────────────
+const getScheduledMeetings = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const from = new Date();
+        const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+        const meetings = await Meeting.find({
+            isScheduled: true,
+            $or: [{ host: req.user._id }, { participants: req.user._id }],
+        }).populate('host', 'name');
+
+        const baseUrl = getBaseUrl(req);
+        const occurrences = meetings
+            .filter((m) => m.recurrence?.freq || m.status !== 'ended')
+            .flatMap((m) =>
+                expandOccurrences(toSeries(m), { from, to, limit }).map((occ) => ({
+                    meetingId: m.meetingId,
+                    title: m.title,
+                    description: m.description,
+                    start: occ.start,
+                    end: occ.end,
+                    occurrence: occ.index,
+                    timeZone: m.timeZone,
+                    isRecurring: !!m.recurrence?.freq,
+                    rrule: toRRuleString(m.recurrence),
+                    status: m.status,
+                    hostName: m.host?.name,
+                    isHost: m.host?._id?.toString() === req.user._id.toString(),
+                    inviteLink: `${baseUrl}/join/${m.meetingId}`,
+                    agendaItems: (m.agenda || []).length,
+                }))
+            )
+            .sort((a, b) => a.start - b.start)
+            .slice(0, limit);
+
+        res.json({ success: true, from, to, occurrences });
+    } catch (error) {
+        console.error('Scheduled meetings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch scheduled meetings' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   DELETE /api/meetings/scheduled/:meetingId
+// @access  Private (host only) – cancels the whole series
+// ─────────────────────────────────────────────────────────────────────────────
+const cancelScheduledMeeting = async (req, res) => {
+    try {
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId, isScheduled: true });
+        if (!meeting) return res.status(404).json({ success: false, message: 'Scheduled meeting not found' });
+        if (meeting.host.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ success: false, message: 'Only the host can cancel the meeting' });
+        }
+        if (meeting.status === 'active') {
+            return res.status(409).json({ success: false, message: 'The meeting is in progress. End it first.' });
+        }
+
+        await Meeting.deleteOne({ _id: meeting._id });
+        await User.updateMany(
+            { $or: [{ meetingsHosted: meeting._id }, { meetingsJoined: meeting._id }] },
+            { $pull: { meetingsHosted: meeting._id, meetingsJoined: meeting._id } }
+        );
+
+        res.json({ success: true, message: 'Meeting cancelled', meetingId: meeting.meetingId });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+const sendFeedUrl = async (req, res, reset) => {
+    try {
+        const user = await User.findById(req.user._id).select('+calendarToken');
+        if (!user.calendarToken || reset) {
+            user.calendarToken = crypto.randomBytes(24).toString('hex');
+            await user.save();
+        }
+
+        const feedUrl = `${getBaseUrl(req)}/api/calendar/${user._id}.ics?token=${user.calendarToken}`;
+        res.json({
+            success: true,
+            feedUrl,
+            webcalUrl: feedUrl.replace(/^https?:/, 'webcal:'),
+        });
+    } catch (error) {
+        console.error('Calendar feed URL error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create calendar feed URL' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/calendar/feed-url
+// @access  Private – returns (and lazily creates) the user's private feed URL
+// ─────────────────────────────────────────────────────────────────────────────
+const getCalendarFeedUrl = (req, res) => sendFeedUrl(req, res, false);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   POST /api/calendar/feed-url/reset
+// @access  Private – issues a new token, invalidating previously shared URLs
+// ─────────────────────────────────────────────────────────────────────────────
+const resetCalendarFeedUrl = (req, res) => sendFeedUrl(req, res, true);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/calendar/:userId.ics?token=...
+// @access  Public, gated by the per-user calendar token
+// ─────────────────────────────────────────────────────────────────────────────
+const getCalendarFeed = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { token } = req.query;
+
+        if (!token || !/^[a-f0-9]{24}$/i.test(userId)) {
+            return res.status(404).json({ success: false, message: 'Calendar not found' });
+        }
+
+        const user = await User.findById(userId).select('+calendarToken');
+        const expected = Buffer.from(user?.calendarToken || '');
+        const given = Buffer.from(String(token));
+        if (!user || expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return res.status(404).json({ success: false, message: 'Calendar not found' });
+        }
+
+        const meetings = await Meeting.find({
+            isScheduled: true,
+            $or: [{ host: user._id }, { participants: user._id }],
+        }).populate('host', 'name');
+
+        const baseUrl = getBaseUrl(req);
+        const ics = buildCalendar({
+            name: `SmartMeet – ${user.name}`,
+            events: meetings.map((m) => ({
+                uid: `${m.meetingId}@smartmeet`,
+                start: m.scheduledStart,
+                durationMinutes: m.durationMinutes,
+                timeZone: m.timeZone,
+                recurrence: m.recurrence,
+                summary: m.title,
+                description: [m.description, `Join: ${baseUrl}/join/${m.meetingId}`, `Meeting ID: ${m.meetingId}`]
+                    .filter(Boolean)
+                    .join('\n'),
+                url: `${baseUrl}/join/${m.meetingId}`,
+                organizerName: m.host?.name,
+                updatedAt: m.updatedAt,
+            })),
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `inline; filename="smartmeet-${user._id}.ics"`);
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(ics);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build calendar feed' });
+    }
+};
+
+module.exports = {
+    scheduleMeeting,
+    getScheduledMeetings,
+    cancelScheduledMeeting,
+    getCalendarFeedUrl,
+    resetCalendarFeedUrl,
+    getCalendarFeed,
+};
@@ -0,0 +1,40 @@
+/**
+ * Search Controller
+ * Full-text search across the meetings the user took part in
+ */
+
+const { SEARCH_TYPES, searchMeetings } = require('../services/searchService');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 50;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/search?q=budget&type=transcript,chat&limit=20&offset=0
+// @access  Private (only meetings you hosted, joined or hold a role in)
+// ─────────────────────────────────────────────────────────────────────────────
+const search = async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        if (q.length < 2 || q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({ success: false, message: `Search for 2 to ${MAX_QUERY_LENGTH} characters` });
+        }
+
+        const types = req.query.type
+            ? String(req.query.type).split(',').map((t) => t.trim()).filter(Boolean)
+            : SEARCH_TYPES;
+        if (types.some((t) => !SEARCH_TYPES.includes(t))) {
+            return res.status(400).json({ success: false, message: `type must be one of: ${SEARCH_TYPES.join(', ')}` });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const { total, results } = await searchMeetings(req.user._id, q, { types, limit, offset });
+        res.json({ success: true, query: q, total, limit, offset, results });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ success: false, message: 'Search failed' });
+    }
+};
+
+module.exports = { search };
@@ -0,0 +1,66 @@
+/**
+ * Timeline Controller
+ * Reports built from a meeting's event log:
+ *   timeline    for the replay page: presence, speaker turns, raised hands,
+ *               screen shares and recordings, in seconds from the start
+ *   attendance  who came, when, for how long (host / co-hosts; JSON or CSV)
+ */
+
+const Meeting = require('../models/Meeting');
+const { getTimeline } = require('../services/timelineService');
+const { getAttendance, attendanceToCsv } = require('../services/attendanceService');
+const { isModerator, resolveRole } = require('../socket/permissions');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/meetings/:meetingId/timeline
+// @access  Private (meeting members)
+// ─────────────────────────────────────────────────────────────────────────────
+const getMeetingTimeline = async (req, res) => {
+    try {
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
+        if (!meeting || !isMeetingMember(meeting, req.user._id)) {
+            return res.status(404).json({ success: false, message: 'Meeting not found' });
+        }
+
+        res.json({ success: true, meetingId: meeting.meetingId, timeline: await getTimeline(meeting) });
+    } catch (error) {
+        console.error('Get timeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch the timeline' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/meetings/:meetingId/attendance?format=json|csv
+// @access  Private (host / co-host)
+// ─────────────────────────────────────────────────────────────────────────────
+const getMeetingAttendance = async (req, res) => {
+    try {
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'Unsupported format. Use json or csv.' });
+        }
+
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
+        if (!meeting || !isMeetingMember(meeting, req.user._id)) {
+            return res.status(404).json({ success: false, message: 'Meeting not found' });
+        }
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only host or co-hosts can see attendance' });
+        }
+
+        const report = await getAttendance(meeting);
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${meeting.meetingId}-attendance.csv"`);
+            return res.send(attendanceToCsv(report));
+        }
+
+        res.json({ success: true, attendance: report });
+    } catch (error) {
+        console.error('Get attendance error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build the attendance report' });
+    }
+};
+
+module.exports = { getMeetingTimeline, getMeetingAttendance };
@@ -13,11 +13,21 @@ const fs = require('fs');
 const path = require('path');
 const Transcript = require('../models/Transcript');
 const Meeting = require('../models/Meeting');
-const { transcribeAudio } = require('../services/huggingfaceService');
+const User = require('../models/User');
+const { saveTranscriptSegment } = require('../services/transcriptService');
+const { enqueueJob } = require('../services/jobQueue');
+const { JOB_TYPES } = require('../services/jobHandlers');
+const { resolveFormat, exportTranscript } = require('../services/transcriptExportService');
+const { getSpeakerLabels, mapSpeakerLabel } = require('../services/speakerService');
+const { isModerator, resolveRole } = require('../socket/permissions');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+// Queued chunks are stored on the job document (MongoDB caps documents at 16MB)
+const MAX_QUEUED_AUDIO_BYTES = 12 * 1024 * 1024;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/transcribe
-// Upload audio blob → Hugging Face Whisper → save transcript
+// Upload audio blob → transcribe-chunk job → speech-to-text provider → save transcript
 // ─────────────────────────────────────────────────────────────────────────────
 const uploadAndTranscribe = async (req, res) => {
     console.log('[TranscriptCtrl] uploadAndTranscribe called');
@@ -28,7 +38,7 @@ const uploadAndTranscribe = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No audio file provided.' });
         }
 
-        const { meetingId, duration } = req.body;
+        const { meetingId, duration, breakoutId, diarize } = req.body;
         console.log(`[TranscriptCtrl] meetingId: ${meetingId}, file: ${req.file.filename}, size: ${req.file.size}B`);
 
         if (!meetingId) {
@@ -57,70 +67,34 @@ const uploadAndTranscribe = async (req, res) => {
             console.warn(`[TranscriptCtrl] User ${userId} not in participants list yet — allowing transcript`);
         }
 
-        // Read file from disk (multer diskStorage)
+        // Read file from disk (multer diskStorage); the job carries the audio so
+        // a worker on any instance can pick it up
         const audioBuffer = fs.readFileSync(req.file.path);
-        console.log(`[TranscriptCtrl] 🎤 Sending ${(audioBuffer.length / 1024).toFixed(1)}KB to Whisper`);
-
-        let transcriptionResult;
-        try {
-            transcriptionResult = await transcribeAudio(audioBuffer);
-            console.log('[TranscriptCtrl] Whisper result:', transcriptionResult);
-        } catch (hfErr) {
-            console.error('[TranscriptCtrl] ❌ Hugging Face error:', hfErr.message);
-            // Clean up file before returning
-            if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-            return res.status(502).json({
-                success: false,
-                message: `Hugging Face API error: ${hfErr.message}`,
-            });
-        }
-
-        // Clean up temp file
         if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
 
-        if (!transcriptionResult?.text?.trim()) {
-            console.log('[TranscriptCtrl] No speech detected in audio segment');
-            return res.status(200).json({ success: true, message: 'No speech detected.', transcript: null });
+        if (audioBuffer.length > MAX_QUEUED_AUDIO_BYTES) {
+            return res.status(413).json({
+                success: false,
+                message: `Audio chunks can be at most ${MAX_QUEUED_AUDIO_BYTES / 1024 / 1024}MB.`,
+            });
         }
 
-        const cleanText = transcriptionResult.text.trim();
-
-        // Save transcript segment
-        const transcript = await Transcript.create({
+        const job = await enqueueJob(JOB_TYPES.TRANSCRIBE_CHUNK, {
             meetingId,
             speakerId: req.user.id,
             speakerName: req.user.name,
-            text: cleanText,
+            duration: parseFloat(duration) || 0,
+            breakoutId: breakoutId || null,
+            mimeType: req.file.mimetype,
             timestamp: new Date(),
-            duration: parseFloat(duration) || transcriptionResult.duration || 0,
-            confidence: 1.0,
-            language: transcriptionResult.language || 'en',
-        });
+            // Shared room mic: split into speaker turns (DIARIZATION_PROVIDER)
+            diarize: diarize === 'true' || diarize === '1',
+        }, { meetingId, createdBy: req.user._id, data: audioBuffer });
 
-        // ── BUG FIX: Append to Meeting.transcript so it's readable at end of meeting
-        await Meeting.findOneAndUpdate(
-            { meetingId },
-            {
-                $set: {
-                    transcript: meeting.transcript
-                        ? meeting.transcript + '\n' + `${req.user.name}: ${cleanText}`
-                        : `${req.user.name}: ${cleanText}`
-                }
-            }
-        );
-
-        console.log(`[TranscriptCtrl] ✅ Transcript saved: ${transcript._id}`);
-
-        res.status(201).json({
-            success: true,
-            transcript: {
-                id: transcript._id,
-                speakerName: transcript.speakerName,
-                text: transcript.text,
-                timestamp: transcript.timestamp,
-                duration: transcript.duration,
-            },
-        });
+        console.log(`[TranscriptCtrl] 🎤 Queued ${(audioBuffer.length / 1024).toFixed(1)}KB for speech-to-text: job ${job._id}`);
+
+        // The text arrives later as `job-updated` (result.text) or via GET /api/jobs/:id
+        res.status(202).json({ success: true, message: 'Transcription queued.', jobId: job._id });
     } catch (error) {
         console.error('[TranscriptCtrl] uploadAndTranscribe error:', error);
         if (req.file && fs.existsSync(req.file.path)) {
@@ -138,7 +112,7 @@ const saveTextTranscript = async (req, res) => {
     console.log('[TranscriptCtrl] saveTextTranscript called, body:', JSON.stringify(req.body).slice(0, 200));
 
     try {
-        const { meetingId, text, duration, confidence, language } = req.body;
+        const { meetingId, text, duration, confidence, language, breakoutId } = req.body;
 
         if (!meetingId || !text) {
             return res.status(400).json({ success: false, message: 'meetingId and text are required.' });
@@ -154,36 +128,19 @@ const saveTextTranscript = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Meeting not found.' });
         }
 
-        const cleanText = text.trim();
-        const speakerName = req.user?.name || 'Unknown';
-
-        // Save individual transcript segment
-        const transcript = await Transcript.create({
-            meetingId,
+        // Save individual transcript segment (also appended to Meeting.transcript,
+        // which the AI summary is built from)
+        const transcript = await saveTranscriptSegment(meeting, {
             speakerId: req.user?.id,
-            speakerName,
-            text: cleanText,
-            timestamp: new Date(),
+            speakerName: req.user?.name || 'Unknown',
+            text,
             duration: duration || 0,
             confidence: confidence || 0.95,
             language: language || 'en',
+            breakoutId,
         });
 
-        // ── BUG FIX: Append to Meeting.transcript (was missing — meant no text
-        // was available for AI summarization at meeting end)
-        const newLine = `${speakerName}: ${cleanText}`;
-        await Meeting.findOneAndUpdate(
-            { meetingId },
-            {
-                $set: {
-                    transcript: meeting.transcript
-                        ? meeting.transcript + '\n' + newLine
-                        : newLine
-                }
-            }
-        );
-
-        console.log(`[TranscriptCtrl] ✅ Text transcript saved: "${cleanText.slice(0, 60)}..."`);
+        console.log(`[TranscriptCtrl] ✅ Text transcript saved: "${transcript.text.slice(0, 60)}..."`);
         res.status(201).json({ success: true, transcript });
     } catch (error) {
         console.error('[TranscriptCtrl] saveTextTranscript error:', error);
@@ -207,28 +164,14 @@ const generateMeetingSummary = async (req, res) => {
             return res.status(403).json({ success: false, message: 'Only the host can generate a summary.' });
         }
 
-        const transcripts = await Transcript.find({ meetingId }).sort({ timestamp: 1 });
-        const fullText = transcripts.map((t) => `${t.speakerName}: ${t.text}`).join('\n');
-
-        console.log(`[TranscriptCtrl] Generating summary for ${transcripts.length} segments (${fullText.length} chars)`);
-
-        const { generateSummary } = require('../services/huggingfaceService');
-        const result = await generateSummary(fullText);
-
-        await Meeting.findOneAndUpdate(
-            { meetingId },
-            {
-                summary: result.summary,
-                transcript: fullText,
-                summaryStructured: {
-                    keyPoints: result.keyPoints || [],
-                    actionItems: result.actionItems || [],
-                    decisions: result.decisions || [],
-                },
-            }
-        );
+        // Whole-meeting summary + one per breakout room, built by a background job
+        const job = await enqueueJob(JOB_TYPES.SUMMARIZE_MEETING, { meetingId }, {
+            meetingId,
+            createdBy: req.user._id,
+            unique: true,
+        });
 
-        res.status(200).json({ success: true, ...result });
+        res.status(202).json({ success: true, message: 'Summary generation queued.', jobId: job._id });
     } catch (error) {
         console.error('[TranscriptCtrl] generateMeetingSummary error:', error);
         res.status(500).json({ success: false, message: error.message || 'Summary generation failed.' });
@@ -237,12 +180,19 @@ const generateMeetingSummary = async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /api/transcripts/:meetingId
+// Timed segments of a meeting (meeting members only)
 // ─────────────────────────────────────────────────────────────────────────────
 const getTranscripts = async (req, res) => {
     try {
         const { meetingId } = req.params;
         console.log(`[TranscriptCtrl] getTranscripts for meeting: ${meetingId}`);
 
+        const meeting = await Meeting.findOne({ meetingId }).select('host participants roles').lean();
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found.' });
+        if (!isMeetingMember(meeting, req.user._id)) {
+            return res.status(403).json({ success: false, message: 'Not allowed to view this transcript.' });
+        }
+
         const transcripts = await Transcript.find({ meetingId })
             .sort({ timestamp: 1 })
             .populate('speakerId', 'name email');
@@ -254,4 +204,142 @@ const getTranscripts = async (req, res) => {
     }
 };
 
-module.exports = { uploadAndTranscribe, saveTextTranscript, generateMeetingSummary, getTranscripts };
+// ?from= / ?to= : seconds from meeting start, or "h:mm:ss" / "m:ss"
+const parseOffset = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const parts = String(value).split(':').map(Number);
+    if (parts.length > 3 || parts.some((n) => !Number.isFinite(n) || n < 0)) return null;
+    return parts.reduce((total, n) => total * 60 + n, 0);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/transcripts/:meetingId/export?format=srt|vtt|md|txt|docx|json
+//     &speaker=Alice,Bob&from=60&to=10:00&breakout=main|<breakoutId>
+// Download the transcript (meeting members only)
+// ─────────────────────────────────────────────────────────────────────────────
+const exportMeetingTranscript = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const { format = 'txt', speaker, from, to, breakout } = req.query;
+
+        if (!resolveFormat(format)) {
+            return res.status(400).json({ success: false, message: 'Unsupported format. Use srt, vtt, md, txt, docx or json.' });
+        }
+        const filters = {
+            speakers: speaker ? String(speaker).split(',').map((s) => s.trim()).filter(Boolean) : [],
+            from: parseOffset(from),
+            to: parseOffset(to),
+            breakout: breakout ? String(breakout) : undefined,
+        };
+        if (filters.from === null || filters.to === null) {
+            return res.status(400).json({ success: false, message: 'from / to must be seconds or h:mm:ss.' });
+        }
+
+        const meeting = await Meeting.findOne({ meetingId })
+            .select('meetingId title host participants roles startTime endTime breakoutRooms');
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found.' });
+        if (!isMeetingMember(meeting, req.user._id)) {
+            return res.status(403).json({ success: false, message: 'Not allowed to export this transcript.' });
+        }
+
+        const file = await exportTranscript(meeting, format, filters);
+        console.log(`[TranscriptCtrl] Exported ${file.count} segments of ${meetingId} as ${file.filename}`);
+
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    } catch (error) {
+        console.error('[TranscriptCtrl] exportMeetingTranscript error:', error);
+        res.status(500).json({ success: false, message: 'Failed to export transcript.' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/transcripts/:meetingId/speakers
+// Diarized speaker labels and who they're mapped to (meeting members only)
+// ─────────────────────────────────────────────────────────────────────────────
+const getSpeakers = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const meeting = await Meeting.findOne({ meetingId })
+            .select('host participants roles')
+            .populate('participants', 'name')
+            .lean();
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found.' });
+        if (!isMeetingMember(meeting, req.user._id)) {
+            return res.status(403).json({ success: false, message: 'Not allowed to view this transcript.' });
+        }
+
+        const host = await User.findById(meeting.host).select('name').lean();
+        const people = [host, ...meeting.participants].filter(Boolean);
+        const unique = [...new Map(people.map((p) => [p._id.toString(), { id: p._id.toString(), name: p.name }])).values()];
+
+        res.json({
+            success: true,
+            canEdit: isModerator(resolveRole(meeting, req.user._id)),
+            speakers: await getSpeakerLabels(meetingId),
+            participants: unique,
+        });
+    } catch (error) {
+        console.error('[TranscriptCtrl] getSpeakers error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve speakers.' });
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUT /api/transcripts/:meetingId/speakers
+// body: { mappings: [{ diarizationId, label, userId? | email? | name? }] }
+// Map speaker labels to registered users (by id or email; they become
+// participants) or guest names (host / co-host); none of them resets a label
+// ─────────────────────────────────────────────────────────────────────────────
+const mapSpeakers = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const { mappings } = req.body;
+
+        if (!Array.isArray(mappings) || mappings.length === 0) {
+            return res.status(400).json({ success: false, message: 'mappings must be a non-empty array.' });
+        }
+        if (mappings.some((m) => !m || !m.diarizationId || !m.label)) {
+            return res.status(400).json({ success: false, message: 'Every mapping needs a diarizationId and a label.' });
+        }
+
+        const meeting = await Meeting.findOne({ meetingId });
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found.' });
+        if (!isModerator(resolveRole(meeting, req.user._id))) {
+            return res.status(403).json({ success: false, message: 'Only the host or a co-host can map speakers.' });
+        }
+
+        const results = [];
+        for (const m of mappings) {
+            results.push(await mapSpeakerLabel(meeting, {
+                diarizationId: String(m.diarizationId),
+                label: String(m.label),
+                userId: m.userId ? String(m.userId) : null,
+                email: m.email ? String(m.email) : null,
+                name: m.name,
+            }));
+        }
+
+        // Ended meetings keep final scores / ranks: recompute them with the moved speaking time
+        if (meeting.status === 'ended') {
+            await enqueueJob(JOB_TYPES.BUILD_REPORT, { meetingId }, { meetingId, createdBy: req.user._id, unique: true });
+        }
+
+        res.json({ success: true, message: 'Speakers updated.', speakers: results });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('[TranscriptCtrl] mapSpeakers error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update speakers.' });
+    }
+};
+
+module.exports = {
+    uploadAndTranscribe,
+    saveTextTranscript,
+    generateMeetingSummary,
+    getTranscripts,
+    exportMeetingTranscript,
+    getSpeakers,
+    mapSpeakers,
+};
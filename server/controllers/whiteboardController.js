@@ -0,0 +1,46 @@
+/**
+ * Whiteboard Controller
+ * The meeting's shared whiteboard after (or during) the meeting: as JSON for
+ * the summary page, which also shows it as SVG, or as an SVG file download.
+ * Drawing itself happens live over the socket (socket/whiteboard.js).
+ */
+
+const Meeting = require('../models/Meeting');
+const { BOARD_WIDTH, BOARD_HEIGHT, getBoard, boardToSvg } = require('../services/whiteboardService');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @route   GET /api/meetings/:meetingId/whiteboard?format=json|svg
+// @access  Private (meeting members)
+// ─────────────────────────────────────────────────────────────────────────────
+const getMeetingWhiteboard = async (req, res) => {
+    try {
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!['json', 'svg'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'Unsupported format. Use json or svg.' });
+        }
+
+        const meeting = await Meeting.findOne({ meetingId: req.params.meetingId });
+        if (!meeting || !isMeetingMember(meeting, req.user._id)) {
+            return res.status(404).json({ success: false, message: 'Meeting not found' });
+        }
+
+        const elements = await getBoard(meeting.meetingId);
+        const svg = boardToSvg(elements);
+        if (format === 'svg') {
+            res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${meeting.meetingId}-whiteboard.svg"`);
+            return res.send(svg);
+        }
+
+        res.json({
+            success: true,
+            whiteboard: { width: BOARD_WIDTH, height: BOARD_HEIGHT, elements, svg: elements.length ? svg : null },
+        });
+    } catch (error) {
+        console.error('Get whiteboard error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch the whiteboard' });
+    }
+};
+
+module.exports = { getMeetingWhiteboard };
@@ -1,6 +1,7 @@
 /**
  * auth.js middleware – Updated
- * Adds: optionalAuth (allows guests without token)
+ * Adds: optionalAuth (allows guests without token),
+ *       participantAuth (users, or meeting guests by their guest token)
  */
 
 const jwt = require('jsonwebtoken');
@@ -52,6 +53,27 @@ const optionalAuth = async (req, res, next) => {
     next(); // Always continue
 };
 
+// ── Participant Auth: Logged-in user, or a guest by its guest token ───────────
+// Sets req.participantId the way the socket names people: user id or guest_<id>
+const participantAuth = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return protect(req, res, () => {
+            req.participantId = String(req.user._id);
+            next();
+        });
+    }
+
+    try {
+        const decoded = jwt.verify(String(req.headers['x-guest-token'] || ''), process.env.JWT_SECRET);
+        if (!decoded.guestId) throw new Error('Not a guest token');
+        req.participantId = `guest_${decoded.guestId}`;
+        next();
+    } catch {
+        return res.status(401).json({ success: false, message: 'Not authenticated. Please rejoin the meeting.' });
+    }
+};
+
 // ── Generate JWT ─────────────────────────────────────────────────────────────
 const generateToken = (userId) => {
     return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
@@ -59,4 +81,4 @@ const generateToken = (userId) => {
     });
 };
 
-module.exports = { protect, optionalAuth, generateToken };
+module.exports = { protect, optionalAuth, participantAuth, generateToken };
@@ -1,11 +1,13 @@
 /**
  * File Upload Middleware (Multer)
- * Handles audio file uploads for transcription
+ * Handles audio file uploads for transcription, and files shared in the
+ * meeting chat (kept in memory, then stored by services/fileService.js)
  */
 
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { sharedFileType, isImageType } = require('../utils/fileTypes');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '..', 'uploads');
@@ -59,13 +61,35 @@ const upload = multer({
     },
 });
 
+// ── Shared files (meeting chat) ───────────────────────────────────────────
+// "file" is the shared file, "thumbnail" an optional small preview of an image
+const sharedFileMaxMb = parseInt(process.env.SHARED_FILE_MAX_MB) || 25;
+
+const sharedFileFilter = (req, file, cb) => {
+    if (file.fieldname === 'thumbnail') {
+        return isImageType(file.mimetype) ? cb(null, true) : cb(new Error('The thumbnail must be an image.'), false);
+    }
+    if (sharedFileType(file.originalname, file.mimetype)) return cb(null, true);
+    cb(new Error(`Files of this type can't be shared: ${file.originalname}`), false);
+};
+
+const sharedFileUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: sharedFileFilter,
+    limits: {
+        fileSize: sharedFileMaxMb * 1024 * 1024,
+        files: 2, // The file and its thumbnail
+    },
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'thumbnail', maxCount: 1 }]);
+
 // ── Error handler for upload errors ─────────────────────────────────────
 const handleUploadError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
+            const maxMb = ['file', 'thumbnail'].includes(err.field) ? sharedFileMaxMb : process.env.MAX_FILE_SIZE_MB || 50;
             return res.status(400).json({
                 success: false,
-                message: `File too large. Max size is ${process.env.MAX_FILE_SIZE_MB || 50}MB`,
+                message: `File too large. Max size is ${maxMb}MB`,
             });
         }
         return res.status(400).json({ success: false, message: err.message });
@@ -76,4 +100,4 @@ const handleUploadError = (err, req, res, next) => {
     next();
 };
 
-module.exports = { upload, handleUploadError };
+module.exports = { upload, sharedFileUpload, handleUploadError };
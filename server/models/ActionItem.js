@@ -0,0 +1,74 @@
+/**
+ * ActionItem Model
+ * A follow-up task from a meeting: extracted from the transcript when the
+ * summary is built, or added / edited by the host on the summary page
+ */
+
+const mongoose = require('mongoose');
+
+const ActionItemSchema = new mongoose.Schema(
+    {
+        meetingId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        text: {
+            type: String,
+            required: [true, 'Action item text is required'],
+            trim: true,
+            maxlength: [500, 'Action item cannot exceed 500 characters'],
+        },
+        // Matched meeting participant (null = unassigned)
+        assignee: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true,
+        },
+        // Display name; also kept for guests, who have no account to link
+        assigneeName: {
+            type: String,
+            default: '',
+        },
+        dueDate: {
+            type: Date,
+            default: null,
+        },
+        status: {
+            type: String,
+            enum: ['open', 'in-progress', 'done'],
+            default: 'open',
+        },
+        // Transcript segment the item was extracted from (null for manual items)
+        source: {
+            transcriptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transcript', default: null },
+            speakerName: String,
+            timestamp: Date,
+            from: Number, // seconds from meeting start
+        },
+        // "extracted" items that nobody edited are replaced when the summary is rebuilt
+        origin: {
+            type: String,
+            enum: ['extracted', 'manual'],
+            default: 'manual',
+        },
+        edited: {
+            type: Boolean,
+            default: false,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ── "My action items" across meetings ─────────────────────────────────────
+ActionItemSchema.index({ assignee: 1, status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('ActionItem', ActionItemSchema);
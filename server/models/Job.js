@@ -0,0 +1,99 @@
+/**
+ * Job Model
+ * Background work (summaries, audio chunk transcription, reports) queued in
+ * MongoDB and picked up by the workers in services/jobQueue.js
+ */
+
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema(
+    {
+        // Handler name, e.g. "summarize-meeting"
+        type: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed'],
+            default: 'queued',
+        },
+        // Meeting the job belongs to (status updates go to its watchers)
+        meetingId: {
+            type: String,
+            default: null,
+            index: true,
+        },
+        // Queued with `unique`: only one such job of this type per meeting may
+        // be queued / running (index below); unset once it finishes
+        singleton: {
+            type: Boolean,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Handler input (JSON)
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        // Binary input, e.g. an audio chunk – dropped once the job finishes
+        data: {
+            type: Buffer,
+            select: false,
+        },
+        // Handler output (JSON)
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        // Long jobs report how far they got, e.g. { done: 3, total: 12 }
+        progress: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+            min: 1,
+        },
+        // Times the handler put the job off (deferJob); these are not attempts
+        deferrals: {
+            type: Number,
+            default: 0,
+        },
+        // Not picked up before this (retry backoff)
+        runAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lockedAt: Date,
+        lockedBy: String,
+        lastError: String,
+        completedAt: Date,
+        // Finished jobs are removed after a while (TTL)
+        expiresAt: {
+            type: Date,
+            default: null,
+            index: { expires: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ── Worker claim: next due job ────────────────────────────────────────────
+JobSchema.index({ status: 1, runAt: 1 });
+
+// ── enqueueJob unique: one queued / running job per type and meeting ──────
+JobSchema.index({ type: 1, meetingId: 1 }, { unique: true, partialFilterExpression: { singleton: true } });
+
+module.exports = mongoose.model('Job', JobSchema);
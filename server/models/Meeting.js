@@ -1,11 +1,40 @@
 /**
  * Meeting Model – Upgraded
- * Adds: password protection, invite links, expiry, waiting room, lock
+ * Adds: password protection, invite links, expiry, waiting room, lock,
+ *       scheduled start + recurrence (RRULE subset), breakout rooms,
+ *       agenda and shared notes, rich chat (direct messages, threads,
+ *       edits, deletes, reactions, mentions)
  */
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// ── Recurrence rule (normalized RRULE, see utils/recurrence.js) ─────────────
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    freq: { type: String, enum: ['DAILY', 'WEEKLY', 'MONTHLY'], required: true },
+    interval: { type: Number, default: 1, min: 1 },
+    count: { type: Number, min: 1 },
+    until: { type: Date },
+    byDay: [String],      // e.g. ['MO', 'WE'] or ['1MO'] for monthly
+    byMonthDay: [Number], // e.g. [15] or [-1] for the last day
+  },
+  { _id: false }
+);
+
+// ── Summary bullet with the transcript range it came from (summaryService) ──
+const HighlightSchema = new mongoose.Schema(
+  {
+    text: String,
+    speakers: [String],
+    start: Date,
+    end: Date,
+    from: Number, // seconds from meeting start
+    to: Number,
+  },
+  { _id: false }
+);
+
 const MeetingSchema = new mongoose.Schema(
   {
     meetingId: {
@@ -29,6 +58,22 @@ const MeetingSchema = new mongoose.Schema(
       required: true,
     },
 
+    // ── Roles (everyone not listed is an attendee) ────────────────────────
+    roles: [
+      {
+        _id: false,
+        userId: { type: String, required: true }, // String so guests can hold a role too
+        userName: String,
+        role: { type: String, enum: ['co-host', 'presenter', 'viewer'], required: true },
+      },
+    ],
+
+    attendeePermissions: {
+      canUnmute: { type: Boolean, default: true },
+      canShareScreen: { type: Boolean, default: true },
+      canDrawWhiteboard: { type: Boolean, default: true },
+    },
+
     // ── Password Protection ───────────────────────────────────────────────
     isPasswordProtected: {
       type: Boolean,
@@ -55,6 +100,13 @@ const MeetingSchema = new mongoose.Schema(
       default: 'waiting',
     },
 
+    // "imported" = created from an uploaded recording (routes/imports.js), never live
+    source: {
+      type: String,
+      enum: ['live', 'imported'],
+      default: 'live',
+    },
+
     isLocked: {
       type: Boolean,
       default: false, // Locked = no new joins allowed
@@ -66,14 +118,64 @@ const MeetingSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Mirror of the live queue; userId is a User id or a "guest_<uuid>" id
     waitingQueue: [
       {
-        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        userId: String,
         userName: String,
+        socketId: String,
         requestedAt: { type: Date, default: Date.now },
       },
     ],
 
+    waitingRoomMessage: {
+      type: String,
+      trim: true,
+      maxlength: 280,
+      default: '', // Shown to people in the waiting room (set by host / co-hosts)
+    },
+
+    // ── Scheduling ────────────────────────────────────────────────────────
+    isScheduled: {
+      type: Boolean,
+      default: false, // false = ad-hoc room that starts "now"
+    },
+
+    scheduledStart: {
+      type: Date, // First occurrence (UTC instant)
+    },
+
+    durationMinutes: {
+      type: Number,
+      default: 60,
+      min: 5,
+      max: 24 * 60,
+    },
+
+    timeZone: {
+      type: String,
+      default: 'UTC', // IANA zone the series repeats in (keeps wall time across DST)
+    },
+
+    recurrence: {
+      type: RecurrenceSchema,
+      default: null, // null = one-off meeting
+    },
+
+    // Set on a past occurrence of a recurring series: the series' meetingId
+    // (services/occurrenceService.js)
+    seriesId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    description: {
+      type: String,
+      default: '',
+      maxlength: 1000,
+    },
+
     // ── Timing ────────────────────────────────────────────────────────────
     startTime: {
       type: Date,
@@ -89,7 +191,7 @@ const MeetingSchema = new mongoose.Schema(
       default: 0,
     },
 
-    // Auto-expire after X hours (null = no expiry)
+    // Auto-expire after X hours (null = no expiry, e.g. open-ended recurring series)
     expiresAt: {
       type: Date,
       default: () => new Date(Date.now() + 24 * 60 * 60 * 1000), // 24h default
@@ -111,6 +213,8 @@ const MeetingSchema = new mongoose.Schema(
       decisions: [String],
       actionItems: [String],
       keyPoints: [String],
+      // Summary bullets, each citing the transcript range it came from
+      highlights: [HighlightSchema],
     },
 
     engagementScores: {
@@ -125,12 +229,89 @@ const MeetingSchema = new mongoose.Schema(
       default: {},
     },
 
+    // ── Breakout Rooms ────────────────────────────────────────────────────
+    breakoutRooms: [
+      {
+        breakoutId: String,
+        name: String,
+        openedAt: Date,
+        closedAt: Date,
+        participants: [String], // Names of everyone who spent time in the room
+        summary: { type: String, default: '' },
+        summaryStructured: {
+          decisions: [String],
+          actionItems: [String],
+          keyPoints: [String],
+          highlights: [HighlightSchema],
+        },
+      },
+    ],
+
+    // ── Agenda (prepared by the host, worked through live) ────────────────
+    agenda: [
+      {
+        title: { type: String, required: true, trim: true, maxlength: 200 },
+        minutes: { type: Number, default: 5, min: 1, max: 480 }, // Time box
+        status: { type: String, enum: ['pending', 'active', 'done', 'skipped'], default: 'pending' },
+        startedAt: Date,
+        endedAt: Date,
+      },
+    ],
+    // Bumped on every agenda write; writes are conditional on it
+    agendaRevision: { type: Number, default: 0 },
+
+    // ── Shared notes (edited live, see services/notesService.js) ──────────
+    notes: {
+      text: { type: String, default: '' },
+      revision: { type: Number, default: 0 },
+      // Last edits, so an edit made on an older revision can still be merged
+      history: [
+        {
+          _id: false,
+          revision: Number,
+          ops: [mongoose.Schema.Types.Mixed],
+        },
+      ],
+      updatedAt: Date,
+    },
+
     // ── Chat ──────────────────────────────────────────────────────────────
+    // Bytes of the files shared in the chat, against SHARED_FILES_MEETING_MB
+    // (services/fileService.js)
+    sharedFileBytes: {
+      type: Number,
+      default: 0,
+    },
+
+    // Each message keeps its _id as the message ID (edits, replies, reactions)
     chatMessages: [
       {
-        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        userId: String, // User id, or guest_<id>
         userName: String,
         message: String,
+        breakoutId: { type: String, default: null }, // null = main room
+        // Direct message: only the sender and the recipient see it
+        recipientId: { type: String, default: null },
+        recipientName: String,
+        replyTo: { type: mongoose.Schema.Types.ObjectId, default: null }, // Thread: the first message
+        mentions: [{ _id: false, userId: String, userName: String }],
+        reactions: [{ _id: false, emoji: String, userId: String, userName: String }],
+        // Shared file (models/SharedFile.js); the text is then optional
+        attachment: {
+          type: {
+            _id: false,
+            fileId: mongoose.Schema.Types.ObjectId,
+            name: String,
+            mimeType: String,
+            size: Number,
+            image: Boolean,
+            hasThumbnail: Boolean,
+          },
+          default: null,
+        },
+        editedAt: Date,
+        deletedAt: Date,
+        deletedByName: String, // Set when a moderator removed someone else's message
         timestamp: { type: Date, default: Date.now },
       },
     ],
@@ -143,6 +324,14 @@ const MeetingSchema = new mongoose.Schema(
 // ── Indexes ─────────────────────────────────────────────────────────────────
 MeetingSchema.index({ host: 1, status: 1 });
 MeetingSchema.index({ meetingId: 1, isLocked: 1 });
+MeetingSchema.index({ isScheduled: 1, host: 1 });
+MeetingSchema.index({ isScheduled: 1, participants: 1 });
+
+// Full-text search (GET /api/search); MongoDB allows one text index per collection
+MeetingSchema.index(
+  { title: 'text', description: 'text', summary: 'text', 'chatMessages.message': 'text' },
+  { name: 'meeting_search', weights: { title: 5, description: 2, summary: 2, 'chatMessages.message': 1 } }
+);
 
 // ── Instance method: Compare meeting password ────────────────────────────────
 MeetingSchema.methods.comparePassword = async function (candidatePassword) {
@@ -0,0 +1,75 @@
+/**
+ * MeetingEvent Model
+ * One thing that happened in a live meeting, at a point in time: someone
+ * asked to get in, was admitted or turned away, joined or left, started /
+ * stopped speaking, raised a hand, shared a screen, the recording started...
+ * Written by the socket handlers as an append-only log, read back as the
+ * meeting timeline (services/timelineService.js) and the attendance report
+ * (services/attendanceService.js).
+ */
+
+const mongoose = require('mongoose');
+
+const MeetingEventSchema = new mongoose.Schema(
+    {
+        meetingId: {
+            type: String,
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: [
+                'waiting',
+                'waiting-left',
+                'admitted',
+                'rejected',
+                'join',
+                'leave',
+                'speaking-start',
+                'speaking-stop',
+                'hand-raise',
+                'hand-lower',
+                'screen-share-start',
+                'screen-share-stop',
+                'recording-start',
+                'recording-stop',
+            ],
+            required: true,
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+        // Account id, or "guest_<uuid>" for guests
+        userId: {
+            type: String,
+            default: null,
+        },
+        userName: {
+            type: String,
+            default: '',
+        },
+        // Pairs start / stop events of one connection (a user may have two tabs)
+        socketId: {
+            type: String,
+            default: null,
+        },
+        breakoutId: {
+            type: String,
+            default: null,
+        },
+        // Type-specific details, e.g. { reason: 'removed', byName } on leave
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+    },
+    {
+        // `at` is the event time; no updatedAt on an append-only log
+        timestamps: false,
+    }
+);
+
+MeetingEventSchema.index({ meetingId: 1, at: 1 });
+
+module.exports = mongoose.model('MeetingEvent', MeetingEventSchema);
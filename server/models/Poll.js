@@ -0,0 +1,116 @@
+/**
+ * Poll Model
+ * A poll or quiz of a meeting. Host / co-hosts prepare it (draft), launch it
+ * live and close it; participants answer once each (they may change their
+ * answer while it is open). Responses keep the voter's id even when the poll
+ * is anonymous, so nobody votes twice; names are only shown on named polls.
+ *   single / multiple   choose one / several options
+ *   rating              1..ratingMax
+ *   text                free text
+ * A choice poll with correctOptions is a quiz: the answer is revealed on close.
+ */
+
+const mongoose = require('mongoose');
+
+const ResponseSchema = new mongoose.Schema(
+    {
+        // Account id, or "guest_<uuid>" for guests
+        userId: {
+            type: String,
+            required: true,
+        },
+        userName: {
+            type: String,
+            default: '',
+        },
+        choices: {
+            type: [Number], // Option indexes (single / multiple)
+            default: undefined,
+        },
+        rating: {
+            type: Number,
+            default: null,
+        },
+        text: {
+            type: String,
+            default: '',
+            maxlength: 1000,
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const PollSchema = new mongoose.Schema(
+    {
+        meetingId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        createdByName: {
+            type: String,
+            default: '',
+        },
+        question: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 300,
+        },
+        type: {
+            type: String,
+            enum: ['single', 'multiple', 'rating', 'text'],
+            default: 'single',
+        },
+        options: {
+            type: [String],
+            default: [],
+        },
+        ratingMax: {
+            type: Number,
+            default: 5,
+            min: 2,
+            max: 10,
+        },
+        anonymous: {
+            type: Boolean,
+            default: false,
+        },
+        // Quiz answer key (option indexes); empty = plain poll
+        correctOptions: {
+            type: [Number],
+            default: [],
+        },
+        status: {
+            type: String,
+            enum: ['draft', 'live', 'closed'],
+            default: 'draft',
+        },
+        launchedAt: {
+            type: Date,
+            default: null,
+        },
+        closedAt: {
+            type: Date,
+            default: null,
+        },
+        responses: {
+            type: [ResponseSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model('Poll', PollSchema);
@@ -0,0 +1,74 @@
+/**
+ * Question Model
+ * A question asked in a meeting's Q&A panel. Attendees ask (optionally
+ * anonymously) and upvote; the host / co-hosts moderate:
+ *   open       waiting in the queue (sorted by upvotes)
+ *   live       promoted: being asked out loud right now (one at a time)
+ *   answered   done, with an optional written answer
+ *   dismissed  hidden from attendees
+ * The author's id is kept on anonymous questions (their own UI needs it), but
+ * their name is never shown.
+ */
+
+const mongoose = require('mongoose');
+
+const QuestionSchema = new mongoose.Schema(
+    {
+        meetingId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        // Account id, or "guest_<uuid>" for guests
+        userId: {
+            type: String,
+            required: true,
+        },
+        userName: {
+            type: String,
+            default: '',
+        },
+        anonymous: {
+            type: Boolean,
+            default: false,
+        },
+        text: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 500,
+        },
+        // Ids of everyone who upvoted (one vote each)
+        upvotes: {
+            type: [String],
+            default: [],
+        },
+        status: {
+            type: String,
+            enum: ['open', 'live', 'answered', 'dismissed'],
+            default: 'open',
+        },
+        answer: {
+            type: String,
+            default: '',
+            maxlength: 1000,
+        },
+        answeredByName: {
+            type: String,
+            default: null,
+        },
+        answeredAt: {
+            type: Date,
+            default: null,
+        },
+        promotedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model('Question', QuestionSchema);
@@ -0,0 +1,88 @@
+/**
+ * Recording Model
+ * A meeting recording made in the host's browser (composited video + mixed
+ * audio) and uploaded in order while it runs. The bytes live in file storage
+ * (services/storage) under storageKey; this document tracks the upload.
+ */
+
+const mongoose = require('mongoose');
+
+const RecordingSchema = new mongoose.Schema(
+    {
+        meetingId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        startedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        startedByName: {
+            type: String,
+            default: '',
+        },
+        status: {
+            type: String,
+            enum: ['recording', 'completed', 'failed'],
+            default: 'recording',
+        },
+        // What the browser composites: every tile, or only the active speaker
+        layout: {
+            type: String,
+            enum: ['grid', 'speaker'],
+            default: 'grid',
+        },
+        mimeType: {
+            type: String,
+            required: true,
+        },
+        storageKey: {
+            type: String,
+            required: true,
+        },
+        // Bytes and chunks stored so far (chunks are appended strictly in order)
+        size: {
+            type: Number,
+            default: 0,
+        },
+        chunks: {
+            type: Number,
+            default: 0,
+        },
+        // Set while the next chunk is being written (services/recordingService.js)
+        writingAt: {
+            type: Date,
+            default: null,
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        endedAt: {
+            type: Date,
+            default: null,
+        },
+        // Seconds
+        duration: {
+            type: Number,
+            default: 0,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// At most one recording runs per meeting
+RecordingSchema.index(
+    { meetingId: 1 },
+    { unique: true, partialFilterExpression: { status: 'recording' }, name: 'one_active_recording' }
+);
+
+module.exports = mongoose.model('Recording', RecordingSchema);
@@ -0,0 +1,59 @@
+/**
+ * SharedFile Model
+ * A file shared in a meeting's chat (PDF, image, slides, ...). The bytes live
+ * in file storage (services/storage) under storageKey, images also get a small
+ * thumbnail made by the uploader's browser. A file is uploaded first, then
+ * attached to one chat message (messageId), which decides who may see it.
+ */
+
+const mongoose = require('mongoose');
+
+const SharedFileSchema = new mongoose.Schema(
+    {
+        meetingId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        // User id, or guest_<id>
+        uploadedBy: {
+            type: String,
+            required: true,
+        },
+        uploadedByName: {
+            type: String,
+            default: '',
+        },
+        name: {
+            type: String,
+            required: true,
+            maxlength: 200,
+        },
+        mimeType: {
+            type: String,
+            required: true,
+        },
+        size: {
+            type: Number,
+            required: true,
+        },
+        storageKey: {
+            type: String,
+            required: true,
+        },
+        thumbnailKey: {
+            type: String,
+            default: null,
+        },
+        // Chat message the file was shared in; null until it is posted
+        messageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model('SharedFile', SharedFileSchema);
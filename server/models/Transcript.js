@@ -13,11 +13,11 @@ const TranscriptSchema = new mongoose.Schema(
             required: true,
             index: true,
         },
-        // Reference to the speaker
+        // Reference to the speaker (null for guests, who can speak in streaming mode)
         speakerId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true,
+            default: null,
             index: true,
         },
         speakerName: {
@@ -52,6 +52,39 @@ const TranscriptSchema = new mongoose.Schema(
             type: String,
             default: 'en',
         },
+        // Word timings from the speech-to-text provider (seconds from `timestamp`)
+        words: [
+            {
+                _id: false,
+                word: String,
+                start: Number,
+                end: Number,
+                confidence: { type: Number, default: null },
+            },
+        ],
+        // ── Diarization (several people on one audio stream) ─────────────────
+        // "Speaker 2" as labelled by the run; kept after the host maps it to a person
+        speakerLabel: {
+            type: String,
+            default: null,
+        },
+        // The run the label belongs to (labels of different runs are unrelated)
+        diarizationId: {
+            type: String,
+            default: null,
+        },
+        // User whose Engagement.speakingTime includes this segment (the uploader's
+        // microphone metered it); moved when the label is mapped to someone else
+        creditedTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Breakout room the segment was spoken in (null = main room)
+        breakoutId: {
+            type: String,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -61,5 +94,10 @@ const TranscriptSchema = new mongoose.Schema(
 // ── Compound index for fast meeting transcript retrieval ──────────────────
 TranscriptSchema.index({ meetingId: 1, timestamp: 1 });
 TranscriptSchema.index({ meetingId: 1, speakerId: 1 });
+TranscriptSchema.index({ meetingId: 1, breakoutId: 1 });
+TranscriptSchema.index({ meetingId: 1, diarizationId: 1, speakerLabel: 1 });
+
+// ── Full-text search (GET /api/search) ─────────────────────────────────────
+TranscriptSchema.index({ text: 'text' }, { name: 'transcript_search' });
 
 module.exports = mongoose.model('Transcript', TranscriptSchema);
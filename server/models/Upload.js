@@ -0,0 +1,84 @@
+/**
+ * Upload Model
+ * A resumable, chunked upload of a recorded meeting (audio or video). The
+ * chunks live in UploadChunk until the import job has transcribed the file.
+ */
+
+const mongoose = require('mongoose');
+
+const UploadSchema = new mongoose.Schema(
+    {
+        // The "imported" meeting the recording becomes
+        meetingId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        filename: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 255,
+        },
+        mimeType: {
+            type: String,
+            required: true,
+        },
+        // Bytes
+        size: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        chunkSize: {
+            type: Number,
+            required: true,
+        },
+        totalChunks: {
+            type: Number,
+            required: true,
+        },
+        // Chunk indexes stored so far (a resumed upload sends the rest)
+        received: {
+            type: [Number],
+            default: [],
+        },
+        // Split shared-mic audio into speakers (DIARIZATION_PROVIDER)
+        diarize: {
+            type: Boolean,
+            default: false,
+        },
+        status: {
+            type: String,
+            enum: ['uploading', 'processing', 'completed', 'failed'],
+            default: 'uploading',
+        },
+        // The import-recording job (progress is reported on the job)
+        jobId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Job',
+            default: null,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        // Abandoned uploads are removed (TTL), with the same lifetime as the meeting
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+            index: { expires: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model('Upload', UploadSchema);
@@ -0,0 +1,40 @@
+/**
+ * UploadChunk Model
+ * One piece of a chunked upload (models/Upload.js). Kept in MongoDB so any
+ * instance can receive chunks and any job worker can assemble the file.
+ */
+
+const mongoose = require('mongoose');
+
+const UploadChunkSchema = new mongoose.Schema(
+    {
+        uploadId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Upload',
+            required: true,
+        },
+        index: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        data: {
+            type: Buffer,
+            required: true,
+        },
+        // Removed with the upload if it is never finished (TTL)
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+            index: { expires: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A re-sent chunk replaces the earlier copy
+UploadChunkSchema.index({ uploadId: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model('UploadChunk', UploadChunkSchema);
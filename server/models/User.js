@@ -62,6 +62,12 @@ const UserSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        // Secret for the iCalendar feed URL (calendar apps can't send a JWT)
+        calendarToken: {
+            type: String,
+            select: false,
+            index: { unique: true, sparse: true },
+        },
     },
     {
         timestamps: true,
@@ -0,0 +1,81 @@
+/**
+ * Whiteboard Model
+ * The shared whiteboard of a meeting, one document per meeting. The board is
+ * a list of elements, changed one operation at a time (add, erase, undo,
+ * clear) so people drawing together never overwrite each other. Coordinates
+ * are in board units (services/whiteboardService.js BOARD_WIDTH x BOARD_HEIGHT),
+ * whatever the size of the screen they were drawn on.
+ *   pen                points: x1, y1, x2, y2, ... (freehand)
+ *   line / arrow       points: x1, y1, x2, y2
+ *   rect / ellipse     points: corner, opposite corner
+ *   text / sticky      points: top-left; text
+ */
+
+const mongoose = require('mongoose');
+
+const ElementSchema = new mongoose.Schema(
+    {
+        // Chosen by the drawing client, so it can draw before the server answers
+        id: {
+            type: String,
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: ['pen', 'line', 'arrow', 'rect', 'ellipse', 'text', 'sticky'],
+            required: true,
+        },
+        points: {
+            type: [Number],
+            default: [],
+        },
+        color: {
+            type: String,
+            default: '#222222',
+        },
+        width: {
+            type: Number,
+            default: 3,
+        },
+        fill: {
+            type: Boolean,
+            default: false,
+        },
+        text: {
+            type: String,
+            default: '',
+        },
+        userId: {
+            type: String,
+            default: null,
+        },
+        userName: {
+            type: String,
+            default: '',
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const WhiteboardSchema = new mongoose.Schema(
+    {
+        meetingId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        elements: {
+            type: [ElementSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model('Whiteboard', WhiteboardSchema);
@@ -0,0 +1,30 @@
+/**
+ * Action Item Routes
+ */
+const express = require('express');
+const router = express.Router();
+const {
+    getActionItems,
+    getMyActionItems,
+    createActionItem,
+    updateActionItem,
+    deleteActionItem,
+} = require('../controllers/actionItemController');
+const { protect } = require('../middleware/auth');
+
+// GET /api/action-items/mine  (Protected) - Items assigned to me across meetings
+router.get('/mine', protect, getMyActionItems);
+
+// GET /api/action-items?meetingId=  (Protected) - A meeting's action items
+router.get('/', protect, getActionItems);
+
+// POST /api/action-items  (Protected, host / co-host) - Add an item
+router.post('/', protect, createActionItem);
+
+// PUT /api/action-items/:id  (Protected) - Edit (host / co-host) or update status (assignee)
+router.put('/:id', protect, updateActionItem);
+
+// DELETE /api/action-items/:id  (Protected, host / co-host)
+router.delete('/:id', protect, deleteActionItem);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Calendar Routes – per-user iCalendar (.ics) subscription feed
+ */
+const express = require('express');
+const router = express.Router();
+const {
+    getCalendarFeedUrl,
+    resetCalendarFeedUrl,
+    getCalendarFeed,
+} = require('../controllers/scheduleController');
+const { protect } = require('../middleware/auth');
+
+// GET /api/calendar/feed-url  (Protected)
+router.get('/feed-url', protect, getCalendarFeedUrl);
+
+// POST /api/calendar/feed-url/reset  (Protected)
+router.post('/feed-url/reset', protect, resetCalendarFeedUrl);
+
+// GET /api/calendar/:userId.ics?token=...  (Token in URL – calendar apps can't send a JWT)
+router.get('/:userId.ics', getCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+/**
+ * File Routes – files shared in the meeting chat
+ * (uploaded with POST /api/meetings/:meetingId/files, shared with the
+ * chat-message socket event, see socket/chat.js)
+ */
+const express = require('express');
+const router = express.Router();
+const { streamSharedFile } = require('../controllers/fileController');
+
+// GET /api/files/:id/content?token=&thumbnail=1  (File token) - Download, or view an image (Range requests)
+router.get('/:id/content', streamSharedFile);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Import Routes – recorded meetings uploaded in resumable chunks
+ */
+const express = require('express');
+const router = express.Router();
+const {
+    startImport,
+    listImports,
+    getImport,
+    uploadChunk,
+    completeImport,
+    cancelImport,
+} = require('../controllers/importController');
+const { protect } = require('../middleware/auth');
+const { CHUNK_BYTES } = require('../services/importService');
+
+// POST /api/imports  (Protected) - Start an import: creates the meeting and the upload
+router.post('/', protect, startImport);
+
+// GET /api/imports?status=  (Protected) - My imports (find an interrupted upload to resume)
+router.get('/', protect, listImports);
+
+// GET /api/imports/:id  (Protected, uploader) - Missing chunks, job status and progress
+router.get('/:id', protect, getImport);
+
+// PUT /api/imports/:id/chunks/:index  (Protected, uploader) - One chunk as raw bytes
+router.put('/:id/chunks/:index', protect, express.raw({ type: () => true, limit: CHUNK_BYTES + 1024 }), uploadChunk);
+
+// POST /api/imports/:id/complete  (Protected, uploader) - All chunks sent: transcribe
+router.post('/:id/complete', protect, completeImport);
+
+// DELETE /api/imports/:id  (Protected, uploader) - Abandon the upload
+router.delete('/:id', protect, cancelImport);
+
+module.exports = router;
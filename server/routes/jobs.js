@@ -0,0 +1,12 @@
+/**
+ * Job Routes
+ */
+const express = require('express');
+const router = express.Router();
+const { getJob } = require('../controllers/jobController');
+const { protect } = require('../middleware/auth');
+
+// GET /api/jobs/:id  (Protected) - Background job status
+router.get('/:id', protect, getJob);
+
+module.exports = router;
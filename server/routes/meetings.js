@@ -1,22 +1,34 @@
 /**
  * meetings.js – Updated Routes
- * Includes: password-protected join, lock, waiting room approval, public info
+ * Includes: password-protected join, lock, waiting room approval, public info,
+ *           scheduled / recurring meetings, files shared in the chat
  */
 
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
-const { protect, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, participantAuth } = require('../middleware/auth');
+const { sharedFileUpload, handleUploadError } = require('../middleware/upload');
 const {
     createMeeting,
     joinMeeting,
     endMeeting,
     toggleLock,
     approveWaiting,
+    rejectWaitingRequest,
     getMeetingHistory,
     getMeetingSummary,
     getMeetingInfo,
 } = require('../controllers/meetingController');
+const {
+    scheduleMeeting,
+    getScheduledMeetings,
+    cancelScheduledMeeting,
+} = require('../controllers/scheduleController');
+const { getMeetingTimeline, getMeetingAttendance } = require('../controllers/timelineController');
+const { getMeetingWhiteboard } = require('../controllers/whiteboardController');
+const { getMeetingNotes, updateMeetingAgenda } = require('../controllers/notesController');
+const { uploadSharedFile } = require('../controllers/fileController');
 
 // Rate limiter for join attempts (anti-brute force on passwords)
 const joinLimiter = rateLimit({
@@ -32,10 +44,21 @@ router.post('/create', protect, createMeeting);
 router.post('/join', joinLimiter, optionalAuth, joinMeeting);
 router.get('/history', protect, getMeetingHistory);
 
+router.post('/scheduled', protect, scheduleMeeting);
+router.get('/scheduled', protect, getScheduledMeetings);
+router.delete('/scheduled/:meetingId', protect, cancelScheduledMeeting);
+
 router.get('/:meetingId/info', getMeetingInfo);          // Public – for join page
 router.get('/:meetingId/summary', protect, getMeetingSummary);
+router.get('/:meetingId/timeline', protect, getMeetingTimeline);   // Replay page
+router.get('/:meetingId/attendance', protect, getMeetingAttendance); // ?format=csv
+router.get('/:meetingId/whiteboard', protect, getMeetingWhiteboard); // ?format=svg
+router.get('/:meetingId/notes', protect, getMeetingNotes);           // Notes + agenda
+router.put('/:meetingId/agenda', protect, updateMeetingAgenda);
+router.post('/:meetingId/files', participantAuth, sharedFileUpload, handleUploadError, uploadSharedFile); // Chat files, users + guests
 router.post('/:meetingId/end', protect, endMeeting);
 router.post('/:meetingId/lock', protect, toggleLock);
 router.post('/:meetingId/approve-waiting', protect, approveWaiting);
+router.post('/:meetingId/reject-waiting', protect, rejectWaitingRequest);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Poll Routes – polls and quizzes prepared for a meeting
+ * (launch / close / vote are socket events, see socket/polls.js)
+ */
+const express = require('express');
+const router = express.Router();
+const { createPoll, listPolls, updatePoll, deletePoll } = require('../controllers/pollController');
+const { protect } = require('../middleware/auth');
+
+// POST /api/polls  (Protected, host / co-host) - Create a draft poll or quiz
+router.post('/', protect, createPoll);
+
+// GET /api/polls?meetingId=  (Protected, members) - Polls with their results
+router.get('/', protect, listPolls);
+
+// PUT /api/polls/:id  (Protected, host / co-host) - Edit a draft
+router.put('/:id', protect, updatePoll);
+
+// DELETE /api/polls/:id  (Protected, host / co-host) - Delete a poll
+router.delete('/:id', protect, deletePoll);
+
+module.exports = router;
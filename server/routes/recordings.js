@@ -0,0 +1,35 @@
+/**
+ * Recording Routes – live meetings recorded in the host's browser
+ */
+const express = require('express');
+const router = express.Router();
+const {
+    startRecording,
+    uploadChunk,
+    stopRecording,
+    listRecordings,
+    streamRecording,
+    deleteRecording,
+} = require('../controllers/recordingController');
+const { protect } = require('../middleware/auth');
+const { CHUNK_BYTES } = require('../services/recordingService');
+
+// POST /api/recordings  (Protected, host / co-host) - Start recording a live meeting
+router.post('/', protect, startRecording);
+
+// GET /api/recordings?meetingId=  (Protected, members) - Recordings with playback URLs
+router.get('/', protect, listRecordings);
+
+// PUT /api/recordings/:id/chunks/:index  (Protected, host / co-host) - Next chunk as raw bytes
+router.put('/:id/chunks/:index', protect, express.raw({ type: () => true, limit: CHUNK_BYTES }), uploadChunk);
+
+// POST /api/recordings/:id/stop  (Protected, host / co-host) - Finish after the last chunk
+router.post('/:id/stop', protect, stopRecording);
+
+// GET /api/recordings/:id/media?token=  (Media token) - Play / seek (Range requests)
+router.get('/:id/media', streamRecording);
+
+// DELETE /api/recordings/:id  (Protected, host) - Delete the recording and its file
+router.delete('/:id', protect, deleteRecording);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+/**
+ * Search Routes
+ */
+const express = require('express');
+const router = express.Router();
+const { search } = require('../controllers/searchController');
+const { protect } = require('../middleware/auth');
+
+// GET /api/search?q=  (Protected) - Search transcripts, chat, titles and summaries of my meetings
+router.get('/', protect, search);
+
+module.exports = router;
@@ -8,6 +8,9 @@ const {
     saveTextTranscript,
     generateMeetingSummary,
     getTranscripts,
+    exportMeetingTranscript,
+    getSpeakers,
+    mapSpeakers,
 } = require('../controllers/transcriptController');
 const { protect } = require('../middleware/auth');
 const { upload, handleUploadError } = require('../middleware/upload');
@@ -21,6 +24,15 @@ router.post('/text', protect, saveTextTranscript);
 // POST /api/generate-summary  (Protected - host only)
 router.post('/generate-summary', protect, generateMeetingSummary);
 
+// GET /api/transcripts/:meetingId/export?format=  (Protected) - SRT, WebVTT, Markdown, text, DOCX or JSON
+router.get('/:meetingId/export', protect, exportMeetingTranscript);
+
+// GET /api/transcripts/:meetingId/speakers  (Protected) - Diarized speaker labels
+router.get('/:meetingId/speakers', protect, getSpeakers);
+
+// PUT /api/transcripts/:meetingId/speakers  (Protected - host / co-host) - Map labels to participants
+router.put('/:meetingId/speakers', protect, mapSpeakers);
+
 // GET /api/transcripts/:meetingId  (Protected)
 router.get('/:meetingId', protect, getTranscripts);
 
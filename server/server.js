@@ -21,9 +21,22 @@ const authRoutes = require('./routes/auth');
 const meetingRoutes = require('./routes/meetings');
 const transcriptRoutes = require('./routes/transcripts');
 const engagementRoutes = require('./routes/engagement');
+const calendarRoutes = require('./routes/calendar');
+const jobRoutes = require('./routes/jobs');
+const actionItemRoutes = require('./routes/actionItems');
+const searchRoutes = require('./routes/search');
+const importRoutes = require('./routes/imports');
+const recordingRoutes = require('./routes/recordings');
+const pollRoutes = require('./routes/polls');
+const fileRoutes = require('./routes/files');
 
 // ── Import Socket Handler ─────────────────────────────────────────────────────
 const socketHandler = require('./socket/index');
+const { setupSocketStore } = require('./socket/store');
+
+// ── Background Jobs ───────────────────────────────────────────────────────────
+const { registerJobHandlers } = require('./services/jobHandlers');
+const { startJobWorkers } = require('./services/jobQueue');
 
 // ── App Setup ─────────────────────────────────────────────────────────────────
 const app = express();
@@ -53,7 +66,7 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Guest-Token'],
 };
 
 // ── Socket.io ─────────────────────────────────────────────────────────────────
@@ -63,6 +76,7 @@ const io = new Server(server, {
     pingTimeout: 60000,
     pingInterval: 25000,
 });
+app.set('io', io); // REST handlers that act on live sockets (e.g. waiting room approval)
 
 // ── Security Middleware ───────────────────────────────────────────────────────
 app.use(
@@ -97,7 +111,12 @@ const globalLimiter = rateLimit({
     standardHeaders: true,
     legacyHeaders: false,
     message: { success: false, message: 'Too many requests. Please slow down.' },
-    skip: (req) => req.path.startsWith('/socket.io'), // Don't rate-limit WebSocket
+    // Don't rate-limit WebSocket, the chunks of a long recording (authenticated, one per IMPORT_CHUNK_MB
+    // or recorder timeslice), nor the Range requests of a playing recording
+    skip: (req) =>
+        req.path.startsWith('/socket.io') ||
+        /^\/(imports|recordings)\/[^/]+\/chunks\//.test(req.path) ||
+        /^\/recordings\/[^/]+\/media$/.test(req.path),
 });
 app.use('/api', globalLimiter);
 
@@ -123,6 +142,14 @@ app.use('/api/meetings', meetingRoutes);
 app.use('/api/transcribe', transcriptRoutes);
 app.use('/api/transcripts', transcriptRoutes);
 app.use('/api/engagement', engagementRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/action-items', actionItemRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/recordings', recordingRoutes);
+app.use('/api/polls', pollRoutes);
+app.use('/api/files', fileRoutes);
 
 // ── Health Check ──────────────────────────────────────────────────────────────
 app.get('/api/health', (req, res) => {
@@ -156,20 +183,29 @@ app.use((err, req, res, next) => {
     res.status(status).json({ success: false, message });
 });
 
-// ── Socket.io Handler ─────────────────────────────────────────────────────────
-socketHandler(io);
-
-// ── Start Server ──────────────────────────────────────────────────────────────
-server.listen(PORT, () => {
-    const baseUrl = process.env.APP_URL || `http://localhost:${PORT}`;
-    console.log('');
-    console.log('╔══════════════════════════════════════════════╗');
-    console.log('║  🚀 Smart Meeting App – Server Started  v2    ║');
-    console.log(`║  📡 URL: ${baseUrl.padEnd(35)}║`);
-    console.log(`║  🌱 Environment: ${(process.env.NODE_ENV || 'development').padEnd(27)}║`);
-    console.log('╚══════════════════════════════════════════════╝');
-    console.log('');
-});
+// ── Socket.io Handler + Start Server ──────────────────────────────────────────
+// Shared socket state (SOCKET_STORE) must be ready before the first connection
+setupSocketStore(io)
+    .then(() => {
+        socketHandler(io);
+        registerJobHandlers();
+        startJobWorkers(io);
+
+        server.listen(PORT, () => {
+            const baseUrl = process.env.APP_URL || `http://localhost:${PORT}`;
+            console.log('');
+            console.log('╔══════════════════════════════════════════════╗');
+            console.log('║  🚀 Smart Meeting App – Server Started  v2    ║');
+            console.log(`║  📡 URL: ${baseUrl.padEnd(35)}║`);
+            console.log(`║  🌱 Environment: ${(process.env.NODE_ENV || 'development').padEnd(27)}║`);
+            console.log('╚══════════════════════════════════════════════╝');
+            console.log('');
+        });
+    })
+    .catch((err) => {
+        console.error(`❌ Socket state store failed: ${err.message}`);
+        process.exit(1);
+    });
 
 process.on('unhandledRejection', (reason) => {
     console.error(`[${new Date().toISOString()}] Unhandled Rejection:`, reason);
@@ -0,0 +1,141 @@
+/**
+ * Action Item Service
+ * Turns "we need to… / I'll… / Sam should… by Friday" sentences from the
+ * transcript into ActionItem records when the summary is built:
+ *   assignee  a member named in the sentence, else the speaker when the
+ *             sentence is first person ("I'll send the deck"), else nobody
+ *   dueDate   a date mentioned in the sentence (utils/dueDate.js), relative
+ *             to when it was said
+ * Rebuilding the summary replaces the extracted items nobody touched; manual
+ * items and items the host edited are kept.
+ */
+
+const mongoose = require('mongoose');
+const ActionItem = require('../models/ActionItem');
+const User = require('../models/User');
+const { parseDueDate } = require('../utils/dueDate');
+
+const ACTION_KEYWORDS = ['will', "'ll", 'should', 'need to', 'needs to', 'must', 'action', 'todo', 'to do', 'follow up', 'assign'];
+const FIRST_PERSON = /\b(i will|i'll|i'm going to|i can|i need to|i have to|i must|let me)\b/i;
+const MAX_EXTRACTED = 25;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Everyone an item could be assigned to: host, participants, role holders
+ * and speakers (guests have a name but no account)
+ * @returns {Promise<{id: string|null, name: string}[]>}
+ */
+const getPeople = async (meeting, transcripts) => {
+    const ids = [meeting.host, ...(meeting.participants || [])].map((p) => (p._id || p).toString());
+    const users = await User.find({ _id: { $in: ids } }).select('name');
+
+    const people = new Map();
+    const add = (id, name) => {
+        const key = (name || '').trim().toLowerCase();
+        if (!key || people.has(key)) return;
+        people.set(key, { id: id && mongoose.isValidObjectId(id) ? id.toString() : null, name: name.trim() });
+    };
+    users.forEach((u) => add(u._id, u.name));
+    (meeting.roles || []).forEach((r) => add(r.userId, r.userName));
+    transcripts.forEach((t) => add(t.speakerId, t.speakerName));
+    return [...people.values()];
+};
+
+// Full name first, then first names of at least three letters
+const findNamed = (sentence, people) => {
+    const byPattern = (name) => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(sentence);
+    return people.find((p) => byPattern(p.name))
+        || people.find((p) => {
+            const first = p.name.split(/\s+/)[0];
+            return first.length >= 3 && byPattern(first);
+        })
+        || null;
+};
+
+/**
+ * Candidate action items from transcript segments (no database writes)
+ * @param {object} meeting - Meeting document
+ * @param {object[]} transcripts - Transcript documents, oldest first
+ * @param {{id: string|null, name: string}[]} people
+ * @returns {object[]} ActionItem fields
+ */
+const extractFromSegments = (meeting, transcripts, people) => {
+    const origin = meeting.startTime || transcripts[0]?.timestamp || new Date();
+    const items = [];
+
+    for (const t of transcripts) {
+        const sentences = (t.text || '').split(/[.!?]+/).map((s) => s.trim()).filter((s) => s.length > 10);
+        for (const sentence of sentences) {
+            const lower = sentence.toLowerCase();
+            if (!ACTION_KEYWORDS.some((kw) => lower.includes(kw))) continue;
+
+            const speaker = { id: t.speakerId && mongoose.isValidObjectId(t.speakerId) ? t.speakerId.toString() : null, name: t.speakerName };
+            const named = findNamed(sentence, people.filter((p) => p.name !== t.speakerName));
+            const assignee = named || (FIRST_PERSON.test(sentence) ? speaker : null);
+
+            items.push({
+                meetingId: meeting.meetingId,
+                text: sentence.slice(0, 500),
+                assignee: assignee?.id || null,
+                assigneeName: assignee?.name || '',
+                dueDate: parseDueDate(sentence, t.timestamp),
+                source: {
+                    transcriptId: t._id,
+                    speakerName: t.speakerName,
+                    timestamp: t.timestamp,
+                    from: Math.max(0, Math.round((new Date(t.timestamp) - origin) / 1000)),
+                },
+                origin: 'extracted',
+            });
+            if (items.length >= MAX_EXTRACTED) return items;
+        }
+    }
+    return items;
+};
+
+/**
+ * Re-extract a meeting's action items and return all of them
+ * @param {object} meeting - Meeting document
+ * @param {object[]} transcripts - Transcript documents, oldest first
+ * @returns {Promise<Document[]>}
+ */
+const syncActionItems = async (meeting, transcripts) => {
+    await ActionItem.deleteMany({ meetingId: meeting.meetingId, origin: 'extracted', edited: false });
+
+    const kept = await ActionItem.find({ meetingId: meeting.meetingId }).select('text');
+    const known = new Set(kept.map((i) => i.text.toLowerCase()));
+
+    const people = await getPeople(meeting, transcripts);
+    const fresh = extractFromSegments(meeting, transcripts, people).filter((i) => !known.has(i.text.toLowerCase()));
+    if (fresh.length > 0) await ActionItem.insertMany(fresh);
+
+    return getMeetingActionItems(meeting.meetingId);
+};
+
+/** A meeting's action items in the order they came up */
+const getMeetingActionItems = (meetingId) =>
+    ActionItem.find({ meetingId }).sort({ 'source.timestamp': 1, createdAt: 1 });
+
+/** Public view of an action item */
+const formatActionItem = (item) => ({
+    id: item._id,
+    meetingId: item.meetingId,
+    text: item.text,
+    assignee: item.assignee,
+    assigneeName: item.assigneeName,
+    dueDate: item.dueDate,
+    status: item.status,
+    source: item.source?.transcriptId ? item.source : null,
+    origin: item.origin,
+    edited: item.edited,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+});
+
+module.exports = {
+    extractFromSegments,
+    syncActionItems,
+    getMeetingActionItems,
+    formatActionItem,
+};
@@ -0,0 +1,212 @@
+/**
+ * Attendance Service
+ * Who attended a meeting, built from its event log (models/MeetingEvent.js):
+ * one row per person, guests included, with their first join, last leave,
+ * time present, rejoins, late arrival and how they got in (straight in,
+ * admitted from the waiting room, turned away, or gave up waiting).
+ * Two tabs of one person count once: their time present is the union of
+ * their connections. Rendered as JSON or CSV.
+ * Settings: ATTENDANCE_LATE_MINUTES (default 5) after the meeting start.
+ */
+
+const MeetingEvent = require('../models/MeetingEvent');
+
+const LATE_MINUTES = Math.max(0, parseFloat(process.env.ATTENDANCE_LATE_MINUTES ?? '5') || 0);
+
+const CSV_COLUMNS = [
+    ['userName', 'Name'],
+    ['userId', 'User ID'],
+    ['guest', 'Guest'],
+    ['role', 'Role'],
+    ['status', 'Status'],
+    ['firstJoin', 'First join'],
+    ['lastLeave', 'Last leave'],
+    ['leaveReason', 'Leave reason'],
+    ['minutesPresent', 'Minutes present'],
+    ['sessions', 'Sessions'],
+    ['rejoins', 'Rejoins'],
+    ['late', 'Late'],
+    ['minutesLate', 'Minutes late'],
+    ['waitedSeconds', 'Waited (s)'],
+    ['admittedBy', 'Admitted by'],
+    ['removedBy', 'Removed by'],
+];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Overlapping [start, end] intervals (ms) → total length
+const unionLength = (intervals) => {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let current = null;
+    for (const [start, end] of sorted) {
+        if (!current || start > current[1]) {
+            if (current) total += current[1] - current[0];
+            current = [start, end];
+        } else {
+            current[1] = Math.max(current[1], end);
+        }
+    }
+    if (current) total += current[1] - current[0];
+    return total;
+};
+
+/**
+ * Event log → one attendee row per person
+ * @param {Document} meeting - Meeting document (meetingId, startTime, endTime, status)
+ * @param {object[]} events - the meeting's MeetingEvents, oldest first
+ */
+const buildAttendance = (meeting, events) => {
+    const start = new Date(meeting.startTime).getTime();
+    const end = meeting.endTime
+        ? new Date(meeting.endTime).getTime()
+        : meeting.status === 'ended' && events.length ? new Date(events[events.length - 1].at).getTime() : Date.now();
+    const lateAfter = start + LATE_MINUTES * 60 * 1000;
+
+    const people = new Map();
+    const personOf = (e) => {
+        const key = e.userId || `name:${e.userName}`;
+        if (!people.has(key)) {
+            people.set(key, {
+                userId: e.userId || null,
+                userName: e.userName || 'Participant',
+                role: null,
+                admission: 'direct',
+                waitedSeconds: null,
+                admittedBy: null,
+                removedBy: null,
+                joins: [],
+                arrivals: 0, // joins while not already connected (a second tab is not a rejoin)
+                intervals: [],
+                open: new Map(), // socketId → joined at (ms)
+                lastLeave: null,
+                leaveReason: null,
+            });
+        }
+        return people.get(key);
+    };
+
+    for (const e of events) {
+        const at = new Date(e.at).getTime();
+        const person = personOf(e);
+        if (e.userName) person.userName = e.userName;
+
+        switch (e.type) {
+            case 'waiting':
+            case 'waiting-left':
+                if (!person.joins.length) person.admission = 'left-waiting';
+                break;
+            case 'rejected':
+                if (!person.joins.length) person.admission = 'rejected';
+                person.waitedSeconds = e.data?.waitedSeconds ?? person.waitedSeconds;
+                break;
+            case 'admitted':
+                person.admission = 'admitted';
+                person.admittedBy = e.data?.byName || person.admittedBy;
+                person.waitedSeconds = (person.waitedSeconds || 0) + (e.data?.waitedSeconds || 0);
+                break;
+            case 'join':
+                if (person.admission !== 'admitted') person.admission = 'direct';
+                person.role = e.data?.role || person.role;
+                person.joins.push(at);
+                if (!person.open.size) person.arrivals++;
+                person.open.set(e.socketId, at);
+                break;
+            case 'leave': {
+                // A resumed seat leaves under its new socket id: close the oldest open connection
+                const socketId = person.open.has(e.socketId) ? e.socketId : person.open.keys().next().value;
+                if (socketId === undefined) break;
+                person.intervals.push([person.open.get(socketId), Math.max(person.open.get(socketId), at)]);
+                person.open.delete(socketId);
+                person.lastLeave = at;
+                person.leaveReason = e.data?.reason || 'left';
+                if (e.data?.reason === 'removed') person.removedBy = e.data.byName || null;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    const attendees = [...people.values()].map((p) => {
+        // Still connected when the log ends (meeting ended without a leave, or still running)
+        p.open.forEach((joinedAt) => p.intervals.push([joinedAt, Math.max(joinedAt, end)]));
+        const stillIn = p.open.size > 0 && meeting.status !== 'ended';
+        const firstJoin = p.joins.length ? Math.min(...p.joins) : null;
+        const attended = firstJoin !== null;
+        const late = attended && firstJoin > lateAfter;
+
+        return {
+            userId: p.userId,
+            userName: p.userName,
+            guest: String(p.userId || '').startsWith('guest_'),
+            role: p.role,
+            status: attended ? 'attended' : p.admission,
+            admission: p.admission,
+            firstJoin: attended ? new Date(firstJoin) : null,
+            lastLeave: stillIn || !attended ? null : new Date(p.open.size ? end : p.lastLeave),
+            leaveReason: stillIn || !attended ? null : p.open.size ? 'ended' : p.leaveReason,
+            stillIn,
+            secondsPresent: Math.round(unionLength(p.intervals) / 1000),
+            minutesPresent: round1(unionLength(p.intervals) / 60000),
+            sessions: p.arrivals,
+            rejoins: Math.max(0, p.arrivals - 1),
+            late,
+            minutesLate: late ? round1((firstJoin - start) / 60000) : 0,
+            waitedSeconds: p.waitedSeconds,
+            admittedBy: p.admittedBy,
+            removedBy: p.removedBy,
+        };
+    });
+
+    // Attendees by arrival, then everyone who never got in
+    attendees.sort((a, b) => (a.firstJoin ?? Infinity) - (b.firstJoin ?? Infinity));
+
+    const present = attendees.filter((a) => a.status === 'attended');
+    return {
+        meetingId: meeting.meetingId,
+        title: meeting.title || '',
+        start: new Date(start),
+        end: new Date(end),
+        lateAfterMinutes: LATE_MINUTES,
+        totals: {
+            attended: present.length,
+            guests: present.filter((a) => a.guest).length,
+            late: present.filter((a) => a.late).length,
+            rejoined: present.filter((a) => a.rejoins > 0).length,
+            notAdmitted: attendees.length - present.length,
+            averageMinutes: present.length ? round1(present.reduce((s, a) => s + a.minutesPresent, 0) / present.length) : 0,
+        },
+        attendees,
+    };
+};
+
+/** The attendance report of a meeting */
+const getAttendance = async (meeting) => {
+    const events = await MeetingEvent.find({
+        meetingId: meeting.meetingId,
+        type: { $in: ['waiting', 'waiting-left', 'admitted', 'rejected', 'join', 'leave'] },
+    }).sort({ at: 1 }).lean();
+    return buildAttendance(meeting, events);
+};
+
+// ── CSV ─────────────────────────────────────────────────────────────────────
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+    // Names are typed by guests: don't let a spreadsheet run them as formulas
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Report → CSV text, one row per person */
+const attendanceToCsv = (report) => [
+    CSV_COLUMNS.map(([, header]) => header).join(','),
+    ...report.attendees.map((a) => CSV_COLUMNS.map(([key]) => csvCell(a[key])).join(',')),
+].join('\r\n') + '\r\n';
+
+module.exports = {
+    buildAttendance,
+    getAttendance,
+    attendanceToCsv,
+};
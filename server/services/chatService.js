@@ -0,0 +1,273 @@
+/**
+ * Chat Service
+ * Chat messages of a meeting, stored on the Meeting (`chatMessages`); the
+ * subdocument _id is the message ID everyone refers to.
+ *
+ * A message goes to the sender's stage (main room or breakout room), or, as
+ * a direct message, to one participant only. A reply joins the thread of the
+ * message it answers (threads are one level deep) and is seen by the same
+ * people. Authors edit and delete their own messages, the host / co-hosts can
+ * delete any; a deleted message stays as a placeholder so its thread still
+ * reads. Anyone who can see a message can react to it. `@Name` mentions of
+ * people who can see the message are resolved when it is sent or edited.
+ * A message may share a file uploaded beforehand (services/fileService.js);
+ * its links go out with the message, and deleting the message deletes the file.
+ *
+ * Direct messages are only ever shown to their sender and recipient: live,
+ * in the history sent on join, on the summary / replay pages and in search.
+ * During the meeting, other messages are only reached from their own stage:
+ * someone in a breakout room can't reply to, edit, delete or react to a
+ * message of the main room or of another room, and the other way round.
+ */
+
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const { attachSharedFile, detachSharedFile, removeSharedFile, formatAttachment } = require('./fileService');
+
+const MAX_TEXT = 500;
+const HISTORY = 100;           // messages sent to a late joiner
+const REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👏'];
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+/** Direct messages only for the two people in them */
+const isVisibleTo = (msg, viewerId) =>
+    !msg.recipientId || [String(msg.userId), String(msg.recipientId)].includes(String(viewerId));
+
+/**
+ * What a participant sees live: their direct messages, and the messages of the
+ * stage they are on
+ * @param {{userId: string, breakoutId?: string}} viewer
+ */
+const isOnStageOf = (msg, viewer) => (msg.recipientId
+    ? isVisibleTo(msg, viewer.userId)
+    : (msg.breakoutId || null) === (viewer.breakoutId || null));
+
+// Reactions stored one per person, shown grouped by emoji
+const groupReactions = (reactions = []) => REACTIONS
+    .map((emoji) => {
+        const by = reactions.filter((r) => r.emoji === emoji);
+        return { emoji, count: by.length, userIds: by.map((r) => r.userId), userNames: by.map((r) => r.userName) };
+    })
+    .filter((r) => r.count > 0);
+
+/**
+ * Public view of a message (the text and file of a deleted one are gone)
+ * @param {string} viewerId - who it is for: file links are signed for them
+ */
+const formatMessage = (msg, viewerId) => ({
+    id: String(msg._id),
+    userId: msg.userId,
+    userName: msg.userName,
+    message: msg.deletedAt ? '' : msg.message,
+    breakoutId: msg.breakoutId || null,
+    to: msg.recipientId ? { userId: msg.recipientId, userName: msg.recipientName } : null,
+    replyTo: msg.replyTo ? String(msg.replyTo) : null,
+    mentions: msg.deletedAt ? [] : (msg.mentions || []),
+    attachment: msg.deletedAt ? null : formatAttachment(msg.attachment, viewerId),
+    reactions: groupReactions(msg.reactions),
+    editedAt: msg.editedAt || null,
+    deleted: !!msg.deletedAt,
+    deletedByName: msg.deletedByName || null,
+    timestamp: msg.timestamp,
+});
+
+/**
+ * Recent chat of one stage as a participant sees it: the stage's messages and
+ * their own direct messages, oldest first
+ */
+const getChatHistory = async (meetingId, viewerId, { breakoutId = null, limit = HISTORY } = {}) => {
+    const meeting = await Meeting.findOne({ meetingId }, { chatMessages: 1 }).lean();
+    return (meeting?.chatMessages || [])
+        .filter((m) => isOnStageOf(m, { userId: viewerId, breakoutId }))
+        .slice(-limit)
+        .map((m) => formatMessage(m, viewerId));
+};
+
+/** Messages a person may read after the meeting (summary, replay, search) */
+const readableMessages = (messages = [], viewerId) =>
+    messages.filter((m) => !m.deletedAt && isVisibleTo(m, viewerId));
+
+/**
+ * People mentioned as "@Name" among those who can see the message
+ * @param {{userId: string, userName: string}[]} audience
+ */
+const findMentions = (text, audience, senderId) => {
+    const lower = text.toLowerCase();
+    const found = new Map();
+    audience.forEach((p) => {
+        const id = String(p.userId);
+        if (!p.userName || id === String(senderId) || found.has(id)) return;
+        const tag = `@${p.userName.toLowerCase()}`;
+        let at = lower.indexOf(tag);
+        while (at !== -1) {
+            // "@Ann" is not a mention of "@Anna"
+            if (!/[\p{L}\p{N}_]/u.test(lower[at + tag.length] || '')) {
+                found.set(id, { userId: id, userName: p.userName });
+                break;
+            }
+            at = lower.indexOf(tag, at + 1);
+        }
+    });
+    return [...found.values()];
+};
+
+// Text is optional next to a shared file
+const cleanText = (text, withFile = false) => {
+    const clean = typeof text === 'string' ? text.trim() : '';
+    if (!clean && !withFile) throw fail(400, 'Write a message first');
+    return clean.slice(0, MAX_TEXT);
+};
+
+/** One message of a meeting (lean), or null */
+const getMessage = async (meetingId, messageId) => {
+    if (!mongoose.isValidObjectId(messageId)) return null;
+    const meeting = await Meeting.findOne(
+        { meetingId, 'chatMessages._id': messageId },
+        { 'chatMessages.$': 1 }
+    ).lean();
+    return meeting?.chatMessages?.[0] || null;
+};
+
+/**
+ * A message the person can see and act on from where they are
+ * @param {{userId: string, breakoutId?: string}} viewer
+ */
+const findVisible = async (meetingId, messageId, viewer) => {
+    const msg = await getMessage(meetingId, messageId);
+    if (!msg || !isOnStageOf(msg, viewer)) throw fail(404, 'Message not found');
+    return msg;
+};
+
+const updateMessage = async (meetingId, messageId, update) => {
+    await Meeting.updateOne({ meetingId, 'chatMessages._id': messageId }, update);
+    return getMessage(meetingId, messageId);
+};
+
+// ── Sending ─────────────────────────────────────────────────────────────────
+/**
+ * Store a new message
+ * @param {{userId: string, userName: string, breakoutId?: string}} sender
+ * @param {{text: string, recipient?: {userId: string, userName: string}, replyTo?: string, fileId?: string}} input
+ *        fileId - a file the sender uploaded to POST /api/meetings/:meetingId/files
+ * @param {(msg: object) => Promise<object[]>} audienceOf - who will see the message (for mentions)
+ */
+const postMessage = async (meetingId, sender, { text, recipient = null, replyTo = null, fileId = null }, audienceOf) => {
+    const clean = cleanText(text, !!fileId);
+    const senderId = String(sender.userId);
+
+    const msg = {
+        _id: new mongoose.Types.ObjectId(),
+        userId: senderId,
+        userName: sender.userName,
+        message: clean,
+        breakoutId: sender.breakoutId || null,
+        recipientId: null,
+        replyTo: null,
+        mentions: [],
+        reactions: [],
+        attachment: null,
+        timestamp: new Date(),
+    };
+
+    if (replyTo) {
+        // Replies go to the thread's first message, seen by the same people
+        // Both on the sender's stage (or direct messages of theirs): no replies into another room
+        const parent = await findVisible(meetingId, replyTo, sender);
+        const root = parent.replyTo ? await findVisible(meetingId, parent.replyTo, sender) : parent;
+        if (root.deletedAt) throw fail(409, 'That message was deleted');
+        msg.replyTo = root._id;
+        msg.breakoutId = root.breakoutId || null;
+        if (root.recipientId) {
+            const otherIsSender = String(root.userId) !== senderId;
+            recipient = otherIsSender
+                ? { userId: root.userId, userName: root.userName }
+                : { userId: root.recipientId, userName: root.recipientName };
+        }
+    }
+
+    if (recipient) {
+        if (String(recipient.userId) === senderId) throw fail(400, 'You cannot send a direct message to yourself');
+        msg.recipientId = String(recipient.userId);
+        msg.recipientName = recipient.userName;
+    }
+
+    msg.mentions = findMentions(clean, await audienceOf(msg), senderId);
+    if (fileId) msg.attachment = await attachSharedFile(meetingId, fileId, senderId, msg._id);
+
+    try {
+        const stored = await Meeting.findOneAndUpdate({ meetingId }, { $push: { chatMessages: msg } }, { projection: { _id: 1 } });
+        if (!stored) throw fail(404, 'Meeting not found');
+    } catch (err) {
+        // The file can be shared again in another message
+        if (msg.attachment) await detachSharedFile(msg.attachment.fileId, msg._id);
+        throw err;
+    }
+    return msg;
+};
+
+// ── Changing ────────────────────────────────────────────────────────────────
+/** Authors edit their own messages */
+const editMessage = async (meetingId, messageId, editor, text, audienceOf) => {
+    const msg = await findVisible(meetingId, messageId, editor);
+    if (String(msg.userId) !== String(editor.userId)) throw fail(403, 'You can only edit your own messages');
+    if (msg.deletedAt) throw fail(409, 'That message was deleted');
+
+    const clean = cleanText(text, !!msg.attachment);
+    return updateMessage(meetingId, msg._id, {
+        $set: {
+            'chatMessages.$.message': clean,
+            'chatMessages.$.mentions': findMentions(clean, await audienceOf(msg), editor.userId),
+            'chatMessages.$.editedAt': new Date(),
+        },
+    });
+};
+
+/**
+ * Authors delete their own messages; the host / co-hosts any message they can see
+ * @param {{userId: string, userName: string, breakoutId?: string, moderator: boolean}} actor
+ */
+const deleteMessage = async (meetingId, messageId, actor) => {
+    const msg = await findVisible(meetingId, messageId, actor);
+    const own = String(msg.userId) === String(actor.userId);
+    if (!own && !actor.moderator) throw fail(403, 'You can only delete your own messages');
+    if (msg.deletedAt) return msg;
+
+    const deleted = await updateMessage(meetingId, msg._id, {
+        $set: {
+            'chatMessages.$.message': '',
+            'chatMessages.$.mentions': [],
+            'chatMessages.$.reactions': [],
+            'chatMessages.$.attachment': null,
+            'chatMessages.$.deletedAt': new Date(),
+            'chatMessages.$.deletedByName': own ? null : actor.userName,
+        },
+    });
+    if (msg.attachment) await removeSharedFile(msg.attachment.fileId);
+    return deleted;
+};
+
+/** Add a reaction, or take it back when it is already there */
+const toggleReaction = async (meetingId, messageId, reactor, emoji) => {
+    if (!REACTIONS.includes(emoji)) throw fail(400, 'Unknown reaction');
+    const msg = await findVisible(meetingId, messageId, reactor);
+    if (msg.deletedAt) throw fail(409, 'That message was deleted');
+
+    const userId = String(reactor.userId);
+    const reacted = (msg.reactions || []).some((r) => r.emoji === emoji && r.userId === userId);
+    return updateMessage(meetingId, msg._id, reacted
+        ? { $pull: { 'chatMessages.$.reactions': { emoji, userId } } }
+        : { $addToSet: { 'chatMessages.$.reactions': { emoji, userId, userName: reactor.userName } } });
+};
+
+module.exports = {
+    REACTIONS,
+    isVisibleTo,
+    formatMessage,
+    getChatHistory,
+    readableMessages,
+    postMessage,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+};
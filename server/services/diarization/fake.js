@@ -0,0 +1,35 @@
+/**
+ * fake.js – Deterministic offline diarizer for tests and local development
+ *   DIARIZATION_FAKE_SPEAKERS      speakers taking turns (default 2)
+ *   DIARIZATION_FAKE_TURN_SECONDS  length of each turn (default 4)
+ * Tests can pass canned turns instead:
+ *   setDiarizer(createFakeDiarizer({ turns: [{ start: 0, end: 2, speaker: 'A' }, ...] }))
+ * Generated turns cover DIARIZATION_FAKE_SECONDS (default 60) of audio.
+ */
+
+const createFakeDiarizer = ({ turns, speakers, turnSeconds } = {}) => {
+    const count = speakers || parseInt(process.env.DIARIZATION_FAKE_SPEAKERS, 10) || 2;
+    const length = turnSeconds || parseFloat(process.env.DIARIZATION_FAKE_TURN_SECONDS) || 4;
+    const total = parseFloat(process.env.DIARIZATION_FAKE_SECONDS) || 60;
+    const calls = [];
+
+    return {
+        name: 'fake',
+        calls, // { bytes, mimeType } per call, for assertions
+
+        isConfigured: () => true,
+
+        async diarize(audio, { mimeType } = {}) {
+            calls.push({ bytes: audio?.length || 0, mimeType });
+            if (turns) return turns.map((t) => ({ ...t }));
+
+            return Array.from({ length: Math.ceil(total / length) }, (_, i) => ({
+                start: i * length,
+                end: (i + 1) * length,
+                speaker: `SPEAKER_${String(i % count).padStart(2, '0')}`,
+            }));
+        },
+    };
+};
+
+module.exports = createFakeDiarizer;
@@ -0,0 +1,49 @@
+/**
+ * http.js – Diarization server over HTTP
+ *   DIARIZATION_URL  endpoint receiving the audio as multipart `file`
+ *   DIARIZATION_KEY  bearer token (optional)
+ * Sends `min_speakers` / `max_speakers` when known and accepts either
+ * `{ segments: [...] }` or a bare array of `{ start, end, speaker }`
+ * (pyannote's "label" and "speaker_label" are accepted for `speaker`).
+ */
+
+const axios = require('axios');
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a' };
+
+const createHttpDiarizer = () => {
+    const url = process.env.DIARIZATION_URL;
+    const apiKey = process.env.DIARIZATION_KEY;
+
+    return {
+        name: 'http',
+
+        isConfigured: () => !!url,
+
+        async diarize(audio, { mimeType = 'audio/webm', minSpeakers, maxSpeakers } = {}) {
+            const type = mimeType.split(';')[0];
+            const form = new FormData();
+            form.append('file', new Blob([audio], { type }), `audio.${EXTENSIONS[type] || 'webm'}`);
+            if (minSpeakers) form.append('min_speakers', String(minSpeakers));
+            if (maxSpeakers) form.append('max_speakers', String(maxSpeakers));
+
+            try {
+                const { data } = await axios.post(url, form, {
+                    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                    timeout: 300000,
+                });
+                const segments = Array.isArray(data) ? data : data.segments || [];
+                return segments.map((s) => ({
+                    start: Number(s.start),
+                    end: Number(s.end),
+                    speaker: String(s.speaker ?? s.label ?? s.speaker_label ?? 'unknown'),
+                }));
+            } catch (error) {
+                console.error('❌ Diarization error:', error.response?.data || error.message);
+                throw new Error(`Diarization failed: ${error.response?.data?.error || error.message}`);
+            }
+        },
+    };
+};
+
+module.exports = createHttpDiarizer;
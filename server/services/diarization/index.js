@@ -0,0 +1,60 @@
+/**
+ * Speaker diarization provider selection ("who spoke when")
+ *   DIARIZATION_PROVIDER=none (default)  diarization off; uploads keep the uploader as speaker
+ *   DIARIZATION_PROVIDER=http            a diarization server (e.g. pyannote behind a small API)
+ *   DIARIZATION_PROVIDER=fake            alternating speakers, no network (tests / offline dev)
+ * A provider is { name, isConfigured(), diarize(audio, { mimeType, minSpeakers, maxSpeakers }) }
+ * and resolves to speaker turns [{ start, end, speaker }] in seconds; `speaker`
+ * is whatever id the engine uses ("SPEAKER_00"), see ./turns.js for labelling.
+ */
+
+const FACTORIES = {
+    none: () => ({ name: 'none', isConfigured: () => false, diarize: async () => [] }),
+    http: () => require('./http')(),
+    fake: () => require('./fake')(),
+};
+const ALIASES = { off: 'none', pyannote: 'http' };
+
+let provider = null;
+
+const getDiarizer = () => {
+    if (provider) return provider;
+
+    const requested = (process.env.DIARIZATION_PROVIDER || 'none').toLowerCase();
+    const kind = ALIASES[requested] || requested;
+    if (!FACTORIES[kind]) {
+        throw new Error(`Unknown DIARIZATION_PROVIDER "${requested}" (use ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    provider = FACTORIES[kind]();
+    return provider;
+};
+
+/** Swap the provider (tests install a fake one) */
+const setDiarizer = (next) => {
+    provider = next;
+};
+
+const isDiarizationConfigured = () => getDiarizer().isConfigured();
+
+/**
+ * Speaker turns of an audio buffer, sorted by start
+ * @param {Buffer} audio
+ * @param {{mimeType?: string, minSpeakers?: number, maxSpeakers?: number}} options
+ * @returns {Promise<{start: number, end: number, speaker: string}[]>}
+ */
+const diarizeAudio = async (audio, options = {}) => {
+    const turns = await getDiarizer().diarize(audio, {
+        maxSpeakers: parseInt(process.env.DIARIZATION_MAX_SPEAKERS, 10) || undefined,
+        ...options,
+    });
+    return (turns || [])
+        .filter((t) => Number.isFinite(t.start) && Number.isFinite(t.end) && t.end > t.start)
+        .sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+    getDiarizer,
+    setDiarizer,
+    isDiarizationConfigured,
+    diarizeAudio,
+};
@@ -0,0 +1,66 @@
+/**
+ * turns.js – Speech-to-text result + speaker turns → one piece per speaker turn
+ * Each word (or each segment, when the provider gave no word timings) goes to
+ * the turn it overlaps most, or the nearest turn when it falls in a gap.
+ * Consecutive units of the same speaker are merged. Engine speaker ids are
+ * relabelled "Speaker 1", "Speaker 2"... in order of first appearance.
+ */
+
+const overlap = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+const turnOf = (unit, turns) => {
+    let best = null;
+    let bestScore = -Infinity;
+    const middle = (unit.start + unit.end) / 2;
+    for (const turn of turns) {
+        const shared = overlap(unit, turn);
+        // Overlap wins; otherwise the closer the better
+        const score = shared > 0 ? shared : -Math.min(Math.abs(turn.start - middle), Math.abs(turn.end - middle));
+        if (score > bestScore) {
+            best = turn;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+/**
+ * @param {object} result - speech-to-text result (../speech/result.js)
+ * @param {{start: number, end: number, speaker: string}[]} turns
+ * @param {Map<string, string>} [labels] - engine id → label; pass the same map to
+ *        keep labels stable across several pieces of one recording
+ * @returns {{label: string, start: number, end: number, text: string,
+ *            words: {word: string, start: number, end: number, confidence: number|null}[]}[]}
+ *          times in seconds from the start of the audio
+ */
+const splitBySpeaker = (result, turns, labels = new Map()) => {
+    if (!turns.length || !result?.segments?.length) return [];
+
+    const units = result.segments.flatMap((s) => (s.words?.length
+        ? s.words.map((w) => ({ start: w.start, end: Math.max(w.end, w.start), text: w.word, words: [w] }))
+        : [{ start: s.start, end: s.end, text: s.text, words: [] }]));
+
+    const labelOf = (speaker) => {
+        if (!labels.has(speaker)) labels.set(speaker, `Speaker ${labels.size + 1}`);
+        return labels.get(speaker);
+    };
+
+    const pieces = [];
+    for (const unit of units) {
+        const label = labelOf(turnOf(unit, turns).speaker);
+        const last = pieces[pieces.length - 1];
+        if (last && last.label === label) {
+            last.end = Math.max(last.end, unit.end);
+            last.texts.push(unit.text);
+            last.words.push(...unit.words);
+        } else {
+            pieces.push({ label, start: unit.start, end: unit.end, texts: [unit.text], words: [...unit.words] });
+        }
+    }
+
+    return pieces
+        .map(({ texts, ...piece }) => ({ ...piece, text: texts.join(' ').replace(/\s+/g, ' ').trim() }))
+        .filter((piece) => piece.text);
+};
+
+module.exports = { splitBySpeaker };
@@ -0,0 +1,252 @@
+/**
+ * File Service
+ * Files shared in a meeting's chat (models/SharedFile.js). The bytes go to file
+ * storage (services/storage), the record to the database.
+ *
+ * Uploads are checked against utils/fileTypes.js (extension, declared type and
+ * the file's first bytes must agree) and against the meeting's budget:
+ *   SHARED_FILE_MAX_MB       largest single file (default 25, middleware/upload.js)
+ *   SHARED_FILES_MEETING_MB  all files of one meeting together (default 200)
+ * The budget is kept on the Meeting (sharedFileBytes) and reserved with one
+ * conditional update per upload, so uploads at the same time can't overrun it.
+ * Images may come with a small preview made by the uploader's browser, shown
+ * inline in the chat.
+ *
+ * A file is uploaded first and then attached to exactly one chat message by
+ * its uploader. A file not shared within PENDING_FILE_MINUTES (default 60), or
+ * still unshared when the meeting ends, is deleted and gives its bytes back.
+ *
+ * Links to a file are signed (?token=, like recording playback) and only ever
+ * handed out with the message, each to one viewer: the token names the person
+ * it was issued to, and a download only goes through while that person can
+ * still see the message – seated in the meeting or a member of it, and one of
+ * the two people of a direct message. Deleting the message deletes the file.
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const SharedFile = require('../models/SharedFile');
+const { getStorage } = require('./storage');
+const { getRoomParticipants } = require('../socket/roomState');
+const { sharedFileType, looksLike, isImageType } = require('../utils/fileTypes');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+const MEETING_BYTES = (parseInt(process.env.SHARED_FILES_MEETING_MB) || 200) * 1024 * 1024;
+const THUMBNAIL_BYTES = 256 * 1024;  // JPEG preview of an image
+const PENDING_MS = (parseInt(process.env.PENDING_FILE_MINUTES) || 60) * 60 * 1000;
+const SWEEP_BATCH = 20;             // unshared files removed per upload
+const FILE_TOKEN_TTL = '12h';
+const MAX_NAME = 200;
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+const mb = (bytes) => Math.round(bytes / (1024 * 1024));
+
+// Name as shown to others: no path, no control characters
+const cleanName = (name) => String(name || '')
+    .split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(-MAX_NAME) || 'file';
+
+/** The file as stored on its chat message */
+const attachmentOf = (file) => ({
+    fileId: file._id,
+    name: file.name,
+    mimeType: file.mimeType,
+    size: file.size,
+    image: isImageType(file.mimeType),
+    hasThumbnail: !!file.thumbnailKey,
+});
+
+const formatFile = (file) => ({
+    id: String(file._id),
+    meetingId: file.meetingId,
+    name: file.name,
+    mimeType: file.mimeType,
+    size: file.size,
+    image: isImageType(file.mimeType),
+    uploadedByName: file.uploadedByName,
+    createdAt: file.createdAt,
+});
+
+// ── Budget ──────────────────────────────────────────────────────────────────
+/** Take `bytes` from the meeting's budget; false when they don't fit */
+const reserveBytes = async (meetingId, bytes) => {
+    const { modifiedCount } = await Meeting.updateOne(
+        {
+            meetingId,
+            $or: [{ sharedFileBytes: { $lte: MEETING_BYTES - bytes } }, { sharedFileBytes: { $exists: false } }],
+        },
+        { $inc: { sharedFileBytes: bytes } }
+    );
+    return modifiedCount === 1;
+};
+
+const releaseBytes = (meetingId, bytes) =>
+    Meeting.updateOne({ meetingId }, { $inc: { sharedFileBytes: -bytes } });
+
+// ── Uploading ───────────────────────────────────────────────────────────────
+/**
+ * Check and store an uploaded file; it is not visible to anyone until it is
+ * attached to a chat message
+ * @param {{userId: string, userName: string}} uploader
+ * @param {{originalname: string, mimetype: string, buffer: Buffer}} upload - multer file
+ * @param {{mimetype: string, buffer: Buffer}} [thumbnail] - preview of an image
+ */
+const saveSharedFile = async (meetingId, uploader, upload, thumbnail = null) => {
+    if (!upload?.buffer?.length) throw fail(400, 'Choose a file to share');
+
+    const name = cleanName(upload.originalname);
+    const type = sharedFileType(name, upload.mimetype);
+    if (!type) throw fail(415, `Files of this type can't be shared: ${name}`);
+    if (!looksLike(type.signature, upload.buffer)) {
+        throw fail(415, `${name} doesn't look like a .${type.ext} file`);
+    }
+
+    // Uploads nobody shared give their space back first
+    await removeUnsharedFiles({ createdAt: { $lt: new Date(Date.now() - PENDING_MS) } }, SWEEP_BATCH);
+
+    const size = upload.buffer.length;
+    if (!(await reserveBytes(meetingId, size))) {
+        throw fail(413, `This meeting has reached its ${mb(MEETING_BYTES)} MB limit for shared files`);
+    }
+
+    // Previews are only kept for images, and only when they really are small JPEGs
+    const withThumbnail = isImageType(type.mimeType)
+        && thumbnail?.buffer?.length <= THUMBNAIL_BYTES
+        && looksLike('jpeg', thumbnail.buffer);
+
+    const id = new mongoose.Types.ObjectId();
+    const storageKey = `shared/${meetingId}/${id}.${type.ext}`;
+    const thumbnailKey = withThumbnail ? `shared/${meetingId}/${id}-thumbnail.jpg` : null;
+
+    const storage = getStorage();
+    try {
+        await storage.put(storageKey, upload.buffer);
+        if (thumbnailKey) await storage.put(thumbnailKey, thumbnail.buffer);
+        return await SharedFile.create({
+            _id: id,
+            meetingId,
+            uploadedBy: String(uploader.userId),
+            uploadedByName: uploader.userName || '',
+            name,
+            mimeType: type.mimeType,
+            size,
+            storageKey,
+            thumbnailKey,
+        });
+    } catch (err) {
+        await Promise.all([storageKey, thumbnailKey].filter(Boolean).map((key) => storage.remove(key).catch(() => { })));
+        await releaseBytes(meetingId, size);
+        throw err;
+    }
+};
+
+/**
+ * Tie an uploaded file to the chat message that shares it (once, by its uploader)
+ * @returns {object} attachment for the message (see attachmentOf)
+ */
+const attachSharedFile = async (meetingId, fileId, uploaderId, messageId) => {
+    const file = mongoose.isValidObjectId(fileId)
+        ? await SharedFile.findOneAndUpdate(
+            { _id: fileId, meetingId, uploadedBy: String(uploaderId), messageId: null },
+            { $set: { messageId } },
+            { new: true }
+        )
+        : null;
+    if (!file) throw fail(404, 'File not found. Try uploading it again.');
+    return attachmentOf(file);
+};
+
+/** Give a shared file back if its message could not be sent */
+const detachSharedFile = (fileId, messageId) =>
+    SharedFile.updateOne({ _id: fileId, messageId }, { $set: { messageId: null } });
+
+/** Delete a shared file and its bytes */
+const removeSharedFile = async (fileId, filter = {}) => {
+    const file = mongoose.isValidObjectId(fileId) ? await SharedFile.findOneAndDelete({ ...filter, _id: fileId }) : null;
+    if (!file) return;
+    await releaseBytes(file.meetingId, file.size);
+    const storage = getStorage();
+    await Promise.all([file.storageKey, file.thumbnailKey].filter(Boolean).map((key) =>
+        storage.remove(key).catch((err) => console.error(`Could not remove shared file ${key}:`, err.message))));
+};
+
+/**
+ * Delete uploads never attached to a message, e.g. { meetingId } when the
+ * meeting ends. A file attached meanwhile is kept.
+ */
+const removeUnsharedFiles = async (filter, limit = 0) => {
+    const files = await SharedFile.find({ ...filter, messageId: null }, { _id: 1 }).limit(limit).lean();
+    for (const { _id } of files) await removeSharedFile(_id, { messageId: null });
+    return files.length;
+};
+
+// ── Links ───────────────────────────────────────────────────────────────────
+/**
+ * Signed download token for one viewer: <img> and plain links can't send an
+ * Authorization header, so file URLs carry ?token= instead
+ * @param {string} viewerId - user id, or guest_<id>
+ */
+const issueFileToken = (fileId, viewerId) =>
+    jwt.sign({ fileId: String(fileId), viewer: String(viewerId), purpose: 'shared-file' }, process.env.JWT_SECRET, {
+        expiresIn: FILE_TOKEN_TTL,
+    });
+
+/** @returns {{fileId: string, viewerId: string}|null} what the token grants, or null */
+const verifyFileToken = (token) => {
+    try {
+        const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+        if (decoded.purpose !== 'shared-file' || !decoded.viewer) return null;
+        return { fileId: decoded.fileId, viewerId: decoded.viewer };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Whether the viewer a token was issued to may still open the file: seated in
+ * its meeting or a member of it, and one of the two people of a direct message
+ */
+const canOpenSharedFile = async (file, viewerId) => {
+    if (!file?.messageId) return false;
+    const meeting = await Meeting.findOne(
+        { meetingId: file.meetingId, 'chatMessages._id': file.messageId },
+        { host: 1, participants: 1, roles: 1, 'chatMessages.$': 1 }
+    ).lean();
+    const msg = meeting?.chatMessages?.[0];
+    if (!msg || msg.deletedAt) return false;
+    if (msg.recipientId && ![String(msg.userId), String(msg.recipientId)].includes(viewerId)) return false;
+    if (isMeetingMember(meeting, viewerId)) return true;
+    return (await getRoomParticipants(file.meetingId)).some((p) => String(p.userId) === viewerId);
+};
+
+/** Attachment of a message with its signed links, for one of the people who see the message */
+const formatAttachment = (attachment, viewerId) => {
+    if (!attachment?.fileId || !viewerId) return null;
+    const url = `/api/files/${attachment.fileId}/content?token=${issueFileToken(attachment.fileId, viewerId)}`;
+    return {
+        id: String(attachment.fileId),
+        name: attachment.name,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        image: !!attachment.image,
+        url,
+        thumbnailUrl: attachment.hasThumbnail ? `${url}&thumbnail=1` : null,
+    };
+};
+
+module.exports = {
+    formatFile,
+    saveSharedFile,
+    attachSharedFile,
+    detachSharedFile,
+    removeSharedFile,
+    removeUnsharedFiles,
+    issueFileToken,
+    verifyFileToken,
+    canOpenSharedFile,
+    formatAttachment,
+};
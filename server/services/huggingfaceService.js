@@ -1,8 +1,8 @@
 /**
  * Hugging Face Service
  * Integrates with Hugging Face Inference API for:
- *   1. Speech-to-Text (Whisper model)
- *   2. Text Summarization (BART model)
+ *   1. Speech-to-Text (Whisper model) – used through services/speech (STT_PROVIDER=huggingface)
+ *   2. Text Summarization (BART model) – one window at a time, see summaryService
  */
 
 const axios = require('axios');
@@ -12,12 +12,18 @@ const HF_API_KEY = process.env.HUGGINGFACE_API_KEY;
 const WHISPER_MODEL = process.env.HF_WHISPER_MODEL || 'openai/whisper-large-v3';
 const SUMMARY_MODEL = process.env.HF_SUMMARIZATION_MODEL || 'facebook/bart-large-cnn';
 
+/**
+ * Whether a real API key is set (the .env template ships a placeholder)
+ * @returns {boolean}
+ */
+const isConfigured = () => !!HF_API_KEY && HF_API_KEY !== 'hf_xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx';
+
 /**
  * Common headers for Hugging Face API requests
  */
-const getHeaders = (isBlob = false) => ({
+const getHeaders = (contentType = 'application/json') => ({
     Authorization: `Bearer ${HF_API_KEY}`,
-    ...(isBlob ? { 'Content-Type': 'audio/wav' } : { 'Content-Type': 'application/json' }),
+    'Content-Type': contentType,
 });
 
 /**
@@ -42,35 +48,22 @@ const retryRequest = async (fn, retries = 3, delay = 20000) => {
 
 /**
  * Transcribe audio using Hugging Face Whisper model
+ * Returns the raw model output; services/speech/huggingface.js maps it to the
+ * common result shape.
  * @param {Buffer} audioBuffer - Audio file buffer (WAV or WebM)
- * @returns {Promise<{text: string, language: string, duration: number}>}
+ * @param {string} mimeType - Container type of the buffer
+ * @returns {Promise<{text: string, chunks?: {timestamp: number[], text: string}[]}>}
  */
-const transcribeAudio = async (audioBuffer) => {
-    if (!HF_API_KEY || HF_API_KEY === 'hf_xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx') {
-        // Return mock data if API key not configured
-        console.warn('⚠️  Hugging Face API key not configured. Returning mock transcript.');
-        return {
-            text: '[Transcript not available - Please configure HUGGINGFACE_API_KEY in .env]',
-            language: 'en',
-            duration: 0,
-        };
-    }
-
+const transcribeAudio = async (audioBuffer, mimeType = 'audio/wav') => {
     try {
         const response = await retryRequest(() =>
             axios.post(`${HF_API_URL}/${WHISPER_MODEL}`, audioBuffer, {
-                headers: getHeaders(true),
+                headers: getHeaders(mimeType),
                 timeout: 120000, // 2 minute timeout for large audio files
             })
         );
 
-        const result = response.data;
-
-        return {
-            text: result.text || '',
-            language: result.language || 'en',
-            duration: result.duration || 0,
-        };
+        return response.data || {};
     } catch (error) {
         console.error('❌ Whisper transcription error:', error.response?.data || error.message);
         throw new Error(
@@ -80,44 +73,23 @@ const transcribeAudio = async (audioBuffer) => {
 };
 
 /**
- * Generate a summary of the meeting transcript using BART model
- * @param {string} transcriptText - Full meeting transcript
- * @returns {Promise<{summary: string, keyPoints: string[], actionItems: string[], decisions: string[]}>}
+ * Summarize one passage with the BART model
+ * The input must fit the model (~1024 tokens); summaryService splits long
+ * meetings into windows and calls this once per window, then on the summaries.
+ * @param {string} text
+ * @param {{maxLength?: number, minLength?: number}} options - output length in tokens
+ * @returns {Promise<string>}
  */
-const generateSummary = async (transcriptText) => {
-    if (!HF_API_KEY || HF_API_KEY === 'hf_xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx') {
-        // Return mock summary if API key not configured
-        console.warn('⚠️  Hugging Face API key not configured. Returning mock summary.');
-        return {
-            summary: '[AI Summary not available - Please configure HUGGINGFACE_API_KEY in .env]',
-            keyPoints: ['Configure your Hugging Face API key to enable AI summaries'],
-            actionItems: ['Set up HUGGINGFACE_API_KEY in server/.env file'],
-            decisions: [],
-        };
-    }
-
-    if (!transcriptText || transcriptText.trim().length < 50) {
-        return {
-            summary: 'Not enough transcript content to generate a summary.',
-            keyPoints: [],
-            actionItems: [],
-            decisions: [],
-        };
-    }
-
+const summarizeText = async (text, { maxLength = 512, minLength = 50 } = {}) => {
     try {
-        // BART has a token limit – truncate if too long (max ~1024 tokens ≈ 3000 chars)
-        const truncatedText =
-            transcriptText.length > 3000 ? transcriptText.substring(0, 3000) + '...' : transcriptText;
-
         const response = await retryRequest(() =>
             axios.post(
                 `${HF_API_URL}/${SUMMARY_MODEL}`,
                 {
-                    inputs: truncatedText,
+                    inputs: text,
                     parameters: {
-                        max_length: 512,
-                        min_length: 50,
+                        max_length: maxLength,
+                        min_length: minLength,
                         do_sample: false,
                     },
                 },
@@ -128,19 +100,7 @@ const generateSummary = async (transcriptText) => {
             )
         );
 
-        const summaryText = response.data[0]?.summary_text || '';
-
-        // Extract structured info using heuristics
-        const keyPoints = extractKeyPoints(transcriptText);
-        const actionItems = extractActionItems(transcriptText);
-        const decisions = extractDecisions(transcriptText);
-
-        return {
-            summary: summaryText,
-            keyPoints,
-            actionItems,
-            decisions,
-        };
+        return (response.data[0]?.summary_text || '').trim();
     } catch (error) {
         console.error('❌ Summarization error:', error.response?.data || error.message);
         throw new Error(
@@ -149,6 +109,17 @@ const generateSummary = async (transcriptText) => {
     }
 };
 
+/**
+ * Structured info from the full transcript (heuristics, no model call)
+ * @param {string} text
+ * @returns {{keyPoints: string[], actionItems: string[], decisions: string[]}}
+ */
+const extractStructured = (text) => ({
+    keyPoints: extractKeyPoints(text),
+    actionItems: extractActionItems(text),
+    decisions: extractDecisions(text),
+});
+
 /**
  * Extract key discussion points from transcript (heuristic approach)
  * @param {string} text
@@ -192,6 +163,8 @@ const extractDecisions = (text) => {
 };
 
 module.exports = {
+    isConfigured,
     transcribeAudio,
-    generateSummary,
+    summarizeText,
+    extractStructured,
 };
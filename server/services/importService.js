@@ -0,0 +1,292 @@
+/**
+ * Import Service
+ * Turns an uploaded recording (audio or video, any length) into an "imported"
+ * meeting with the same transcript, summary and report as a live one:
+ *   1. the browser uploads the file in chunks (resumable, models/Upload.js)
+ *   2. the import-recording job assembles it, converts it to 16 kHz mono WAV
+ *      with ffmpeg and cuts it into IMPORT_SEGMENT_SECONDS parts
+ *   3. each part goes through the speech-to-text provider (and optionally
+ *      diarization), reporting job progress as it goes
+ *   4. the meeting is ended and summarize-meeting / build-report are queued
+ * Settings: IMPORT_MAX_MB (default 1024), IMPORT_CHUNK_MB (default 5),
+ * IMPORT_SEGMENT_SECONDS (default 120), FFMPEG_BIN (default ffmpeg).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const Meeting = require('../models/Meeting');
+const Transcript = require('../models/Transcript');
+const Upload = require('../models/Upload');
+const UploadChunk = require('../models/UploadChunk');
+const User = require('../models/User');
+const { generateMeetingId } = require('../utils/meetingUtils');
+const { transcribeAudio } = require('./speech');
+const { isDiarizationConfigured, diarizeAudio } = require('./diarization');
+const { splitBySpeaker } = require('./diarization/turns');
+const { saveTranscriptSegment, rebuildMeetingTranscript } = require('./transcriptService');
+
+const run = promisify(execFile);
+
+const MAX_BYTES = (parseFloat(process.env.IMPORT_MAX_MB) || 1024) * 1024 * 1024;
+// Chunks are stored as MongoDB documents (16MB cap)
+const CHUNK_BYTES = Math.floor(Math.min(parseFloat(process.env.IMPORT_CHUNK_MB) || 5, 12) * 1024 * 1024);
+const SEGMENT_SECONDS = parseInt(process.env.IMPORT_SEGMENT_SECONDS, 10) || 120;
+const FFMPEG_TIMEOUT_MS = 30 * 60 * 1000;
+
+// 16 kHz, mono, 16-bit PCM
+const WAV_BYTES_PER_SECOND = 16000 * 2;
+const WAV_HEADER_BYTES = 44;
+
+const isMediaType = (mimeType) => /^(audio|video)\//.test(mimeType || '');
+
+/** Public view of an upload */
+const formatUpload = (upload) => ({
+    id: upload._id,
+    meetingId: upload.meetingId,
+    filename: upload.filename,
+    size: upload.size,
+    chunkSize: upload.chunkSize,
+    totalChunks: upload.totalChunks,
+    received: upload.received.length,
+    missing: missingChunks(upload),
+    status: upload.status,
+    jobId: upload.jobId,
+    error: upload.error,
+    createdAt: upload.createdAt,
+});
+
+const missingChunks = (upload) => {
+    const have = new Set(upload.received);
+    return Array.from({ length: upload.totalChunks }, (_, i) => i).filter((i) => !have.has(i));
+};
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Start an import: creates the (ended) meeting and the upload to fill
+ * @param {Document} user
+ * @param {{title?: string, filename: string, size: number, mimeType: string,
+ *          recordedAt?: string, diarize?: boolean}} options
+ * @returns {Promise<{upload: Document, meeting: Document}>}
+ */
+const createImport = async (user, { title, filename, size, mimeType, recordedAt, diarize }) => {
+    if (!filename || !Number.isFinite(size) || size <= 0) throw fail(400, 'filename and size are required.');
+    if (!isMediaType(mimeType)) throw fail(400, 'Only audio and video files can be imported.');
+    if (size > MAX_BYTES) throw fail(413, `Recordings can be at most ${Math.round(MAX_BYTES / 1024 / 1024)}MB.`);
+
+    const startTime = recordedAt ? new Date(recordedAt) : new Date();
+    if (isNaN(startTime)) throw fail(400, 'Invalid recordedAt date.');
+
+    const meeting = await Meeting.create({
+        meetingId: generateMeetingId(),
+        title: String(title || '').trim() || filename.replace(/\.[^.]+$/, ''),
+        host: user._id,
+        source: 'imported',
+        status: 'ended',
+        startTime,
+    });
+    await User.findByIdAndUpdate(user._id, { $push: { meetingsHosted: meeting._id } });
+
+    const upload = await Upload.create({
+        meetingId: meeting.meetingId,
+        createdBy: user._id,
+        filename,
+        mimeType,
+        size,
+        chunkSize: CHUNK_BYTES,
+        totalChunks: Math.ceil(size / CHUNK_BYTES),
+        diarize: !!diarize,
+    });
+
+    return { upload, meeting };
+};
+
+/**
+ * Store one chunk (re-sending a chunk replaces it)
+ * @returns {Promise<Document>} the updated upload
+ */
+const saveChunk = async (upload, index, data) => {
+    if (upload.status !== 'uploading') throw fail(409, 'This upload is no longer accepting chunks.');
+    if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) throw fail(400, 'Invalid chunk index.');
+
+    // Every chunk but the last is exactly chunkSize
+    const expected = index === upload.totalChunks - 1
+        ? upload.size - upload.chunkSize * (upload.totalChunks - 1)
+        : upload.chunkSize;
+    if (data.length !== expected) throw fail(400, `Chunk ${index} should be ${expected} bytes, got ${data.length}.`);
+
+    await UploadChunk.updateOne(
+        { uploadId: upload._id, index },
+        { $set: { data }, $setOnInsert: { expiresAt: upload.expiresAt } },
+        { upsert: true }
+    );
+    return Upload.findByIdAndUpdate(upload._id, { $addToSet: { received: index } }, { new: true });
+};
+
+/** Write the chunks, in order, to a file */
+const assembleUpload = async (upload, file) => {
+    const out = fs.createWriteStream(file);
+    try {
+        for (let index = 0; index < upload.totalChunks; index++) {
+            const chunk = await UploadChunk.findOne({ uploadId: upload._id, index }).select('data');
+            if (!chunk) throw new Error(`Chunk ${index} of the upload is missing.`);
+            if (!out.write(chunk.data)) await new Promise((resolve) => out.once('drain', resolve));
+        }
+    } finally {
+        await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+    }
+};
+
+/** ffmpeg: any audio / video → 16 kHz mono WAV parts of SEGMENT_SECONDS */
+const splitRecording = async (input, dir) => {
+    const ffmpeg = process.env.FFMPEG_BIN || 'ffmpeg';
+    const wav = path.join(dir, 'audio.wav');
+    try {
+        await run(ffmpeg, ['-y', '-loglevel', 'error', '-i', input, '-vn', '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], {
+            timeout: FFMPEG_TIMEOUT_MS,
+        });
+        await run(ffmpeg, [
+            '-y', '-loglevel', 'error', '-i', wav,
+            '-f', 'segment', '-segment_time', String(SEGMENT_SECONDS), '-c', 'copy',
+            path.join(dir, 'part%05d.wav'),
+        ], { timeout: FFMPEG_TIMEOUT_MS });
+    } catch (error) {
+        console.error('❌ ffmpeg error:', error.stderr || error.message);
+        throw new Error(error.code === 'ENOENT'
+            ? `${error.path} not found – importing recordings needs ffmpeg (FFMPEG_BIN)`
+            : 'Could not read the recording. Is it an audio or video file?');
+    }
+
+    const parts = (await fs.promises.readdir(dir)).filter((f) => /^part\d+\.wav$/.test(f)).sort();
+    let offset = 0;
+    const list = [];
+    for (const name of parts) {
+        const file = path.join(dir, name);
+        const { size } = await fs.promises.stat(file);
+        const duration = Math.max(0, size - WAV_HEADER_BYTES) / WAV_BYTES_PER_SECOND;
+        list.push({ file, offset, duration });
+        offset += duration;
+    }
+    return { wav, parts: list, duration: offset };
+};
+
+const seconds = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Save one transcribed part: one segment per speech-to-text segment, or per
+ * speaker turn when the recording was diarized
+ */
+const savePart = async (meeting, part, result, { turns, labels, diarizationId }) => {
+    const at = (s) => new Date(meeting.startTime.getTime() + (part.offset + s) * 1000);
+    const relative = (words, start) => words.map((w) => ({ ...w, start: seconds(w.start - start), end: seconds(w.end - start) }));
+    const label = (text) => ({ speakerLabel: text, diarizationId, speakerName: text, speakerId: null });
+
+    if (turns) {
+        // Turns of the whole recording → times within this part
+        const local = turns
+            .filter((t) => t.end > part.offset && t.start < part.offset + part.duration)
+            .map((t) => ({ ...t, start: t.start - part.offset, end: t.end - part.offset }));
+        if (local.length) {
+            for (const piece of splitBySpeaker(result, local, labels)) {
+                await saveTranscriptSegment(meeting, {
+                    ...label(piece.label),
+                    text: piece.text,
+                    duration: seconds(piece.end - piece.start),
+                    language: result.language || 'en',
+                    timestamp: at(piece.start),
+                    words: relative(piece.words, piece.start),
+                });
+            }
+            return;
+        }
+    }
+
+    // One voice as far as we know: a single label the host can map to a participant
+    for (const segment of result.segments) {
+        if (!segment.text?.trim()) continue;
+        await saveTranscriptSegment(meeting, {
+            ...label('Speaker 1'),
+            text: segment.text,
+            duration: seconds(segment.end - segment.start),
+            language: result.language || 'en',
+            timestamp: at(segment.start),
+            words: relative(segment.words || [], segment.start),
+        });
+    }
+};
+
+/**
+ * The import-recording job
+ * @param {Document} job - payload { uploadId }
+ * @param {(progress: {done: number, total: number}) => Promise<void>} reportProgress
+ */
+const processImport = async (job, reportProgress) => {
+    const upload = await Upload.findById(job.payload.uploadId);
+    if (!upload) throw new Error('Upload not found.');
+    const meeting = await Meeting.findOne({ meetingId: upload.meetingId });
+    if (!meeting) throw new Error('Meeting not found.');
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'import-'));
+    try {
+        const input = path.join(dir, `input${path.extname(upload.filename)}`);
+        await assembleUpload(upload, input);
+        const { wav, parts, duration } = await splitRecording(input, dir);
+        await fs.promises.rm(input, { force: true });
+
+        let turns = null;
+        if (upload.diarize) {
+            if (isDiarizationConfigured()) turns = await diarizeAudio(await fs.promises.readFile(wav), { mimeType: 'audio/wav' });
+            else console.warn(`[Import] Diarization requested for ${upload.meetingId} but DIARIZATION_PROVIDER is not configured`);
+        }
+        await fs.promises.rm(wav, { force: true });
+
+        // A retried job starts over
+        await Transcript.deleteMany({ meetingId: meeting.meetingId });
+        await Meeting.updateOne({ meetingId: meeting.meetingId }, { $set: { transcript: '' } });
+
+        const context = { turns, labels: new Map(), diarizationId: String(job._id) };
+        await reportProgress({ done: 0, total: parts.length });
+        for (const [i, part] of parts.entries()) {
+            const result = await transcribeAudio(await fs.promises.readFile(part.file), { mimeType: 'audio/wav' });
+            if (result?.segments?.length) await savePart(meeting, part, result, context);
+            await fs.promises.rm(part.file, { force: true });
+            await reportProgress({ done: i + 1, total: parts.length });
+        }
+
+        // saveTranscriptSegment appended line by line; write it once in time order
+        await rebuildMeetingTranscript(meeting);
+        await Meeting.updateOne({ meetingId: meeting.meetingId }, {
+            $set: {
+                duration: Math.round(duration),
+                endTime: new Date(meeting.startTime.getTime() + duration * 1000),
+            },
+        });
+
+        upload.status = 'completed';
+        upload.error = null;
+        await upload.save();
+        await UploadChunk.deleteMany({ uploadId: upload._id });
+
+        return { meetingId: meeting.meetingId, duration: Math.round(duration), parts: parts.length };
+    } catch (error) {
+        // Last attempt: the upload shows the error (its chunks stay for a manual retry until they expire)
+        if (job.attempts >= job.maxAttempts) {
+            await Upload.updateOne({ _id: upload._id }, { $set: { status: 'failed', error: error.message } });
+        }
+        throw error;
+    } finally {
+        fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+};
+
+module.exports = {
+    CHUNK_BYTES,
+    formatUpload,
+    missingChunks,
+    createImport,
+    saveChunk,
+    processImport,
+};
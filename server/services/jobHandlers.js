@@ -0,0 +1,141 @@
+/**
+ * Job Handlers
+ * The background work the app queues (see jobQueue.js):
+ *   summarize-meeting  whole-meeting + breakout summaries (summaryService), once
+ *                      the meeting's transcribe-chunk jobs are done (or after
+ *                      SUMMARY_MAX_WAITS waits of SUMMARY_WAIT_SECONDS)
+ *   transcribe-chunk   one uploaded audio chunk → speech-to-text → Transcript
+ *                      (diarize: one Transcript per speaker turn, see diarization/)
+ *   build-report       final engagement scores and ranks (reportService)
+ *   import-recording   uploaded recording → transcript, then summary + report (importService)
+ */
+
+const Meeting = require('../models/Meeting');
+const Job = require('../models/Job');
+const { registerJobHandler, enqueueJob, reportJobProgress, deferJob } = require('./jobQueue');
+const { summarizeMeeting } = require('./summaryService');
+const { buildMeetingReport } = require('./reportService');
+const { transcribeAudio } = require('./speech');
+const { wordsOf } = require('./speech/result');
+const { saveTranscriptSegment } = require('./transcriptService');
+const { isDiarizationConfigured, diarizeAudio } = require('./diarization');
+const { splitBySpeaker } = require('./diarization/turns');
+const { processImport } = require('./importService');
+
+// summarize-meeting waits for the meeting's transcribe-chunk jobs, at most this often
+const SUMMARY_WAIT_MS = (parseFloat(process.env.SUMMARY_WAIT_SECONDS) || 15) * 1000;
+const SUMMARY_MAX_WAITS = 40;
+
+const JOB_TYPES = {
+    SUMMARIZE_MEETING: 'summarize-meeting',
+    TRANSCRIBE_CHUNK: 'transcribe-chunk',
+    BUILD_REPORT: 'build-report',
+    IMPORT_RECORDING: 'import-recording',
+};
+
+/**
+ * A shared-mic chunk: one Transcript per speaker turn, labelled "Speaker N"
+ * until the host maps the labels to participants (speakerService). The
+ * uploader's metered speaking time stays credited to them until then.
+ */
+const saveSpeakerTurns = async (job, meeting, result) => {
+    const { mimeType, timestamp, speakerId, breakoutId } = job.payload;
+    const turns = await diarizeAudio(job.data, { mimeType });
+    const pieces = splitBySpeaker(result, turns);
+    const base = timestamp ? new Date(timestamp).getTime() : Date.now();
+    const seconds = (n) => Math.round(n * 100) / 100;
+
+    const saved = [];
+    for (const piece of pieces) {
+        saved.push(await saveTranscriptSegment(meeting, {
+            speakerId: null,
+            speakerName: piece.label,
+            text: piece.text,
+            duration: seconds(piece.end - piece.start),
+            confidence: 1.0,
+            language: result.language || 'en',
+            breakoutId,
+            timestamp: new Date(base + piece.start * 1000),
+            words: piece.words.map((w) => ({ ...w, start: seconds(w.start - piece.start), end: seconds(w.end - piece.start) })),
+            speakerLabel: piece.label,
+            diarizationId: String(job._id),
+            creditedTo: speakerId || null,
+        }));
+    }
+
+    return {
+        transcriptIds: saved.map((t) => t._id),
+        segments: saved.map((t) => ({ speakerName: t.speakerName, text: t.text, timestamp: t.timestamp })),
+        text: saved.map((t) => `${t.speakerName}: ${t.text}`).join('\n'),
+        breakoutId: breakoutId || null,
+    };
+};
+
+const registerJobHandlers = () => {
+    registerJobHandler(JOB_TYPES.SUMMARIZE_MEETING, async (job) => {
+        // Chunks uploaded at the end of the meeting are still being transcribed
+        const pending = await Job.countDocuments({
+            meetingId: job.payload.meetingId,
+            type: JOB_TYPES.TRANSCRIBE_CHUNK,
+            status: { $in: ['queued', 'running'] },
+        });
+        if (pending > 0 && (job.deferrals || 0) < SUMMARY_MAX_WAITS) {
+            throw deferJob(`Waiting for ${pending} audio chunk${pending === 1 ? '' : 's'} to be transcribed`, SUMMARY_WAIT_MS);
+        }
+
+        const result = await summarizeMeeting(job.payload.meetingId);
+        return { summary: result.summary, breakouts: result.breakouts.length };
+    });
+
+    // payload: { meetingId, speakerId, speakerName, duration, breakoutId, mimeType, timestamp, diarize }; data: audio
+    registerJobHandler(JOB_TYPES.TRANSCRIBE_CHUNK, async (job) => {
+        const { meetingId, mimeType, timestamp, diarize, ...segment } = job.payload;
+        if (!job.data?.length) throw new Error('Audio chunk is missing.');
+
+        const meeting = await Meeting.findOne({ meetingId });
+        if (!meeting) throw new Error('Meeting not found.');
+
+        const result = await transcribeAudio(job.data, { mimeType });
+        if (!result?.text?.trim()) return { transcriptId: null, text: '' };
+
+        if (diarize) {
+            if (isDiarizationConfigured()) {
+                return saveSpeakerTurns(job, meeting, result);
+            }
+            console.warn(`[Jobs] Diarization requested for job ${job._id} but DIARIZATION_PROVIDER is not configured`);
+        }
+
+        const transcript = await saveTranscriptSegment(meeting, {
+            ...segment,
+            text: result.text,
+            duration: segment.duration || result.duration || 0,
+            confidence: 1.0,
+            language: result.language || 'en',
+            timestamp: timestamp ? new Date(timestamp) : undefined,
+            words: wordsOf(result),
+        });
+
+        return {
+            transcriptId: transcript._id,
+            speakerName: transcript.speakerName,
+            text: transcript.text,
+            timestamp: transcript.timestamp,
+            breakoutId: transcript.breakoutId,
+        };
+    });
+
+    registerJobHandler(JOB_TYPES.BUILD_REPORT, (job) => buildMeetingReport(job.payload.meetingId));
+
+    // payload: { uploadId }; progress: { done, total } transcribed parts
+    registerJobHandler(JOB_TYPES.IMPORT_RECORDING, async (job) => {
+        const result = await processImport(job, (progress) => reportJobProgress(job, progress));
+
+        // Same post-meeting pipeline as a live meeting that ended
+        const options = { meetingId: result.meetingId, createdBy: job.createdBy, unique: true };
+        await enqueueJob(JOB_TYPES.SUMMARIZE_MEETING, { meetingId: result.meetingId }, options);
+        await enqueueJob(JOB_TYPES.BUILD_REPORT, { meetingId: result.meetingId }, options);
+        return result;
+    });
+};
+
+module.exports = { JOB_TYPES, registerJobHandlers };
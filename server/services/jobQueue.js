@@ -0,0 +1,256 @@
+/**
+ * Job Queue
+ * Persistent background jobs in MongoDB (models/Job.js). Any instance can
+ * enqueue; every instance runs JOB_WORKERS worker loops that claim due jobs
+ * atomically, so work is shared and survives restarts.
+ *   JOB_WORKERS        worker loops on this instance (default 1, 0 = enqueue only)
+ *   JOB_POLL_SECONDS   idle poll interval (default 2)
+ *   JOB_LOCK_SECONDS   a running job whose worker went silent this long is retried (default 600);
+ *                      the worker renews the lock every third of that while the job runs
+ * Failures retry with exponential backoff until maxAttempts, then the job is
+ * "failed". A handler that is not ready to run yet (it waits for other jobs)
+ * throws deferJob(...): the job is queued again after the delay without
+ * using up an attempt, and job.deferrals counts how often that happened. Every status change is sent as `job-updated` to the meeting's
+ * job watchers (summary page) and to the live meeting.
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+const { meetingChannel } = require('../socket/roomState');
+
+const WORKERS = Math.max(0, parseInt(process.env.JOB_WORKERS ?? '1', 10) || 0);
+const POLL_MS = (parseFloat(process.env.JOB_POLL_SECONDS) || 2) * 1000;
+const LOCK_MS = (parseFloat(process.env.JOB_LOCK_SECONDS) || 600) * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const KEEP_FINISHED_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// handlers: Map<type, async (job) => result>
+const handlers = new Map();
+let io = null;
+let running = false;
+
+/** Socket.io channel of the summary pages watching a meeting's jobs */
+const jobChannel = (meetingId) => `jobs:${meetingId}`;
+
+/** Public view of a job (no binary data, no lock details) */
+const formatJob = (job) => ({
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    meetingId: job.meetingId,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    lastError: job.lastError || null,
+    result: job.result ?? null,
+    progress: job.progress ?? null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
+});
+
+const notify = (job) => {
+    if (!io || !job.meetingId) return;
+    const update = formatJob(job);
+    io.to(jobChannel(job.meetingId)).to(meetingChannel(job.meetingId)).emit('job-updated', update);
+};
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type
+ * @param {(job: Document) => Promise<object>} handler - resolves to the job result
+ */
+const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+/**
+ * Queue a job
+ * @param {string} type
+ * @param {object} payload
+ * @param {{meetingId?: string, createdBy?: string, data?: Buffer, maxAttempts?: number, unique?: boolean}} options
+ *        unique: reuse a queued / running job of the same type for the same meeting
+ * @returns {Promise<Document>}
+ */
+const enqueueJob = async (type, payload = {}, { meetingId = null, createdBy = null, data, maxAttempts = 3, unique = false } = {}) => {
+    const fields = { type, payload, meetingId, createdBy, data, maxAttempts };
+    if (!unique || !meetingId) {
+        const job = await Job.create(fields);
+        notify(job);
+        return job;
+    }
+
+    // The partial unique index (models/Job.js) decides between enqueues at the same time
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            const job = await Job.create({ ...fields, singleton: true });
+            notify(job);
+            return job;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+        const existing = await Job.findOne({ type, meetingId, singleton: true });
+        if (existing) return existing;
+        // It finished in between: try again
+    }
+    throw new Error(`Could not queue ${type} for meeting ${meetingId}`);
+};
+
+/**
+ * Save and broadcast a running job's progress
+ * @param {Document} job - the job passed to the handler
+ * @param {{done: number, total: number}} progress
+ */
+const reportJobProgress = async (job, progress) => {
+    job.progress = progress;
+    await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: { progress } });
+    notify(job);
+};
+
+/**
+ * Thrown by a handler to run the job again later without counting an attempt
+ * @param {string} reason - kept as the job's lastError meanwhile
+ * @param {number} delayMs
+ */
+const deferJob = (reason, delayMs) => Object.assign(new Error(reason), { deferMs: delayMs });
+
+/** Jobs of a meeting that haven't finished yet */
+const getActiveJobs = (meetingId) => Job.find({ meetingId, status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+
+// ── Worker ───────────────────────────────────────────────────────────────────
+const claimNext = () => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: [...handlers.keys()] },
+            $or: [
+                { status: 'queued', runAt: { $lte: now } },
+                // Worker crashed or was restarted mid-job
+                { status: 'running', lockedAt: { $lt: new Date(now - LOCK_MS) } },
+            ],
+        },
+        { $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+    ).select('+data');
+};
+
+const finish = async (job, update) => {
+    const done = await Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: WORKER_ID },
+        update,
+        { new: true }
+    );
+    if (done) notify(done);
+};
+
+/**
+ * Renew the job's lock while its handler runs, whether or not it reports
+ * progress, so only a job whose worker died is picked up again
+ * @returns {Function} stops renewing
+ */
+const holdLock = (job) => {
+    const interval = setInterval(() => {
+        Job.updateOne({ _id: job._id, status: 'running', lockedBy: WORKER_ID }, { $set: { lockedAt: new Date() } })
+            .catch((err) => console.error(`Job ${job._id} lock renewal error:`, err.message));
+    }, LOCK_MS / 3);
+    interval.unref();
+    return () => clearInterval(interval);
+};
+
+const runJob = async (job) => {
+    notify(job);
+    const releaseLock = holdLock(job);
+    try {
+        if (job.attempts > job.maxAttempts) throw new Error('Gave up after the worker stopped responding.');
+        const result = await handlers.get(job.type)(job);
+
+        await finish(job, {
+            $set: {
+                status: 'completed',
+                result: result ?? null,
+                completedAt: new Date(),
+                expiresAt: new Date(Date.now() + KEEP_FINISHED_MS),
+            },
+            $unset: { data: 1, lockedAt: 1, lockedBy: 1, singleton: 1 },
+        });
+        console.log(`✅ Job ${job.type} ${job._id} completed`);
+    } catch (err) {
+        if (err.deferMs !== undefined) {
+            await finish(job, {
+                $set: { status: 'queued', lastError: err.message, runAt: new Date(Date.now() + err.deferMs) },
+                $inc: { attempts: -1, deferrals: 1 },
+                $unset: { lockedAt: 1, lockedBy: 1 },
+            });
+            console.log(`⏳ Job ${job.type} ${job._id} deferred: ${err.message}`);
+            return;
+        }
+
+        const retry = job.attempts < job.maxAttempts;
+        const delay = Math.min(BACKOFF_BASE_MS * 2 ** (job.attempts - 1), BACKOFF_MAX_MS);
+
+        await finish(job, retry
+            ? {
+                $set: { status: 'queued', lastError: err.message, runAt: new Date(Date.now() + delay) },
+                $unset: { lockedAt: 1, lockedBy: 1 },
+            }
+            : {
+                $set: {
+                    status: 'failed',
+                    lastError: err.message,
+                    completedAt: new Date(),
+                    expiresAt: new Date(Date.now() + KEEP_FINISHED_MS),
+                },
+                $unset: { data: 1, lockedAt: 1, lockedBy: 1, singleton: 1 },
+            });
+        console.warn(`⚠️  Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, err.message);
+    } finally {
+        releaseLock();
+    }
+};
+
+const workerLoop = async () => {
+    while (running) {
+        try {
+            const job = await claimNext();
+            if (job) {
+                await runJob(job);
+                continue;
+            }
+        } catch (err) {
+            console.error('job worker error:', err.message);
+        }
+        await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+    }
+};
+
+/**
+ * Start this instance's workers
+ * @param {Server} socketServer - for `job-updated` notifications
+ */
+const startJobWorkers = (socketServer) => {
+    io = socketServer;
+    if (running || WORKERS === 0) return;
+
+    running = true;
+    for (let i = 0; i < WORKERS; i++) workerLoop();
+    console.log(`🛠  Job workers: ${WORKERS} (${[...handlers.keys()].join(', ')})`);
+};
+
+/** Let the workers finish their current job and stop polling */
+const stopJobWorkers = () => {
+    running = false;
+};
+
+module.exports = {
+    jobChannel,
+    formatJob,
+    registerJobHandler,
+    enqueueJob,
+    reportJobProgress,
+    deferJob,
+    getActiveJobs,
+    startJobWorkers,
+    stopJobWorkers,
+};
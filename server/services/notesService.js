@@ -0,0 +1,237 @@
+/**
+ * Notes Service
+ * The meeting's shared notes and its agenda, both stored on the Meeting.
+ *
+ * Notes are one plain-text document edited by everyone at once. Each edit is
+ * an operation (utils/textOperation.js) made on a known revision; an edit made
+ * on an older revision is transformed past the edits it missed, then written
+ * with a conditional update on the revision, so concurrent edits (on any
+ * instance) are merged instead of overwriting each other.
+ *
+ * The agenda is a list of items with a time box in minutes, prepared by the
+ * host before the meeting (scheduling form, PUT /api/meetings/:id/agenda) or
+ * in the room. During the meeting the host / co-hosts start items and mark
+ * them done or skipped; the room shows the running item against its time box.
+ * Agenda writes are conditional on the meeting's agendaRevision, like notes
+ * edits, so two hosts changing it at once do not undo each other's change.
+ * Both go to the whole meeting (breakout rooms included):
+ *   agenda-updated  { agenda, byName? }
+ */
+
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const { meetingChannel } = require('../socket/roomState');
+const { normalize, apply, transform } = require('../utils/textOperation');
+
+const MAX_NOTES = 50000;        // characters
+const HISTORY = 100;            // edits kept to merge late ones
+const MAX_ATTEMPTS = 5;
+const MAX_AGENDA_ITEMS = 30;
+const AGENDA_STATUSES = ['pending', 'active', 'done', 'skipped'];
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+// ── Agenda ──────────────────────────────────────────────────────────────────
+/** Public view of the agenda; spentSeconds counts up while an item is running */
+const formatAgenda = (agenda = []) => agenda.map((item) => ({
+    id: String(item._id),
+    title: item.title,
+    minutes: item.minutes,
+    status: item.status,
+    startedAt: item.startedAt || null,
+    endedAt: item.endedAt || null,
+    spentSeconds: item.startedAt
+        ? Math.max(0, Math.round(((item.endedAt || new Date()) - new Date(item.startedAt)) / 1000))
+        : 0,
+}));
+
+/**
+ * "Budget review 10" / "Budget review - 10 min" → { title, minutes }
+ * One item per line; a line without a number keeps the default time box.
+ */
+const parseAgendaText = (text) => String(text)
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+        const m = line.match(/^(.*?)[\s:|–—-]+(\d{1,3})\s*(?:m|min|mins|minutes)?$/i);
+        return m && m[1].trim() ? { title: m[1].trim(), minutes: Number(m[2]) } : { title: line };
+    });
+
+/**
+ * Validate a new agenda. Items that were already on it (same id, or same title
+ * when the agenda is sent as text) keep their progress.
+ * @param {string|{id?: string, title: string, minutes?: number}[]} input
+ */
+const cleanAgenda = (input, current = []) => {
+    const list = typeof input === 'string' ? parseAgendaText(input) : input;
+    if (!Array.isArray(list)) throw fail(400, 'agenda must be a list of items');
+    if (list.length > MAX_AGENDA_ITEMS) throw fail(400, `An agenda can have at most ${MAX_AGENDA_ITEMS} items`);
+
+    const used = new Set();
+    return list.map((item) => {
+        const title = typeof item?.title === 'string' ? item.title.trim().slice(0, 200) : '';
+        if (!title) throw fail(400, 'Every agenda item needs a title');
+        const minutes = clamp(Math.round(Number(item.minutes)) || 5, 1, 480);
+
+        const previous = current.find((c) => !used.has(String(c._id))
+            && (item.id ? String(c._id) === String(item.id) : c.title === title));
+        if (!previous) return { _id: new mongoose.Types.ObjectId(), title, minutes, status: 'pending' };
+
+        used.add(String(previous._id));
+        return {
+            _id: previous._id,
+            title,
+            minutes,
+            status: previous.status,
+            startedAt: previous.startedAt,
+            endedAt: previous.endedAt,
+        };
+    });
+};
+
+const broadcastAgenda = (io, meetingId, agenda, extra = {}) => {
+    io?.to(meetingChannel(meetingId)).emit('agenda-updated', { agenda, ...extra });
+};
+
+/**
+ * Read the agenda, change it and write it back only if nobody wrote it in
+ * between (on any instance); otherwise change the fresh one
+ * @param {(agenda: object[]) => object[]} change - returns the new agenda, may throw
+ * @returns {Promise<object[]>} the agenda as written
+ */
+const changeAgenda = async (meetingId, change) => {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const meeting = await Meeting.findOne({ meetingId }, { agenda: 1, agendaRevision: 1 }).lean();
+        if (!meeting) throw fail(404, 'Meeting not found');
+
+        const current = meeting.agendaRevision || 0;
+        const agenda = change(meeting.agenda || []);
+        const result = await Meeting.updateOne(
+            { meetingId, agendaRevision: current || { $in: [0, null] } },
+            { $set: { agenda, agendaRevision: current + 1 } }
+        );
+        if (result.matchedCount) return agenda;
+    }
+    throw fail(409, 'The agenda is busy. Try again.');
+};
+
+/** Replace a meeting's agenda (before or during the meeting) */
+const updateAgenda = async (io, meetingId, input, { byName } = {}) => {
+    const agenda = await changeAgenda(meetingId, (current) => cleanAgenda(input, current));
+
+    const formatted = formatAgenda(agenda);
+    broadcastAgenda(io, meetingId, formatted, byName ? { byName } : {});
+    return formatted;
+};
+
+/**
+ * Start an item (the running one is done), or mark it done / skipped / pending again
+ */
+const setAgendaItemStatus = async (io, meetingId, itemId, status, { byName } = {}) => {
+    if (!AGENDA_STATUSES.includes(status)) throw fail(400, `Unknown agenda status "${status}"`);
+
+    const agenda = await changeAgenda(meetingId, (agenda) => {
+        const item = agenda.find((i) => String(i._id) === String(itemId));
+        if (!item) throw fail(404, 'Agenda item not found');
+
+        const now = new Date();
+        if (status === 'active') {
+            agenda.filter((i) => i.status === 'active' && i !== item).forEach((i) => {
+                i.status = 'done';
+                i.endedAt = now;
+            });
+            item.startedAt = now;
+            item.endedAt = null;
+        } else if (status === 'pending') {
+            item.startedAt = null;
+            item.endedAt = null;
+        } else if (item.status === 'active') {
+            item.endedAt = now;
+        }
+        item.status = status;
+        return agenda;
+    });
+
+    const formatted = formatAgenda(agenda);
+    broadcastAgenda(io, meetingId, formatted, { byName });
+    return formatted;
+};
+
+/** The running item stops with the meeting (on a Meeting document about to be saved) */
+const finishAgenda = (meeting, at = new Date()) => {
+    const running = (meeting.agenda || []).filter((i) => i.status === 'active');
+    running.forEach((i) => {
+        i.status = 'done';
+        i.endedAt = at;
+    });
+    // Agenda writes still in flight start over from the finished agenda
+    if (running.length > 0) meeting.agendaRevision = (meeting.agendaRevision || 0) + 1;
+};
+
+// ── Notes ───────────────────────────────────────────────────────────────────
+/** Notes and agenda as a client needs them to start editing */
+const getNotes = async (meetingId) => {
+    const meeting = await Meeting.findOne({ meetingId }, { notes: 1, agenda: 1 }).lean();
+    return {
+        text: meeting?.notes?.text || '',
+        revision: meeting?.notes?.revision || 0,
+        agenda: formatAgenda(meeting?.agenda || []),
+    };
+};
+
+/**
+ * Apply an edit made on `revision`
+ * @returns {Promise<{revision: number, ops: Array}>} the edit as applied (after
+ *          merging) and the revision it produced
+ */
+const applyNotesEdit = async (meetingId, { revision, ops }) => {
+    const base = Number(revision);
+    const edit = normalize(ops);
+    if (!Number.isInteger(base) || base < 0 || !edit) throw fail(400, 'Invalid notes edit');
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const meeting = await Meeting.findOne({ meetingId }, { notes: 1 }).lean();
+        if (!meeting) throw fail(404, 'Meeting not found');
+
+        const current = meeting.notes?.revision || 0;
+        const missed = (meeting.notes?.history || []).filter((h) => h.revision > base);
+        if (base > current || missed.length !== current - base) {
+            throw fail(409, 'Your notes are out of date.');
+        }
+
+        let merged = edit;
+        let text;
+        try {
+            // Earlier edits win ties: text inserted at the same place goes first
+            missed.forEach((h) => { [, merged] = transform(h.ops, merged); });
+            text = apply(meeting.notes?.text || '', merged);
+        } catch {
+            throw fail(409, 'Your notes are out of date.');
+        }
+        if (text.length > MAX_NOTES) throw fail(400, `The notes are limited to ${MAX_NOTES} characters.`);
+
+        // Written only if nobody got in first; otherwise merge again
+        const result = await Meeting.updateOne(
+            { meetingId, 'notes.revision': current || { $in: [0, null] } },
+            {
+                $set: { 'notes.text': text, 'notes.revision': current + 1, 'notes.updatedAt': new Date() },
+                $push: { 'notes.history': { $each: [{ revision: current + 1, ops: merged }], $slice: -HISTORY } },
+            }
+        );
+        if (result.matchedCount) return { revision: current + 1, ops: merged };
+    }
+    throw fail(409, 'The notes are busy. Try again.');
+};
+
+module.exports = {
+    formatAgenda,
+    cleanAgenda,
+    updateAgenda,
+    setAgendaItemStatus,
+    finishAgenda,
+    getNotes,
+    applyNotesEdit,
+};
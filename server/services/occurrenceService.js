@@ -0,0 +1,168 @@
+/**
+ * Occurrence Service
+ * A recurring series keeps one meetingId – the invite link everyone has. When
+ * it is joined again after an occurrence ended, the ended occurrence is filed
+ * as a Meeting of its own before the next one starts:
+ *
+ *   ABC-1X2            the series: settings, roles, agenda, invite link
+ *   ABC-1X2-20261020   one occurrence: ended, with its transcript, summary,
+ *                      chat, notes and scores (seriesId: 'ABC-1X2')
+ *
+ * Every record the occurrence left behind (transcripts, polls, questions,
+ * files, recordings, attendance, action items, jobs...) moves to the
+ * occurrence's meetingId, so the next occurrence starts empty and its end
+ * does not overwrite the last summary.
+ *
+ * Only the host and the series' members (participants, role holders) reopen
+ * it, and only from OPENS_EARLY_MS before a scheduled occurrence until it ends.
+ */
+
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const ActionItem = require('../models/ActionItem');
+const Engagement = require('../models/Engagement');
+const Job = require('../models/Job');
+const MeetingEvent = require('../models/MeetingEvent');
+const Poll = require('../models/Poll');
+const Question = require('../models/Question');
+const Recording = require('../models/Recording');
+const SharedFile = require('../models/SharedFile');
+const Transcript = require('../models/Transcript');
+const Whiteboard = require('../models/Whiteboard');
+const { getZonedParts, expandOccurrences } = require('../utils/recurrence');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+// Records keyed by meetingId that belong to one occurrence; MeetingEvent has no createdAt
+const OCCURRENCE_RECORDS = [ActionItem, Engagement, Job, Poll, Question, Recording, SharedFile, Transcript, Whiteboard];
+
+// The next occurrence can be opened this long before its scheduled start
+const OPENS_EARLY_MS = 15 * 60 * 1000;
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** "ABC-1X2-20261020": the series ID and the day the occurrence started (in the series' time zone) */
+const occurrenceMeetingId = (meeting) => {
+    const { year, month, day } = getZonedParts(meeting.startTime || meeting.endTime, meeting.timeZone || 'UTC');
+    return `${meeting.meetingId}-${year}${pad(month)}${pad(day)}`;
+};
+
+/** Ended occurrence as its own Meeting; a second one on the same day gets -2, -3... */
+const createOccurrence = async (meeting) => {
+    const { _id, __v, meetingPassword, createdAt, updatedAt, ...data } = meeting.toObject();
+    const base = occurrenceMeetingId(meeting);
+    for (let n = 1; ; n++) {
+        try {
+            return await Meeting.create({
+                ...data,
+                meetingId: n === 1 ? base : `${base}-${n}`,
+                seriesId: meeting.meetingId,
+                recurrence: null,
+                isScheduled: false, // Kept out of calendars – the series is on them
+                waitingQueue: [],
+            });
+        } catch (err) {
+            if (err.code !== 11000 || n >= 50) throw err;
+        }
+    }
+};
+
+/** The series as it starts an occurrence: settings kept, everything from the last one cleared */
+const resetFields = (meeting) => ({
+    $set: {
+        status: 'waiting',
+        duration: 0,
+        isLocked: false,
+        waitingQueue: [],
+        transcript: '',
+        summary: '',
+        summaryStructured: { decisions: [], actionItems: [], keyPoints: [], highlights: [] },
+        engagementScores: {},
+        contributionScores: {},
+        breakoutRooms: [],
+        chatMessages: [],
+        sharedFileBytes: 0,
+        notes: { text: '', revision: 0, history: [] },
+        agenda: (meeting.agenda || []).map((item) => ({
+            _id: item._id,
+            title: item.title,
+            minutes: item.minutes,
+            status: 'pending',
+        })),
+    },
+    $inc: { agendaRevision: 1 },
+    $unset: { endTime: 1 },
+});
+
+/** The scheduled occurrence that is on now or comes next, or null once the series is over */
+const upcomingOccurrence = (meeting, now = new Date()) => {
+    const [next] = expandOccurrences({
+        start: meeting.scheduledStart || meeting.startTime,
+        durationMinutes: meeting.durationMinutes,
+        timeZone: meeting.timeZone,
+        recurrence: meeting.recurrence,
+    }, { from: now, limit: 1 });
+    return next || null;
+};
+
+/**
+ * Reopen an ended recurring meeting for its next occurrence, filing the ended
+ * one under its own meetingId first
+ * @param {object} meeting - the series, status 'ended'
+ * @param {string|ObjectId} [userId] - who is joining; guests cannot reopen a series
+ * @returns {Promise<object>} the series, reopened (status 'waiting', password selected)
+ */
+const startNextOccurrence = async (meeting, userId) => {
+    const seriesId = meeting.meetingId;
+
+    if (!isMeetingMember(meeting, userId)) {
+        throw fail(403, 'This meeting has ended. Only the host or an invited participant can start the next one.');
+    }
+    const next = upcomingOccurrence(meeting);
+    if (!next) throw fail(410, 'This meeting series has ended.');
+    if (Date.now() < next.start.getTime() - OPENS_EARLY_MS) {
+        throw fail(410, `This meeting has ended. The next one opens ${OPENS_EARLY_MS / 60000} minutes before it starts.`);
+    }
+
+    // Its summary and report are written to the series until they finish
+    const processing = await Job.exists({ meetingId: seriesId, status: { $in: ['queued', 'running'] } });
+    if (processing) throw fail(409, 'The last occurrence is still being processed. Try again in a minute.');
+
+    const occurrence = await createOccurrence(meeting);
+    const reopenedAt = new Date();
+
+    // Conditional on the occurrence that ended, so only one join reopens it
+    const reopened = await Meeting.findOneAndUpdate(
+        { _id: meeting._id, status: 'ended', endTime: meeting.endTime },
+        resetFields(meeting),
+        { new: true }
+    ).select('+meetingPassword');
+
+    if (!reopened) {
+        await Meeting.deleteOne({ _id: occurrence._id });
+        return Meeting.findById(meeting._id).select('+meetingPassword');
+    }
+
+    const moved = { meetingId: occurrence.meetingId };
+    await Promise.all([
+        ...OCCURRENCE_RECORDS.map((Model) =>
+            Model.updateMany({ meetingId: seriesId, createdAt: { $lt: reopenedAt } }, { $set: moved })),
+        MeetingEvent.updateMany({ meetingId: seriesId, at: { $lt: reopenedAt } }, { $set: moved }),
+    ]);
+    // Job payloads name the meeting too (a retry must find the occurrence)
+    await Job.updateMany(
+        { meetingId: occurrence.meetingId, 'payload.meetingId': seriesId },
+        { $set: { 'payload.meetingId': occurrence.meetingId } }
+    );
+
+    // Past meetings list the occurrence next to the series
+    await Promise.all([
+        User.updateOne({ _id: meeting.host }, { $addToSet: { meetingsHosted: occurrence._id } }),
+        User.updateMany({ _id: { $in: meeting.participants || [] } }, { $addToSet: { meetingsJoined: occurrence._id } }),
+    ]);
+
+    return reopened;
+};
+
+module.exports = { startNextOccurrence, occurrenceMeetingId };
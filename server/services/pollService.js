@@ -0,0 +1,264 @@
+/**
+ * Poll Service
+ * Polls and quizzes of a meeting (models/Poll.js): prepared by the host /
+ * co-hosts before or during the meeting, launched live, answered from the
+ * meeting sidebar, closed by hand or when the meeting ends.
+ * Live changes go to the whole meeting (breakout rooms included):
+ *   poll-launched  { poll }                 a poll opened
+ *   poll-results   { pollId, results }      after every answer
+ *   poll-closed    { poll }                 final results (+ quiz answer key)
+ *   poll-deleted   { pollId }
+ * A vote is written with a single conditional update, so answers arriving
+ * together are never lost and a closed poll takes no more.
+ */
+
+const Poll = require('../models/Poll');
+const { meetingChannel } = require('../socket/roomState');
+
+const MAX_OPTIONS = 10;
+const MAX_OPTION_LENGTH = 120;
+const MAX_TEXT_ANSWER = 1000;
+const TYPES = ['single', 'multiple', 'rating', 'text'];
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+const isChoice = (type) => type === 'single' || type === 'multiple';
+
+/**
+ * Validate a poll definition (create / edit)
+ * @returns {{question, type, options, ratingMax, anonymous, correctOptions}}
+ */
+const cleanPollInput = ({ question, type = 'single', options, ratingMax, anonymous, correctOptions } = {}) => {
+    const text = typeof question === 'string' ? question.trim() : '';
+    if (!text) throw fail(400, 'A question is required');
+    if (text.length > 300) throw fail(400, 'The question can be at most 300 characters');
+    if (!TYPES.includes(type)) throw fail(400, `Unknown poll type "${type}"`);
+
+    const cleaned = {
+        question: text,
+        type,
+        options: [],
+        ratingMax: 5,
+        anonymous: !!anonymous,
+        correctOptions: [],
+    };
+
+    if (isChoice(type)) {
+        cleaned.options = (Array.isArray(options) ? options : [])
+            .map((o) => String(o ?? '').trim().slice(0, MAX_OPTION_LENGTH))
+            .filter(Boolean);
+        if (cleaned.options.length < 2) throw fail(400, 'A choice poll needs at least 2 options');
+        if (cleaned.options.length > MAX_OPTIONS) throw fail(400, `A poll can have at most ${MAX_OPTIONS} options`);
+
+        const key = [...new Set((Array.isArray(correctOptions) ? correctOptions : []).map(Number))];
+        if (key.some((i) => !Number.isInteger(i) || i < 0 || i >= cleaned.options.length)) {
+            throw fail(400, 'Correct answers must be option numbers');
+        }
+        if (type === 'single' && key.length > 1) throw fail(400, 'A single-choice quiz has one correct answer');
+        cleaned.correctOptions = key.sort((a, b) => a - b);
+    } else if (type === 'rating') {
+        const max = ratingMax === undefined ? 5 : Number(ratingMax);
+        if (!Number.isInteger(max) || max < 2 || max > 10) throw fail(400, 'ratingMax must be between 2 and 10');
+        cleaned.ratingMax = max;
+    }
+
+    return cleaned;
+};
+
+/**
+ * Validate an answer against the poll
+ * @returns {{choices?: number[], rating?: number, text?: string}}
+ */
+const cleanAnswer = (poll, answer = {}) => {
+    if (isChoice(poll.type)) {
+        const choices = [...new Set((Array.isArray(answer.choices) ? answer.choices : []).map(Number))];
+        if (!choices.length) throw fail(400, 'Pick an option');
+        if (choices.some((i) => !Number.isInteger(i) || i < 0 || i >= poll.options.length)) throw fail(400, 'Unknown option');
+        if (poll.type === 'single' && choices.length > 1) throw fail(400, 'Pick only one option');
+        return { choices: choices.sort((a, b) => a - b) };
+    }
+    if (poll.type === 'rating') {
+        const rating = Number(answer.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > poll.ratingMax) throw fail(400, `Rate from 1 to ${poll.ratingMax}`);
+        return { rating };
+    }
+    const text = typeof answer.text === 'string' ? answer.text.trim() : '';
+    if (!text) throw fail(400, 'Write an answer');
+    return { text: text.slice(0, MAX_TEXT_ANSWER) };
+};
+
+const sameChoices = (a = [], b = []) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+// ── Results ─────────────────────────────────────────────────────────────────
+/**
+ * Tally the responses. Names are left out of anonymous polls; quiz marks
+ * only once the poll is closed (or for moderators, who wrote the key).
+ */
+const tallyPoll = (poll, { reveal = poll.status === 'closed' } = {}) => {
+    const responses = poll.responses || [];
+    const named = !poll.anonymous;
+    const quiz = reveal && poll.correctOptions?.length > 0;
+    const results = { total: responses.length };
+
+    if (isChoice(poll.type)) {
+        results.counts = poll.options.map((_, i) => responses.filter((r) => r.choices?.includes(i)).length);
+        if (named) results.voters = poll.options.map((_, i) => responses.filter((r) => r.choices?.includes(i)).map((r) => r.userName));
+        if (quiz) {
+            const correct = responses.filter((r) => sameChoices(r.choices, poll.correctOptions));
+            results.correctCount = correct.length;
+            if (named) results.scores = responses.map((r) => ({ userName: r.userName, correct: sameChoices(r.choices, poll.correctOptions) }));
+        }
+    } else if (poll.type === 'rating') {
+        results.distribution = Array.from({ length: poll.ratingMax }, (_, i) => responses.filter((r) => r.rating === i + 1).length);
+        results.average = responses.length
+            ? Math.round((responses.reduce((s, r) => s + (r.rating || 0), 0) / responses.length) * 10) / 10
+            : null;
+    } else {
+        results.answers = responses.map((r) => (named ? { text: r.text, userName: r.userName } : { text: r.text }));
+    }
+
+    return results;
+};
+
+/** Answer of one voter, for their own UI */
+const answerOf = (poll, userId) => {
+    const r = userId && (poll.responses || []).find((x) => x.userId === String(userId));
+    if (!r) return null;
+    return isChoice(poll.type) ? { choices: r.choices } : poll.type === 'rating' ? { rating: r.rating } : { text: r.text };
+};
+
+/**
+ * Public view of a poll
+ * @param {{viewerId?: string, moderator?: boolean}} viewer
+ */
+const formatPoll = (poll, { viewerId, moderator = false } = {}) => {
+    const reveal = poll.status === 'closed' || moderator;
+    return {
+        id: poll._id,
+        meetingId: poll.meetingId,
+        question: poll.question,
+        type: poll.type,
+        options: poll.options,
+        ratingMax: poll.ratingMax,
+        anonymous: poll.anonymous,
+        quiz: poll.correctOptions?.length > 0,
+        correctOptions: reveal ? poll.correctOptions : undefined,
+        status: poll.status,
+        createdByName: poll.createdByName,
+        launchedAt: poll.launchedAt,
+        closedAt: poll.closedAt,
+        results: poll.status === 'draft' ? null : tallyPoll(poll, { reveal }),
+        myAnswer: viewerId ? answerOf(poll, viewerId) : undefined,
+    };
+};
+
+/**
+ * Polls of a meeting, oldest first; drafts only for moderators
+ */
+const getMeetingPolls = async (meetingId, { viewerId, moderator = false } = {}) => {
+    const filter = moderator ? { meetingId } : { meetingId, status: { $ne: 'draft' } };
+    const polls = await Poll.find(filter).sort({ createdAt: 1 });
+    return polls.map((p) => formatPoll(p, { viewerId, moderator }));
+};
+
+/** Open polls, for someone joining or resuming */
+const getLivePolls = async (meetingId, viewerId) => {
+    const polls = await Poll.find({ meetingId, status: 'live' }).sort({ launchedAt: 1 });
+    return polls.map((p) => formatPoll(p, { viewerId }));
+};
+
+// ── Changes ─────────────────────────────────────────────────────────────────
+const createPoll = async (meeting, user, input) => Poll.create({
+    ...cleanPollInput(input),
+    meetingId: meeting.meetingId,
+    createdBy: user._id,
+    createdByName: user.name,
+});
+
+/** Edit a poll that hasn't been launched yet */
+const updatePoll = async (poll, input) => {
+    if (poll.status !== 'draft') throw fail(409, 'A launched poll can no longer be edited');
+    Object.assign(poll, cleanPollInput({ ...formatPoll(poll, { moderator: true }), ...input }));
+    return poll.save();
+};
+
+const launchPoll = async (io, poll) => {
+    if (poll.status !== 'draft') throw fail(409, poll.status === 'live' ? 'The poll is already live' : 'The poll is closed');
+    const launched = await Poll.findOneAndUpdate(
+        { _id: poll._id, status: 'draft' },
+        { $set: { status: 'live', launchedAt: new Date() } },
+        { new: true }
+    );
+    if (!launched) throw fail(409, 'The poll was already launched');
+
+    if (io) io.to(meetingChannel(launched.meetingId)).emit('poll-launched', { poll: formatPoll(launched) });
+    return launched;
+};
+
+const closePoll = async (io, poll) => {
+    const closed = await Poll.findOneAndUpdate(
+        { _id: poll._id, status: 'live' },
+        { $set: { status: 'closed', closedAt: new Date() } },
+        { new: true }
+    );
+    if (!closed) return poll;
+
+    if (io) io.to(meetingChannel(closed.meetingId)).emit('poll-closed', { poll: formatPoll(closed) });
+    return closed;
+};
+
+/** Close whatever is still open when the meeting ends */
+const closeMeetingPolls = async (io, meetingId) => {
+    const live = await Poll.find({ meetingId, status: 'live' });
+    for (const poll of live) await closePoll(io, poll);
+};
+
+/**
+ * Record (or change) a participant's answer and broadcast the new results
+ * @param {{userId: string, userName: string}} voter
+ * @returns {Promise<Document>} the updated poll
+ */
+const submitVote = async (io, poll, voter, answer) => {
+    if (poll.status !== 'live') throw fail(409, 'This poll is not open');
+    const response = { ...cleanAnswer(poll, answer), userId: String(voter.userId), userName: voter.userName || '', at: new Date() };
+
+    // Change an existing answer, otherwise add one; both only while the poll is live
+    let result = await Poll.updateOne(
+        { _id: poll._id, status: 'live', 'responses.userId': response.userId },
+        { $set: { 'responses.$': response } }
+    );
+    if (!result.matchedCount) {
+        result = await Poll.updateOne(
+            { _id: poll._id, status: 'live', 'responses.userId': { $ne: response.userId } },
+            { $push: { responses: response } }
+        );
+    }
+
+    const updated = await Poll.findById(poll._id);
+    if (!result.matchedCount && updated?.status !== 'live') throw fail(409, 'This poll is not open');
+
+    if (io && updated) {
+        io.to(meetingChannel(updated.meetingId)).emit('poll-results', { pollId: updated._id, results: tallyPoll(updated) });
+    }
+    return updated;
+};
+
+const deletePoll = async (io, poll) => {
+    await poll.deleteOne();
+    if (io && poll.status !== 'draft') io.to(meetingChannel(poll.meetingId)).emit('poll-deleted', { pollId: poll._id });
+};
+
+module.exports = {
+    cleanPollInput,
+    tallyPoll,
+    formatPoll,
+    getMeetingPolls,
+    getLivePolls,
+    createPoll,
+    updatePoll,
+    launchPoll,
+    closePoll,
+    closeMeetingPolls,
+    submitVote,
+    deletePoll,
+};
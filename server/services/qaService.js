@@ -0,0 +1,139 @@
+/**
+ * Q&A Service
+ * Questions of a meeting's Q&A panel (models/Question.js): asked and upvoted
+ * by anyone in the meeting, moderated by the host / co-hosts (promote one to
+ * be asked live, mark answered, dismiss, reopen). Every change goes to the
+ * whole meeting (breakout rooms included) as
+ *   qa-question  { question }   the question as it is now
+ * Broadcasts carry no per-viewer fields; each client knows what it asked and
+ * upvoted from the replies to its own actions.
+ */
+
+const Question = require('../models/Question');
+const { meetingChannel } = require('../socket/roomState');
+
+const MAX_TEXT = 500;
+const MAX_ANSWER = 1000;
+const ACTIONS = ['promote', 'answer', 'dismiss', 'reopen'];
+
+// Queue order: asked live, then open by votes (oldest first on a tie), then answered, then dismissed
+const STATUS_ORDER = { live: 0, open: 1, answered: 2, dismissed: 3 };
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Public view of a question
+ * @param {{viewerId?: string}} viewer - adds `mine` / `upvoted` for that person
+ */
+const formatQuestion = (question, { viewerId } = {}) => ({
+    id: question._id,
+    meetingId: question.meetingId,
+    text: question.text,
+    userName: question.anonymous ? null : question.userName,
+    anonymous: question.anonymous,
+    upvotes: question.upvotes.length,
+    status: question.status,
+    answer: question.answer || '',
+    answeredByName: question.answeredByName,
+    answeredAt: question.answeredAt,
+    promotedAt: question.promotedAt,
+    createdAt: question.createdAt,
+    ...(viewerId
+        ? { mine: question.userId === String(viewerId), upvoted: question.upvotes.includes(String(viewerId)) }
+        : {}),
+});
+
+const sortQuestions = (questions) => [...questions].sort((a, b) =>
+    STATUS_ORDER[a.status] - STATUS_ORDER[b.status]
+    || (a.status === 'open' ? b.upvotes - a.upvotes : 0)
+    || new Date(a.createdAt) - new Date(b.createdAt));
+
+/**
+ * Questions of a meeting in queue order; dismissed ones only for moderators
+ */
+const getMeetingQuestions = async (meetingId, { viewerId, moderator = false } = {}) => {
+    const filter = moderator ? { meetingId } : { meetingId, status: { $ne: 'dismissed' } };
+    const questions = await Question.find(filter);
+    return sortQuestions(questions.map((q) => formatQuestion(q, { viewerId })));
+};
+
+const broadcast = (io, question) => {
+    if (io && question) io.to(meetingChannel(question.meetingId)).emit('qa-question', { question: formatQuestion(question) });
+};
+
+// ── Asking and voting ───────────────────────────────────────────────────────
+/**
+ * @param {{userId: string, userName: string}} asker
+ * @param {{text: string, anonymous?: boolean}} input
+ */
+const askQuestion = async (io, meetingId, asker, { text, anonymous } = {}) => {
+    const clean = typeof text === 'string' ? text.trim() : '';
+    if (!clean) throw fail(400, 'Write a question first');
+    if (clean.length > MAX_TEXT) throw fail(400, `A question can be at most ${MAX_TEXT} characters`);
+
+    const question = await Question.create({
+        meetingId,
+        userId: String(asker.userId),
+        userName: asker.userName || '',
+        anonymous: !!anonymous,
+        text: clean,
+    });
+    broadcast(io, question);
+    return question;
+};
+
+/** Add or take back one person's upvote; only while the question is still in play */
+const setUpvote = async (io, question, voterId, upvote) => {
+    const id = String(voterId);
+    const updated = await Question.findOneAndUpdate(
+        { _id: question._id, status: { $in: ['open', 'live'] } },
+        upvote ? { $addToSet: { upvotes: id } } : { $pull: { upvotes: id } },
+        { new: true }
+    );
+    if (!updated) throw fail(409, 'This question is no longer open');
+
+    broadcast(io, updated);
+    return updated;
+};
+
+// ── Moderation ──────────────────────────────────────────────────────────────
+/**
+ * Promote / answer / dismiss / reopen a question
+ * @param {{answer?: string, by?: {userName: string}}} options
+ */
+const moderateQuestion = async (io, question, action, { answer, by } = {}) => {
+    if (!ACTIONS.includes(action)) throw fail(400, `Unknown action "${action}"`);
+
+    let update;
+    if (action === 'promote') {
+        // One question is asked live at a time: the previous one goes back to the queue
+        const previous = await Question.find({ meetingId: question.meetingId, status: 'live', _id: { $ne: question._id } });
+        for (const q of previous) {
+            broadcast(io, await Question.findOneAndUpdate({ _id: q._id, status: 'live' }, { $set: { status: 'open' } }, { new: true }));
+        }
+        update = { status: 'live', promotedAt: new Date() };
+    } else if (action === 'answer') {
+        const written = typeof answer === 'string' ? answer.trim() : '';
+        if (written.length > MAX_ANSWER) throw fail(400, `An answer can be at most ${MAX_ANSWER} characters`);
+        update = { status: 'answered', answer: written, answeredByName: by?.userName || null, answeredAt: new Date() };
+    } else if (action === 'dismiss') {
+        update = { status: 'dismissed' };
+    } else {
+        update = { status: 'open', answer: '', answeredByName: null, answeredAt: null };
+    }
+
+    const updated = await Question.findByIdAndUpdate(question._id, { $set: update }, { new: true });
+    if (!updated) throw fail(404, 'Question not found');
+
+    broadcast(io, updated);
+    return updated;
+};
+
+module.exports = {
+    formatQuestion,
+    sortQuestions,
+    getMeetingQuestions,
+    askQuestion,
+    setUpvote,
+    moderateQuestion,
+};
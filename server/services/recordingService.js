@@ -0,0 +1,244 @@
+/**
+ * Recording Service
+ * Meeting recordings: the host's browser composites the call (grid or active
+ * speaker, mixed audio) with MediaRecorder and uploads each timeslice in order.
+ * Chunks are appended to one file in storage (services/storage), so a finished
+ * recording plays back without any server-side processing.
+ * Every start / stop is announced as `recording-status` on the meeting channel.
+ * Settings: RECORDING_CHUNK_MB (largest accepted chunk, default 16),
+ * RECORDING_MAX_MB (default 4096).
+ */
+
+const jwt = require('jsonwebtoken');
+const Recording = require('../models/Recording');
+const { getStorage } = require('./storage');
+const { meetingChannel } = require('../socket/roomState');
+const { recordEvent } = require('./timelineService');
+
+const CHUNK_BYTES = Math.floor((parseFloat(process.env.RECORDING_CHUNK_MB) || 16) * 1024 * 1024);
+const MAX_BYTES = (parseFloat(process.env.RECORDING_MAX_MB) || 4096) * 1024 * 1024;
+const MEDIA_TOKEN_TTL = '6h';
+// A chunk claimed longer ago than this was left behind by a failed request
+const WRITE_CLAIM_MS = 60 * 1000;
+
+const EXTENSIONS = { 'video/webm': 'webm', 'video/mp4': 'mp4', 'audio/webm': 'weba', 'audio/ogg': 'ogg' };
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+// "video/webm;codecs=vp8,opus" → "video/webm"
+const baseType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+/** Public view of a recording */
+const formatRecording = (recording) => ({
+    id: recording._id,
+    meetingId: recording.meetingId,
+    startedByName: recording.startedByName,
+    status: recording.status,
+    layout: recording.layout,
+    mimeType: recording.mimeType,
+    size: recording.size,
+    chunks: recording.chunks,
+    startedAt: recording.startedAt,
+    endedAt: recording.endedAt,
+    duration: recording.duration,
+    error: recording.error,
+});
+
+/** What participants are shown: is the meeting being recorded, since when, by whom */
+const recordingState = (recording) =>
+    recording && recording.status === 'recording'
+        ? {
+            active: true,
+            recordingId: recording._id,
+            startedAt: recording.startedAt,
+            startedByName: recording.startedByName,
+            layout: recording.layout,
+        }
+        : { active: false };
+
+const getRecordingState = async (meetingId) =>
+    recordingState(await Recording.findOne({ meetingId, status: 'recording' }));
+
+const announce = (io, recording) => {
+    if (!io) return;
+    io.to(meetingChannel(recording.meetingId)).emit('recording-status', {
+        meetingId: recording.meetingId,
+        ...recordingState(recording),
+        recording: formatRecording(recording),
+    });
+};
+
+/**
+ * Start recording a live meeting
+ * @param {Server|null} io
+ * @param {Document} meeting - active Meeting document
+ * @param {Document} user - the moderator starting it
+ * @param {{mimeType: string, layout?: string}} options
+ * @returns {Promise<Document>}
+ */
+const startRecording = async (io, meeting, user, { mimeType, layout }) => {
+    const type = baseType(mimeType);
+    if (!EXTENSIONS[type]) throw fail(400, `Unsupported recording format "${type || 'none'}"`);
+
+    const recording = new Recording({
+        meetingId: meeting.meetingId,
+        startedBy: user._id,
+        startedByName: user.name,
+        layout: layout === 'speaker' ? 'speaker' : 'grid',
+        mimeType: String(mimeType).trim(),
+    });
+    recording.storageKey = `recordings/${meeting.meetingId}/${recording._id}.${EXTENSIONS[type]}`;
+
+    try {
+        await recording.save();
+    } catch (error) {
+        // one_active_recording
+        if (error.code === 11000) throw fail(409, 'This meeting is already being recorded');
+        throw error;
+    }
+
+    announce(io, recording);
+    await recordEvent(meeting.meetingId, 'recording-start', {
+        userId: user._id,
+        userName: user.name,
+        at: recording.startedAt,
+        data: { recordingId: recording._id.toString(), layout: recording.layout },
+    });
+    return recording;
+};
+
+/**
+ * Append chunk `index` (0, 1, 2, …). A chunk that was already stored is
+ * acknowledged again without writing it twice, so a retry after a lost
+ * response is harmless; skipping ahead is refused with the index expected.
+ * The chunk is claimed on the recording before it is written: a retry that
+ * arrives while the first request is still writing gets a 503 to come back
+ * later, and a claim left behind by a failed request expires after
+ * WRITE_CLAIM_MS. The file is cut back to the stored size before each write,
+ * so bytes of a write that was never counted are not kept.
+ * @returns {Promise<Document>}
+ */
+const appendChunk = async (recording, index, data) => {
+    if (!Number.isInteger(index) || index < 0) throw fail(400, 'Invalid chunk index');
+    if (index < recording.chunks) return recording;
+    if (recording.status !== 'recording') throw fail(409, `The recording is ${recording.status}`);
+    if (index > recording.chunks) {
+        throw Object.assign(fail(409, `Expected chunk ${recording.chunks}`), { expected: recording.chunks });
+    }
+    if (recording.size + data.length > MAX_BYTES) throw fail(413, 'The recording has reached its size limit');
+
+    const claimedAt = new Date();
+    const claimed = await Recording.findOneAndUpdate(
+        {
+            _id: recording._id,
+            chunks: index,
+            status: 'recording',
+            $or: [{ writingAt: null }, { writingAt: { $lt: new Date(claimedAt - WRITE_CLAIM_MS) } }],
+        },
+        { $set: { writingAt: claimedAt } },
+        { new: true }
+    );
+    if (!claimed) {
+        // Stored, stopped or moved on in the meantime: answer as for the current state
+        const current = await Recording.findById(recording._id);
+        if (!current) throw fail(404, 'Recording not found');
+        if (current.status === 'recording' && current.chunks === index) throw fail(503, `Chunk ${index} is still being written`);
+        return appendChunk(current, index, data);
+    }
+
+    try {
+        await getStorage().truncate(claimed.storageKey, claimed.size);
+        await getStorage().append(claimed.storageKey, data);
+    } catch (error) {
+        await Recording.updateOne({ _id: claimed._id, writingAt: claimedAt }, { $set: { writingAt: null } });
+        throw error;
+    }
+    const updated = await Recording.findOneAndUpdate(
+        { _id: claimed._id, chunks: index, writingAt: claimedAt },
+        { $inc: { chunks: 1, size: data.length }, $set: { writingAt: null } },
+        { new: true }
+    );
+    return updated || Recording.findById(recording._id);
+};
+
+/**
+ * Finish a recording: stop accepting chunks and announce it. An empty one
+ * (nothing ever uploaded) is discarded instead.
+ * @returns {Promise<Document|null>} the completed recording, or null if discarded
+ */
+const stopRecording = async (io, recording) => {
+    if (recording.status !== 'recording') return recording;
+
+    const endedAt = new Date();
+    recording.status = 'completed';
+    recording.endedAt = endedAt;
+    recording.duration = Math.round((endedAt - recording.startedAt) / 1000);
+    await recordEvent(recording.meetingId, 'recording-stop', {
+        userId: recording.startedBy,
+        userName: recording.startedByName,
+        at: endedAt,
+        data: { recordingId: recording._id.toString(), chunks: recording.chunks },
+    });
+
+    if (recording.chunks === 0) {
+        await Recording.deleteOne({ _id: recording._id });
+        await getStorage().remove(recording.storageKey);
+        announce(io, recording);
+        return null;
+    }
+
+    const stored = await getStorage().stat(recording.storageKey);
+    if (stored) recording.size = stored.size;
+    await recording.save();
+    announce(io, recording);
+    return recording;
+};
+
+/** Stop whatever is still recording when the meeting ends (the host's tab may be gone) */
+const finishRecordings = async (io, meetingId) => {
+    const running = await Recording.find({ meetingId, status: 'recording' });
+    for (const recording of running) await stopRecording(io, recording);
+};
+
+/** Delete a recording and its file */
+const deleteRecording = async (io, recording) => {
+    await getStorage().remove(recording.storageKey);
+    await recording.deleteOne();
+    if (recording.status === 'recording') {
+        recording.status = 'failed';
+        announce(io, recording);
+    }
+};
+
+/**
+ * Short-lived token for the media URL: <video> can't send an Authorization
+ * header, so playback URLs carry ?token= instead
+ */
+const issueMediaToken = (recording, userId) =>
+    jwt.sign({ recordingId: recording._id.toString(), userId: userId.toString(), purpose: 'recording' }, process.env.JWT_SECRET, {
+        expiresIn: MEDIA_TOKEN_TTL,
+    });
+
+/** @returns {string|null} the recording id the token grants, or null */
+const verifyMediaToken = (token) => {
+    try {
+        const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+        return decoded.purpose === 'recording' ? decoded.recordingId : null;
+    } catch {
+        return null;
+    }
+};
+
+module.exports = {
+    CHUNK_BYTES,
+    formatRecording,
+    recordingState,
+    getRecordingState,
+    startRecording,
+    appendChunk,
+    stopRecording,
+    finishRecordings,
+    deleteRecording,
+    issueMediaToken,
+    verifyMediaToken,
+};
@@ -0,0 +1,56 @@
+/**
+ * Report Service
+ * Post-meeting engagement report: once the meeting has ended, every
+ * participant's score is recomputed over the real meeting duration, speaking
+ * time becomes a contribution share, participants are ranked, and the scores
+ * are copied onto the Meeting document.
+ */
+
+const Meeting = require('../models/Meeting');
+const Engagement = require('../models/Engagement');
+
+// Same weights as the live score in engagementController.updateEngagement
+const scoreOf = (engagement, meetingDuration) => {
+    const speakingScore = (engagement.speakingTime / meetingDuration) * 50;
+    const cameraScore = (engagement.cameraOnTime / meetingDuration) * 30;
+    const chatScore = Math.min(engagement.chatMessages * 2, 20);
+    return Math.min(Math.round(speakingScore + cameraScore + chatScore), 100);
+};
+
+/**
+ * Build and persist the final report of a meeting
+ * @param {string} meetingId
+ * @returns {Promise<{participants: number, totalSpeakingTime: number}>}
+ */
+const buildMeetingReport = async (meetingId) => {
+    const meeting = await Meeting.findOne({ meetingId });
+    if (!meeting) throw new Error('Meeting not found.');
+
+    const engagements = await Engagement.find({ meetingId });
+    const meetingDuration = Math.max(
+        meeting.duration || Math.floor(((meeting.endTime || new Date()) - meeting.startTime) / 1000),
+        1
+    );
+    const totalSpeakingTime = engagements.reduce((sum, e) => sum + e.speakingTime, 0);
+
+    engagements.forEach((e) => {
+        e.engagementScore = scoreOf(e, meetingDuration);
+        e.contributionPercentage = totalSpeakingTime > 0
+            ? Math.round((e.speakingTime / totalSpeakingTime) * 100)
+            : 0;
+    });
+    engagements
+        .sort((a, b) => b.engagementScore - a.engagementScore)
+        .forEach((e, i) => { e.rank = i + 1; });
+
+    await Promise.all(engagements.map((e) => e.save()));
+
+    meeting.engagementScores = new Map(engagements.map((e) => [e.userId.toString(), e.engagementScore]));
+    meeting.contributionScores = new Map(engagements.map((e) => [e.userId.toString(), e.contributionPercentage]));
+    await meeting.save();
+
+    console.log(`[ReportService] Report built for ${meetingId}: ${engagements.length} participants`);
+    return { participants: engagements.length, totalSpeakingTime };
+};
+
+module.exports = { buildMeetingReport };
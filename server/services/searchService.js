@@ -0,0 +1,179 @@
+/**
+ * Search Service
+ * Full-text search over the meetings a user hosted, joined or holds a role in:
+ * transcript segments, chat messages, titles / descriptions and summaries.
+ * MongoDB text indexes (models/Transcript.js, models/Meeting.js) find the
+ * candidates; every hit is then scored on its own text so a chat line and a
+ * transcript segment rank on the same scale, and gets a snippet with the
+ * matched ranges plus a link to the right moment on the summary page.
+ * Deleted chat messages are skipped, and direct messages only match for the
+ * two people in them.
+ */
+
+const Meeting = require('../models/Meeting');
+const Transcript = require('../models/Transcript');
+const { readableMessages } = require('./chatService');
+
+const MAX_CANDIDATES = 200;
+const SNIPPET_CONTEXT = 80; // characters either side of the first match
+
+// Title matches matter most; transcript and chat lines are the bulk
+const TYPE_WEIGHTS = { title: 3, summary: 1.5, transcript: 1, chat: 1 };
+const SEARCH_TYPES = Object.keys(TYPE_WEIGHTS);
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of a query, lowercased: "-excluded" words and quotes dropped
+ * (MongoDB still applies them to the candidates)
+ */
+const parseTerms = (query) => [...new Set(
+    (query.match(/-?"[^"]*"|\S+/g) || [])
+        .filter((t) => !t.startsWith('-'))
+        .flatMap((t) => t.replace(/"/g, '').toLowerCase().split(/[^\p{L}\p{N}']+/u))
+        .filter((t) => t.length >= 2)
+)];
+
+// Roughly what the text index's stemming treats as the same word: "budgets" ~ "budget"
+const stemOf = (term) => (term.length > 5 ? term.slice(0, -2) : term.replace(/s$/, ''));
+
+const termPattern = (terms) =>
+    new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map((t) => escapeRegExp(stemOf(t))).join('|')})[\\p{L}\\p{N}']*`, 'giu');
+
+/** Share of the query terms found, plus a little for repeats */
+const scoreText = (text, terms, type) => {
+    const matches = (text.match(termPattern(terms)) || []).map((m) => m.toLowerCase());
+    if (matches.length === 0) return 0;
+    const found = terms.filter((t) => matches.some((m) => m.startsWith(stemOf(t)))).length;
+    return Math.round(((found / terms.length) * 2 + Math.min(matches.length, 5) * 0.2) * TYPE_WEIGHTS[type] * 100) / 100;
+};
+
+/**
+ * Excerpt around the first match
+ * @returns {{snippet: string, highlights: {start: number, end: number}[]}} offsets into the snippet
+ */
+const makeSnippet = (text, terms) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    const first = clean.search(termPattern(terms));
+    let from = Math.max(0, first - SNIPPET_CONTEXT);
+    let to = Math.min(clean.length, Math.max(first, 0) + SNIPPET_CONTEXT * 2);
+
+    // Don't cut words in half
+    if (from > 0) from = clean.indexOf(' ', from) + 1 || from;
+    if (to < clean.length) to = clean.lastIndexOf(' ', to) > from ? clean.lastIndexOf(' ', to) : to;
+
+    const prefix = from > 0 ? '…' : '';
+    const snippet = `${prefix}${clean.slice(from, to)}${to < clean.length ? '…' : ''}`;
+
+    const highlights = [];
+    const pattern = termPattern(terms);
+    let m;
+    while ((m = pattern.exec(snippet)) !== null) {
+        highlights.push({ start: m.index, end: m.index + m[0].length });
+    }
+    return { snippet, highlights };
+};
+
+/** Meetings a user may search */
+const accessFilter = (userId) => ({
+    $or: [
+        { host: userId },
+        { participants: userId },
+        { 'roles.userId': userId.toString() },
+    ],
+});
+
+const summaryLink = (meetingId, query, at) => {
+    const params = new URLSearchParams({ id: meetingId });
+    if (at !== undefined) params.set('t', String(at));
+    params.set('q', query);
+    return `/summary.html?${params}`;
+};
+
+/**
+ * Search a user's meetings
+ * @param {string|ObjectId} userId
+ * @param {string} query - MongoDB $text syntax ("phrases", -excluded)
+ * @param {{types?: string[], limit?: number, offset?: number}} options
+ * @returns {Promise<{total: number, results: object[]}>}
+ */
+const searchMeetings = async (userId, query, { types = SEARCH_TYPES, limit = 20, offset = 0 } = {}) => {
+    const terms = parseTerms(query);
+    if (terms.length === 0) return { total: 0, results: [] };
+
+    const accessible = await Meeting.find(accessFilter(userId)).select('meetingId title startTime').lean();
+    const meetings = new Map(accessible.map((m) => [m.meetingId, m]));
+    if (meetings.size === 0) return { total: 0, results: [] };
+
+    const offsetOf = (meeting, date) => Math.max(0, Math.round((new Date(date) - new Date(meeting.startTime)) / 1000));
+    const hit = (type, meeting, text, extra = {}) => {
+        const score = scoreText(text, terms, type);
+        if (score === 0) return null;
+        return {
+            type,
+            meetingId: meeting.meetingId,
+            meetingTitle: meeting.title,
+            meetingDate: meeting.startTime,
+            ...makeSnippet(text, terms),
+            score,
+            link: summaryLink(meeting.meetingId, query, extra.at),
+            ...extra,
+        };
+    };
+
+    const hits = [];
+
+    if (types.includes('transcript')) {
+        const segments = await Transcript.find(
+            { $text: { $search: query }, meetingId: { $in: [...meetings.keys()] } },
+            { score: { $meta: 'textScore' } }
+        )
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(MAX_CANDIDATES)
+            .lean();
+
+        for (const t of segments) {
+            const meeting = meetings.get(t.meetingId);
+            hits.push(hit('transcript', meeting, t.text, {
+                speaker: t.speakerName,
+                timestamp: t.timestamp,
+                at: offsetOf(meeting, t.timestamp),
+                breakoutId: t.breakoutId || null,
+            }));
+        }
+    }
+
+    if (types.some((t) => t !== 'transcript')) {
+        const matched = await Meeting.find({ $and: [accessFilter(userId), { $text: { $search: query } }] })
+            .select('meetingId title description startTime summary chatMessages')
+            .limit(MAX_CANDIDATES)
+            .lean();
+
+        for (const m of matched) {
+            if (types.includes('title')) {
+                hits.push(hit('title', m, [m.title, m.description].filter(Boolean).join(' – ')));
+            }
+            if (types.includes('summary') && m.summary) {
+                hits.push(hit('summary', m, m.summary));
+            }
+            if (types.includes('chat')) {
+                for (const msg of readableMessages(m.chatMessages, userId)) {
+                    hits.push(hit('chat', m, msg.message || '', {
+                        speaker: msg.userName,
+                        timestamp: msg.timestamp,
+                        at: offsetOf(m, msg.timestamp),
+                        breakoutId: msg.breakoutId || null,
+                    }));
+                }
+            }
+        }
+    }
+
+    const ranked = hits
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || new Date(b.meetingDate) - new Date(a.meetingDate));
+
+    return { total: ranked.length, results: ranked.slice(offset, offset + limit) };
+};
+
+module.exports = { SEARCH_TYPES, searchMeetings };
@@ -0,0 +1,132 @@
+/**
+ * Speaker Service
+ * Diarized speaker labels ("Speaker 2" of one shared-mic run, or the voices of
+ * an imported recording) and mapping them to people. Mapping renames the
+ * segments, moves their speaking time to the person's engagement record and
+ * rewrites Meeting.transcript. Segments nobody was credited for yet (imports)
+ * bring their time along. The person can be any registered user – an imported
+ * meeting only has its host as a member – and becomes a participant.
+ */
+
+const mongoose = require('mongoose');
+const Engagement = require('../models/Engagement');
+const Transcript = require('../models/Transcript');
+const User = require('../models/User');
+const { rebuildMeetingTranscript } = require('./transcriptService');
+const Meeting = require('../models/Meeting');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+/**
+ * Labels of every diarization run of a meeting, in the order they were spoken
+ * @returns {Promise<{diarizationId: string, label: string, segments: number, duration: number,
+ *          firstAt: Date, sample: string, speakerId: string|null, speakerName: string}[]>}
+ */
+const getSpeakerLabels = async (meetingId) => {
+    const groups = await Transcript.aggregate([
+        { $match: { meetingId, speakerLabel: { $ne: null } } },
+        { $sort: { timestamp: 1 } },
+        {
+            $group: {
+                _id: { diarizationId: '$diarizationId', label: '$speakerLabel' },
+                segments: { $sum: 1 },
+                duration: { $sum: '$duration' },
+                firstAt: { $first: '$timestamp' },
+                sample: { $first: '$text' },
+                speakerId: { $last: '$speakerId' },
+                speakerName: { $last: '$speakerName' },
+            },
+        },
+        { $sort: { firstAt: 1 } },
+    ]);
+
+    return groups.map(({ _id, ...group }) => ({
+        diarizationId: _id.diarizationId,
+        label: _id.label,
+        ...group,
+        duration: Math.round(group.duration * 10) / 10,
+        sample: group.sample.length > 120 ? `${group.sample.slice(0, 117)}…` : group.sample,
+        speakerId: group.speakerId ? group.speakerId.toString() : null,
+    }));
+};
+
+// Speaking time can't go below zero (a label may have been credited by hand before)
+const removeSpeakingTime = (meetingId, userId, seconds) =>
+    Engagement.updateOne(
+        { meetingId, userId },
+        [{ $set: { speakingTime: { $max: [0, { $subtract: ['$speakingTime', seconds] }] } } }],
+        { updatePipeline: true }
+    );
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+/** A registered user by id or email, made a participant of the meeting if they aren't a member */
+const resolveSpeaker = async (meeting, { userId, email }) => {
+    const user = userId
+        ? mongoose.isValidObjectId(userId) ? await User.findById(userId).select('name') : null
+        : await User.findOne({ email: String(email).trim().toLowerCase() }).select('name');
+    if (!user) throw fail(400, userId ? 'That user does not exist.' : 'No user has that email address.');
+
+    if (!isMeetingMember(meeting, user._id)) {
+        await Meeting.updateOne({ _id: meeting._id }, { $addToSet: { participants: user._id } });
+        await User.updateOne({ _id: user._id }, { $addToSet: { meetingsJoined: meeting._id } });
+    }
+    return user;
+};
+
+/**
+ * Map one label to a registered user (userId or email), a free-text name
+ * (guests), or back to the label itself (none given)
+ * @param {object} meeting - Meeting document (meetingId, host, participants, roles, breakoutRooms)
+ * @param {{diarizationId: string, label: string, userId?: string, email?: string, name?: string}} mapping
+ * @returns {Promise<{diarizationId: string, label: string, speakerId: string|null, speakerName: string, segments: number}>}
+ */
+const mapSpeakerLabel = async (meeting, { diarizationId, label, userId, email, name }) => {
+    const match = { meetingId: meeting.meetingId, diarizationId, speakerLabel: label };
+    const segments = await Transcript.find(match).select('duration creditedTo');
+    if (segments.length === 0) throw fail(404, `Unknown speaker label "${label}".`);
+
+    let target = { speakerId: null, speakerName: label };
+    if (userId || (email && String(email).trim())) {
+        const user = await resolveSpeaker(meeting, { userId, email });
+        target = { speakerId: user._id, speakerName: user.name };
+    } else if (name && String(name).trim()) {
+        target.speakerName = String(name).trim().slice(0, 100);
+    }
+
+    // Speaking time currently credited per user → move it all to the target (guests get none)
+    const credited = new Map();
+    for (const s of segments) {
+        if (!s.creditedTo) continue;
+        const key = s.creditedTo.toString();
+        credited.set(key, (credited.get(key) || 0) + (s.duration || 0));
+    }
+    const targetKey = target.speakerId?.toString();
+
+    for (const [from, seconds] of credited) {
+        if (from !== targetKey && seconds > 0) await removeSpeakingTime(meeting.meetingId, from, seconds);
+    }
+    // Everything the target wasn't credited with yet, uncredited segments included
+    const moved = segments
+        .filter((seg) => seg.creditedTo?.toString() !== targetKey)
+        .reduce((sum, seg) => sum + (seg.duration || 0), 0);
+    if (target.speakerId && moved > 0) {
+        await Engagement.updateOne(
+            { meetingId: meeting.meetingId, userId: target.speakerId },
+            { $inc: { speakingTime: moved }, $setOnInsert: { userName: target.speakerName } },
+            { upsert: true }
+        );
+    }
+
+    await Transcript.updateMany(match, { $set: { ...target, creditedTo: target.speakerId } });
+    await rebuildMeetingTranscript(meeting);
+
+    return {
+        diarizationId,
+        label,
+        speakerId: targetKey || null,
+        speakerName: target.speakerName,
+        segments: segments.length,
+    };
+};
+
+module.exports = { getSpeakerLabels, mapSpeakerLabel };
@@ -0,0 +1,50 @@
+/**
+ * fake.js – Deterministic offline provider for tests and local development
+ *   STT_FAKE_TEXT  text returned for every call (default: a fixed sentence)
+ * Tests can also install their own instance with canned results or errors:
+ *   setSpeechProvider(createFakeProvider({ results: ['first', new Error('boom'), { text: 'third' }] }))
+ * Results are used in order; the last one repeats. Words get 0.4 s each.
+ */
+
+const { buildResult } = require('./result');
+
+const DEFAULT_TEXT = 'This is a fake transcript from the offline speech provider.';
+const WORD_SECONDS = 0.4;
+
+const createFakeProvider = ({ results, delayMs = 0 } = {}) => {
+    const queue = results?.length ? [...results] : [process.env.STT_FAKE_TEXT || DEFAULT_TEXT];
+    const calls = [];
+
+    const next = () => (queue.length > 1 ? queue.shift() : queue[0]);
+
+    return {
+        name: 'fake',
+        calls, // { bytes, mimeType, language } per call, for assertions
+
+        isConfigured: () => true,
+
+        async transcribe(audio, { mimeType, language } = {}) {
+            calls.push({ bytes: audio?.length || 0, mimeType, language });
+            if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+            const item = next();
+            if (item instanceof Error) throw item;
+            const raw = typeof item === 'string' ? { text: item } : item;
+            if (raw.segments) return buildResult('fake', raw);
+
+            const words = (raw.text || '').split(/\s+/).filter(Boolean).map((word, i) => ({
+                word,
+                start: i * WORD_SECONDS,
+                end: (i + 1) * WORD_SECONDS,
+                confidence: 1,
+            }));
+            return buildResult('fake', {
+                text: raw.text,
+                language: raw.language || language || 'en',
+                segments: words.length ? [{ start: 0, end: words.length * WORD_SECONDS, text: raw.text, words }] : [],
+            });
+        },
+    };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,30 @@
+/**
+ * huggingface.js – Whisper on the Hugging Face Inference API
+ *   HUGGINGFACE_API_KEY, HF_WHISPER_MODEL
+ * Segment timing comes from `chunks` when the model returns them; no word timing.
+ */
+
+const { isConfigured, transcribeAudio } = require('../huggingfaceService');
+const { buildResult } = require('./result');
+
+const createHuggingFaceProvider = () => ({
+    name: 'huggingface',
+
+    isConfigured,
+
+    async transcribe(audio, { mimeType = 'audio/wav' } = {}) {
+        const data = await transcribeAudio(audio, mimeType);
+        return buildResult('huggingface', {
+            text: data.text,
+            language: data.language,
+            duration: data.duration,
+            segments: (data.chunks || []).map((c) => ({
+                start: c.timestamp?.[0],
+                end: c.timestamp?.[1],
+                text: c.text,
+            })),
+        });
+    },
+});
+
+module.exports = createHuggingFaceProvider;
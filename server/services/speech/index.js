@@ -0,0 +1,65 @@
+/**
+ * Speech-to-text provider selection
+ *   STT_PROVIDER=huggingface (default)  Whisper on the Hugging Face Inference API
+ *   STT_PROVIDER=openai                 any OpenAI-compatible /audio/transcriptions endpoint
+ *   STT_PROVIDER=whisper.cpp            local whisper.cpp binary on this machine's CPU
+ *   STT_PROVIDER=fake                   canned text, no network (tests / offline dev)
+ * A provider is { name, isConfigured(), transcribe(audio, { mimeType, language }) }
+ * and resolves to the shape described in ./result.js.
+ */
+
+const { buildResult } = require('./result');
+
+const FACTORIES = {
+    huggingface: () => require('./huggingface')(),
+    openai: () => require('./openai')(),
+    'whisper.cpp': () => require('./whisperCpp')(),
+    fake: () => require('./fake')(),
+};
+const ALIASES = { hf: 'huggingface', whispercpp: 'whisper.cpp', 'whisper-cpp': 'whisper.cpp', local: 'whisper.cpp' };
+
+let provider = null;
+
+const getSpeechProvider = () => {
+    if (provider) return provider;
+
+    const requested = (process.env.STT_PROVIDER || 'huggingface').toLowerCase();
+    const kind = ALIASES[requested] || requested;
+    if (!FACTORIES[kind]) {
+        throw new Error(`Unknown STT_PROVIDER "${requested}" (use ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    provider = FACTORIES[kind]();
+    return provider;
+};
+
+/** Swap the provider (tests install a fake one) */
+const setSpeechProvider = (next) => {
+    provider = next;
+};
+
+const isSpeechConfigured = () => getSpeechProvider().isConfigured();
+
+/**
+ * Transcribe an audio buffer with the configured provider
+ * @param {Buffer} audio
+ * @param {{mimeType?: string, language?: string}} options
+ * @returns {Promise<{provider: string, text: string, language: string, duration: number, segments: object[]}>}
+ */
+const transcribeAudio = async (audio, options = {}) => {
+    const stt = getSpeechProvider();
+    if (!stt.isConfigured()) {
+        // Keep the app usable without keys: placeholder text instead of an error
+        console.warn(`⚠️  Speech-to-text provider "${stt.name}" is not configured. Returning mock transcript.`);
+        return buildResult(stt.name, {
+            text: '[Transcript not available - Please configure a speech-to-text provider (STT_PROVIDER) in .env]',
+        });
+    }
+    return stt.transcribe(audio, options);
+};
+
+module.exports = {
+    getSpeechProvider,
+    setSpeechProvider,
+    isSpeechConfigured,
+    transcribeAudio,
+};
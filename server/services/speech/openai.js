@@ -0,0 +1,53 @@
+/**
+ * openai.js – Any OpenAI-compatible /audio/transcriptions endpoint
+ * (OpenAI, Groq, a local faster-whisper / LocalAI server, ...)
+ *   OPENAI_STT_URL    base URL (default https://api.openai.com/v1)
+ *   OPENAI_STT_KEY    bearer token (falls back to OPENAI_API_KEY; optional for local servers)
+ *   OPENAI_STT_MODEL  model name (default whisper-1)
+ * Asks for verbose_json with segment and word timestamps.
+ */
+
+const axios = require('axios');
+const { buildResult } = require('./result');
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a' };
+
+const createOpenAIProvider = () => {
+    const baseUrl = (process.env.OPENAI_STT_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = process.env.OPENAI_STT_KEY || process.env.OPENAI_API_KEY;
+    const model = process.env.OPENAI_STT_MODEL || 'whisper-1';
+    const isLocal = !baseUrl.startsWith('https://api.openai.com');
+
+    return {
+        name: 'openai',
+
+        // The hosted API needs a key; self-hosted servers usually don't
+        isConfigured: () => !!apiKey || isLocal,
+
+        async transcribe(audio, { mimeType = 'audio/webm', language } = {}) {
+            const type = mimeType.split(';')[0];
+            const form = new FormData();
+            form.append('file', new Blob([audio], { type }), `audio.${EXTENSIONS[type] || 'webm'}`);
+            form.append('model', model);
+            form.append('response_format', 'verbose_json');
+            form.append('timestamp_granularities[]', 'segment');
+            form.append('timestamp_granularities[]', 'word');
+            if (language) form.append('language', language);
+
+            try {
+                const { data } = await axios.post(`${baseUrl}/audio/transcriptions`, form, {
+                    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                    timeout: 120000,
+                });
+                return buildResult('openai', data);
+            } catch (error) {
+                console.error('❌ OpenAI-compatible transcription error:', error.response?.data || error.message);
+                throw new Error(
+                    `Transcription failed: ${error.response?.data?.error?.message || error.message}`
+                );
+            }
+        },
+    };
+};
+
+module.exports = createOpenAIProvider;
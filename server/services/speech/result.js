@@ -0,0 +1,80 @@
+/**
+ * result.js – The common speech-to-text result shape
+ * Every provider returns:
+ *   {
+ *     provider, text, language, duration,
+ *     segments: [{ start, end, text, words: [{ word, start, end, confidence }] }]
+ *   }
+ * Times are seconds from the start of the audio; `language` is an ISO 639-1 code
+ * when the provider reports one. Providers without segment or word timing still
+ * return one segment spanning the whole text, with `words` left empty.
+ */
+
+// OpenAI-compatible servers report full language names ("english")
+const LANGUAGE_CODES = {
+    english: 'en', spanish: 'es', french: 'fr', german: 'de', italian: 'it', portuguese: 'pt',
+    dutch: 'nl', russian: 'ru', chinese: 'zh', japanese: 'ja', korean: 'ko', arabic: 'ar',
+    hindi: 'hi', turkish: 'tr', polish: 'pl', ukrainian: 'uk', swedish: 'sv', indonesian: 'id',
+};
+
+const toLanguage = (language, fallback = 'en') => {
+    if (!language || typeof language !== 'string') return fallback;
+    const lower = language.trim().toLowerCase();
+    return LANGUAGE_CODES[lower] || (lower.length <= 3 ? lower : fallback);
+};
+
+const toSeconds = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? Math.round(n * 1000) / 1000 : 0;
+};
+
+const toWord = (w) => ({
+    word: String(w.word ?? '').trim(),
+    start: toSeconds(w.start),
+    end: toSeconds(w.end),
+    confidence: Number.isFinite(w.confidence) ? w.confidence : null,
+});
+
+/**
+ * Build a result from provider output
+ * @param {string} provider
+ * @param {{text?: string, language?: string, duration?: number, segments?: object[], words?: object[]}} raw
+ *        `words` (flat, with start/end) are spread over the segments by time
+ */
+const buildResult = (provider, { text = '', language, duration, segments = [], words = [] } = {}) => {
+    const flatWords = words.map(toWord).filter((w) => w.word);
+    let list = segments
+        .map((s) => ({
+            start: toSeconds(s.start),
+            end: toSeconds(s.end),
+            text: String(s.text ?? '').trim(),
+            words: (s.words || []).map(toWord).filter((w) => w.word),
+        }))
+        .filter((s) => s.text);
+
+    const fullText = String(text || list.map((s) => s.text).join(' ')).trim();
+    const lastEnd = Math.max(0, ...list.map((s) => s.end), ...flatWords.map((w) => w.end));
+    const total = toSeconds(duration) || lastEnd;
+
+    if (!list.length && fullText) {
+        list = [{ start: 0, end: total, text: fullText, words: [] }];
+    }
+
+    flatWords.forEach((w) => {
+        const segment = list.find((s) => w.start >= s.start && w.start < s.end) || list[list.length - 1];
+        if (segment) segment.words.push(w);
+    });
+
+    return {
+        provider,
+        text: fullText,
+        language: toLanguage(language),
+        duration: total,
+        segments: list,
+    };
+};
+
+/** All words of a result in order (what a Transcript stores) */
+const wordsOf = (result) => (result?.segments || []).flatMap((s) => s.words || []);
+
+module.exports = { buildResult, toLanguage, wordsOf };
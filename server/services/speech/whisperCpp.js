@@ -0,0 +1,87 @@
+/**
+ * whisperCpp.js – Local transcription with a whisper.cpp binary (CPU, no network)
+ *   WHISPER_CPP_BIN      the CLI (default whisper-cli; older builds call it "main")
+ *   WHISPER_CPP_MODEL    path to a ggml model, e.g. models/ggml-base.en.bin (required)
+ *   WHISPER_CPP_THREADS  CPU threads per run (default: all cores)
+ *   FFMPEG_BIN           used to turn browser WebM/Ogg into 16 kHz mono WAV (default ffmpeg)
+ * Each call runs in its own temp directory, removed afterwards.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { buildResult } = require('./result');
+
+const run = promisify(execFile);
+const RUN_TIMEOUT_MS = 120000;
+
+// whisper.cpp tokens: " Hel" "lo" " world" – a leading space starts a new word;
+// "[_BEG_]" / "[_TT_123]" are control tokens
+const tokensToWords = (tokens = []) => tokens.reduce((words, t) => {
+    const text = t.text || '';
+    if (!text.trim() || text.startsWith('[_')) return words;
+
+    const start = (t.offsets?.from ?? 0) / 1000;
+    const end = (t.offsets?.to ?? 0) / 1000;
+    const last = words[words.length - 1];
+    if (last && !/^\s/.test(text)) {
+        last.word += text;
+        last.end = end;
+        last.confidence = Math.min(last.confidence, t.p ?? 1);
+    } else {
+        words.push({ word: text.trim(), start, end, confidence: t.p ?? 1 });
+    }
+    return words;
+}, []);
+
+const createWhisperCppProvider = () => {
+    const bin = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+    const model = process.env.WHISPER_CPP_MODEL;
+    const threads = parseInt(process.env.WHISPER_CPP_THREADS, 10) || os.cpus().length;
+    const ffmpeg = process.env.FFMPEG_BIN || 'ffmpeg';
+
+    return {
+        name: 'whisper.cpp',
+
+        isConfigured: () => !!model && fs.existsSync(model),
+
+        async transcribe(audio, { language } = {}) {
+            const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'whispercpp-'));
+            const input = path.join(dir, 'input');
+            const wav = path.join(dir, 'audio.wav');
+            const out = path.join(dir, 'result');
+
+            try {
+                await fs.promises.writeFile(input, audio);
+                await run(ffmpeg, ['-y', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], {
+                    timeout: RUN_TIMEOUT_MS,
+                });
+                await run(bin, [
+                    '-m', model, '-f', wav, '-t', String(threads),
+                    '-l', language || 'auto',
+                    '-ojf', '-of', out, '-np',
+                ], { timeout: RUN_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+
+                const data = JSON.parse(await fs.promises.readFile(`${out}.json`, 'utf8'));
+                return buildResult('whisper.cpp', {
+                    language: data.result?.language,
+                    segments: (data.transcription || []).map((s) => ({
+                        start: (s.offsets?.from ?? 0) / 1000,
+                        end: (s.offsets?.to ?? 0) / 1000,
+                        text: s.text,
+                        words: tokensToWords(s.tokens),
+                    })),
+                });
+            } catch (error) {
+                console.error('❌ whisper.cpp transcription error:', error.stderr || error.message);
+                throw new Error(`Transcription failed: ${error.code === 'ENOENT' ? `${error.path} not found` : error.message}`);
+            } finally {
+                fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+            }
+        },
+    };
+};
+
+module.exports = createWhisperCppProvider;
@@ -0,0 +1,39 @@
+/**
+ * File storage selection (meeting recordings, shared files)
+ *   STORAGE_PROVIDER=local (default)  files under STORAGE_DIR (default: server/storage)
+ *   STORAGE_PROVIDER=memory           in-process buffers (tests / throwaway dev)
+ * A provider is { name, put(key, data), append(key, data), truncate(key, size),
+ * stat(key), createReadStream(key, { start, end }), remove(key) }; stat
+ * resolves to { size } or null; truncate leaves a missing file missing. Keys
+ * are checked by ./keys.js.
+ */
+
+const FACTORIES = {
+    local: () => require('./local')(),
+    memory: () => require('./memory')(),
+};
+const ALIASES = { disk: 'local', fs: 'local', mem: 'memory' };
+
+let storage = null;
+
+const getStorage = () => {
+    if (storage) return storage;
+
+    const requested = (process.env.STORAGE_PROVIDER || 'local').toLowerCase();
+    const kind = ALIASES[requested] || requested;
+    if (!FACTORIES[kind]) {
+        throw new Error(`Unknown STORAGE_PROVIDER "${requested}" (use ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    storage = FACTORIES[kind]();
+    return storage;
+};
+
+/** Swap the provider (tests install a memory one) */
+const setStorage = (next) => {
+    storage = next;
+};
+
+module.exports = {
+    getStorage,
+    setStorage,
+};
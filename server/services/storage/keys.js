@@ -0,0 +1,14 @@
+/**
+ * keys.js – Storage keys are relative paths like "recordings/<id>.webm";
+ * "..", absolute paths and odd characters never reach a provider
+ */
+
+const normalizeKey = (key) => {
+    const parts = String(key || '').split('/').filter(Boolean);
+    if (parts.length === 0 || parts.some((p) => p === '.' || p === '..' || !/^[\w.-]+$/.test(p))) {
+        throw new Error(`Invalid storage key "${key}"`);
+    }
+    return parts.join('/');
+};
+
+module.exports = { normalizeKey };
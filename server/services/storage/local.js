@@ -0,0 +1,51 @@
+/**
+ * local.js – Files on this machine's disk
+ *   STORAGE_DIR  root directory (default: server/storage, created on first write)
+ * Fine for a single instance; several instances need a shared volume.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { normalizeKey } = require('./keys');
+
+const createLocalStorage = ({ root = process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'storage') } = {}) => {
+    const resolve = (key) => path.join(root, normalizeKey(key));
+
+    const write = async (key, data, flag) => {
+        const file = resolve(key);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, data, { flag });
+    };
+
+    return {
+        name: 'local',
+
+        put: (key, data) => write(key, data, 'w'),
+        append: (key, data) => write(key, data, 'a'),
+
+        async truncate(key, size) {
+            try {
+                await fsp.truncate(resolve(key), size);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        async stat(key) {
+            try {
+                const { size } = await fsp.stat(resolve(key));
+                return { size };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        createReadStream: (key, range = {}) => fs.createReadStream(resolve(key), range),
+
+        remove: (key) => fsp.rm(resolve(key), { force: true }),
+    };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,46 @@
+/**
+ * memory.js – Buffers in this process, lost on restart (tests / throwaway dev)
+ */
+
+const { Readable } = require('stream');
+const { normalizeKey } = require('./keys');
+
+const createMemoryStorage = () => {
+    const files = new Map();
+
+    return {
+        name: 'memory',
+        files, // key → Buffer, for assertions
+
+        async put(key, data) {
+            files.set(normalizeKey(key), Buffer.from(data));
+        },
+
+        async append(key, data) {
+            const k = normalizeKey(key);
+            files.set(k, Buffer.concat([files.get(k) || Buffer.alloc(0), Buffer.from(data)]));
+        },
+
+        async truncate(key, size) {
+            const k = normalizeKey(key);
+            if (files.has(k)) files.set(k, files.get(k).subarray(0, size));
+        },
+
+        async stat(key) {
+            const file = files.get(normalizeKey(key));
+            return file ? { size: file.length } : null;
+        },
+
+        createReadStream(key, { start = 0, end } = {}) {
+            const file = files.get(normalizeKey(key)) || Buffer.alloc(0);
+            // Same inclusive end as fs.createReadStream
+            return Readable.from([file.subarray(start, end === undefined ? file.length : end + 1)]);
+        },
+
+        async remove(key) {
+            files.delete(normalizeKey(key));
+        },
+    };
+};
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,272 @@
+/**
+ * Summary Service
+ * Builds the post-meeting summary from stored transcript segments:
+ *   1. One summary for the whole meeting
+ *   2. One summary per breakout room that has transcript segments
+ *
+ * Long meetings are summarized map-reduce style so nothing is cut off:
+ *   map     segments ("Speaker: text" lines) are packed into windows of at most
+ *           SUMMARY_WINDOW_TOKENS and each window is summarized on its own
+ *   reduce  while the window summaries don't fit in one window they are grouped
+ *           and summarized again; the last level is summarized into the final text
+ * The summaries feeding that last step become `highlights`, each citing the time
+ * range and speakers it came from. Action items are tracked as ActionItem
+ * records (services/actionItemService.js).
+ * The agenda (and how far the meeting got through it) and the shared notes are
+ * summarized along with the transcript, after it, as "Meeting notes" lines.
+ */
+
+const Meeting = require('../models/Meeting');
+const Transcript = require('../models/Transcript');
+const { isConfigured, summarizeText, extractStructured } = require('./huggingfaceService');
+const { syncActionItems } = require('./actionItemService');
+
+// BART reads ~1024 tokens; leave room for the tokenizer being less generous than our estimate
+const WINDOW_TOKENS = parseInt(process.env.SUMMARY_WINDOW_TOKENS, 10) || 700;
+// Below this a window is short enough to quote instead of summarize
+const MIN_SUMMARY_TOKENS = 60;
+
+// ~4 characters per token for English text
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Transcript segments → timed lines
+ * @returns {{text: string, speaker: string, start: Date, end: Date}[]}
+ */
+const toLines = (segments, roomNames = new Map()) => segments.map((t) => {
+    // Breakout lines are prefixed so the whole-meeting summary keeps the context
+    const prefix = t.breakoutId && roomNames.has(t.breakoutId) ? `[${roomNames.get(t.breakoutId)}] ` : '';
+    const start = new Date(t.timestamp);
+    return {
+        text: `${prefix}${t.speakerName}: ${t.text}`,
+        speaker: t.speakerName,
+        start,
+        end: new Date(start.getTime() + (t.duration || 0) * 1000),
+    };
+});
+
+const AGENDA_OUTCOMES = { pending: 'not reached', active: 'in progress', done: 'covered', skipped: 'skipped' };
+
+/**
+ * The agenda and the shared notes as lines stamped `at` (the end of the meeting)
+ * @returns {{text: string, speaker: string, start: Date, end: Date}[]}
+ */
+const writtenLines = (meeting, at) => {
+    const texts = [];
+    const agenda = meeting.agenda || [];
+    if (agenda.length > 0) {
+        texts.push('Agenda:');
+        agenda.forEach((item) => {
+            const spent = item.startedAt && item.endedAt
+                ? ` in ${Math.max(1, Math.round((item.endedAt - item.startedAt) / 60000))} min`
+                : '';
+            texts.push(`- ${item.title} (${item.minutes} min planned): ${AGENDA_OUTCOMES[item.status]}${item.status === 'done' ? spent : ''}`);
+        });
+    }
+
+    const notes = (meeting.notes?.text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+    if (notes.length > 0) texts.push('Notes:', ...notes);
+
+    return texts.map((text) => ({ text, speaker: 'Meeting notes', start: at, end: at }));
+};
+
+// A single line longer than a window is split on sentence boundaries (same timing)
+const splitLong = (line) => {
+    if (estimateTokens(line.text) <= WINDOW_TOKENS) return [line];
+
+    const pieces = [];
+    let current = '';
+    for (const sentence of line.text.match(/[^.!?]+[.!?]*\s*/g) || [line.text]) {
+        if (current && estimateTokens(current + sentence) > WINDOW_TOKENS) {
+            pieces.push(current);
+            current = '';
+        }
+        current += sentence;
+    }
+    if (current) pieces.push(current);
+
+    // A "sentence" can still be too long (no punctuation): hard cut
+    return pieces
+        .flatMap((p) => (estimateTokens(p) <= WINDOW_TOKENS ? [p] : p.match(new RegExp(`[\\s\\S]{1,${WINDOW_TOKENS * 4}}`, 'g'))))
+        .map((text) => ({ ...line, text }));
+};
+
+/**
+ * Pack items ({ text, start, end, speakers }) into consecutive windows
+ */
+const toWindows = (items) => {
+    const windows = [];
+    let current = null;
+    for (const item of items) {
+        const tokens = estimateTokens(item.text);
+        if (!current || current.tokens + tokens > WINDOW_TOKENS) {
+            current = { parts: [], tokens: 0, start: item.start, end: item.end, speakers: new Set() };
+            windows.push(current);
+        }
+        current.parts.push(item.text);
+        current.tokens += tokens;
+        if (item.end > current.end) current.end = item.end;
+        item.speakers.forEach((s) => current.speakers.add(s));
+    }
+    return windows;
+};
+
+// One window at a time: the Inference API rate-limits bursts and 503s while loading
+const summarizeWindows = async (windows, separator) => {
+    const out = [];
+    for (const window of windows) out.push(await summarizeWindow(window, separator));
+    return out;
+};
+
+const summarizeWindow = async (window, separator) => {
+    const text = window.parts.join(separator);
+    const summary = window.tokens < MIN_SUMMARY_TOKENS
+        ? text
+        : await summarizeText(text, { maxLength: 150, minLength: 30 });
+    return { text: summary || text, start: window.start, end: window.end, speakers: [...window.speakers] };
+};
+
+/**
+ * Map-reduce summary of timed lines
+ * @param {{text: string, speaker: string, start: Date, end: Date}[]} lines
+ * @param {Date} origin - highlight offsets are seconds from here (meeting start)
+ * @returns {Promise<{summary: string, highlights: object[]}>}
+ */
+const summarizeLines = async (lines, origin) => {
+    // map
+    let items = await summarizeWindows(
+        toWindows(lines.flatMap(splitLong).map((l) => ({ ...l, speakers: [l.speaker] }))),
+        '\n'
+    );
+
+    // reduce until the summaries fit in one window
+    while (items.length > 1 && estimateTokens(items.map((i) => i.text).join(' ')) > WINDOW_TOKENS) {
+        const windows = toWindows(items);
+        if (windows.length === items.length) break; // Nothing left to merge
+        items = await summarizeWindows(windows, ' ');
+    }
+
+    const summary = items.length === 1
+        ? items[0].text
+        : await summarizeText(items.map((i) => i.text).join(' '), { maxLength: 300, minLength: 60 });
+
+    const offset = (date) => Math.max(0, Math.round((date - origin) / 1000));
+    return {
+        summary,
+        highlights: items.map((i) => ({
+            text: i.text,
+            speakers: i.speakers,
+            start: i.start,
+            end: i.end,
+            from: offset(i.start),
+            to: offset(i.end),
+        })),
+    };
+};
+
+/**
+ * Summary + structured info for one set of lines
+ * @returns {Promise<{summary: string, highlights: object[], keyPoints: string[], actionItems: string[], decisions: string[]}>}
+ */
+const summarizeTranscript = async (lines, origin) => {
+    if (!isConfigured()) {
+        // Return mock summary if API key not configured
+        console.warn('⚠️  Hugging Face API key not configured. Returning mock summary.');
+        return {
+            summary: '[AI Summary not available - Please configure HUGGINGFACE_API_KEY in .env]',
+            highlights: [],
+            keyPoints: ['Configure your Hugging Face API key to enable AI summaries'],
+            actionItems: ['Set up HUGGINGFACE_API_KEY in server/.env file'],
+            decisions: [],
+        };
+    }
+
+    const fullText = lines.map((l) => l.text).join('\n');
+    if (fullText.trim().length < 50) {
+        return {
+            summary: 'Not enough transcript content to generate a summary.',
+            highlights: [],
+            keyPoints: [],
+            actionItems: [],
+            decisions: [],
+        };
+    }
+
+    const { summary, highlights } = await summarizeLines(lines, origin);
+    return { summary, highlights, ...extractStructured(fullText) };
+};
+
+const toStructured = (result) => ({
+    keyPoints: result.keyPoints || [],
+    actionItems: result.actionItems || [],
+    decisions: result.decisions || [],
+    highlights: result.highlights || [],
+});
+
+/**
+ * Summarize a meeting and persist the result on the Meeting document
+ * @param {string} meetingId
+ * @returns {Promise<{summary: string, highlights: object[], keyPoints: string[], actionItems: string[], decisions: string[], breakouts: object[]}>}
+ */
+const summarizeMeeting = async (meetingId) => {
+    const meeting = await Meeting.findOne({ meetingId });
+    if (!meeting) throw new Error('Meeting not found.');
+
+    const transcripts = await Transcript.find({ meetingId }).sort({ timestamp: 1 });
+    const roomNames = new Map((meeting.breakoutRooms || []).map((r) => [r.breakoutId, r.name]));
+    const origin = meeting.startTime || transcripts[0]?.timestamp || new Date();
+
+    // Older meetings may only have the flat Meeting.transcript text (no timing)
+    const lines = transcripts.length > 0
+        ? toLines(transcripts, roomNames)
+        : (meeting.transcript || '').split('\n').filter((l) => l.trim()).map((text) => ({
+            text,
+            speaker: text.includes(':') ? text.slice(0, text.indexOf(':')).trim() : 'Unknown',
+            start: origin,
+            end: origin,
+        }));
+    const fullText = lines.map((l) => l.text).join('\n');
+    const written = writtenLines(meeting, meeting.endTime || lines[lines.length - 1]?.end || origin);
+
+    console.log(`[SummaryService] Summarizing ${meetingId}: ${transcripts.length} segments (${fullText.length} chars), ${written.length} lines of agenda / notes`);
+
+    const result = await summarizeTranscript([...lines, ...written], origin);
+
+    meeting.summary = result.summary;
+    meeting.transcript = fullText;
+    meeting.summaryStructured = toStructured(result);
+
+    // Tracked action items (owners, due dates) replace the plain sentence list
+    if (transcripts.length > 0) {
+        try {
+            const items = await syncActionItems(meeting, transcripts);
+            if (items.length > 0) {
+                result.actionItems = items.map((i) => i.text);
+                meeting.summaryStructured.actionItems = result.actionItems;
+            }
+        } catch (err) {
+            console.warn('[SummaryService] Action item extraction failed:', err.message);
+        }
+    }
+
+    const breakouts = [];
+    for (const room of meeting.breakoutRooms || []) {
+        const segments = transcripts.filter((t) => t.breakoutId === room.breakoutId);
+        if (segments.length === 0) continue;
+
+        try {
+            const roomResult = await summarizeTranscript(toLines(segments), origin);
+            room.summary = roomResult.summary;
+            room.summaryStructured = toStructured(roomResult);
+            breakouts.push({ breakoutId: room.breakoutId, name: room.name, ...roomResult });
+        } catch (err) {
+            console.warn(`[SummaryService] Breakout "${room.name}" summary failed:`, err.message);
+        }
+    }
+
+    await meeting.save();
+
+    return { ...result, breakouts };
+};
+
+module.exports = { summarizeMeeting };
@@ -0,0 +1,141 @@
+/**
+ * Timeline Service
+ * The event log of a live meeting (models/MeetingEvent.js) and the timeline
+ * built from it for the replay page: one lane per participant with their
+ * presence, speaker turns, raised hands and screen shares, on the same time
+ * axis as the transcript, the chat and the recording (seconds from the start).
+ * Writing an event never fails the caller: a lost event only thins the timeline.
+ * Socket handlers don't await it, so a slow database never holds up the call.
+ */
+
+const MeetingEvent = require('../models/MeetingEvent');
+const { getParticipant } = require('../socket/roomState');
+
+// Start / stop pairs that make up the lanes; a leave closes whatever is open
+const TRACKS = {
+    presence: ['join', 'leave'],
+    speaking: ['speaking-start', 'speaking-stop'],
+    handRaised: ['hand-raise', 'hand-lower'],
+    screenShare: ['screen-share-start', 'screen-share-stop'],
+    recording: ['recording-start', 'recording-stop'],
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Append an event to a meeting's log
+ * @param {string} meetingId
+ * @param {string} type - one of MeetingEvent's types
+ * @param {{userId?: string, userName?: string, socketId?: string, breakoutId?: string, data?: object, at?: Date}} details
+ */
+const recordEvent = async (meetingId, type, { userId, userName, socketId, breakoutId, data, at } = {}) => {
+    try {
+        await MeetingEvent.create({
+            meetingId,
+            type,
+            at: at || new Date(),
+            userId: userId ? String(userId) : null,
+            userName: userName || '',
+            socketId: socketId || null,
+            breakoutId: breakoutId || null,
+            data: data || null,
+        });
+    } catch (err) {
+        console.warn(`⚠️  Timeline event ${type} for ${meetingId} not saved:`, err.message);
+    }
+};
+
+/** Who admitted, turned away or removed someone: `data` of those events */
+const byDetails = (by) => (by ? { byUserId: by.userId ? String(by.userId) : null, byName: by.userName || '' } : {});
+
+/** Event of an admitted socket (anything else is ignored, so stray events can't pollute the log) */
+const recordSocketEvent = async (meetingId, socket, type, extra = {}) => {
+    const at = new Date();
+    try {
+        const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+        if (!seat) return;
+        await recordEvent(meetingId, type, {
+            userId: seat.userId || socket.userId,
+            userName: seat.userName || socket.userName,
+            socketId: socket.id,
+            breakoutId: seat.breakoutId,
+            at,
+            ...extra,
+        });
+    } catch (err) {
+        console.warn(`⚠️  Timeline event ${type} for ${meetingId} not saved:`, err.message);
+    }
+};
+
+// Pair start / stop events per user into { start, end } periods (seconds)
+const buildPeriods = (events, [startType, stopType], endOffset) => {
+    const open = new Map(); // user key → period
+    const periods = [];
+
+    for (const e of events) {
+        const key = e.userId || e.socketId || e.userName;
+        if (e.type === startType) {
+            if (open.has(key)) continue; // Second tab / repeated start: same period
+            const period = { userId: e.userId, userName: e.userName, start: e.offset, end: null };
+            open.set(key, period);
+            periods.push(period);
+        } else if (e.type === stopType || e.type === 'leave') {
+            const period = open.get(key);
+            if (!period) continue;
+            period.end = Math.max(period.start, e.offset);
+            open.delete(key);
+        }
+    }
+
+    // Still open when the log ends (meeting ended, or still running)
+    open.forEach((period) => { period.end = Math.max(period.start, endOffset); });
+    return periods;
+};
+
+/**
+ * The meeting's timeline
+ * @param {Document} meeting - Meeting document (startTime, endTime, status)
+ * @returns {Promise<{start: Date, end: Date, duration: number, participants: object[],
+ *          events: object[], tracks: Record<string, object[]>}>}
+ */
+const getTimeline = async (meeting) => {
+    const start = new Date(meeting.startTime);
+    const logged = await MeetingEvent.find({ meetingId: meeting.meetingId }).sort({ at: 1 }).lean();
+
+    const lastAt = logged.length ? logged[logged.length - 1].at : start;
+    const end = meeting.endTime ? new Date(meeting.endTime) : meeting.status === 'ended' ? lastAt : new Date();
+    const duration = round1(Math.max(0, (end - start) / 1000));
+
+    const events = logged.map((e) => ({
+        type: e.type,
+        at: e.at,
+        offset: round1(Math.min(duration, Math.max(0, (e.at - start) / 1000))),
+        userId: e.userId,
+        userName: e.userName,
+        breakoutId: e.breakoutId,
+        data: e.data,
+    }));
+
+    const tracks = {};
+    Object.entries(TRACKS).forEach(([name, pair]) => {
+        tracks[name] = buildPeriods(events, pair, duration);
+    });
+
+    // Lanes in order of arrival
+    const participants = [];
+    const seen = new Set();
+    events.forEach((e) => {
+        if (e.type !== 'join' || seen.has(e.userId)) return;
+        seen.add(e.userId);
+        participants.push({ userId: e.userId, userName: e.userName });
+    });
+
+    return { start, end, duration, participants, events, tracks };
+};
+
+module.exports = {
+    byDetails,
+    recordEvent,
+    recordSocketEvent,
+    getTimeline,
+};
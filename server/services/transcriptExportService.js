@@ -0,0 +1,330 @@
+/**
+ * Transcript Export Service
+ * Renders a meeting's Transcript segments for other tools:
+ *   srt / vtt   captions, times relative to the meeting start, at most two
+ *               lines of 42 characters per cue (word timings when available)
+ *   md / txt    speaker-labelled transcript
+ *   docx        Word document
+ *   json        `smartmeet.transcript.v1` (fields documented in the README)
+ * Filters: speakers (names or user ids), time range in seconds from the
+ * meeting start, and breakout room ("main" = main room only).
+ */
+
+const Transcript = require('../models/Transcript');
+const { createDocx } = require('../utils/docx');
+
+const JSON_SCHEMA_ID = 'smartmeet.transcript.v1';
+const CUE_LINE_CHARS = 42;
+const SECONDS_PER_WORD = 0.4; // Only used when a segment has no duration or word timings
+
+// ── Times ───────────────────────────────────────────────────────────────────
+const pad = (n, size = 2) => String(n).padStart(size, '0');
+
+/** 01:02:03,456 (SRT) or 01:02:03.456 (WebVTT) */
+const formatCueTime = (seconds, separator) => {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+/** 01:02:03 */
+const formatClock = (seconds) => formatCueTime(seconds, ',').slice(0, 8);
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// ── Segments ────────────────────────────────────────────────────────────────
+/**
+ * Transcript documents → segments timed from the meeting start
+ * Word times become meeting-relative too
+ */
+const toSegments = (transcripts, origin, roomNames) => transcripts.map((t) => {
+    const start = Math.max(0, (new Date(t.timestamp) - origin) / 1000);
+    const words = (t.words || []).map((w) => ({
+        word: w.word,
+        start: round(start + (w.start || 0)),
+        end: round(start + (w.end || w.start || 0)),
+        confidence: w.confidence ?? null,
+    }));
+    const wordCount = (t.text || '').split(/\s+/).filter(Boolean).length;
+    const length = t.duration > 0
+        ? t.duration
+        : words.length ? words[words.length - 1].end - start : Math.max(1, wordCount * SECONDS_PER_WORD);
+
+    return {
+        id: t._id,
+        speakerId: t.speakerId || null,
+        speakerName: t.speakerName,
+        breakoutId: t.breakoutId || null,
+        room: t.breakoutId ? roomNames.get(t.breakoutId) || t.breakoutId : null,
+        timestamp: t.timestamp,
+        start: round(start),
+        end: round(start + length),
+        text: (t.text || '').trim(),
+        language: t.language,
+        confidence: t.confidence,
+        words,
+    };
+});
+
+const matchesFilters = (segment, { speakers, from, to, breakout }) => {
+    if (speakers?.length) {
+        const name = segment.speakerName.toLowerCase();
+        const id = segment.speakerId?.toString();
+        if (!speakers.some((s) => s.toLowerCase() === name || s === id)) return false;
+    }
+    // Any overlap with the range counts
+    if (from !== undefined && segment.end < from) return false;
+    if (to !== undefined && segment.start > to) return false;
+    if (breakout === 'main' && segment.breakoutId) return false;
+    if (breakout && breakout !== 'main' && segment.breakoutId !== breakout) return false;
+    return true;
+};
+
+// ── Captions ────────────────────────────────────────────────────────────────
+// Words longer than a line are broken into line-sized pieces
+const LONG_WORD = new RegExp(`.{1,${CUE_LINE_CHARS}}`, 'gsu');
+const splitWord = (word) => (word.length > CUE_LINE_CHARS ? word.match(LONG_WORD) : [word]);
+
+const toWords = (text) => text.split(/\s+/).filter(Boolean).flatMap(splitWord);
+
+// Fill lines of CUE_LINE_CHARS word by word
+const toLines = (words) => words.reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= CUE_LINE_CHARS) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+    return lines;
+}, []);
+
+// Whether a cue's text fits in two lines
+const fitsCue = (text) => toLines(toWords(text)).length <= 2;
+
+// Break a cue into at most two lines at the word boundary nearest the middle
+// that keeps both lines within CUE_LINE_CHARS
+const wrapCue = (text) => {
+    const words = toWords(text);
+    const single = words.join(' ');
+    if (single.length <= CUE_LINE_CHARS) return single;
+
+    let best = null;
+    for (let i = 1; i < words.length; i++) {
+        const first = words.slice(0, i).join(' ');
+        const second = words.slice(i).join(' ');
+        if (first.length > CUE_LINE_CHARS || second.length > CUE_LINE_CHARS) continue;
+        if (!best || Math.abs(first.length - second.length) < Math.abs(best[0].length - best[1].length)) best = [first, second];
+    }
+    // Only a cue that does not fit (a very long speaker label) needs more lines
+    return (best || toLines(words)).join('\n');
+};
+
+/**
+ * Split a segment into caption cues that fit in two lines
+ * @param {string} [label] - speaker label the cue text follows, as in SRT
+ * @returns {{start: number, end: number, text: string}[]}
+ */
+const toCues = (segment, label = '') => {
+    const fits = (text) => fitsCue(`${label}${text}`);
+
+    // Word timings: group words, each cue spans its own words
+    if (segment.words.length > 0) {
+        const cues = [];
+        let current = null;
+        for (const w of segment.words) {
+            for (const word of toWords(w.word)) {
+                if (current && !fits(`${current.text} ${word}`)) {
+                    cues.push(current);
+                    current = null;
+                }
+                current = current
+                    ? { ...current, text: `${current.text} ${word}`, end: Math.max(current.end, w.end) }
+                    : { start: w.start, end: Math.max(w.end, w.start), text: word };
+            }
+        }
+        if (current) cues.push(current);
+        return cues;
+    }
+
+    // No word timings: split the text and share the segment time by length
+    const chunks = [];
+    for (const word of toWords(segment.text)) {
+        const last = chunks[chunks.length - 1];
+        if (last !== undefined && fits(`${last} ${word}`)) chunks[chunks.length - 1] = `${last} ${word}`;
+        else chunks.push(word);
+    }
+    const total = chunks.reduce((sum, c) => sum + c.length, 0) || 1;
+    const span = segment.end - segment.start;
+    let at = segment.start;
+    return chunks.map((text) => {
+        const start = at;
+        at += (span * text.length) / total;
+        return { start: round(start), end: round(at), text };
+    });
+};
+
+const toSrt = (segments) => segments
+    .flatMap((s) => toCues(s, `${s.speakerName}: `).map((cue) => ({ ...cue, speaker: s.speakerName })))
+    .map((cue, i) => `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${wrapCue(`${cue.speaker}: ${cue.text}`)}\n`)
+    .join('\n');
+
+// Speakers as voice spans (<v Name>) so players can style or label them
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const toVtt = (segments, meeting) => {
+    const cues = segments.flatMap((s) => toCues(s).map((cue) => (
+        `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n<v ${escapeVtt(s.speakerName)}>${escapeVtt(wrapCue(cue.text))}\n`
+    )));
+    const title = String(meeting.title || meeting.meetingId).replace(/-->|[\r\n]+/g, ' ');
+    return [`WEBVTT - ${title}\n`, ...cues].join('\n');
+};
+
+// ── Documents ───────────────────────────────────────────────────────────────
+const describeFilters = ({ speakers, from, to, breakout }, roomNames) => {
+    const parts = [];
+    if (speakers?.length) parts.push(`speakers: ${speakers.join(', ')}`);
+    if (from !== undefined || to !== undefined) {
+        parts.push(`time: ${formatClock(from || 0)}–${to !== undefined ? formatClock(to) : 'end'}`);
+    }
+    if (breakout) parts.push(`room: ${breakout === 'main' ? 'main room' : roomNames.get(breakout) || breakout}`);
+    return parts.join(' · ');
+};
+
+const headerLines = (meeting, filterText) => [
+    `${meeting.title || 'SmartMeet Session'} – Transcript`,
+    `Meeting ${meeting.meetingId} · ${new Date(meeting.startTime).toUTCString()}`,
+    ...(filterText ? [`Filtered by ${filterText}`] : []),
+];
+
+// Consecutive segments of one speaker in one room read as one paragraph
+const toTurns = (segments) => segments.reduce((turns, s) => {
+    const last = turns[turns.length - 1];
+    if (last && last.speakerName === s.speakerName && last.room === s.room) {
+        last.texts.push(s.text);
+        last.end = s.end;
+    } else {
+        turns.push({ speakerName: s.speakerName, room: s.room, start: s.start, end: s.end, texts: [s.text] });
+    }
+    return turns;
+}, []);
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+const toMarkdown = (segments, meeting, filterText) => {
+    const [title, ...meta] = headerLines(meeting, filterText);
+    const turns = toTurns(segments).map((turn) =>
+        `**${escapeMarkdown(turn.speakerName)}** · \`${formatClock(turn.start)}\`${turn.room ? ` · _${escapeMarkdown(turn.room)}_` : ''}\n\n${escapeMarkdown(turn.texts.join(' '))}\n`
+    );
+    return [`# ${escapeMarkdown(title)}\n`, ...meta.map((m) => `_${escapeMarkdown(m)}_  `), '', '---', '', ...turns].join('\n');
+};
+
+const toText = (segments, meeting, filterText) => [
+    ...headerLines(meeting, filterText),
+    '',
+    ...segments.map((s) => `[${formatClock(s.start)}] ${s.room ? `[${s.room}] ` : ''}${s.speakerName}: ${s.text}`),
+    '',
+].join('\n');
+
+const toDocx = (segments, meeting, filterText) => {
+    const [title, ...meta] = headerLines(meeting, filterText);
+    return createDocx({
+        title,
+        paragraphs: [
+            { runs: [{ text: title, bold: true, size: 18 }], spacingAfter: 6 },
+            ...meta.map((m) => ({ runs: [{ text: m, italic: true, color: '666666', size: 10 }], spacingAfter: 2 })),
+            { runs: [{ text: '' }], spacingAfter: 6 },
+            ...toTurns(segments).map((turn) => ({
+                runs: [
+                    { text: turn.speakerName, bold: true },
+                    { text: `  ${formatClock(turn.start)}${turn.room ? ` · ${turn.room}` : ''}`, color: '888888', size: 9 },
+                    { text: `\n${turn.texts.join(' ')}` },
+                ],
+                spacingAfter: 8,
+            })),
+        ],
+    });
+};
+
+const toJson = (segments, meeting, filters) => JSON.stringify({
+    schema: JSON_SCHEMA_ID,
+    meeting: {
+        meetingId: meeting.meetingId,
+        title: meeting.title,
+        startTime: meeting.startTime,
+        endTime: meeting.endTime || null,
+    },
+    filters: {
+        speakers: filters.speakers || [],
+        from: filters.from ?? null,
+        to: filters.to ?? null,
+        breakout: filters.breakout || null,
+    },
+    segments: segments.map((s) => ({
+        id: s.id,
+        speaker: { id: s.speakerId, name: s.speakerName },
+        breakoutId: s.breakoutId,
+        room: s.room,
+        timestamp: s.timestamp,
+        start: s.start,
+        end: s.end,
+        text: s.text,
+        language: s.language,
+        confidence: s.confidence,
+        words: s.words,
+    })),
+}, null, 2);
+
+// ── Formats ─────────────────────────────────────────────────────────────────
+// render({ segments, meeting, filters, filterText }) → string | Buffer
+const EXPORT_FORMATS = {
+    srt: { ext: 'srt', contentType: 'application/x-subrip; charset=utf-8', render: (o) => toSrt(o.segments) },
+    vtt: { ext: 'vtt', contentType: 'text/vtt; charset=utf-8', render: (o) => toVtt(o.segments, o.meeting) },
+    md: { ext: 'md', contentType: 'text/markdown; charset=utf-8', render: (o) => toMarkdown(o.segments, o.meeting, o.filterText) },
+    txt: { ext: 'txt', contentType: 'text/plain; charset=utf-8', render: (o) => toText(o.segments, o.meeting, o.filterText) },
+    docx: {
+        ext: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        render: (o) => toDocx(o.segments, o.meeting, o.filterText),
+    },
+    json: { ext: 'json', contentType: 'application/json; charset=utf-8', render: (o) => toJson(o.segments, o.meeting, o.filters) },
+};
+
+// Aliases accepted in ?format=
+const FORMAT_ALIASES = { webvtt: 'vtt', markdown: 'md', text: 'txt', plain: 'txt', word: 'docx' };
+
+const resolveFormat = (format) => {
+    const key = String(format || '').toLowerCase();
+    return EXPORT_FORMATS[key] ? key : FORMAT_ALIASES[key] || null;
+};
+
+/**
+ * Render a meeting transcript
+ * @param {object} meeting - Meeting document (meetingId, title, startTime, endTime, breakoutRooms)
+ * @param {string} format - srt | vtt | md | txt | docx | json
+ * @param {{speakers?: string[], from?: number, to?: number, breakout?: string}} filters
+ * @returns {Promise<{filename: string, contentType: string, body: string|Buffer, count: number}>}
+ */
+const exportTranscript = async (meeting, format, filters = {}) => {
+    const key = resolveFormat(format);
+    if (!key) throw new Error(`Unknown export format "${format}".`);
+
+    const transcripts = await Transcript.find({ meetingId: meeting.meetingId }).sort({ timestamp: 1 });
+    const roomNames = new Map((meeting.breakoutRooms || []).map((r) => [r.breakoutId, r.name]));
+    const origin = new Date(meeting.startTime || transcripts[0]?.timestamp || Date.now());
+
+    const segments = toSegments(transcripts, origin, roomNames).filter((s) => matchesFilters(s, filters));
+    const { ext, contentType, render } = EXPORT_FORMATS[key];
+
+    return {
+        filename: `${meeting.meetingId}-transcript.${ext}`,
+        contentType,
+        body: render({ segments, meeting, filters, filterText: describeFilters(filters, roomNames) }),
+        count: segments.length,
+    };
+};
+
+module.exports = {
+    JSON_SCHEMA_ID,
+    EXPORT_FORMATS,
+    resolveFormat,
+    exportTranscript,
+};
@@ -0,0 +1,85 @@
+/**
+ * Transcript Service
+ * Saves a transcript segment and appends it to Meeting.transcript (the text the
+ * summary is built from). Shared by the REST upload / text endpoints and the
+ * streaming socket transcription. Meeting.transcript is rebuilt from the
+ * segments when diarized speakers are renamed.
+ */
+
+const Transcript = require('../models/Transcript');
+const Meeting = require('../models/Meeting');
+
+/**
+ * Resolve the breakout room a segment belongs to. Unknown IDs fall back to the
+ * main room so a stale client can't invent rooms.
+ */
+const resolveBreakout = (meeting, breakoutId) => {
+    if (!breakoutId) return { breakoutId: null, prefix: '' };
+    const room = (meeting.breakoutRooms || []).find((r) => r.breakoutId === breakoutId);
+    return room ? { breakoutId: room.breakoutId, prefix: `[${room.name}] ` } : { breakoutId: null, prefix: '' };
+};
+
+/**
+ * Save one segment
+ * @param {object} meeting - Meeting document (needs meetingId, transcript, breakoutRooms)
+ * @param {{speakerId?: string, speakerName: string, text: string, duration?: number,
+ *          confidence?: number, language?: string, breakoutId?: string, timestamp?: Date,
+ *          words?: {word: string, start: number, end: number, confidence?: number}[],
+ *          speakerLabel?: string, diarizationId?: string, creditedTo?: string}} segment
+ * @returns {Promise<Document>} the Transcript document
+ */
+const saveTranscriptSegment = async (meeting, segment) => {
+    const { meetingId } = meeting;
+    const breakout = resolveBreakout(meeting, segment.breakoutId);
+    const cleanText = segment.text.trim();
+
+    const transcript = await Transcript.create({
+        meetingId,
+        speakerId: segment.speakerId || null,
+        speakerName: segment.speakerName,
+        text: cleanText,
+        timestamp: segment.timestamp || new Date(),
+        duration: segment.duration || 0,
+        confidence: segment.confidence ?? 1.0,
+        language: segment.language || 'en',
+        breakoutId: breakout.breakoutId,
+        words: segment.words || [],
+        speakerLabel: segment.speakerLabel || null,
+        diarizationId: segment.diarizationId || null,
+        creditedTo: segment.creditedTo || null,
+    });
+
+    // Append to Meeting.transcript so it's readable at end of meeting.
+    // Pipeline update: no read-modify-write race between concurrent speakers.
+    const newLine = `${breakout.prefix}${segment.speakerName}: ${cleanText}`;
+    await Meeting.updateOne({ meetingId }, [
+        {
+            $set: {
+                transcript: {
+                    $cond: [
+                        { $gt: [{ $strLenCP: { $ifNull: ['$transcript', ''] } }, 0] },
+                        { $concat: ['$transcript', '\n', newLine] },
+                        newLine,
+                    ],
+                },
+            },
+        },
+    ], { updatePipeline: true });
+
+    return transcript;
+};
+
+/**
+ * Rewrite Meeting.transcript from the stored segments (after speakers were renamed)
+ * @param {object} meeting - Meeting document (needs meetingId, breakoutRooms)
+ */
+const rebuildMeetingTranscript = async (meeting) => {
+    const segments = await Transcript.find({ meetingId: meeting.meetingId }).sort({ timestamp: 1 }).select('speakerName text breakoutId');
+    const transcript = segments
+        .map((t) => `${resolveBreakout(meeting, t.breakoutId).prefix}${t.speakerName}: ${t.text}`)
+        .join('\n');
+    await Meeting.updateOne({ meetingId: meeting.meetingId }, { $set: { transcript } });
+    return transcript;
+};
+
+module.exports = { resolveBreakout, saveTranscriptSegment, rebuildMeetingTranscript };
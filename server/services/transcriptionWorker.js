@@ -0,0 +1,45 @@
+/**
+ * Transcription Worker
+ * In-process pool in front of the speech-to-text provider, so streaming clients
+ * can't start an unbounded number of transcriptions at once.
+ *   TRANSCRIBE_CONCURRENCY  parallel requests (default 2)
+ * Partial (interim) jobs may be dropped when the queue backs up; finals always run.
+ */
+
+const { transcribeAudio } = require('./speech');
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.TRANSCRIBE_CONCURRENCY, 10) || 2);
+
+const queue = [];
+let running = 0;
+
+const pump = () => {
+    while (running < CONCURRENCY && queue.length) {
+        const job = queue.shift();
+        running++;
+        transcribeAudio(job.audio, job.options)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                running--;
+                pump();
+            });
+    }
+};
+
+/**
+ * Queue an audio buffer for transcription
+ * @param {Buffer} audio
+ * @param {{partial?: boolean, mimeType?: string, language?: string}} options
+ * @returns {Promise<object|null>} speech result (services/speech/result.js), null if a partial was dropped
+ */
+const transcribe = (audio, { partial = false, ...options } = {}) => {
+    if (partial && queue.filter((job) => job.partial).length >= CONCURRENCY) {
+        return Promise.resolve(null);
+    }
+    return new Promise((resolve, reject) => {
+        queue.push({ audio, options, partial, resolve, reject });
+        pump();
+    });
+};
+
+module.exports = { transcribe };
@@ -0,0 +1,206 @@
+/**
+ * Whiteboard Service
+ * The meeting's shared whiteboard (models/Whiteboard.js): validation of drawn
+ * elements and the board operations used by the socket handlers
+ * (socket/whiteboard.js), plus an SVG rendering for exports and the summary.
+ * Every operation is a single atomic update, so several people drawing at
+ * once (on any instance) never lose each other's work.
+ */
+
+const Whiteboard = require('../models/Whiteboard');
+
+const BOARD_WIDTH = 1600;
+const BOARD_HEIGHT = 900;
+const MAX_ELEMENTS = 3000;
+const MAX_PEN_POINTS = 2000;     // x, y pairs in one freehand stroke
+// Coordinates on the whole board: with MAX_ELEMENTS of the longest text, the
+// board stays well under MongoDB's 16 MB document limit (about 8 MB)
+const MAX_BOARD_POINTS = 400000;
+const MAX_TEXT = 300;
+const STICKY = { width: 200, height: 140, fontSize: 18, lineChars: 20, maxLines: 6 };
+
+const TYPES = ['pen', 'line', 'arrow', 'rect', 'ellipse', 'text', 'sticky'];
+const TWO_POINT = ['line', 'arrow', 'rect', 'ellipse'];
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+// Text size follows the pen width picked in the toolbar
+const fontSizeOf = (element) => 12 + element.width * 4;
+
+/**
+ * Validate an element drawn by a participant
+ * @param {{userId: string, userName: string}} author
+ */
+const cleanElement = (input = {}, author = {}) => {
+    const { id, type, points, color, width, fill, text } = input;
+    if (typeof id !== 'string' || !/^[\w-]{6,64}$/.test(id)) throw fail(400, 'Invalid element id');
+    if (!TYPES.includes(type)) throw fail(400, `Unknown element type "${type}"`);
+
+    const coords = (Array.isArray(points) ? points : []).map(Number);
+    if (coords.some((n) => !Number.isFinite(n)) || coords.length % 2) throw fail(400, 'Invalid points');
+    const expected = type === 'pen' ? null : TWO_POINT.includes(type) ? 4 : 2;
+    if (expected ? coords.length !== expected : coords.length < 2 || coords.length > MAX_PEN_POINTS * 2) {
+        throw fail(400, 'Invalid points');
+    }
+
+    const words = typeof text === 'string' ? text.trim().slice(0, MAX_TEXT) : '';
+    if ((type === 'text' || type === 'sticky') && !words) throw fail(400, 'Text is empty');
+
+    return {
+        id,
+        type,
+        // Round to 0.1 board units: plenty for drawing, much smaller to store and send
+        points: coords.map((n, i) => Math.round(clamp(n, 0, i % 2 ? BOARD_HEIGHT : BOARD_WIDTH) * 10) / 10),
+        color: typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : '#222222',
+        width: clamp(Math.round(Number(width) || 3), 1, 10),
+        fill: !!fill && (type === 'rect' || type === 'ellipse'),
+        text: type === 'text' || type === 'sticky' ? words : '',
+        userId: author.userId ? String(author.userId) : null,
+        userName: author.userName || '',
+        at: new Date(),
+    };
+};
+
+// ── Board operations ────────────────────────────────────────────────────────
+/** Elements of a meeting's board, oldest (bottom) first */
+const getBoard = async (meetingId) => {
+    const board = await Whiteboard.findOne({ meetingId }).lean();
+    return board?.elements || [];
+};
+
+// Coordinates already on the board, counted by the database at write time
+const boardPoints = { $sum: { $map: { input: '$elements', in: { $size: { $ifNull: ['$$this.points', []] } } } } };
+
+/** Add an element on top; an id already on the board is ignored */
+const addElement = async (meetingId, element) => {
+    await Whiteboard.updateOne({ meetingId }, { $setOnInsert: { meetingId } }, { upsert: true });
+    const result = await Whiteboard.updateOne(
+        {
+            meetingId,
+            'elements.id': { $ne: element.id },
+            [`elements.${MAX_ELEMENTS - 1}`]: { $exists: false },
+            $expr: { $lte: [boardPoints, MAX_BOARD_POINTS - element.points.length] },
+        },
+        { $push: { elements: element } }
+    );
+    if (result.matchedCount) return element;
+
+    const board = await Whiteboard.findOne({ meetingId, 'elements.id': element.id }, { _id: 1 }).lean();
+    if (board) return null;
+    throw fail(409, 'The whiteboard is full. Ask the host to clear it.');
+};
+
+/** Remove elements by id; returns the ids that were on the board */
+const eraseElements = async (meetingId, ids) => {
+    const wanted = (Array.isArray(ids) ? ids : []).filter((id) => typeof id === 'string').slice(0, 500);
+    if (!wanted.length) return [];
+    const before = await Whiteboard.findOneAndUpdate(
+        { meetingId },
+        { $pull: { elements: { id: { $in: wanted } } } },
+        { projection: { 'elements.id': 1 } }
+    ).lean();
+    const present = new Set((before?.elements || []).map((e) => e.id));
+    return wanted.filter((id) => present.has(id));
+};
+
+/** Take back the last element a person drew; returns its id, or null */
+const undoLast = async (meetingId, userId) => {
+    const board = await Whiteboard.findOne({ meetingId }, { 'elements.id': 1, 'elements.userId': 1 }).lean();
+    const last = (board?.elements || []).filter((e) => e.userId === String(userId)).pop();
+    if (!last) return null;
+    const [removed] = await eraseElements(meetingId, [last.id]);
+    return removed || null;
+};
+
+const clearBoard = async (meetingId) => {
+    await Whiteboard.updateOne({ meetingId }, { $set: { elements: [] } });
+};
+
+// ── SVG ─────────────────────────────────────────────────────────────────────
+const escapeXml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;',
+}[c]));
+
+/** Sticky note text → lines that fit the note (same rule as the meeting room) */
+const wrapText = (text, lineChars = STICKY.lineChars, maxLines = STICKY.maxLines) => {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            if (line && (line + ' ' + word).length > lineChars) {
+                lines.push(line);
+                line = '';
+            }
+            line = line ? `${line} ${word}` : word;
+            while (line.length > lineChars) {
+                lines.push(line.slice(0, lineChars));
+                line = line.slice(lineChars);
+            }
+        }
+        lines.push(line);
+    }
+    return lines.slice(0, maxLines);
+};
+
+const elementToSvg = (e) => {
+    const p = e.points;
+    const stroke = `stroke="${e.color}" stroke-width="${e.width}" stroke-linecap="round" stroke-linejoin="round"`;
+    const fill = e.fill ? e.color : 'none';
+    switch (e.type) {
+        case 'pen': {
+            const pairs = [];
+            for (let i = 0; i < p.length; i += 2) pairs.push(`${p[i]},${p[i + 1]}`);
+            return `<polyline points="${pairs.join(' ')}" fill="none" ${stroke}/>`;
+        }
+        case 'line':
+            return `<line x1="${p[0]}" y1="${p[1]}" x2="${p[2]}" y2="${p[3]}" ${stroke}/>`;
+        case 'arrow': {
+            const angle = Math.atan2(p[3] - p[1], p[2] - p[0]);
+            const head = 10 + e.width * 3;
+            const wing = (side) => `${p[2] - head * Math.cos(angle + side * 0.5)},${p[3] - head * Math.sin(angle + side * 0.5)}`;
+            return `<line x1="${p[0]}" y1="${p[1]}" x2="${p[2]}" y2="${p[3]}" ${stroke}/>`
+                + `<polyline points="${wing(-1)} ${p[2]},${p[3]} ${wing(1)}" fill="none" ${stroke}/>`;
+        }
+        case 'rect':
+            return `<rect x="${Math.min(p[0], p[2])}" y="${Math.min(p[1], p[3])}" width="${Math.abs(p[2] - p[0])}" height="${Math.abs(p[3] - p[1])}" fill="${fill}" ${stroke}/>`;
+        case 'ellipse':
+            return `<ellipse cx="${(p[0] + p[2]) / 2}" cy="${(p[1] + p[3]) / 2}" rx="${Math.abs(p[2] - p[0]) / 2}" ry="${Math.abs(p[3] - p[1]) / 2}" fill="${fill}" ${stroke}/>`;
+        case 'text':
+            return `<text x="${p[0]}" y="${p[1]}" fill="${e.color}" font-size="${fontSizeOf(e)}" font-family="Inter, Arial, sans-serif" dominant-baseline="hanging">`
+                + String(e.text).split('\n').map((line, i) => `<tspan x="${p[0]}" dy="${i ? '1.2em' : 0}">${escapeXml(line)}</tspan>`).join('')
+                + '</text>';
+        case 'sticky':
+            return `<rect x="${p[0]}" y="${p[1]}" width="${STICKY.width}" height="${STICKY.height}" rx="6" fill="${e.color}" stroke="rgba(0,0,0,0.15)"/>`
+                + `<text x="${p[0] + 12}" y="${p[1] + 12}" fill="#222222" font-size="${STICKY.fontSize}" font-family="Inter, Arial, sans-serif" dominant-baseline="hanging">`
+                + wrapText(e.text).map((line, i) => `<tspan x="${p[0] + 12}" dy="${i ? '1.2em' : 0}">${escapeXml(line)}</tspan>`).join('')
+                + '</text>';
+        default:
+            return '';
+    }
+};
+
+/** The whole board as a standalone SVG document (white background) */
+const boardToSvg = (elements) => [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${BOARD_WIDTH}" height="${BOARD_HEIGHT}" viewBox="0 0 ${BOARD_WIDTH} ${BOARD_HEIGHT}">`,
+    `<rect width="${BOARD_WIDTH}" height="${BOARD_HEIGHT}" fill="#ffffff"/>`,
+    ...elements.map(elementToSvg),
+    '</svg>',
+].join('\n');
+
+module.exports = {
+    BOARD_WIDTH,
+    BOARD_HEIGHT,
+    MAX_ELEMENTS,
+    MAX_PEN_POINTS,
+    MAX_BOARD_POINTS,
+    STICKY,
+    cleanElement,
+    getBoard,
+    addElement,
+    eraseElements,
+    undoLast,
+    clearBoard,
+    boardToSvg,
+};
@@ -0,0 +1,169 @@
+/**
+ * admission.js – Letting sockets into a meeting
+ * Used by `join-room`, the socket approve / reject events and the REST
+ * approve / reject endpoints, so every way in goes through the same code.
+ */
+
+const Meeting = require('../models/Meeting');
+const {
+    getStore,
+    meetingChannel,
+    mainChannel,
+    getStageParticipants,
+} = require('./roomState');
+const { emitBreakoutState } = require('./breakouts');
+const { DEFAULT_ATTENDEE_PERMISSIONS, isModerator, resolveRole } = require('./permissions');
+const { issueResumeToken } = require('./sessions');
+const { transcriptionMode } = require('./transcription');
+const { getRecordingState } = require('../services/recordingService');
+const { getLivePolls } = require('../services/pollService');
+const { getMeetingQuestions } = require('../services/qaService');
+const { getChatHistory } = require('../services/chatService');
+const { getHandQueue } = require('./qa');
+const { recordEvent, byDetails } = require('../services/timelineService');
+const { cleanMessage, emitWaitingQueue, dropWaiting, findWaiting } = require('./waitingRoom');
+
+const waitedSeconds = (entry) => Math.max(0, Math.round((Date.now() - new Date(entry.requestedAt).getTime()) / 1000));
+
+// ── Admit a socket to the main room ──────────────────────────────────────────
+// `member` is a local socket or { id, userId, userName } for a socket that may be
+// on another instance, so only io-level (adapter) operations are used.
+const admitToRoom = async (io, member, meeting, role) => {
+    const { meetingId } = meeting;
+    const socketId = member.id;
+    const isHost = role === 'host';
+    const store = getStore();
+
+    // New arrivals always land in the main room, even while breakouts are open
+    io.in(socketId).socketsJoin([meetingChannel(meetingId), mainChannel(meetingId)]);
+
+    let attendeePermissions = await store.getValue(meetingId, 'attendeePermissions');
+    if (!attendeePermissions) {
+        attendeePermissions = {
+            canUnmute: meeting.attendeePermissions?.canUnmute ?? DEFAULT_ATTENDEE_PERMISSIONS.canUnmute,
+            canShareScreen: meeting.attendeePermissions?.canShareScreen ?? DEFAULT_ATTENDEE_PERMISSIONS.canShareScreen,
+            canDrawWhiteboard: meeting.attendeePermissions?.canDrawWhiteboard ?? DEFAULT_ATTENDEE_PERMISSIONS.canDrawWhiteboard,
+        };
+        await store.setValue(meetingId, 'attendeePermissions', attendeePermissions);
+    }
+    if ((await store.getValue(meetingId, 'waitingMessage')) === null) {
+        await store.setValue(meetingId, 'waitingMessage', meeting.waitingRoomMessage || '');
+    }
+
+    await store.addParticipant(meetingId, socketId, {
+        userName: member.userName,
+        userId: member.userId,
+        role,
+        isHost,
+        breakoutId: null,
+    });
+
+    recordEvent(meetingId, 'join', {
+        userId: member.userId,
+        userName: member.userName,
+        socketId,
+        data: { role },
+    });
+
+    const participants = await getStageParticipants(meetingId, null);
+
+    // Tell new joiner about existing participants
+    io.to(socketId).emit('room-participants', { participants: participants.filter((p) => p.socketId !== socketId) });
+
+    // Tell everyone else about new joiner
+    io.to(mainChannel(meetingId)).except(socketId).emit('user-joined', {
+        socketId,
+        userName: member.userName,
+        userId: member.userId,
+        role,
+        isHost,
+    });
+
+    // Participant count (whole meeting, across breakout rooms)
+    io.to(meetingChannel(meetingId)).emit('participant-count', { count: await store.countParticipants(meetingId) });
+
+    io.to(socketId).emit('join-approved', {
+        meetingId,
+        isHost,
+        role,
+        attendeePermissions,
+        transcription: transcriptionMode(),
+        recording: await getRecordingState(meetingId),
+        polls: await getLivePolls(meetingId, member.userId),
+        questions: await getMeetingQuestions(meetingId, { viewerId: member.userId, moderator: isModerator(role) }),
+        handQueue: await getHandQueue(meetingId),
+        chatHistory: await getChatHistory(meetingId, member.userId),
+        participants,
+        resumeToken: await issueResumeToken(meetingId, socketId),
+    });
+    await emitBreakoutState(io, meetingId);
+
+    // Host / co-hosts arriving late still see who is waiting
+    if (isModerator(role)) await emitWaitingQueue(io, meetingId, socketId);
+    console.log(`✅ ${member.userName} admitted to room ${meetingId} (${role})`);
+};
+
+/**
+ * Admit waiting sockets: target is { socketId } | { userId } | { all: true }
+ * @param {{userId: string, userName: string}|null} by - the moderator, for the event log
+ * @returns {Promise<number>} how many were admitted
+ */
+const admitWaiting = async (io, meetingId, target, by = null) => {
+    const waiting = await findWaiting(meetingId, target);
+    if (!waiting.length) return 0;
+
+    const meeting = await Meeting.findOne({ meetingId }).lean();
+    if (!meeting) return 0;
+
+    let admitted = 0;
+    for (const w of waiting) {
+        // Another moderator (maybe on another instance) may have been faster
+        const entry = await dropWaiting(meetingId, w.socketId);
+        if (!entry) continue;
+
+        recordEvent(meetingId, 'admitted', {
+            userId: entry.userId,
+            userName: entry.userName,
+            socketId: w.socketId,
+            data: { ...byDetails(by), waitedSeconds: waitedSeconds(entry) },
+        });
+        const member = { id: w.socketId, userId: entry.userId, userName: entry.userName };
+        await admitToRoom(io, member, meeting, resolveRole(meeting, entry.userId));
+        admitted++;
+    }
+
+    await emitWaitingQueue(io, meetingId);
+    return admitted;
+};
+
+/**
+ * Turn waiting sockets away, optionally with a message from the host
+ * @param {{userId: string, userName: string}|null} by - the moderator (null when the meeting ends)
+ * @returns {Promise<number>} how many were rejected
+ */
+const rejectWaiting = async (io, meetingId, target, message, by = null) => {
+    const text = cleanMessage(message) || 'Host denied your request to join.';
+
+    let rejected = 0;
+    for (const w of await findWaiting(meetingId, target)) {
+        const entry = await dropWaiting(meetingId, w.socketId);
+        if (!entry) continue;
+        recordEvent(meetingId, 'rejected', {
+            userId: entry.userId,
+            userName: entry.userName,
+            socketId: w.socketId,
+            data: { ...byDetails(by), message: text, waitedSeconds: waitedSeconds(entry) },
+        });
+        io.to(w.socketId).emit('join-rejected', { message: text });
+        rejected++;
+    }
+
+    if (rejected) await emitWaitingQueue(io, meetingId);
+    return rejected;
+};
+
+module.exports = {
+    admitToRoom,
+    admitWaiting,
+    rejectWaiting,
+};
@@ -0,0 +1,252 @@
+/**
+ * breakouts.js – Host-managed breakout rooms
+ * Participants move between the main room stage and breakout stages. Each stage
+ * has its own chat and WebRTC mesh; meeting-wide events still reach everyone.
+ * The session lives in the shared store, its auto-close countdown is a store
+ * deadline (./timers.js) that any instance can fire.
+ */
+
+const Meeting = require('../models/Meeting');
+const {
+    getStore,
+    meetingChannel,
+    channelFor,
+    getRoomParticipants,
+    getStageParticipants,
+} = require('./roomState');
+const { isModerator, guard } = require('./permissions');
+const { onTimer, scheduleTimer, cancelTimer } = require('./timers');
+
+// session (store value "breakouts"): { rooms: [{ id, name }], endsAt: ISO string|null }
+const getSession = (meetingId) => getStore().getValue(meetingId, 'breakouts');
+const saveSession = (meetingId, session) => getStore().setValue(meetingId, 'breakouts', session);
+
+const timerKey = (meetingId) => `breakouts:${meetingId}`;
+
+const MAX_ROOMS = 20;
+const MAX_DURATION_MINUTES = 240;
+
+const summarize = (p) => ({ socketId: p.socketId, userName: p.userName, userId: p.userId, role: p.role, isHost: p.isHost });
+
+const shuffle = (list) => {
+    const arr = [...list];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+};
+
+// ── Send the full breakout picture to every host / co-host socket ───────────
+const emitBreakoutState = async (io, meetingId) => {
+    const [session, participants] = await Promise.all([getSession(meetingId), getRoomParticipants(meetingId)]);
+    const onStage = (breakoutId) => participants
+        .filter((p) => (p.breakoutId || null) === breakoutId)
+        .map(summarize);
+
+    const state = {
+        active: !!session,
+        endsAt: session?.endsAt || null,
+        main: onStage(null),
+        rooms: (session?.rooms || []).map((r) => ({ ...r, participants: onStage(r.id) })),
+    };
+
+    participants
+        .filter((p) => isModerator(p.role))
+        .forEach((p) => io.to(p.socketId).emit('breakout-state', state));
+};
+
+// ── Move one socket to a stage (breakoutId null = main room) ────────────────
+// Works for sockets on any instance: only io-level / adapter operations are used.
+const moveToStage = async (io, meetingId, socketId, breakoutId, session) => {
+    const store = getStore();
+    const participant = await store.getParticipant(meetingId, socketId);
+    if (!participant) return;
+
+    const to = breakoutId || null;
+    if ((participant.breakoutId || null) === to) return;
+
+    // Tear down the old mesh: peers on the old stage see a leave tagged as a move
+    const oldChannel = channelFor(meetingId, participant);
+    io.in(socketId).socketsLeave(oldChannel);
+    io.to(oldChannel).emit('user-left', { socketId, userName: participant.userName, reason: 'breakout' });
+
+    await store.updateParticipant(meetingId, socketId, { breakoutId: to });
+    const newChannel = channelFor(meetingId, { breakoutId: to });
+
+    io.to(socketId).emit('breakout-moved', {
+        meetingId,
+        breakoutId: to,
+        name: session?.rooms.find((r) => r.id === to)?.name || null,
+        endsAt: session?.endsAt || null,
+    });
+
+    // Same handshake as a fresh join: mover gets the roster, others send offers
+    io.in(socketId).socketsJoin(newChannel);
+    io.to(socketId).emit('room-participants', {
+        participants: (await getStageParticipants(meetingId, to)).filter((p) => p.socketId !== socketId),
+    });
+    io.to(newChannel).except(socketId).emit('user-joined', {
+        socketId,
+        userName: participant.userName,
+        userId: participant.userId,
+        role: participant.role,
+        isHost: participant.isHost,
+    });
+
+    if (to) {
+        Meeting.updateOne(
+            { meetingId },
+            { $addToSet: { 'breakoutRooms.$[r].participants': participant.userName } },
+            { arrayFilters: [{ 'r.breakoutId': to }] }
+        ).catch((err) => console.warn('breakout participant persist failed:', err.message));
+    }
+};
+
+const setTimer = async (io, meetingId, seconds) => {
+    const session = await getSession(meetingId);
+    if (!session) return;
+
+    const endsAt = Date.now() + seconds * 1000;
+    session.endsAt = new Date(endsAt).toISOString();
+    await saveSession(meetingId, session);
+    await scheduleTimer(timerKey(meetingId), endsAt, 'breakout-close', { meetingId });
+
+    io.to(meetingChannel(meetingId)).emit('breakout-timer', { endsAt: session.endsAt });
+};
+
+const closeBreakouts = async (io, meetingId) => {
+    const session = await getSession(meetingId);
+    if (!session) return;
+
+    await cancelTimer(timerKey(meetingId));
+    await getStore().deleteValue(meetingId, 'breakouts');
+
+    const away = (await getRoomParticipants(meetingId)).filter((p) => p.breakoutId);
+    for (const p of away) await moveToStage(io, meetingId, p.socketId, null, session);
+
+    Meeting.updateOne(
+        { meetingId },
+        { $set: { 'breakoutRooms.$[r].closedAt': new Date() } },
+        { arrayFilters: [{ 'r.breakoutId': { $in: session.rooms.map((r) => r.id) } }] }
+    ).catch((err) => console.warn('breakout close persist failed:', err.message));
+
+    io.to(meetingChannel(meetingId)).emit('breakout-closed', { meetingId });
+    await emitBreakoutState(io, meetingId);
+    console.log(`🧩 Breakout rooms closed for ${meetingId}`);
+};
+
+onTimer('breakout-close', (io, { meetingId }) => closeBreakouts(io, meetingId));
+
+/** Drop a session without moving anyone (meeting ended / emptied) */
+const discardBreakouts = async (meetingId) => {
+    await cancelTimer(timerKey(meetingId));
+    await getStore().deleteValue(meetingId, 'breakouts');
+};
+
+// ── Socket handlers (authorized by permissions.js) ──────────────────────────
+const registerBreakoutHandlers = (io, socket) => {
+    const deny = (message) => socket.emit('breakout-error', { message });
+
+    // Host / co-host: create N rooms and assign participants (random or manual)
+    guard(socket, 'breakout-start', async ({ meetingId, count, mode = 'random', assignments = {}, names = [], durationMinutes }) => {
+        if (await getSession(meetingId)) return deny('Breakout rooms are already open.');
+
+        const total = parseInt(count, 10);
+        if (!Number.isInteger(total) || total < 1 || total > MAX_ROOMS) {
+            return deny(`Choose between 1 and ${MAX_ROOMS} breakout rooms.`);
+        }
+
+        const stamp = Date.now().toString(36);
+        const session = {
+            rooms: Array.from({ length: total }, (_, i) => ({
+                id: `bo-${stamp}-${i + 1}`,
+                name: String(names[i] || '').trim().slice(0, 50) || `Room ${i + 1}`,
+            })),
+            endsAt: null,
+        };
+        await saveSession(meetingId, session);
+
+        try {
+            await Meeting.updateOne(
+                { meetingId },
+                {
+                    $push: {
+                        breakoutRooms: {
+                            $each: session.rooms.map((r) => ({ breakoutId: r.id, name: r.name, openedAt: new Date() })),
+                        },
+                    },
+                }
+            );
+        } catch (err) {
+            console.warn('breakout persist failed:', err.message);
+        }
+
+        const candidates = (await getStageParticipants(meetingId, null)).filter((p) => !isModerator(p.role));
+        if (mode === 'random') {
+            const shuffled = shuffle(candidates);
+            for (let i = 0; i < shuffled.length; i++) {
+                await moveToStage(io, meetingId, shuffled[i].socketId, session.rooms[i % total].id, session);
+            }
+        } else {
+            for (const p of candidates) {
+                const index = parseInt(assignments[p.socketId], 10);
+                if (session.rooms[index]) await moveToStage(io, meetingId, p.socketId, session.rooms[index].id, session);
+            }
+        }
+
+        const minutes = parseFloat(durationMinutes);
+        if (minutes > 0) await setTimer(io, meetingId, Math.round(Math.min(minutes, MAX_DURATION_MINUTES) * 60));
+
+        io.to(meetingChannel(meetingId)).emit('breakout-opened', {
+            meetingId,
+            rooms: session.rooms,
+            endsAt: (await getSession(meetingId))?.endsAt || null,
+        });
+        await emitBreakoutState(io, meetingId);
+        console.log(`🧩 ${total} breakout rooms opened for ${meetingId} (${mode})`);
+    });
+
+    // Host / co-host: move one participant (breakoutId null = back to main room)
+    guard(socket, 'breakout-move', async ({ meetingId, targetSocketId, breakoutId }) => {
+        const session = await getSession(meetingId);
+        if (!session) return deny('Breakout rooms are not open.');
+        if (breakoutId && !session.rooms.some((r) => r.id === breakoutId)) return deny('Unknown breakout room.');
+        if (!(await getStore().getParticipant(meetingId, targetSocketId))) return deny('Participant is no longer in the meeting.');
+
+        await moveToStage(io, meetingId, targetSocketId, breakoutId || null, session);
+        await emitBreakoutState(io, meetingId);
+    });
+
+    // Host / co-host: message every room at once
+    guard(socket, 'breakout-broadcast', ({ meetingId, message }) => {
+        if (!message?.trim()) return;
+
+        io.to(meetingChannel(meetingId)).emit('breakout-broadcast', {
+            message: message.trim().slice(0, 500),
+            from: socket.userName,
+            timestamp: new Date(),
+        });
+    });
+
+    // Host / co-host: (re)start the countdown; rooms close automatically when it ends
+    guard(socket, 'breakout-timer', async ({ meetingId, seconds }) => {
+        if (!(await getSession(meetingId))) return deny('Breakout rooms are not open.');
+
+        const secs = parseInt(seconds, 10);
+        if (!Number.isInteger(secs) || secs < 10 || secs > MAX_DURATION_MINUTES * 60) {
+            return deny('Countdown must be between 10 seconds and 4 hours.');
+        }
+        await setTimer(io, meetingId, secs);
+        await emitBreakoutState(io, meetingId);
+    });
+
+    // Host / co-host: pull everyone back to the main room
+    guard(socket, 'breakout-close', ({ meetingId }) => closeBreakouts(io, meetingId));
+};
+
+module.exports = {
+    registerBreakoutHandlers,
+    emitBreakoutState,
+    discardBreakouts,
+};
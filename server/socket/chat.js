@@ -0,0 +1,139 @@
+/**
+ * chat.js – Meeting chat
+ * Messages are stored through services/chatService.js and go to the sender's
+ * stage (main room / breakout room), or to one person as a direct message
+ * (every tab of the sender and the recipient):
+ *   chat-message  { meetingId, message, toSocketId?, replyTo?, fileId? } → chat-message { ...message }
+ *   chat-edit     { meetingId, messageId, message }                      → chat-updated { message }
+ *   chat-delete   { meetingId, messageId }                               → chat-updated { message }
+ *   chat-react    { meetingId, messageId, emoji }  (toggles)             → chat-updated { message }
+ * Messages carry a stable `id`; replies carry the `replyTo` of their thread.
+ * `fileId` shares a file uploaded to POST /api/meetings/:meetingId/files; the
+ * message then carries an `attachment` with links signed for each recipient,
+ * so it is sent to every seat on its own.
+ * Whoever is @mentioned also gets `chat-mention { message }`. Authors edit and
+ * delete their own messages, the host / co-hosts can delete any. Failures get
+ * `chat-error { messageId, message }`. Late joiners get the recent history as
+ * `chatHistory` in join-approved / session-resumed.
+ */
+
+const { mainChannel, breakoutChannel, getParticipant, getRoomParticipants } = require('./roomState');
+const { isModerator } = require('./permissions');
+const { formatMessage, postMessage, editMessage, deleteMessage, toggleReaction } = require('../services/chatService');
+
+const chatError = (socket, messageId, error) => {
+    if (!error.status) console.error('chat error:', error);
+    socket.emit('chat-error', { messageId: messageId || null, message: error.status ? error.message : 'The message could not be sent.' });
+};
+
+/** Seats that see a message: both people of a direct message, or the message's stage */
+const audienceSeats = async (meetingId, msg) => {
+    const participants = await getRoomParticipants(meetingId);
+    if (msg.recipientId) {
+        const pair = [String(msg.userId), String(msg.recipientId)];
+        return participants.filter((p) => pair.includes(String(p.userId)));
+    }
+    return participants.filter((p) => (p.breakoutId || null) === (msg.breakoutId || null));
+};
+
+/** @param {(viewerId: string|null) => object} payloadFor - the event as one viewer gets it */
+const emitToAudience = async (io, meetingId, msg, event, payloadFor) => {
+    if (msg.attachment) {
+        (await audienceSeats(meetingId, msg)).forEach((p) => io.to(p.socketId).emit(event, payloadFor(String(p.userId))));
+        return;
+    }
+    if (msg.recipientId) {
+        const socketIds = (await audienceSeats(meetingId, msg)).map((p) => p.socketId);
+        if (socketIds.length) io.to(socketIds).emit(event, payloadFor(null));
+        return;
+    }
+    io.to(msg.breakoutId ? breakoutChannel(meetingId, msg.breakoutId) : mainChannel(meetingId)).emit(event, payloadFor(null));
+};
+
+const messageFor = (msg) => (viewerId) => ({ message: formatMessage(msg, viewerId) });
+
+const registerChatHandlers = (io, socket) => {
+    const audienceOf = (meetingId) => (msg) => audienceSeats(meetingId, msg);
+
+    socket.on('chat-message', async ({ meetingId, message, toSocketId, replyTo, fileId } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+
+            let recipient = null;
+            if (toSocketId) {
+                const target = await getParticipant(meetingId, toSocketId);
+                if (!target) return socket.emit('chat-error', { messageId: null, message: 'That participant has left the meeting.' });
+                recipient = { userId: target.userId, userName: target.userName };
+            }
+
+            const msg = await postMessage(
+                meetingId,
+                { userId: socket.userId, userName: socket.userName, breakoutId: seat.breakoutId },
+                { text: message, recipient, replyTo, fileId },
+                audienceOf(meetingId)
+            );
+            await emitToAudience(io, meetingId, msg, 'chat-message', (viewerId) => formatMessage(msg, viewerId));
+
+            if (msg.mentions.length) {
+                const mentioned = msg.mentions.map((m) => m.userId);
+                (await audienceSeats(meetingId, msg))
+                    .filter((p) => mentioned.includes(String(p.userId)))
+                    .forEach((p) => io.to(p.socketId).emit('chat-mention', messageFor(msg)(String(p.userId))));
+            }
+        } catch (err) {
+            chatError(socket, replyTo, err);
+        }
+    });
+
+    socket.on('chat-edit', async ({ meetingId, messageId, message } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+            const msg = await editMessage(
+                meetingId,
+                messageId,
+                { userId: socket.userId, breakoutId: seat.breakoutId },
+                message,
+                audienceOf(meetingId)
+            );
+            await emitToAudience(io, meetingId, msg, 'chat-updated', messageFor(msg));
+        } catch (err) {
+            chatError(socket, messageId, err);
+        }
+    });
+
+    socket.on('chat-delete', async ({ meetingId, messageId } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+            const msg = await deleteMessage(meetingId, messageId, {
+                userId: socket.userId,
+                userName: socket.userName,
+                breakoutId: seat.breakoutId,
+                moderator: isModerator(seat.role),
+            });
+            await emitToAudience(io, meetingId, msg, 'chat-updated', messageFor(msg));
+        } catch (err) {
+            chatError(socket, messageId, err);
+        }
+    });
+
+    socket.on('chat-react', async ({ meetingId, messageId, emoji } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+            const msg = await toggleReaction(
+                meetingId,
+                messageId,
+                { userId: socket.userId, userName: socket.userName, breakoutId: seat.breakoutId },
+                emoji
+            );
+            await emitToAudience(io, meetingId, msg, 'chat-updated', messageFor(msg));
+        } catch (err) {
+            chatError(socket, messageId, err);
+        }
+    });
+};
+
+module.exports = { registerChatHandlers };
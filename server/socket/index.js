@@ -2,23 +2,53 @@
  * Socket.io Handler – v2 (Password-Gated Rooms)
  * New: join-room validates joinToken before admitting to room
  *      Waiting room support, lock enforcement, remove participant
+ *      Breakout rooms (see ./breakouts.js)
+ *      Roles + host-only events authorized server-side (see ./permissions.js, ./roles.js)
+ *      Live state in a shared store, so any instance can serve any socket (see ./store)
+ *      Persistent waiting room + one admission path for socket and REST (see ./waitingRoom.js, ./admission.js)
+ *      Streaming server-side transcription with room-wide captions (see ./transcription.js)
+ *      Dropped sockets keep their seat for a grace period and can resume it (see ./sessions.js)
+ *      Guests get a signed guest token, so they keep one identity across reconnects
+ *      Background job status for the summary page (see ./jobs.js)
+ *      Live polls and quizzes (see ./polls.js)
+ *      Q&A with upvotes and an ordered hand-raise queue (see ./qa.js)
+ *      Shared whiteboard, synchronized by operations (see ./whiteboard.js)
+ *      Shared notes merged by operational transformation, and the agenda (see ./notes.js)
+ *      Chat with direct messages, threads, edits, deletes, reactions and mentions (see ./chat.js)
+ *      Grace periods and breakout countdowns are store deadlines any instance fires (see ./timers.js)
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const Meeting = require('../models/Meeting');
 const Engagement = require('../models/Engagement');
-
-// ── In-memory room state ─────────────────────────────────────────────────────
-// rooms: Map<meetingId, Map<socketId, { userName, userId, isHost }>>
-const rooms = new Map();
-
-const getRoomParticipants = (meetingId) => {
-    const room = rooms.get(meetingId);
-    if (!room) return [];
-    return Array.from(room.entries()).map(([socketId, data]) => ({ socketId, ...data }));
-};
+const { getStore, meetingChannel, stageChannel, getParticipant } = require('./roomState');
+const { registerBreakoutHandlers, discardBreakouts } = require('./breakouts');
+const { registerRoleHandlers } = require('./roles');
+const { registerPollHandlers } = require('./polls');
+const { registerQaHandlers } = require('./qa');
+const { registerWhiteboardHandlers } = require('./whiteboard');
+const { registerNotesHandlers } = require('./notes');
+const { registerChatHandlers } = require('./chat');
+const { leaveMeeting, holdSeat, registerSessionHandlers } = require('./sessions');
+const { enqueueWaiting, dropWaiting, emitWaitingQueue, setWaitingMessage } = require('./waitingRoom');
+const { admitToRoom, admitWaiting, rejectWaiting } = require('./admission');
+const { registerTranscriptionHandlers } = require('./transcription');
+const { registerJobWatchHandlers } = require('./jobs');
+const { startTimers } = require('./timers');
+const { recordEvent, recordSocketEvent } = require('../services/timelineService');
+const {
+    isModerator,
+    resolveRole,
+    getSocketRole,
+    canUseMedia,
+    deny,
+    guard,
+} = require('./permissions');
 
 module.exports = (io) => {
+    startTimers(io);
+
     // ── Socket Auth Middleware ─────────────────────────────────────────────────
     io.use((socket, next) => {
         const token = socket.handshake.auth?.token;
@@ -31,12 +61,12 @@ module.exports = (io) => {
             } catch {
                 socket.isAuth = false;
                 socket.userName = socket.handshake.query?.userName || 'Guest';
-                socket.userId = `guest_${Date.now()}`;
+                assignGuestIdentity(socket);
             }
         } else {
             socket.isAuth = false;
             socket.userName = socket.handshake.query?.userName || 'Guest';
-            socket.userId = `guest_${Date.now()}`;
+            assignGuestIdentity(socket);
         }
         next();
     });
@@ -44,6 +74,11 @@ module.exports = (io) => {
     io.on('connection', (socket) => {
         console.log(`🔌 Connected: ${socket.id} (${socket.userName})`);
 
+        // Guests keep this token and send it back, so they stay the same guest
+        if (socket.guestToken) {
+            socket.emit('guest-identity', { userId: socket.userId, guestToken: socket.guestToken });
+        }
+
         // ── JOIN ROOM (Password-gated) ─────────────────────────────────────────
         socket.on('join-room', async ({ meetingId, joinToken }) => {
             try {
@@ -67,52 +102,22 @@ module.exports = (io) => {
                 if (meeting.status === 'ended') {
                     return socket.emit('join-rejected', { message: 'This meeting has ended.' });
                 }
-                if (meeting.isLocked) {
-                    // Only host can still enter a locked meeting
-                    if (meeting.host.toString() !== socket.userId?.toString()) {
-                        return socket.emit('join-rejected', { message: 'Meeting is locked. New participants cannot join.' });
-                    }
-                }
+                const role = resolveRole(meeting, socket.userId);
 
-                const isHost = meeting.host.toString() === socket.userId?.toString();
+                // Only host / co-hosts can still enter a locked meeting
+                if (meeting.isLocked && !isModerator(role)) {
+                    return socket.emit('join-rejected', { message: 'Meeting is locked. New participants cannot join.' });
+                }
 
                 // Waiting room logic
-                if (meeting.waitingRoomEnabled && !isHost) {
-                    // Add to waiting queue in DB and notify
-                    await Meeting.findOneAndUpdate(
-                        { meetingId },
-                        {
-                            $addToSet: {
-                                waitingQueue: {
-                                    userId: socket.userId,
-                                    userName: socket.userName,
-                                    requestedAt: new Date(),
-                                },
-                            },
-                        }
-                    );
-
-                    // Notify host
-                    const hostSocket = [...(rooms.get(meetingId)?.entries() || [])].find(
-                        ([, d]) => d.isHost
-                    );
-                    if (hostSocket) {
-                        io.to(hostSocket[0]).emit('waiting-room-request', {
-                            userId: socket.userId,
-                            userName: socket.userName,
-                            socketId: socket.id,
-                        });
-                    }
-
-                    socket.emit('join-waiting-room', {
-                        message: 'Waiting for host approval...',
-                        meetingId,
-                    });
+                if (meeting.waitingRoomEnabled && !isModerator(role)) {
+                    socket.waitingFor = meetingId;
+                    await enqueueWaiting(io, socket, meeting);
                     return;
                 }
 
                 // ── Admit to room ──────────────────────────────────────────────────
-                admitToRoom(socket, io, meetingId, isHost);
+                await admitToRoom(io, socket, meeting, role);
 
             } catch (err) {
                 console.error('join-room error:', err);
@@ -120,21 +125,19 @@ module.exports = (io) => {
             }
         });
 
-        // ── HOST APPROVES WAITING PARTICIPANT ─────────────────────────────────
-        socket.on('approve-waiting', ({ waitingSocketId, meetingId }) => {
-            const waitingSocket = io.sockets.sockets.get(waitingSocketId);
-            if (waitingSocket) {
-                const isHost = false;
-                admitToRoom(waitingSocket, io, meetingId, isHost);
-                io.to(waitingSocketId).emit('join-approved', { meetingId });
-            }
+        // ── WAITING ROOM (host / co-host) ─────────────────────────────────────
+        // Same path as the REST endpoints; the waiting socket may be on another instance.
+        // `all: true` admits / denies everyone in the queue.
+        guard(socket, 'approve-waiting', async ({ meetingId, waitingSocketId, all }) => {
+            await admitWaiting(io, meetingId, all ? { all: true } : { socketId: waitingSocketId }, socket);
         });
 
-        socket.on('reject-waiting', ({ waitingSocketId }) => {
-            const waitingSocket = io.sockets.sockets.get(waitingSocketId);
-            if (waitingSocket) {
-                waitingSocket.emit('join-rejected', { message: 'Host denied your request to join.' });
-            }
+        guard(socket, 'reject-waiting', async ({ meetingId, waitingSocketId, all, message }) => {
+            await rejectWaiting(io, meetingId, all ? { all: true } : { socketId: waitingSocketId }, message, socket);
+        });
+
+        guard(socket, 'set-waiting-message', async ({ meetingId, message }) => {
+            await setWaitingMessage(io, meetingId, message);
         });
 
         // ── WebRTC Signaling ──────────────────────────────────────────────────
@@ -150,82 +153,79 @@ module.exports = (io) => {
             io.to(targetSocketId).emit('ice-candidate', { fromSocketId: socket.id, candidate });
         });
 
-        // ── Chat ──────────────────────────────────────────────────────────────
-        socket.on('chat-message', async ({ meetingId, message }) => {
-            if (!message?.trim()) return;
-            const sanitized = message.trim().slice(0, 500); // Max 500 chars
-
-            const payload = {
-                userId: socket.userId,
-                userName: socket.userName,
-                message: sanitized,
-                timestamp: new Date(),
-            };
-
-            io.to(`room:${meetingId}`).emit('chat-message', payload);
-
-            // Persist to DB
-            try {
-                await Meeting.findOneAndUpdate({ meetingId }, { $push: { chatMessages: payload } });
-            } catch { }
-        });
-
-        // ── Meeting Controls ──────────────────────────────────────────────────
-        socket.on('toggle-audio', ({ meetingId, isMuted }) => {
-            socket.to(`room:${meetingId}`).emit('user-audio-toggle', { socketId: socket.id, isMuted });
-        });
-
-        socket.on('toggle-video', ({ meetingId, isCameraOn }) => {
-            socket.to(`room:${meetingId}`).emit('user-video-toggle', { socketId: socket.id, isCameraOn });
+        // ── Meeting Controls (media gated by role) ────────────────────────────
+        socket.on('toggle-audio', async ({ meetingId, isMuted }) => {
+            if (!isMuted && !(await canUseMedia(meetingId, await getSocketRole(meetingId, socket), 'audio'))) {
+                return deny(socket, 'toggle-audio', meetingId, 'You are not allowed to unmute right now.');
+            }
+            socket.to(await stageChannel(meetingId, socket.id)).emit('user-audio-toggle', { socketId: socket.id, isMuted });
         });
 
-        socket.on('raise-hand', ({ meetingId, raised }) => {
-            io.to(`room:${meetingId}`).emit('hand-raised', {
-                socketId: socket.id, userName: socket.userName, raised,
-            });
+        socket.on('toggle-video', async ({ meetingId, isCameraOn }) => {
+            if (isCameraOn && !(await canUseMedia(meetingId, await getSocketRole(meetingId, socket), 'video'))) {
+                return deny(socket, 'toggle-video', meetingId, 'Viewers cannot turn on their camera.');
+            }
+            socket.to(await stageChannel(meetingId, socket.id)).emit('user-video-toggle', { socketId: socket.id, isCameraOn });
         });
 
-        socket.on('speaking', ({ meetingId, isSpeaking }) => {
-            socket.to(`room:${meetingId}`).emit('user-speaking', {
+        socket.on('speaking', async ({ meetingId, isSpeaking }) => {
+            socket.to(await stageChannel(meetingId, socket.id)).emit('user-speaking', {
                 socketId: socket.id, userName: socket.userName, isSpeaking,
             });
+            logSpeakerTurn(socket, meetingId, isSpeaking);
         });
 
         // ── Screen Share ──────────────────────────────────────────────────────
-        socket.on('screen-share-started', ({ meetingId }) => {
-            socket.to(`room:${meetingId}`).emit('screen-share-started', {
+        socket.on('screen-share-started', async ({ meetingId }) => {
+            if (!(await canUseMedia(meetingId, await getSocketRole(meetingId, socket), 'screen'))) {
+                return deny(socket, 'screen-share-started', meetingId, 'You are not allowed to share your screen.');
+            }
+            socket.to(await stageChannel(meetingId, socket.id)).emit('screen-share-started', {
                 socketId: socket.id, userName: socket.userName,
             });
+            recordSocketEvent(meetingId, socket, 'screen-share-start');
         });
-        socket.on('screen-share-stopped', ({ meetingId }) => {
-            socket.to(`room:${meetingId}`).emit('screen-share-stopped', { socketId: socket.id });
+        socket.on('screen-share-stopped', async ({ meetingId }) => {
+            socket.to(await stageChannel(meetingId, socket.id)).emit('screen-share-stopped', { socketId: socket.id });
+            recordSocketEvent(meetingId, socket, 'screen-share-stop');
         });
 
-        // ── Lock Meeting (host only) ──────────────────────────────────────────
-        socket.on('lock-meeting', ({ meetingId, isLocked }) => {
-            io.to(`room:${meetingId}`).emit('meeting-locked', { isLocked, lockedBy: socket.userName });
+        // ── Roles & Breakout Rooms (host / co-host) ───────────────────────────
+        registerRoleHandlers(io, socket);
+        registerBreakoutHandlers(io, socket);
+        registerPollHandlers(io, socket);
+        registerQaHandlers(io, socket);
+        registerWhiteboardHandlers(io, socket);
+        registerNotesHandlers(io, socket);
+        registerChatHandlers(io, socket);
+
+        // ── Session Resume (reconnect within the grace period) ────────────────
+        registerSessionHandlers(io, socket);
+
+        // ── Streaming Transcription ───────────────────────────────────────────
+        registerTranscriptionHandlers(io, socket);
+
+        // ── Background Jobs (summary page) ────────────────────────────────────
+        registerJobWatchHandlers(io, socket);
+
+        // ── Lock Meeting (host / co-host) ─────────────────────────────────────
+        guard(socket, 'lock-meeting', ({ meetingId, isLocked }) => {
+            io.to(meetingChannel(meetingId)).emit('meeting-locked', { isLocked, lockedBy: socket.userName });
         });
 
-        // ── Remove Participant (host only) ────────────────────────────────────
-        socket.on('remove-participant', ({ meetingId, targetSocketId }) => {
-            const room = rooms.get(meetingId);
-            if (!room) return;
-            const me = room.get(socket.id);
-            if (!me?.isHost) return; // Only host can remove
+        // ── Remove Participant (host / co-host) ───────────────────────────────
+        guard(socket, 'remove-participant', async ({ meetingId, targetSocketId }, role) => {
+            const target = await getParticipant(meetingId, targetSocketId);
+            if (!target) return;
+            if (target.role === 'host' && role !== 'host') {
+                return deny(socket, 'remove-participant', meetingId, 'Co-hosts cannot remove the host.');
+            }
 
             io.to(targetSocketId).emit('removed-from-meeting', {
                 message: 'You have been removed from the meeting by the host.',
             });
 
-            const targetSocket = io.sockets.sockets.get(targetSocketId);
-            if (targetSocket) {
-                targetSocket.leave(`room:${meetingId}`);
-                room.delete(targetSocketId);
-                io.to(`room:${meetingId}`).emit('user-left', {
-                    socketId: targetSocketId, userName: room.get(targetSocketId)?.userName || 'Participant',
-                });
-                io.to(`room:${meetingId}`).emit('participant-count', { count: room.size });
-            }
+            await leaveMeeting(io, meetingId, targetSocketId, 'removed', socket);
         });
 
         // ── Engagement Updates ────────────────────────────────────────────────
@@ -242,7 +242,6 @@ module.exports = (io) => {
                 );
 
                 // Calculate engagement score
-                const participants = getRoomParticipants(meetingId).length || 1;
                 const scores = await Engagement.find({ meetingId }).sort({ speakingTime: -1 });
                 const totalSpeaking = scores.reduce((s, e) => s + (e.speakingTime || 0), 0) || 1;
 
@@ -253,81 +252,100 @@ module.exports = (io) => {
                     engagementScore: Math.min(100, Math.round((e.speakingTime / totalSpeaking) * 100)),
                 }));
 
-                io.to(`room:${meetingId}`).emit('engagement-scores-update', { scores: formatted });
+                io.to(meetingChannel(meetingId)).emit('engagement-scores-update', { scores: formatted });
             } catch { }
         });
 
-        // ── End Meeting ──────────────────────────────────────────────────────
-        socket.on('end-meeting', ({ meetingId }) => {
-            io.to(`room:${meetingId}`).emit('meeting-ended', { meetingId });
-            rooms.delete(meetingId);
+        // ── End Meeting (host only) ───────────────────────────────────────────
+        guard(socket, 'end-meeting', async ({ meetingId }) => {
+            io.to(meetingChannel(meetingId)).emit('meeting-ended', { meetingId });
+            await rejectWaiting(io, meetingId, { all: true }, 'This meeting has ended.');
+            // Everyone still in is cleared in one go: log their leave first
+            const at = new Date();
+            (await getStore().getParticipants(meetingId)).forEach((p) => recordEvent(meetingId, 'leave', {
+                userId: p.userId,
+                userName: p.userName,
+                socketId: p.socketId,
+                breakoutId: p.breakoutId,
+                at,
+                data: { reason: 'ended' },
+            }));
+            await discardBreakouts(meetingId);
+            await getStore().clearMeeting(meetingId);
         });
 
         // ── Leave Room ────────────────────────────────────────────────────────
         socket.on('leave-room', ({ meetingId }) => {
-            handleLeave(socket, io, meetingId);
+            leaveMeeting(io, meetingId, socket.id).catch((err) => console.error('leave-room error:', err));
         });
 
         // ── Disconnect ────────────────────────────────────────────────────────
-        socket.on('disconnect', () => {
+        socket.on('disconnect', async () => {
             console.log(`🔌 Disconnected: ${socket.id} (${socket.userName})`);
-            // Find all rooms this socket was in
-            for (const [meetingId] of rooms) {
-                if (rooms.get(meetingId)?.has(socket.id)) {
-                    handleLeave(socket, io, meetingId);
+            try {
+                const waited = socket.waitingFor && (await dropWaiting(socket.waitingFor, socket.id));
+                if (waited) {
+                    recordEvent(socket.waitingFor, 'waiting-left', {
+                        userId: waited.userId,
+                        userName: waited.userName,
+                        socketId: socket.id,
+                    });
+                    await emitWaitingQueue(io, socket.waitingFor);
                 }
+                const meetingId = await getStore().getSocketMeeting(socket.id);
+                // Not a deliberate leave: keep the seat so the client can resume it
+                if (meetingId) await holdSeat(io, meetingId, socket.id);
+            } catch (err) {
+                console.error('disconnect cleanup error:', err);
             }
         });
     });
 };
 
-// ── Helper: Admit socket to room ─────────────────────────────────────────────
-function admitToRoom(socket, io, meetingId, isHost) {
-    socket.join(`room:${meetingId}`);
-    socket.currentRoom = meetingId;
-
-    if (!rooms.has(meetingId)) rooms.set(meetingId, new Map());
-    rooms.get(meetingId).set(socket.id, {
-        userName: socket.userName,
-        userId: socket.userId,
-        isHost,
-    });
-
-    const participants = getRoomParticipants(meetingId);
-
-    // Tell new joiner about existing participants
-    socket.emit('room-participants', { participants: participants.filter((p) => p.socketId !== socket.id) });
-
-    // Tell everyone else about new joiner
-    socket.to(`room:${meetingId}`).emit('user-joined', {
-        socketId: socket.id,
-        userName: socket.userName,
-        userId: socket.userId,
-        isHost,
-    });
-
-    // Participant count
-    io.to(`room:${meetingId}`).emit('participant-count', { count: participants.length });
-
-    socket.emit('join-approved', { meetingId, isHost, participants });
-    console.log(`✅ ${socket.userName} admitted to room ${meetingId} (host: ${isHost})`);
+// ── Helper: Speaker turns for the event log ──────────────────────────────────
+// The client flips `speaking` at every pause between words; a turn only ends
+// after SPEAKER_TURN_GAP_MS of silence, so the log holds turns, not syllables.
+const SPEAKER_TURN_GAP_MS = 1500;
+
+function logSpeakerTurn(socket, meetingId, isSpeaking) {
+    if (isSpeaking) {
+        if (socket.speakerTurnEnd) {
+            // Picked up again before the gap ran out: same turn
+            clearTimeout(socket.speakerTurnEnd);
+            socket.speakerTurnEnd = null;
+            return;
+        }
+        if (socket.speakerTurnOpen) return;
+        socket.speakerTurnOpen = true;
+        recordSocketEvent(meetingId, socket, 'speaking-start');
+        return;
+    }
+
+    if (!socket.speakerTurnOpen || socket.speakerTurnEnd) return;
+    const at = new Date();
+    socket.speakerTurnEnd = setTimeout(() => {
+        socket.speakerTurnEnd = null;
+        socket.speakerTurnOpen = false;
+        recordSocketEvent(meetingId, socket, 'speaking-stop', { at });
+    }, SPEAKER_TURN_GAP_MS);
 }
 
-// ── Helper: Handle leave ──────────────────────────────────────────────────────
-function handleLeave(socket, io, meetingId) {
-    const room = rooms.get(meetingId);
-    if (!room) return;
-
-    const userData = room.get(socket.id);
-    room.delete(socket.id);
-    socket.leave(`room:${meetingId}`);
-
-    io.to(`room:${meetingId}`).emit('user-left', {
-        socketId: socket.id,
-        userName: userData?.userName || 'A participant',
-    });
-
-    io.to(`room:${meetingId}`).emit('participant-count', { count: room.size });
+// ── Helper: Stable guest identity ────────────────────────────────────────────
+// A guest presenting a valid guest token keeps its id; otherwise a new one is minted.
+function assignGuestIdentity(socket) {
+    const guestToken = socket.handshake.auth?.guestToken;
+    if (guestToken) {
+        try {
+            const decoded = jwt.verify(guestToken, process.env.JWT_SECRET);
+            if (decoded.guestId) {
+                socket.userId = `guest_${decoded.guestId}`;
+                socket.guestToken = guestToken;
+                return;
+            }
+        } catch { }
+    }
 
-    if (room.size === 0) rooms.delete(meetingId);
+    const guestId = crypto.randomUUID();
+    socket.userId = `guest_${guestId}`;
+    socket.guestToken = jwt.sign({ guestId }, process.env.JWT_SECRET, { expiresIn: '30d' });
 }
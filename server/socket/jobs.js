@@ -0,0 +1,34 @@
+/**
+ * jobs.js – Live background job status for the summary page
+ * `watch-jobs` subscribes a signed-in member of the meeting to its `job-updated`
+ * events (sent by services/jobQueue.js) and replies with the unfinished jobs.
+ */
+
+const Meeting = require('../models/Meeting');
+const { jobChannel, formatJob, getActiveJobs } = require('../services/jobQueue');
+const { isMeetingMember } = require('../utils/meetingUtils');
+
+const registerJobWatchHandlers = (io, socket) => {
+    socket.on('watch-jobs', async ({ meetingId } = {}) => {
+        try {
+            if (!socket.isAuth || !meetingId) return;
+
+            const meeting = await Meeting.findOne({ meetingId }).select('host participants roles').lean();
+            if (!isMeetingMember(meeting, socket.userId)) return;
+
+            socket.join(jobChannel(meetingId));
+            socket.emit('jobs-snapshot', {
+                meetingId,
+                jobs: (await getActiveJobs(meetingId)).map(formatJob),
+            });
+        } catch (err) {
+            console.error('watch-jobs error:', err);
+        }
+    });
+
+    socket.on('unwatch-jobs', ({ meetingId } = {}) => {
+        if (meetingId) socket.leave(jobChannel(meetingId));
+    });
+};
+
+module.exports = { registerJobWatchHandlers };
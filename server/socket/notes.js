@@ -0,0 +1,68 @@
+/**
+ * notes.js – Shared meeting notes and the agenda
+ * Notes are edited by operations on a revision (services/notesService.js),
+ * the same document for the main room and breakout rooms:
+ *   notes-sync  { meetingId }                   → notes-state { text, revision, agenda }
+ *   notes-edit  { meetingId, revision, ops }    → notes-ack { revision, ops } to the sender,
+ *                                                 notes-op { revision, ops } to everyone else
+ *                                                 (ops as applied, after merging)
+ * A client applies notes-op / notes-ack strictly in revision order. An edit that
+ * can't be merged gets `notes-error`, and the client syncs again.
+ * Agenda, host / co-host only:
+ *   agenda-set   { meetingId, agenda }          (items, or one "Title 10" per line)
+ *   agenda-item  { meetingId, itemId, status }  active | done | skipped | pending
+ *   → agenda-updated { agenda, byName } to everyone
+ * Viewers can read the notes but not edit them.
+ */
+
+const { meetingChannel, getParticipant } = require('./roomState');
+const { guard, deny } = require('./permissions');
+const { getNotes, applyNotesEdit, updateAgenda, setAgendaItemStatus } = require('../services/notesService');
+
+const notesError = (socket, error) => {
+    if (!error.status) console.error('notes error:', error);
+    socket.emit('notes-error', { message: error.status ? error.message : 'The notes could not be updated.' });
+};
+
+const registerNotesHandlers = (io, socket) => {
+    socket.on('notes-sync', async ({ meetingId } = {}) => {
+        try {
+            if (!meetingId || !(await getParticipant(meetingId, socket.id))) return;
+            socket.emit('notes-state', await getNotes(meetingId));
+        } catch (err) {
+            notesError(socket, err);
+        }
+    });
+
+    socket.on('notes-edit', async ({ meetingId, revision, ops } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+            if (seat.role === 'viewer') return deny(socket, 'notes-edit', meetingId, 'Viewers cannot edit the notes.');
+
+            const applied = await applyNotesEdit(meetingId, { revision, ops });
+            socket.emit('notes-ack', applied);
+            socket.to(meetingChannel(meetingId)).emit('notes-op', applied);
+        } catch (err) {
+            notesError(socket, err);
+        }
+    });
+
+    guard(socket, 'agenda-set', async ({ meetingId, agenda }) => {
+        try {
+            await updateAgenda(io, meetingId, agenda, { byName: socket.userName });
+        } catch (err) {
+            notesError(socket, err);
+        }
+    });
+
+    guard(socket, 'agenda-item', async ({ meetingId, itemId, status }) => {
+        try {
+            await setAgendaItemStatus(io, meetingId, itemId, status, { byName: socket.userName });
+        } catch (err) {
+            notesError(socket, err);
+        }
+    });
+};
+
+module.exports = { registerNotesHandlers };
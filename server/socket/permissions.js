@@ -0,0 +1,130 @@
+/**
+ * permissions.js – Roles and server-side authorization for socket events
+ * Roles come from the Meeting document (host + roles[]) when a socket is
+ * admitted and are kept on its live participant entry; the client is never trusted.
+ * Privileged handlers are registered through guard(); a refused call gets a
+ * uniform `permission-denied` reply and the handler never runs.
+ *
+ *   host       full control, including ending the meeting and naming co-hosts
+ *   co-host    host controls except ending the meeting / managing co-hosts
+ *   presenter  may always unmute, use the camera, share the screen and draw
+ *   attendee   media and whiteboard subject to the meeting's attendeePermissions
+ *   viewer     receive-only: no microphone, camera, screen share or drawing
+ */
+
+const { getStore, getParticipant } = require('./roomState');
+
+const ROLES = ['host', 'co-host', 'presenter', 'attendee', 'viewer'];
+
+const HOST = ['host'];
+const HOST_OR_COHOST = ['host', 'co-host'];
+
+// Which roles may send each privileged event
+const POLICIES = {
+    'lock-meeting': HOST_OR_COHOST,
+    'end-meeting': HOST,
+    'approve-waiting': HOST_OR_COHOST,
+    'reject-waiting': HOST_OR_COHOST,
+    'set-waiting-message': HOST_OR_COHOST,
+    'remove-participant': HOST_OR_COHOST,
+    'set-role': HOST_OR_COHOST,
+    'set-attendee-permissions': HOST_OR_COHOST,
+    'breakout-start': HOST_OR_COHOST,
+    'breakout-move': HOST_OR_COHOST,
+    'breakout-broadcast': HOST_OR_COHOST,
+    'breakout-timer': HOST_OR_COHOST,
+    'breakout-close': HOST_OR_COHOST,
+    'poll-launch': HOST_OR_COHOST,
+    'poll-close': HOST_OR_COHOST,
+    'qa-moderate': HOST_OR_COHOST,
+    'lower-hand': HOST_OR_COHOST,
+    'wb-clear': HOST_OR_COHOST,
+    'agenda-set': HOST_OR_COHOST,
+    'agenda-item': HOST_OR_COHOST,
+};
+
+const DEFAULT_ATTENDEE_PERMISSIONS = { canUnmute: true, canShareScreen: true, canDrawWhiteboard: true };
+
+const isModerator = (role) => HOST_OR_COHOST.includes(role);
+
+/** Role a user holds in a Meeting document (lean or hydrated) */
+const resolveRole = (meeting, userId) => {
+    const id = userId?.toString();
+    if (meeting.host?.toString() === id) return 'host';
+    return (meeting.roles || []).find((r) => r.userId === id)?.role || 'attendee';
+};
+
+/**
+ * Role of an admitted socket
+ * @returns {Promise<string|null>} null when the socket is not in the meeting
+ */
+const getSocketRole = async (meetingId, socket) => (await getParticipant(meetingId, socket.id))?.role || null;
+
+// Defaults fill in settings added since the meeting's permissions were stored
+const getAttendeePermissions = async (meetingId) =>
+    ({ ...DEFAULT_ATTENDEE_PERMISSIONS, ...(await getStore().getValue(meetingId, 'attendeePermissions')) });
+
+/**
+ * Whether a role may publish a kind of media
+ * @param {'audio'|'video'|'screen'} kind
+ */
+const canUseMedia = async (meetingId, role, kind) => {
+    if (!role || role === 'viewer') return false;
+    if (role !== 'attendee') return true;
+
+    const settings = await getAttendeePermissions(meetingId);
+    if (kind === 'audio') return settings.canUnmute;
+    if (kind === 'screen') return settings.canShareScreen;
+    return true;
+};
+
+/** Whether a role may draw on the meeting's whiteboard */
+const canDrawWhiteboard = async (meetingId, role) => {
+    if (!role || role === 'viewer') return false;
+    if (role !== 'attendee') return true;
+    return (await getAttendeePermissions(meetingId)).canDrawWhiteboard;
+};
+
+const deny = (socket, event, meetingId, message) => {
+    console.warn(`🚫 ${socket.userName} (${socket.id}) denied ${event} in ${meetingId}`);
+    socket.emit('permission-denied', {
+        event,
+        meetingId,
+        message: message || `You don't have permission to do that (${event}).`,
+    });
+};
+
+/**
+ * Register a privileged handler. The payload's meetingId (or the socket's
+ * current room when the event carries none) is checked against POLICIES[event].
+ */
+const guard = (socket, event, handler) => {
+    const allowed = POLICIES[event];
+    if (!allowed) throw new Error(`No permission policy for socket event "${event}"`);
+
+    socket.on(event, async (payload = {}) => {
+        try {
+            const meetingId = payload.meetingId || (await getStore().getSocketMeeting(socket.id));
+            const role = await getSocketRole(meetingId, socket);
+            if (!allowed.includes(role)) return deny(socket, event, meetingId);
+
+            await handler({ ...payload, meetingId }, role);
+        } catch (err) {
+            console.error(`${event} error:`, err);
+        }
+    });
+};
+
+module.exports = {
+    ROLES,
+    POLICIES,
+    DEFAULT_ATTENDEE_PERMISSIONS,
+    isModerator,
+    resolveRole,
+    getSocketRole,
+    getAttendeePermissions,
+    canUseMedia,
+    canDrawWhiteboard,
+    deny,
+    guard,
+};
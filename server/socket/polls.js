@@ -0,0 +1,66 @@
+/**
+ * polls.js – Live polls and quizzes
+ * Host / co-hosts launch and close polls prepared over REST (/api/polls);
+ * anyone admitted to the meeting answers. Results are broadcast by the poll
+ * service after every answer. A refused or invalid action gets `poll-error`.
+ */
+
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+const { getParticipant } = require('./roomState');
+const { guard } = require('./permissions');
+const { launchPoll, closePoll, submitVote, formatPoll } = require('../services/pollService');
+
+// The poll, if it belongs to this meeting
+const findPoll = async (meetingId, pollId) => {
+    if (!meetingId || !mongoose.isValidObjectId(pollId)) return null;
+    const poll = await Poll.findById(pollId);
+    return poll && poll.meetingId === meetingId ? poll : null;
+};
+
+const pollError = (socket, pollId, error) => {
+    if (!error.status) console.error('poll error:', error);
+    socket.emit('poll-error', { pollId, message: error.status ? error.message : 'Something went wrong with the poll.' });
+};
+
+const registerPollHandlers = (io, socket) => {
+    // Host / co-host: open a draft poll to the whole meeting
+    guard(socket, 'poll-launch', async ({ meetingId, pollId }) => {
+        try {
+            const poll = await findPoll(meetingId, pollId);
+            if (!poll) return pollError(socket, pollId, { status: 404, message: 'Poll not found.' });
+            await launchPoll(io, poll);
+        } catch (err) {
+            pollError(socket, pollId, err);
+        }
+    });
+
+    // Host / co-host: stop taking answers and show the final results
+    guard(socket, 'poll-close', async ({ meetingId, pollId }) => {
+        try {
+            const poll = await findPoll(meetingId, pollId);
+            if (!poll) return pollError(socket, pollId, { status: 404, message: 'Poll not found.' });
+            await closePoll(io, poll);
+        } catch (err) {
+            pollError(socket, pollId, err);
+        }
+    });
+
+    // Anyone in the meeting: answer (again, to change the answer)
+    socket.on('poll-vote', async ({ meetingId, pollId, answer } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+            const poll = await findPoll(meetingId, pollId);
+            if (!poll) return pollError(socket, pollId, { status: 404, message: 'Poll not found.' });
+
+            const voterId = seat.userId || socket.userId;
+            const updated = await submitVote(io, poll, { userId: voterId, userName: seat.userName || socket.userName }, answer);
+            socket.emit('poll-voted', { pollId, answer: formatPoll(updated, { viewerId: voterId }).myAnswer });
+        } catch (err) {
+            pollError(socket, pollId, err);
+        }
+    });
+};
+
+module.exports = { registerPollHandlers };
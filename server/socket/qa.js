@@ -0,0 +1,136 @@
+/**
+ * qa.js – Q&A panel and hand-raise queue
+ * Anyone admitted to the meeting asks (optionally anonymously) and upvotes;
+ * the host / co-hosts promote, answer, dismiss or reopen questions (stored
+ * through services/qaService.js). A refused or invalid action gets `qa-error`.
+ *
+ * Raised hands keep the time they went up on the participant's seat, so the
+ * whole meeting sees one queue in order (who raised first), it survives a
+ * reconnect, and moderators can lower a hand once it has been taken:
+ *   hand-queue  { queue: [{ socketId, userId, userName, raisedAt }] }
+ */
+
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const { getStore, meetingChannel, stageChannel, getParticipant, getRoomParticipants } = require('./roomState');
+const { guard } = require('./permissions');
+const { askQuestion, setUpvote, moderateQuestion } = require('../services/qaService');
+const { recordSocketEvent, recordEvent, byDetails } = require('../services/timelineService');
+
+// ── Hand-raise queue ─────────────────────────────────────────────────────────
+/** Raised hands of the whole meeting, first raised first */
+const getHandQueue = async (meetingId) => (await getRoomParticipants(meetingId))
+    .filter((p) => p.handRaised)
+    .sort((a, b) => new Date(a.handRaisedAt || 0) - new Date(b.handRaisedAt || 0))
+    .map((p) => ({ socketId: p.socketId, userId: p.userId, userName: p.userName, raisedAt: p.handRaisedAt || null }));
+
+const emitHandQueue = async (io, meetingId) => {
+    io.to(meetingChannel(meetingId)).emit('hand-queue', { queue: await getHandQueue(meetingId) });
+};
+
+/**
+ * Raise / lower a hand on a seat, tell its stage and the queue
+ * @param {object|null} by - moderator lowering someone else's hand
+ */
+const setHand = async (io, meetingId, socketId, raised, by = null) => {
+    const seat = await getParticipant(meetingId, socketId);
+    if (!seat || !!seat.handRaised === !!raised) return;
+
+    // Keep the original place in the queue when a raise is repeated
+    await getStore().updateParticipant(meetingId, socketId, {
+        handRaised: !!raised,
+        handRaisedAt: raised ? new Date().toISOString() : null,
+    });
+    io.to(await stageChannel(meetingId, socketId)).emit('hand-raised', {
+        socketId, userName: seat.userName, raised: !!raised, loweredBy: by?.userName || null,
+    });
+    await emitHandQueue(io, meetingId);
+};
+
+// The question, if it belongs to this meeting
+const findQuestion = async (meetingId, questionId) => {
+    if (!meetingId || !mongoose.isValidObjectId(questionId)) return null;
+    const question = await Question.findById(questionId);
+    return question && question.meetingId === meetingId ? question : null;
+};
+
+const qaError = (socket, questionId, error) => {
+    if (!error.status) console.error('Q&A error:', error);
+    socket.emit('qa-error', { questionId, message: error.status ? error.message : 'Something went wrong with the Q&A.' });
+};
+
+const registerQaHandlers = (io, socket) => {
+    // ── Hands ────────────────────────────────────────────────────────────────
+    socket.on('raise-hand', async ({ meetingId, raised } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat || !!seat.handRaised === !!raised) return;
+            await setHand(io, meetingId, socket.id, raised);
+            recordSocketEvent(meetingId, socket, raised ? 'hand-raise' : 'hand-lower');
+        } catch (err) {
+            qaError(socket, null, err);
+        }
+    });
+
+    // Host / co-host: take someone's hand down (question handled, raised by mistake, ...)
+    guard(socket, 'lower-hand', async ({ meetingId, targetSocketId }) => {
+        const seat = await getParticipant(meetingId, targetSocketId);
+        if (!seat?.handRaised) return;
+        await setHand(io, meetingId, targetSocketId, false, socket);
+        recordEvent(meetingId, 'hand-lower', {
+            userId: seat.userId,
+            userName: seat.userName,
+            socketId: targetSocketId,
+            breakoutId: seat.breakoutId,
+            data: byDetails(socket),
+        });
+    });
+
+    // ── Questions ────────────────────────────────────────────────────────────
+    // Anyone in the meeting: ask (replies with the new id, so the UI knows it is ours)
+    socket.on('qa-ask', async ({ meetingId, text, anonymous } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+            const question = await askQuestion(io, meetingId, {
+                userId: seat.userId || socket.userId,
+                userName: seat.userName || socket.userName,
+            }, { text, anonymous });
+            socket.emit('qa-asked', { questionId: question._id });
+        } catch (err) {
+            qaError(socket, null, err);
+        }
+    });
+
+    // Anyone in the meeting: upvote (upvote: false takes the vote back)
+    socket.on('qa-upvote', async ({ meetingId, questionId, upvote = true } = {}) => {
+        try {
+            const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+            if (!seat) return;
+            const question = await findQuestion(meetingId, questionId);
+            if (!question) return qaError(socket, questionId, { status: 404, message: 'Question not found.' });
+
+            await setUpvote(io, question, seat.userId || socket.userId, !!upvote);
+            socket.emit('qa-upvoted', { questionId, upvoted: !!upvote });
+        } catch (err) {
+            qaError(socket, questionId, err);
+        }
+    });
+
+    // Host / co-host: promote | answer | dismiss | reopen
+    guard(socket, 'qa-moderate', async ({ meetingId, questionId, action, answer }) => {
+        try {
+            const question = await findQuestion(meetingId, questionId);
+            if (!question) return qaError(socket, questionId, { status: 404, message: 'Question not found.' });
+            await moderateQuestion(io, question, action, { answer, by: { userName: socket.userName } });
+        } catch (err) {
+            qaError(socket, questionId, err);
+        }
+    });
+};
+
+module.exports = {
+    getHandQueue,
+    emitHandQueue,
+    registerQaHandlers,
+};
@@ -0,0 +1,87 @@
+/**
+ * roles.js – Promote / demote participants and set attendee media permissions
+ * Changes apply live to every socket of the user and persist on the Meeting.
+ */
+
+const Meeting = require('../models/Meeting');
+const { getStore, getRoomParticipants, meetingChannel } = require('./roomState');
+const { getAttendeePermissions, isModerator, deny, guard } = require('./permissions');
+const { emitBreakoutState } = require('./breakouts');
+const { emitWaitingQueue } = require('./waitingRoom');
+
+const ASSIGNABLE_ROLES = ['co-host', 'presenter', 'attendee', 'viewer'];
+
+// Replace the user's entry (drop it for attendees) in one pipeline update, so
+// no reader sees them without a role; $literal keeps a "$name" from being read as a path
+const persistRole = (meetingId, userId, userName, role) =>
+    Meeting.updateOne({ meetingId }, [
+        {
+            $set: {
+                roles: {
+                    $concatArrays: [
+                        {
+                            $filter: {
+                                input: { $ifNull: ['$roles', []] },
+                                cond: { $ne: ['$$this.userId', { $literal: userId }] },
+                            },
+                        },
+                        { $literal: role === 'attendee' ? [] : [{ userId, userName: userName || '', role }] },
+                    ],
+                },
+            },
+        },
+    ], { updatePipeline: true });
+
+const registerRoleHandlers = (io, socket) => {
+    // Host / co-host: change someone's role (only the host manages co-hosts)
+    guard(socket, 'set-role', async ({ meetingId, targetSocketId, role }, actorRole) => {
+        const participants = await getRoomParticipants(meetingId);
+        const target = participants.find((p) => p.socketId === targetSocketId);
+        if (!target) return deny(socket, 'set-role', meetingId, 'Participant is no longer in the meeting.');
+        if (!ASSIGNABLE_ROLES.includes(role)) return deny(socket, 'set-role', meetingId, `Unknown role: ${role}`);
+        if (target.role === 'host') return deny(socket, 'set-role', meetingId, 'The host role cannot be changed.');
+        if ((role === 'co-host' || target.role === 'co-host') && actorRole !== 'host') {
+            return deny(socket, 'set-role', meetingId, 'Only the host can add or remove co-hosts.');
+        }
+        if (target.role === role) return;
+
+        // Same user may be connected from several tabs
+        const userId = target.userId?.toString();
+        const sessions = participants.filter((p) => p.userId?.toString() === userId);
+        for (const p of sessions) {
+            await getStore().updateParticipant(meetingId, p.socketId, { role });
+            io.to(meetingChannel(meetingId)).emit('role-changed', {
+                socketId: p.socketId,
+                userId,
+                userName: p.userName,
+                role,
+                changedBy: socket.userName,
+            });
+            if (isModerator(role)) await emitWaitingQueue(io, meetingId, p.socketId);
+        }
+
+        persistRole(meetingId, userId, target.userName, role)
+            .catch((err) => console.warn('role persist failed:', err.message));
+
+        await emitBreakoutState(io, meetingId);
+        console.log(`🎭 ${target.userName} is now ${role} in ${meetingId} (by ${socket.userName})`);
+    });
+
+    // Host / co-host: what attendees may do (presenters and up are unaffected)
+    guard(socket, 'set-attendee-permissions', async ({ meetingId, canUnmute, canShareScreen, canDrawWhiteboard }) => {
+        const current = await getAttendeePermissions(meetingId);
+        const next = {
+            canUnmute: typeof canUnmute === 'boolean' ? canUnmute : current.canUnmute,
+            canShareScreen: typeof canShareScreen === 'boolean' ? canShareScreen : current.canShareScreen,
+            canDrawWhiteboard: typeof canDrawWhiteboard === 'boolean' ? canDrawWhiteboard : current.canDrawWhiteboard,
+        };
+        await getStore().setValue(meetingId, 'attendeePermissions', next);
+
+        Meeting.updateOne({ meetingId }, { $set: { attendeePermissions: next } })
+            .catch((err) => console.warn('attendee permissions persist failed:', err.message));
+
+        io.to(meetingChannel(meetingId)).emit('attendee-permissions', { ...next, changedBy: socket.userName });
+    });
+};
+
+module.exports = { registerRoleHandlers };
@@ -0,0 +1,52 @@
+/**
+ * roomState.js – Live meeting state shared by the socket handlers
+ * State lives in a pluggable store (./store): in-memory by default, Redis when
+ * several instances run behind a load balancer. Handlers never keep their own
+ * copies, so any instance can serve any socket.
+ *
+ * Socket.io channels per meeting:
+ *   meeting:<id>          every admitted socket (meeting-wide broadcasts)
+ *   room:<id>             main room stage (chat, WebRTC mesh, presence)
+ *   room:<id>:<breakout>  a breakout room stage
+ */
+
+const createMemoryStore = require('./store/memoryStore');
+
+// participant: { userName, userId, role, isHost, breakoutId }
+let store = createMemoryStore();
+
+const getStore = () => store;
+const setStore = (next) => {
+    store = next;
+};
+
+const meetingChannel = (meetingId) => `meeting:${meetingId}`;
+const mainChannel = (meetingId) => `room:${meetingId}`;
+const breakoutChannel = (meetingId, breakoutId) => `room:${meetingId}:${breakoutId}`;
+
+const getRoomParticipants = (meetingId) => store.getParticipants(meetingId);
+
+const getParticipant = (meetingId, socketId) => store.getParticipant(meetingId, socketId);
+
+/** Participants sharing a stage (main room when breakoutId is null) */
+const getStageParticipants = async (meetingId, breakoutId = null) =>
+    (await store.getParticipants(meetingId)).filter((p) => (p.breakoutId || null) === (breakoutId || null));
+
+const channelFor = (meetingId, participant) =>
+    participant?.breakoutId ? breakoutChannel(meetingId, participant.breakoutId) : mainChannel(meetingId);
+
+/** Channel a socket currently talks in: its breakout room, or the main room */
+const stageChannel = async (meetingId, socketId) => channelFor(meetingId, await store.getParticipant(meetingId, socketId));
+
+module.exports = {
+    getStore,
+    setStore,
+    meetingChannel,
+    mainChannel,
+    breakoutChannel,
+    getRoomParticipants,
+    getParticipant,
+    getStageParticipants,
+    channelFor,
+    stageChannel,
+};
@@ -0,0 +1,208 @@
+/**
+ * sessions.js – Leaving, dropped connections and session resume
+ * A socket that drops without `leave-room` keeps its seat for a grace period
+ * (RESUME_GRACE_SECONDS, default 30). A client that reconnects in time sends
+ * `resume-session` with the resume token it got in `join-approved` and takes the
+ * seat back – role, breakout room, raised hand – on its new socket id. Peers only
+ * see `participant-resumed` and rebuild the WebRTC link; nobody sees a leave/join.
+ *
+ * Resume tokens live in the store as value "resume:<socketId>" and never appear
+ * in participant lists. The grace period is a store deadline (./timers.js), so
+ * any instance ends it, also when the one that saw the drop is gone.
+ * Whoever takes the seat over – a resume, the end of the grace period, a leave –
+ * first takes the token out of the store (one atomic step), and only the one
+ * that got it goes on: two resumes at once, or a resume racing the grace
+ * period, cannot both keep the seat.
+ */
+
+const crypto = require('crypto');
+const {
+    getStore,
+    meetingChannel,
+    channelFor,
+    getStageParticipants,
+} = require('./roomState');
+const { emitBreakoutState, discardBreakouts } = require('./breakouts');
+const { getAttendeePermissions, isModerator } = require('./permissions');
+const { emitWaitingQueue } = require('./waitingRoom');
+const { transcriptionMode } = require('./transcription');
+const { getRecordingState } = require('../services/recordingService');
+const { getLivePolls } = require('../services/pollService');
+const { getMeetingQuestions } = require('../services/qaService');
+const { getChatHistory } = require('../services/chatService');
+const { getHandQueue, emitHandQueue } = require('./qa');
+const { recordEvent, byDetails } = require('../services/timelineService');
+const { onTimer, scheduleTimer, cancelTimer } = require('./timers');
+
+const GRACE_MS = Math.max(0, parseInt(process.env.RESUME_GRACE_SECONDS ?? '30', 10) || 0) * 1000;
+
+const resumeKey = (socketId) => `resume:${socketId}`;
+const graceTimerKey = (socketId) => `seat:${socketId}`;
+
+const sameToken = (a, b) => {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+/** New resume token for an admitted socket (replaces any previous one) */
+const issueResumeToken = async (meetingId, socketId) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    await getStore().setValue(meetingId, resumeKey(socketId), token);
+    return token;
+};
+
+// ── Remove a seat for good ───────────────────────────────────────────────────
+// Only io-level operations, so the socket may be gone or on another instance.
+// `reason` goes to the event log: left | removed | dropped (never came back);
+// `by` is the moderator who removed them
+const leaveMeeting = async (io, meetingId, socketId, reason = 'left', by = null) => {
+    const store = getStore();
+    const userData = await store.getParticipant(meetingId, socketId);
+    if (!userData) return;
+
+    recordEvent(meetingId, 'leave', {
+        userId: userData.userId,
+        userName: userData.userName,
+        socketId,
+        breakoutId: userData.breakoutId,
+        data: { reason, ...byDetails(by) },
+    });
+
+    await cancelTimer(graceTimerKey(socketId));
+
+    // No resume from here on
+    await store.deleteValue(meetingId, resumeKey(socketId));
+    const stage = channelFor(meetingId, userData);
+    const remaining = await store.removeParticipant(meetingId, socketId);
+    io.in(socketId).socketsLeave([stage, meetingChannel(meetingId)]);
+
+    io.to(stage).emit('user-left', {
+        socketId,
+        userName: userData.userName || 'A participant',
+    });
+
+    io.to(meetingChannel(meetingId)).emit('participant-count', { count: remaining });
+    if (userData.handRaised) await emitHandQueue(io, meetingId);
+
+    if (remaining === 0) {
+        await discardBreakouts(meetingId);
+        // People still waiting stay queued for whoever (re)joins as host
+        if (!(await store.getWaiting(meetingId)).length) await store.clearMeeting(meetingId);
+    } else {
+        await emitBreakoutState(io, meetingId);
+    }
+};
+
+// ── Connection dropped: keep the seat warm for a while ──────────────────────
+// Still there and still disconnected when the grace period ends? Then the client
+// never came back – unless a resume has just taken the token
+onTimer('seat-grace', async (io, { meetingId, socketId }) => {
+    const store = getStore();
+    const seat = await store.getParticipant(meetingId, socketId);
+    if (!seat?.disconnected) return;
+    if ((await store.takeValue(meetingId, resumeKey(socketId))) === null) return;
+    await leaveMeeting(io, meetingId, socketId, 'dropped');
+});
+
+const holdSeat = async (io, meetingId, socketId) => {
+    if (!GRACE_MS) return leaveMeeting(io, meetingId, socketId, 'dropped');
+
+    const held = await getStore().updateParticipant(meetingId, socketId, {
+        disconnected: true,
+        disconnectedAt: new Date().toISOString(),
+    });
+    if (!held) return;
+
+    await scheduleTimer(graceTimerKey(socketId), Date.now() + GRACE_MS, 'seat-grace', { meetingId, socketId });
+
+    console.log(`⏳ Holding seat of ${held.userName} in ${meetingId} for ${GRACE_MS / 1000}s`);
+};
+
+const registerSessionHandlers = (io, socket) => {
+    // ── Resume a dropped seat on this (new) socket ──────────────────────────
+    socket.on('resume-session', async ({ meetingId, previousSocketId, resumeToken } = {}) => {
+        const fail = (message) => socket.emit('resume-failed', { meetingId, message });
+        try {
+            if (!meetingId || !previousSocketId || previousSocketId === socket.id) return fail('Nothing to resume.');
+
+            const store = getStore();
+            const [expected, held] = await Promise.all([
+                store.getValue(meetingId, resumeKey(previousSocketId)),
+                store.getParticipant(meetingId, previousSocketId),
+            ]);
+            if (!held || !sameToken(expected, resumeToken)) return fail('Your session has expired.');
+            if (held.userId?.toString() !== socket.userId?.toString()) return fail('Session belongs to someone else.');
+
+            // The server may not have noticed the drop yet; a seat whose socket is
+            // really still connected (e.g. a duplicated tab) is not up for grabs.
+            if (!held.disconnected && (await io.in(previousSocketId).fetchSockets()).length) {
+                return fail('That session is still active.');
+            }
+
+            // Only the caller that takes the token goes on; the seat as it is now
+            const taken = await store.takeValue(meetingId, resumeKey(previousSocketId));
+            if (!sameToken(taken, resumeToken)) return fail('Your session has expired.');
+            const seat = await store.getParticipant(meetingId, previousSocketId);
+            if (!seat) return fail('Your session has expired.');
+
+            await cancelTimer(graceTimerKey(previousSocketId));
+
+            const { disconnected, disconnectedAt, ...rest } = seat;
+            await store.removeParticipant(meetingId, previousSocketId);
+            await store.addParticipant(meetingId, socket.id, { ...rest, userName: socket.userName || rest.userName });
+            io.in(previousSocketId).socketsLeave([channelFor(meetingId, seat), meetingChannel(meetingId)]);
+
+            const stage = channelFor(meetingId, seat);
+            socket.join([meetingChannel(meetingId), stage]);
+
+            // Peers re-key their tile and wait for our offer
+            socket.to(stage).emit('participant-resumed', {
+                previousSocketId,
+                socketId: socket.id,
+                userName: socket.userName,
+            });
+
+            const session = seat.breakoutId ? await store.getValue(meetingId, 'breakouts') : null;
+            socket.emit('session-resumed', {
+                meetingId,
+                isHost: seat.isHost,
+                role: seat.role,
+                handRaised: !!seat.handRaised,
+                attendeePermissions: await getAttendeePermissions(meetingId),
+                transcription: transcriptionMode(),
+                recording: await getRecordingState(meetingId),
+                polls: await getLivePolls(meetingId, seat.userId),
+                questions: await getMeetingQuestions(meetingId, { viewerId: seat.userId, moderator: isModerator(seat.role) }),
+                handQueue: await getHandQueue(meetingId),
+                chatHistory: await getChatHistory(meetingId, seat.userId, { breakoutId: seat.breakoutId }),
+                breakout: seat.breakoutId
+                    ? {
+                        breakoutId: seat.breakoutId,
+                        name: session?.rooms.find((r) => r.id === seat.breakoutId)?.name || null,
+                        endsAt: session?.endsAt || null,
+                    }
+                    : null,
+                participants: (await getStageParticipants(meetingId, seat.breakoutId))
+                    .filter((p) => p.socketId !== socket.id),
+                resumeToken: await issueResumeToken(meetingId, socket.id),
+            });
+
+            await emitBreakoutState(io, meetingId);
+            // Our place in the hand queue moved to the new socket id
+            if (seat.handRaised) await emitHandQueue(io, meetingId);
+            if (isModerator(seat.role)) await emitWaitingQueue(io, meetingId, socket.id);
+            console.log(`🔁 ${socket.userName} resumed in ${meetingId} (${previousSocketId} → ${socket.id})`);
+        } catch (err) {
+            console.error('resume-session error:', err);
+            fail('Could not resume your session.');
+        }
+    });
+};
+
+module.exports = {
+    GRACE_MS,
+    issueResumeToken,
+    leaveMeeting,
+    holdSeat,
+    registerSessionHandlers,
+};
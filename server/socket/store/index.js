@@ -0,0 +1,43 @@
+/**
+ * Socket state store selection
+ *   SOCKET_STORE=memory (default)  single instance, state in this process
+ *   SOCKET_STORE=redis             shared state + @socket.io/redis-adapter so
+ *                                  broadcasts reach sockets on every instance
+ * The Redis option needs REDIS_URL (any Redis-protocol server).
+ */
+
+const { setStore } = require('../roomState');
+
+const setupSocketStore = async (io) => {
+    const kind = (process.env.SOCKET_STORE || 'memory').toLowerCase();
+
+    if (kind === 'memory') {
+        console.log('ℹ️  Socket state: in-memory (single instance)');
+        return;
+    }
+
+    if (kind !== 'redis') {
+        throw new Error(`Unknown SOCKET_STORE "${kind}" (use "memory" or "redis")`);
+    }
+    if (!process.env.REDIS_URL) {
+        throw new Error('SOCKET_STORE=redis requires REDIS_URL');
+    }
+
+    // Loaded lazily so single-instance installs never touch Redis
+    const createRedisClient = require('../../config/redis');
+    const createRedisStore = require('./redisStore');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const [stateClient, pubClient] = await Promise.all([
+        createRedisClient('state'),
+        createRedisClient('pub'),
+    ]);
+    const subClient = pubClient.duplicate();
+    await subClient.connect();
+
+    io.adapter(createAdapter(pubClient, subClient));
+    setStore(createRedisStore(stateClient));
+    console.log('✅ Socket state: Redis (multi-instance)');
+};
+
+module.exports = { setupSocketStore };
@@ -0,0 +1,137 @@
+/**
+ * memoryStore.js – Live meeting state kept in this process (default)
+ * Fine for a single instance; use the Redis store when running several.
+ * Every method is async so callers work the same with either store.
+ */
+
+const createMemoryStore = () => {
+    // participants: Map<meetingId, Map<socketId, data>>
+    const participants = new Map();
+    // socketMeetings: Map<socketId, meetingId>
+    const socketMeetings = new Map();
+    // values: Map<meetingId, Map<key, value>> – attendee permissions, breakout session, ...
+    const values = new Map();
+    // waiting: Map<meetingId, Map<socketId, data>>
+    const waiting = new Map();
+    // timers: Map<key, { dueAt, data }> – deadlines fired by socket/timers.js
+    const timers = new Map();
+
+    const clone = (data) => (data == null ? null : JSON.parse(JSON.stringify(data)));
+    const bucket = (map, meetingId) => {
+        if (!map.has(meetingId)) map.set(meetingId, new Map());
+        return map.get(meetingId);
+    };
+
+    return {
+        name: 'memory',
+
+        // ── Participants ──────────────────────────────────────────────────
+        async addParticipant(meetingId, socketId, data) {
+            bucket(participants, meetingId).set(socketId, clone(data));
+            socketMeetings.set(socketId, meetingId);
+        },
+
+        async getParticipant(meetingId, socketId) {
+            return clone(participants.get(meetingId)?.get(socketId));
+        },
+
+        async updateParticipant(meetingId, socketId, patch) {
+            const current = participants.get(meetingId)?.get(socketId);
+            if (!current) return null;
+            const next = { ...current, ...clone(patch) };
+            participants.get(meetingId).set(socketId, next);
+            return clone(next);
+        },
+
+        async removeParticipant(meetingId, socketId) {
+            const room = participants.get(meetingId);
+            room?.delete(socketId);
+            socketMeetings.delete(socketId);
+            if (room && room.size === 0) participants.delete(meetingId);
+            return room?.size || 0;
+        },
+
+        async getParticipants(meetingId) {
+            const room = participants.get(meetingId);
+            if (!room) return [];
+            return Array.from(room.entries()).map(([socketId, data]) => ({ socketId, ...clone(data) }));
+        },
+
+        async countParticipants(meetingId) {
+            return participants.get(meetingId)?.size || 0;
+        },
+
+        async getSocketMeeting(socketId) {
+            return socketMeetings.get(socketId) || null;
+        },
+
+        // ── Per-meeting values ────────────────────────────────────────────
+        async getValue(meetingId, key) {
+            return clone(values.get(meetingId)?.get(key));
+        },
+
+        async setValue(meetingId, key, value) {
+            bucket(values, meetingId).set(key, clone(value));
+        },
+
+        async deleteValue(meetingId, key) {
+            values.get(meetingId)?.delete(key);
+        },
+
+        // Read and delete in one step: only one caller gets the value
+        async takeValue(meetingId, key) {
+            const value = values.get(meetingId)?.get(key);
+            if (value === undefined) return null;
+            values.get(meetingId).delete(key);
+            return clone(value);
+        },
+
+        // ── Waiting room ──────────────────────────────────────────────────
+        async addWaiting(meetingId, socketId, data) {
+            bucket(waiting, meetingId).set(socketId, clone(data));
+        },
+
+        async takeWaiting(meetingId, socketId) {
+            const entry = waiting.get(meetingId)?.get(socketId);
+            waiting.get(meetingId)?.delete(socketId);
+            return clone(entry);
+        },
+
+        async getWaiting(meetingId) {
+            const queue = waiting.get(meetingId);
+            if (!queue) return [];
+            return Array.from(queue.entries()).map(([socketId, data]) => ({ socketId, ...clone(data) }));
+        },
+
+        // ── Timers ────────────────────────────────────────────────────────
+        // Scheduling a key again replaces its deadline
+        async scheduleTimer(key, dueAt, data) {
+            timers.set(key, { dueAt, data: clone(data) });
+        },
+
+        async cancelTimer(key) {
+            timers.delete(key);
+        },
+
+        // Due timers are removed as they are handed out, so each fires once
+        async takeDueTimers(now) {
+            const due = [];
+            timers.forEach((timer, key) => {
+                if (timer.dueAt > now) return;
+                timers.delete(key);
+                due.push({ key, data: timer.data });
+            });
+            return due;
+        },
+
+        // ── Cleanup ───────────────────────────────────────────────────────
+        async clearMeeting(meetingId) {
+            participants.get(meetingId)?.forEach((_, socketId) => socketMeetings.delete(socketId));
+            participants.delete(meetingId);
+            values.delete(meetingId);
+            waiting.delete(meetingId);
+        },
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,188 @@
+/**
+ * redisStore.js – Live meeting state shared between instances through Redis
+ * Same interface as memoryStore.js. Keys (prefix "sm:"):
+ *   sm:m:<meetingId>:p   hash  socketId -> participant JSON
+ *   sm:m:<meetingId>:v   hash  key -> value JSON
+ *   sm:m:<meetingId>:w   hash  socketId -> waiting JSON
+ *   sm:s:<socketId>      string meetingId
+ *   sm:timers            sorted set  timer id -> due time (ms)
+ *   sm:timer-data        hash  key -> { id, data } JSON of the timer scheduled under key
+ * Meeting keys expire after a day without writes, so a crashed node cannot leak state forever.
+ *
+ * A due timer is claimed with ZREM: only the instance whose ZREM removed the id
+ * fires it. The id changes on every (re)schedule, so a claim on a replaced
+ * deadline is recognised and dropped.
+ */
+
+const crypto = require('crypto');
+const { WatchError } = require('redis');
+
+const TTL_SECONDS = 24 * 60 * 60;
+const TIMERS_KEY = 'sm:timers';
+const TIMER_DATA_KEY = 'sm:timer-data';
+const TIMER_BATCH = 100;
+const PATCH_ATTEMPTS = 10;
+
+const createRedisStore = (client) => {
+    const pKey = (meetingId) => `sm:m:${meetingId}:p`;
+    const vKey = (meetingId) => `sm:m:${meetingId}:v`;
+    const wKey = (meetingId) => `sm:m:${meetingId}:w`;
+    const sKey = (socketId) => `sm:s:${socketId}`;
+
+    const parse = (raw) => (raw == null ? null : JSON.parse(raw));
+    const entries = (hash) => Object.entries(hash).map(([socketId, raw]) => ({ socketId, ...parse(raw) }));
+
+    return {
+        name: 'redis',
+
+        // ── Participants ──────────────────────────────────────────────────
+        async addParticipant(meetingId, socketId, data) {
+            await client
+                .multi()
+                .hSet(pKey(meetingId), socketId, JSON.stringify(data))
+                .expire(pKey(meetingId), TTL_SECONDS)
+                .set(sKey(socketId), meetingId, { EX: TTL_SECONDS })
+                .exec();
+        },
+
+        async getParticipant(meetingId, socketId) {
+            return parse(await client.hGet(pKey(meetingId), socketId));
+        },
+
+        // Optimistic: the hash is WATCHed while the patch is merged, so a write by
+        // another instance in between (another patch, or the seat's removal)
+        // fails the EXEC and the patch is merged again into what is there now
+        async updateParticipant(meetingId, socketId, patch) {
+            for (let attempt = 0; attempt < PATCH_ATTEMPTS; attempt++) {
+                try {
+                    return await client.executeIsolated(async (isolated) => {
+                        await isolated.watch(pKey(meetingId));
+                        const current = parse(await isolated.hGet(pKey(meetingId), socketId));
+                        if (!current) {
+                            await isolated.unwatch();
+                            return null;
+                        }
+                        const next = { ...current, ...patch };
+                        await isolated.multi().hSet(pKey(meetingId), socketId, JSON.stringify(next)).exec();
+                        return next;
+                    });
+                } catch (error) {
+                    if (!(error instanceof WatchError)) throw error;
+                }
+            }
+            throw new Error(`Participant ${socketId} kept changing; patch not applied`);
+        },
+
+        async removeParticipant(meetingId, socketId) {
+            const [, , remaining] = await client
+                .multi()
+                .hDel(pKey(meetingId), socketId)
+                .del(sKey(socketId))
+                .hLen(pKey(meetingId))
+                .exec();
+            return Number(remaining) || 0;
+        },
+
+        async getParticipants(meetingId) {
+            return entries(await client.hGetAll(pKey(meetingId)));
+        },
+
+        async countParticipants(meetingId) {
+            return Number(await client.hLen(pKey(meetingId))) || 0;
+        },
+
+        async getSocketMeeting(socketId) {
+            return client.get(sKey(socketId));
+        },
+
+        // ── Per-meeting values ────────────────────────────────────────────
+        async getValue(meetingId, key) {
+            return parse(await client.hGet(vKey(meetingId), key));
+        },
+
+        async setValue(meetingId, key, value) {
+            await client
+                .multi()
+                .hSet(vKey(meetingId), key, JSON.stringify(value))
+                .expire(vKey(meetingId), TTL_SECONDS)
+                .exec();
+        },
+
+        async deleteValue(meetingId, key) {
+            await client.hDel(vKey(meetingId), key);
+        },
+
+        // Atomic take: only the caller whose HDEL removed the value gets it
+        async takeValue(meetingId, key) {
+            const [raw, removed] = await client
+                .multi()
+                .hGet(vKey(meetingId), key)
+                .hDel(vKey(meetingId), key)
+                .exec();
+            return Number(removed) ? parse(raw) : null;
+        },
+
+        // ── Waiting room ──────────────────────────────────────────────────
+        async addWaiting(meetingId, socketId, data) {
+            await client
+                .multi()
+                .hSet(wKey(meetingId), socketId, JSON.stringify(data))
+                .expire(wKey(meetingId), TTL_SECONDS)
+                .exec();
+        },
+
+        // Atomic take, so two moderators on different nodes cannot both admit
+        async takeWaiting(meetingId, socketId) {
+            const [raw, removed] = await client
+                .multi()
+                .hGet(wKey(meetingId), socketId)
+                .hDel(wKey(meetingId), socketId)
+                .exec();
+            return Number(removed) ? parse(raw) : null;
+        },
+
+        async getWaiting(meetingId) {
+            return entries(await client.hGetAll(wKey(meetingId)));
+        },
+
+        // ── Timers ────────────────────────────────────────────────────────
+        async scheduleTimer(key, dueAt, data) {
+            const previous = parse(await client.hGet(TIMER_DATA_KEY, key));
+            const id = `${key}#${crypto.randomBytes(6).toString('hex')}`;
+            const multi = client.multi();
+            if (previous) multi.zRem(TIMERS_KEY, previous.id);
+            await multi
+                .zAdd(TIMERS_KEY, { score: dueAt, value: id })
+                .hSet(TIMER_DATA_KEY, key, JSON.stringify({ id, data }))
+                .exec();
+        },
+
+        async cancelTimer(key) {
+            const previous = parse(await client.hGet(TIMER_DATA_KEY, key));
+            if (!previous) return;
+            await client.multi().zRem(TIMERS_KEY, previous.id).hDel(TIMER_DATA_KEY, key).exec();
+        },
+
+        async takeDueTimers(now) {
+            const ids = await client.zRangeByScore(TIMERS_KEY, 0, now, { LIMIT: { offset: 0, count: TIMER_BATCH } });
+            const due = [];
+            for (const id of ids) {
+                if (!Number(await client.zRem(TIMERS_KEY, id))) continue; // another instance got it
+                const key = id.slice(0, id.lastIndexOf('#'));
+                const timer = parse(await client.hGet(TIMER_DATA_KEY, key));
+                if (timer?.id !== id) continue; // rescheduled or cancelled meanwhile
+                await client.hDel(TIMER_DATA_KEY, key);
+                due.push({ key, data: timer.data });
+            }
+            return due;
+        },
+
+        // ── Cleanup ───────────────────────────────────────────────────────
+        async clearMeeting(meetingId) {
+            const socketIds = await client.hKeys(pKey(meetingId));
+            await client.del([pKey(meetingId), vKey(meetingId), wKey(meetingId), ...socketIds.map(sKey)]);
+        },
+    };
+};
+
+module.exports = createRedisStore;
@@ -0,0 +1,72 @@
+/**
+ * timers.js – Deadlines kept in the store (seat grace periods, breakout countdowns)
+ * A deadline is written to the store instead of living in a setTimeout of the
+ * instance that set it. Every instance polls the store for due deadlines
+ * (TIMER_POLL_MS, default 1000) and the store hands each one to exactly one
+ * of them, so it fires once – also when the instance that set it is gone.
+ *
+ *   onTimer(kind, handler)                      handler(io, data) runs when a timer of that kind is due
+ *   scheduleTimer(key, dueAt, kind, data)       (re)set the deadline under key
+ *   cancelTimer(key)
+ */
+
+const { getStore } = require('./roomState');
+
+const POLL_MS = Math.max(10, parseInt(process.env.TIMER_POLL_MS, 10) || 1000);
+
+// handlers: Map<kind, (io, data) => Promise>
+const handlers = new Map();
+
+const onTimer = (kind, handler) => {
+    handlers.set(kind, handler);
+};
+
+/** @param {number} dueAt - ms since the epoch */
+const scheduleTimer = (key, dueAt, kind, data = {}) => getStore().scheduleTimer(key, dueAt, { ...data, kind });
+
+const cancelTimer = (key) => getStore().cancelTimer(key);
+
+const fireDueTimers = async (io) => {
+    const due = await getStore().takeDueTimers(Date.now());
+    for (const { key, data } of due) {
+        const handler = handlers.get(data?.kind);
+        if (!handler) {
+            console.warn(`No handler for timer ${key} (${data?.kind})`);
+            continue;
+        }
+        try {
+            await handler(io, data);
+        } catch (err) {
+            console.error(`timer ${key} error:`, err);
+        }
+    }
+};
+
+/**
+ * Start polling for due timers on this instance
+ * @returns {Function} stops polling
+ */
+const startTimers = (io) => {
+    let busy = false;
+    const interval = setInterval(async () => {
+        if (busy) return;
+        busy = true;
+        try {
+            await fireDueTimers(io);
+        } catch (err) {
+            console.error('timer poll error:', err);
+        } finally {
+            busy = false;
+        }
+    }, POLL_MS);
+    interval.unref();
+    return () => clearInterval(interval);
+};
+
+module.exports = {
+    onTimer,
+    scheduleTimer,
+    cancelTimer,
+    fireDueTimers,
+    startTimers,
+};
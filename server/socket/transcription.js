@@ -0,0 +1,219 @@
+/**
+ * transcription.js – Streaming speech-to-text over the socket connection
+ * A client in streaming mode sends `transcription-start`, then MediaRecorder
+ * chunks as `transcription-audio`. The first chunk carries the container header
+ * and is kept to prefix every later utterance. While someone talks, the growing
+ * utterance is re-transcribed every TRANSCRIBE_PARTIAL_SECONDS for a
+ * `transcript-partial`; after TRANSCRIBE_SEGMENT_SECONDS (or on flush / stop /
+ * disconnect) it becomes a `transcript-final` and is saved. Captions go to the
+ * speaker's stage, so everyone in the room sees the same text whatever their browser.
+ *
+ *   TRANSCRIPTION_MODE  auto (default: stream when the STT_PROVIDER is configured) | stream | browser
+ *
+ * Stream sessions belong to one connection and live on the instance holding it.
+ * Every chunk re-checks the speaker's seat: once they have left, been removed,
+ * become a viewer or lost the right to unmute (changed on any instance), the
+ * session ends with `transcription-stopped { meetingId, message }`.
+ */
+
+const Meeting = require('../models/Meeting');
+const { getParticipant, channelFor } = require('./roomState');
+const { canUseMedia } = require('./permissions');
+const { isSpeechConfigured } = require('../services/speech');
+const { wordsOf } = require('../services/speech/result');
+const { transcribe } = require('../services/transcriptionWorker');
+const { saveTranscriptSegment } = require('../services/transcriptService');
+
+const PARTIAL_MS = (parseFloat(process.env.TRANSCRIBE_PARTIAL_SECONDS) || 3) * 1000;
+const SEGMENT_MS = (parseFloat(process.env.TRANSCRIBE_SEGMENT_SECONDS) || 10) * 1000;
+const MAX_UTTERANCE_BYTES = 2 * 1024 * 1024;
+
+/** 'stream' or 'browser' – sent to clients with join-approved / session-resumed */
+const transcriptionMode = () => {
+    const mode = (process.env.TRANSCRIPTION_MODE || 'auto').toLowerCase();
+    if (mode === 'stream' || mode === 'browser') return mode;
+    return isSpeechConfigured() ? 'stream' : 'browser';
+};
+
+// sessions: Map<socketId, { meetingId, mimeType, header, chunks, bytes, startedAt, lastPartialAt, seq, partialBusy, pending }>
+const sessions = new Map();
+
+const audioOf = (session) => Buffer.concat(
+    session.chunks[0] === session.header ? session.chunks : [session.header, ...session.chunks]
+);
+
+// `segment` is the session or a snapshot of its { seq, startedAt }
+const captionFor = (socket, segment, participant, text) => ({
+    segmentId: `${socket.id}:${segment.seq}`,
+    socketId: socket.id,
+    userId: socket.userId,
+    userName: participant?.userName || socket.userName,
+    breakoutId: participant?.breakoutId || null,
+    timestamp: new Date(segment.startedAt).toISOString(),
+    text,
+});
+
+// ── Interim result for the utterance so far (skipped while one is in flight) ─
+const emitPartial = async (io, socket, session) => {
+    if (session.partialBusy || Date.now() - session.lastPartialAt < PARTIAL_MS) return;
+    session.partialBusy = true;
+    session.lastPartialAt = Date.now();
+
+    const { seq } = session;
+    try {
+        const participant = await getParticipant(session.meetingId, socket.id);
+        const result = await transcribe(audioOf(session), { partial: true, mimeType: session.mimeType });
+        const text = result?.text?.trim();
+        // Utterance finalized meanwhile: the final caption wins
+        if (!text || session.seq !== seq) return;
+
+        io.to(channelFor(session.meetingId, participant)).emit('transcript-partial', captionFor(socket, session, participant, text));
+    } catch (err) {
+        console.warn('partial transcription failed:', err.message);
+    } finally {
+        session.partialBusy = false;
+    }
+};
+
+// ── Close the current utterance: transcribe, broadcast, save ────────────────
+const finalize = async (io, socket, session) => {
+    if (!session.chunks.length) return;
+
+    // Take the utterance synchronously; chunks arriving from now on start the next one
+    const audio = audioOf(session);
+    const segment = { seq: session.seq, startedAt: session.startedAt };
+    const duration = (Date.now() - session.startedAt) / 1000;
+    session.seq++;
+    session.chunks = [];
+    session.bytes = 0;
+    session.startedAt = null;
+    session.lastPartialAt = 0;
+
+    const participant = await getParticipant(session.meetingId, socket.id);
+    const caption = captionFor(socket, segment, participant, '');
+    const stage = channelFor(session.meetingId, participant);
+    let result;
+    try {
+        result = await transcribe(audio, { mimeType: session.mimeType });
+    } catch (err) {
+        console.error('transcription error:', err.message);
+        socket.emit('transcription-error', { message: 'Transcription failed for your last segment.' });
+        io.to(stage).emit('transcript-final', caption); // Clears the partial caption
+        return;
+    }
+
+    caption.text = result?.text?.trim() || '';
+    io.to(stage).emit('transcript-final', caption);
+    if (!caption.text) return;
+
+    const meeting = await Meeting.findOne({ meetingId: session.meetingId }).lean();
+    if (!meeting) return;
+    await saveTranscriptSegment(meeting, {
+        speakerId: socket.isAuth ? socket.userId : null,
+        speakerName: caption.userName,
+        text: caption.text,
+        duration,
+        language: result.language,
+        words: wordsOf(result),
+        breakoutId: caption.breakoutId,
+        timestamp: new Date(caption.timestamp),
+    });
+};
+
+const endSession = async (io, socket) => {
+    const session = sessions.get(socket.id);
+    if (!session) return;
+    sessions.delete(socket.id);
+    await finalize(io, socket, session);
+};
+
+/** Whether the socket may still be transcribed: seated, and allowed to speak */
+const maySpeak = async (meetingId, socketId) => {
+    const participant = await getParticipant(meetingId, socketId);
+    return !!participant && canUseMedia(meetingId, participant.role, 'audio');
+};
+
+// ── One chunk, after the seat check (chunks of a session run in order) ─────
+const takeChunk = async (io, socket, session, chunk) => {
+    if (sessions.get(socket.id) !== session) return; // Stopped meanwhile
+
+    if (!(await maySpeak(session.meetingId, socket.id))) {
+        // What came before was allowed: it is still finalized
+        await endSession(io, socket);
+        socket.emit('transcription-stopped', {
+            meetingId: session.meetingId,
+            message: 'You are no longer allowed to speak here, so transcription stopped.',
+        });
+        return;
+    }
+
+    if (!session.header) session.header = chunk;
+    if (!session.startedAt) session.startedAt = Date.now();
+    session.chunks.push(chunk);
+    session.bytes += chunk.length;
+
+    if (Date.now() - session.startedAt >= SEGMENT_MS || session.bytes >= MAX_UTTERANCE_BYTES) {
+        await finalize(io, socket, session);
+    } else {
+        emitPartial(io, socket, session);
+    }
+};
+
+const registerTranscriptionHandlers = (io, socket) => {
+    const fail = (message) => socket.emit('transcription-error', { message });
+
+    socket.on('transcription-start', async ({ meetingId, mimeType } = {}) => {
+        try {
+            if (transcriptionMode() !== 'stream') return fail('Streaming transcription is turned off on this server.');
+
+            if (!(await getParticipant(meetingId, socket.id))) return fail('Join the meeting before starting transcription.');
+            if (!(await maySpeak(meetingId, socket.id))) {
+                return fail('You are not allowed to speak in this meeting right now.');
+            }
+
+            await endSession(io, socket);
+            sessions.set(socket.id, {
+                meetingId,
+                mimeType: typeof mimeType === 'string' && mimeType.startsWith('audio/') ? mimeType : 'audio/webm',
+                header: null,
+                chunks: [],
+                bytes: 0,
+                startedAt: null,
+                lastPartialAt: 0,
+                seq: 0,
+                partialBusy: false,
+                pending: Promise.resolve(),
+            });
+            socket.emit('transcription-started', { meetingId });
+        } catch (err) {
+            console.error('transcription-start error:', err);
+            fail('Could not start transcription.');
+        }
+    });
+
+    socket.on('transcription-audio', ({ chunk } = {}) => {
+        const session = sessions.get(socket.id);
+        if (!session || !Buffer.isBuffer(chunk) || chunk.length === 0) return;
+
+        // The seat check is async: queue behind the previous chunk so the header stays first
+        session.pending = session.pending
+            .then(() => takeChunk(io, socket, session, chunk))
+            .catch((err) => console.error('transcription-audio error:', err));
+    });
+
+    // Speaker muted / paused: close the utterance now
+    socket.on('transcription-flush', () => {
+        const session = sessions.get(socket.id);
+        if (session) finalize(io, socket, session).catch((err) => console.error('transcription-flush error:', err));
+    });
+
+    socket.on('transcription-stop', () => {
+        endSession(io, socket).catch((err) => console.error('transcription-stop error:', err));
+    });
+
+    socket.on('disconnect', () => {
+        endSession(io, socket).catch((err) => console.error('transcription cleanup error:', err));
+    });
+};
+
+module.exports = { transcriptionMode, registerTranscriptionHandlers };
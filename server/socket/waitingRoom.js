@@ -0,0 +1,117 @@
+/**
+ * waitingRoom.js – The waiting queue of a meeting
+ * The live queue is the store's waiting list (one entry per waiting socket);
+ * Meeting.waitingQueue mirrors it for the record. Host / co-hosts get the full
+ * queue as `waiting-room-queue` whenever they join, resume or it changes, so a
+ * moderator who arrives late or reconnects still sees everyone waiting.
+ */
+
+const Meeting = require('../models/Meeting');
+const { getStore, getRoomParticipants } = require('./roomState');
+const { isModerator } = require('./permissions');
+const { recordEvent } = require('../services/timelineService');
+
+const DEFAULT_WAITING_MESSAGE = 'Waiting for host approval...';
+const MAX_MESSAGE_LENGTH = 280;
+
+const cleanMessage = (message) => (typeof message === 'string' ? message.trim().slice(0, MAX_MESSAGE_LENGTH) : '');
+
+const getWaitingMessage = async (meetingId) => (await getStore().getValue(meetingId, 'waitingMessage')) || '';
+
+/**
+ * Send the queue to one socket, or to every host / co-host when socketId is omitted
+ */
+const emitWaitingQueue = async (io, meetingId, socketId = null) => {
+    const [waiting, message] = await Promise.all([getStore().getWaiting(meetingId), getWaitingMessage(meetingId)]);
+    const payload = {
+        meetingId,
+        message,
+        waiting: waiting
+            .map(({ socketId: sid, userId, userName, requestedAt }) => ({ socketId: sid, userId, userName, requestedAt }))
+            .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt)),
+    };
+
+    const targets = socketId
+        ? [socketId]
+        : (await getRoomParticipants(meetingId)).filter((p) => isModerator(p.role)).map((p) => p.socketId);
+    targets.forEach((sid) => io.to(sid).emit('waiting-room-queue', payload));
+};
+
+// ── A socket asks to get in ─────────────────────────────────────────────────
+const enqueueWaiting = async (io, socket, meeting) => {
+    const { meetingId } = meeting;
+    const entry = {
+        userId: socket.userId?.toString(),
+        userName: socket.userName,
+        requestedAt: new Date().toISOString(),
+    };
+
+    await getStore().addWaiting(meetingId, socket.id, entry);
+    recordEvent(meetingId, 'waiting', { userId: entry.userId, userName: entry.userName, socketId: socket.id });
+
+    // One record per user: a reload replaces the previous request
+    Meeting.updateOne({ meetingId }, { $pull: { waitingQueue: { userId: entry.userId } } })
+        .then(() => Meeting.updateOne({ meetingId }, { $push: { waitingQueue: { ...entry, socketId: socket.id } } }))
+        .catch((err) => console.warn('waiting queue persist failed:', err.message));
+
+    // Notify host / co-hosts (on any instance)
+    (await getRoomParticipants(meetingId))
+        .filter((p) => isModerator(p.role))
+        .forEach((p) => io.to(p.socketId).emit('waiting-room-request', { ...entry, socketId: socket.id }));
+    await emitWaitingQueue(io, meetingId);
+
+    const message = (await getStore().getValue(meetingId, 'waitingMessage')) ?? meeting.waitingRoomMessage;
+    socket.emit('join-waiting-room', {
+        message: message || DEFAULT_WAITING_MESSAGE,
+        meetingId,
+    });
+};
+
+/**
+ * Take a socket out of the queue (admitted, denied or gone)
+ * @returns {Promise<object|null>} the entry, or null if someone else already took it
+ */
+const dropWaiting = async (meetingId, socketId) => {
+    const entry = await getStore().takeWaiting(meetingId, socketId);
+    if (entry) {
+        Meeting.updateOne({ meetingId }, { $pull: { waitingQueue: { socketId } } })
+            .catch((err) => console.warn('waiting queue persist failed:', err.message));
+    }
+    return entry;
+};
+
+/**
+ * Waiting sockets matching { socketId } | { userId } | { all: true }
+ */
+const findWaiting = async (meetingId, { socketId, userId, all } = {}) => {
+    const waiting = await getStore().getWaiting(meetingId);
+    if (all) return waiting;
+    if (socketId) return waiting.filter((w) => w.socketId === socketId);
+    if (userId) return waiting.filter((w) => w.userId?.toString() === userId.toString());
+    return [];
+};
+
+// ── Host / co-host: message shown to everyone waiting ───────────────────────
+const setWaitingMessage = async (io, meetingId, message) => {
+    const text = cleanMessage(message);
+    await getStore().setValue(meetingId, 'waitingMessage', text);
+
+    Meeting.updateOne({ meetingId }, { $set: { waitingRoomMessage: text } })
+        .catch((err) => console.warn('waiting message persist failed:', err.message));
+
+    (await getStore().getWaiting(meetingId)).forEach((w) => io.to(w.socketId).emit('waiting-room-message', {
+        meetingId,
+        message: text || DEFAULT_WAITING_MESSAGE,
+    }));
+    await emitWaitingQueue(io, meetingId);
+};
+
+module.exports = {
+    DEFAULT_WAITING_MESSAGE,
+    cleanMessage,
+    emitWaitingQueue,
+    enqueueWaiting,
+    dropWaiting,
+    findWaiting,
+    setWaitingMessage,
+};
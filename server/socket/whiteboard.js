@@ -0,0 +1,98 @@
+/**
+ * whiteboard.js – Shared whiteboard
+ * The board is one list of elements per meeting (services/whiteboardService.js),
+ * shared by the main room and breakout rooms. Clients send operations, never
+ * the whole board:
+ *   wb-sync   { meetingId }              → wb-state { elements } (on join / reconnect)
+ *   wb-add    { meetingId, element }     → wb-added { element } to everyone else
+ *   wb-erase  { meetingId, ids }         → wb-removed { ids }
+ *   wb-undo   { meetingId }              → wb-removed { ids } (your last element)
+ *   wb-clear  { meetingId }  host / co-host → wb-cleared { byName }
+ * Who may draw follows the meeting's attendee permissions (canDrawWhiteboard);
+ * presenters and up always can, viewers never. Failures get `wb-error`.
+ */
+
+const { meetingChannel, getParticipant } = require('./roomState');
+const { guard, deny, canDrawWhiteboard } = require('./permissions');
+const {
+    cleanElement,
+    getBoard,
+    addElement,
+    eraseElements,
+    undoLast,
+    clearBoard,
+} = require('../services/whiteboardService');
+
+const wbError = (socket, error, elementId = null) => {
+    if (!error.status) console.error('whiteboard error:', error);
+    socket.emit('wb-error', { elementId, message: error.status ? error.message : 'The whiteboard could not be updated.' });
+};
+
+const registerWhiteboardHandlers = (io, socket) => {
+    // Seat of a socket allowed to draw, or null (after telling it why)
+    const drawingSeat = async (meetingId, event) => {
+        const seat = meetingId ? await getParticipant(meetingId, socket.id) : null;
+        if (!seat) return null;
+        if (!(await canDrawWhiteboard(meetingId, seat.role))) {
+            deny(socket, event, meetingId, 'The host has not allowed you to draw on the whiteboard.');
+            return null;
+        }
+        return seat;
+    };
+
+    socket.on('wb-sync', async ({ meetingId } = {}) => {
+        try {
+            if (!meetingId || !(await getParticipant(meetingId, socket.id))) return;
+            socket.emit('wb-state', { elements: await getBoard(meetingId) });
+        } catch (err) {
+            wbError(socket, err);
+        }
+    });
+
+    socket.on('wb-add', async ({ meetingId, element } = {}) => {
+        try {
+            const seat = await drawingSeat(meetingId, 'wb-add');
+            if (!seat) return;
+            const added = await addElement(meetingId, cleanElement(element, {
+                userId: seat.userId || socket.userId,
+                userName: seat.userName || socket.userName,
+            }));
+            if (added) socket.to(meetingChannel(meetingId)).emit('wb-added', { element: added });
+        } catch (err) {
+            wbError(socket, err, element?.id || null);
+        }
+    });
+
+    socket.on('wb-erase', async ({ meetingId, ids } = {}) => {
+        try {
+            if (!(await drawingSeat(meetingId, 'wb-erase'))) return;
+            const removed = await eraseElements(meetingId, ids);
+            if (removed.length) io.to(meetingChannel(meetingId)).emit('wb-removed', { ids: removed });
+        } catch (err) {
+            wbError(socket, err);
+        }
+    });
+
+    socket.on('wb-undo', async ({ meetingId } = {}) => {
+        try {
+            const seat = await drawingSeat(meetingId, 'wb-undo');
+            if (!seat) return;
+            const removed = await undoLast(meetingId, seat.userId || socket.userId);
+            if (removed) io.to(meetingChannel(meetingId)).emit('wb-removed', { ids: [removed] });
+        } catch (err) {
+            wbError(socket, err);
+        }
+    });
+
+    // Host / co-host: wipe the board for everyone
+    guard(socket, 'wb-clear', async ({ meetingId }) => {
+        try {
+            await clearBoard(meetingId);
+            io.to(meetingChannel(meetingId)).emit('wb-cleared', { byName: socket.userName });
+        } catch (err) {
+            wbError(socket, err);
+        }
+    });
+};
+
+module.exports = { registerWhiteboardHandlers };
@@ -0,0 +1,114 @@
+/**
+ * Chat across stages (services/chatService.js): from a breakout room nobody
+ * reaches the main room's messages – no replies, edits, deletes or reactions –
+ * and the other way round. Direct messages stay reachable for their two people.
+ */
+
+process.env.RESUME_GRACE_SECONDS = '0';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting, waitFor, joinMeeting, startServer } = require('./helpers/meetingServer');
+const Meeting = require('../models/Meeting');
+
+quiet();
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.close());
+
+/** Host in the main room, Ada in a breakout room; both spoke in the main room, Ada then in hers */
+const split = async () => {
+    const hostId = newUserId();
+    const { meetingId } = await createMeeting({ hostId });
+    const host = await server.connect({ userId: hostId, name: 'Hana' });
+    const ada = await server.connect({ name: 'Ada' });
+    await joinMeeting(host, meetingId);
+    await joinMeeting(ada, meetingId);
+
+    const said = async (client, text) => {
+        const sent = waitFor(client, 'chat-message', (m) => m.message === text);
+        client.emit('chat-message', { meetingId, message: text });
+        return (await sent).id;
+    };
+    const mainId = await said(host, 'Main room hello');
+    const adaMainId = await said(ada, 'Ada in the main room');
+
+    const moved = waitFor(ada, 'breakout-moved');
+    host.emit('breakout-start', { meetingId, count: 1 });
+    await moved;
+    const roomId = await said(ada, 'Breakout hello');
+
+    return { meetingId, host, ada, mainId, adaMainId, roomId };
+};
+
+const refused = async (client, event, payload) => {
+    const error = waitFor(client, 'chat-error');
+    client.emit(event, payload);
+    return (await error).message;
+};
+
+describe('chat across stages', () => {
+    it('refuses a reply from a breakout room to a main-room message', async () => {
+        const { meetingId, host, ada, mainId } = await split();
+        try {
+            const message = await refused(ada, 'chat-message', { meetingId, message: 'Me too', replyTo: mainId });
+            assert.equal(message, 'Message not found');
+
+            const meeting = await Meeting.findOne({ meetingId }).lean();
+            assert.equal(meeting.chatMessages.filter((m) => m.replyTo).length, 0);
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+
+    it('refuses reactions, edits and deletes on another stage', async () => {
+        const { meetingId, host, ada, mainId, adaMainId, roomId } = await split();
+        try {
+            await refused(ada, 'chat-react', { meetingId, messageId: mainId, emoji: '👍' });
+            await refused(host, 'chat-react', { meetingId, messageId: roomId, emoji: '👍' });
+            await refused(host, 'chat-delete', { meetingId, messageId: roomId });
+
+            // Ada's own main-room message, out of reach from the breakout room
+            await refused(ada, 'chat-edit', { meetingId, messageId: adaMainId, message: 'Edited' });
+            await refused(ada, 'chat-delete', { meetingId, messageId: adaMainId });
+
+            const meeting = await Meeting.findOne({ meetingId }).lean();
+            meeting.chatMessages.forEach((m) => {
+                assert.deepEqual(m.reactions, []);
+                assert.equal(m.deletedAt, undefined);
+                assert.equal(m.editedAt, undefined);
+            });
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+
+    it('still threads a reply on the same stage', async () => {
+        const { meetingId, host, ada, roomId } = await split();
+        try {
+            const reply = waitFor(ada, 'chat-message', (m) => m.replyTo === roomId);
+            ada.emit('chat-message', { meetingId, message: 'Following up', replyTo: roomId });
+            assert.ok((await reply).breakoutId);
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+
+    it('keeps direct messages reachable for their two people on any stage', async () => {
+        const { meetingId, host, ada } = await split();
+        try {
+            const received = waitFor(ada, 'chat-message', (m) => m.message === 'Just for you');
+            host.emit('chat-message', { meetingId, message: 'Just for you', toSocketId: ada.id });
+            const dm = await received;
+
+            const reply = waitFor(host, 'chat-message', (m) => m.replyTo === dm.id);
+            ada.emit('chat-message', { meetingId, message: 'Thanks', replyTo: dm.id });
+            assert.equal((await reply).to.userName, 'Hana');
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+});
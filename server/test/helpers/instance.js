@@ -0,0 +1,25 @@
+/**
+ * instance.js – One app instance in a child process (see startInstance)
+ * Runs the socket handlers on the store chosen by SOCKET_STORE / REDIS_URL,
+ * with models on memoryDb. The parent sends the meetings to serve.
+ */
+
+const { quiet, startServer } = require('./meetingServer');
+const { setupSocketStore } = require('../../socket/store');
+const Meeting = require('../../models/Meeting');
+
+quiet();
+
+startServer({ setup: setupSocketStore })
+    .then((server) => {
+        process.on('message', async ({ type, id, meeting }) => {
+            if (type !== 'seed') return;
+            await Meeting.create(meeting);
+            process.send({ type: 'seeded', id });
+        });
+        process.send({ type: 'ready', url: server.url });
+    })
+    .catch((err) => {
+        console.error('instance failed to start:', err);
+        process.exit(1);
+    });
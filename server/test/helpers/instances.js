@@ -0,0 +1,57 @@
+/**
+ * instances.js – Start app instances as separate processes, like a real deployment
+ *
+ *   const a = await startInstance({ SOCKET_STORE: 'redis', REDIS_URL: redis.url });
+ *   await a.seed(meeting);          // every instance has its own memoryDb
+ *   const client = await a.connect({ name: 'Ada' });
+ *   a.kill();                       // the instance dies, its sockets drop
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+const { connect } = require('./meetingServer');
+
+const START_TIMEOUT_MS = 10000;
+
+const startInstance = (env = {}) => new Promise((resolve, reject) => {
+    const child = fork(path.join(__dirname, 'instance.js'), [], {
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+    });
+    const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error('Instance did not start'));
+    }, START_TIMEOUT_MS);
+    child.once('exit', (code) => {
+        clearTimeout(timer);
+        reject(new Error(`Instance exited with code ${code}`));
+    });
+
+    let seeds = 0;
+    const pending = new Map();
+    child.on('message', (message) => {
+        if (message.type === 'seeded') {
+            pending.get(message.id)?.();
+            pending.delete(message.id);
+        }
+        if (message.type !== 'ready') return;
+        clearTimeout(timer);
+        resolve({
+            url: message.url,
+            connect: (options) => connect(message.url, options),
+            /** Store a meeting in this instance's database */
+            seed: (meeting) => new Promise((done) => {
+                seeds += 1;
+                pending.set(seeds, done);
+                child.send({ type: 'seed', id: seeds, meeting: JSON.parse(JSON.stringify(meeting)) });
+            }),
+            kill: () => new Promise((done) => {
+                if (child.exitCode !== null || child.signalCode) return done();
+                child.once('exit', () => done());
+                child.kill('SIGKILL');
+            }),
+        });
+    });
+});
+
+module.exports = { startInstance };
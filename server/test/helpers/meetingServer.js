@@ -0,0 +1,134 @@
+/**
+ * meetingServer.js – A socket server with the app's handlers, for tests
+ *
+ *   const server = await startServer();
+ *   const meeting = await createMeeting({ hostId, roles: [{ userId, role: 'co-host' }] });
+ *   const host = await server.connect({ userId: hostId, name: 'Hana' });
+ *   await joinMeeting(host, meeting.meetingId);
+ *   const reply = waitFor(host, 'meeting-locked');
+ *   host.emit('lock-meeting', { meetingId: meeting.meetingId, isLocked: true });
+ *   await reply;
+ *
+ * Models run on memoryDb. Clients without a userId connect as guests.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const memoryDb = require('./memoryDb');
+
+memoryDb.install();
+
+const Meeting = require('../../models/Meeting');
+
+const TIMEOUT_MS = 2000;
+
+// The handlers log every join and leave; tests only want to hear about errors
+const quiet = () => {
+    console.log = () => { };
+    console.info = () => { };
+    console.warn = () => { };
+};
+
+const newUserId = () => new mongoose.Types.ObjectId().toHexString();
+
+let meetingCount = 0;
+const newMeetingId = () => {
+    meetingCount += 1;
+    return `tst-${process.pid.toString(36).slice(-3)}-${String(meetingCount).padStart(3, '0')}`.toUpperCase();
+};
+
+/** A live meeting in the database */
+const createMeeting = ({ hostId = newUserId(), roles = [], ...fields } = {}) => Meeting.create({
+    meetingId: newMeetingId(),
+    title: 'Test meeting',
+    host: hostId,
+    status: 'active',
+    roles,
+    ...fields,
+});
+
+/**
+ * Resolve with the next `event` on a client (that passes `match`), reject
+ * after the timeout. Call it before the emit that causes the event.
+ */
+const waitFor = (client, event, match = () => true, timeout = TIMEOUT_MS) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        client.off(event, listener);
+        reject(new Error(`${client.label || client.id} did not receive "${event}" within ${timeout} ms`));
+    }, timeout);
+    const listener = (payload) => {
+        if (!match(payload)) return;
+        clearTimeout(timer);
+        client.off(event, listener);
+        resolve(payload);
+    };
+    client.on(event, listener);
+});
+
+/** Join a meeting and wait until admitted */
+const joinMeeting = async (client, meetingId) => {
+    const approved = waitFor(client, 'join-approved');
+    client.emit('join-room', { meetingId });
+    return approved;
+};
+
+/** Connected client: a signed-in user when userId is given, a guest otherwise */
+const connect = async (url, { userId = null, name = 'Guest', auth = {} } = {}) => {
+    const client = connectClient(url, {
+        auth: { token: userId ? jwt.sign({ id: userId }, process.env.JWT_SECRET) : 'guest', ...auth },
+        query: { userName: name },
+        transports: ['websocket'],
+        reconnection: false,
+        forceNew: true,
+    });
+    client.label = name;
+    await waitFor(client, 'connect');
+    return client;
+};
+
+/**
+ * Socket server on a free port running socket/index.js
+ * @param {{ setup?: (io) => Promise }} [options] - e.g. socket/store setupSocketStore
+ * @returns {Promise<{ io, url, connect: Function, close: Function }>}
+ */
+const startServer = async ({ setup } = {}) => {
+    const httpServer = http.createServer();
+    const io = new Server(httpServer);
+    if (setup) await setup(io);
+    require('../../socket/index')(io);
+
+    await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${httpServer.address().port}`;
+    const clients = new Set();
+
+    const close = async () => {
+        clients.forEach((c) => c.disconnect());
+        await new Promise((resolve) => io.close(() => resolve()));
+    };
+
+    return {
+        io,
+        url,
+        connect: async (options) => {
+            const client = await connect(url, options);
+            clients.add(client);
+            return client;
+        },
+        close,
+    };
+};
+
+module.exports = {
+    quiet,
+    newUserId,
+    createMeeting,
+    waitFor,
+    joinMeeting,
+    connect,
+    startServer,
+};
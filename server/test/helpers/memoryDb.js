@@ -0,0 +1,553 @@
+/**
+ * memoryDb.js – In-memory collections behind the Mongoose models (tests only)
+ *
+ * There is no MongoDB in the test environment, so install() replaces the query
+ * methods of every model in models/ with versions that work on plain arrays.
+ * Mongoose still casts filters and updates and applies defaults, mingo
+ * (https://github.com/kofrasa/mingo) evaluates filters, update operators and
+ * aggregation pipelines. Unique indexes (with partialFilterExpression) are
+ * enforced with the same E11000 error MongoDB raises.
+ *
+ * Covered: the query API the app uses (find*, update*, create, insertMany,
+ * delete*, countDocuments, exists, distinct, aggregate, document.save()), with
+ * lean / select / sort / skip / limit / populate on queries, upserts, the
+ * positional `$` operator and arrayFilters. Every call works on copies, so
+ * returned documents never alias stored ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Query, Aggregator } = require('mingo');
+const { update: applyUpdate } = require('mingo/updater');
+require('mingo/init/system');
+
+const { ObjectId } = mongoose.Types;
+
+const collections = new Map(); // modelName → stored documents
+
+const rows = (Model) => {
+    if (!collections.has(Model.modelName)) collections.set(Model.modelName, []);
+    return collections.get(Model.modelName);
+};
+
+// ── Plain values ────────────────────────────────────────────────────────────
+const clone = (value) => {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    // Buffer paths come out of toObject() as BSON Binary
+    if (value._bsontype === 'Binary') return Buffer.from(value.buffer.subarray(0, value.position));
+    if (value instanceof Map) return Object.fromEntries([...value].map(([k, v]) => [k, clone(v)]));
+    if (Array.isArray(value)) return value.map(clone);
+    if (typeof value.toObject === 'function') return clone(value.toObject({ flattenMaps: true, depopulate: true }));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) if (v !== undefined) out[k] = clone(v);
+    return out;
+};
+
+const getPath = (obj, dotted) => dotted.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+
+const setPath = (obj, dotted, value) => {
+    const keys = dotted.split('.');
+    let o = obj;
+    for (const key of keys.slice(0, -1)) {
+        if (o[key] == null || typeof o[key] !== 'object') o[key] = {};
+        o = o[key];
+    }
+    o[keys[keys.length - 1]] = value;
+};
+
+const matches = (filter, doc) => new Query(filter || {}).test(doc);
+
+const sameValue = (a, b) => matches({ v: { $eq: a } }, { v: b });
+
+// ── Casting through Mongoose ────────────────────────────────────────────────
+// A real (never executed) Mongoose query, for its casting
+const castingQuery = (Model, options) => {
+    const query = new Model.Query({}, {}, Model, Model.collection);
+    if (options) query.setOptions(options);
+    return query;
+};
+
+const castFilter = (Model, filter) => castingQuery(Model).cast(Model, clone(filter || {}));
+
+const castUpdate = (Model, update, options = {}) => {
+    if (Array.isArray(update)) return clone(update); // aggregation pipeline
+    const query = castingQuery(Model, { arrayFilters: options.arrayFilters, strict: false });
+    query.op = 'updateOne';
+    const cast = query._castUpdate(clone(update)) || {};
+    return clone(cast);
+};
+
+// What a new document looks like once Mongoose has applied defaults
+const toStored = (Model, input) => {
+    const doc = input instanceof Model ? input : new Model(input);
+    return clone(doc.toObject({ flattenMaps: true, depopulate: true, virtuals: false, getters: false }));
+};
+
+const timestamps = (Model) => {
+    const option = Model.schema.options.timestamps;
+    if (!option) return null;
+    return {
+        createdAt: (typeof option === 'object' && option.createdAt) || 'createdAt',
+        updatedAt: (typeof option === 'object' && option.updatedAt) || 'updatedAt',
+    };
+};
+
+// ── Unique indexes ──────────────────────────────────────────────────────────
+const uniqueIndexes = (Model) => [
+    { keys: ['_id'], options: {} },
+    ...Model.schema.indexes()
+        .filter(([, options]) => options?.unique)
+        .map(([fields, options]) => ({ keys: Object.keys(fields), options })),
+];
+
+const checkUnique = (Model, doc) => {
+    for (const { keys, options } of uniqueIndexes(Model)) {
+        const covered = (d) => {
+            if (options.partialFilterExpression && !matches(options.partialFilterExpression, d)) return false;
+            return !(options.sparse && keys.every((k) => getPath(d, k) === undefined));
+        };
+        if (!covered(doc)) continue;
+        const clash = rows(Model).find((other) =>
+            other !== doc
+            && !(keys[0] !== '_id' && sameValue(other._id, doc._id))
+            && covered(other)
+            && keys.every((k) => sameValue(getPath(other, k) ?? null, getPath(doc, k) ?? null)));
+        if (clash) {
+            const keyValue = Object.fromEntries(keys.map((k) => [k, getPath(doc, k)]));
+            throw Object.assign(
+                new Error(`E11000 duplicate key error collection: ${Model.collection.name} dup key: ${JSON.stringify(keyValue)}`),
+                { code: 11000, keyValue }
+            );
+        }
+    }
+};
+
+// ── Updates ─────────────────────────────────────────────────────────────────
+// The positional `$` refers to the first array element the filter matched
+const positionalIndex = (doc, filter, arrayPath) => {
+    const list = getPath(doc, arrayPath);
+    if (!Array.isArray(list)) return -1;
+    const conditions = [];
+    for (const [key, value] of Object.entries(filter)) {
+        if (key === arrayPath && value?.$elemMatch) conditions.push(value.$elemMatch);
+        else if (key === arrayPath) conditions.push({ $eq: value });
+        else if (key.startsWith(`${arrayPath}.`)) conditions.push({ [key.slice(arrayPath.length + 1)]: value });
+    }
+    return list.findIndex((item) => conditions.every((c) =>
+        (c.$eq !== undefined ? sameValue(c.$eq, item) : matches(c, item))));
+};
+
+const resolvePositional = (doc, filter, fields) => {
+    const out = {};
+    for (const [key, value] of Object.entries(fields)) {
+        const at = key.search(/\.\$(\.|$)/);
+        if (at === -1) { out[key] = value; continue; }
+        const arrayPath = key.slice(0, at);
+        const index = positionalIndex(doc, filter, arrayPath);
+        if (index === -1) throw new Error(`The positional operator did not find the match needed from the query (${key})`);
+        out[`${arrayPath}.${index}${key.slice(at + 2)}`] = value;
+    }
+    return out;
+};
+
+const applyTo = (Model, doc, filter, update, options, inserting) => {
+    if (Array.isArray(update)) {
+        const [result] = new Aggregator(update).run([doc]);
+        for (const key of Object.keys(doc)) delete doc[key];
+        Object.assign(doc, result);
+        return;
+    }
+    const stamps = timestamps(Model);
+    const ops = { ...update };
+    if (stamps && options.timestamps !== false) {
+        ops.$set = { [stamps.updatedAt]: new Date(), ...ops.$set };
+    }
+    for (const [op, fields] of Object.entries(ops)) {
+        if (!op.startsWith('$')) throw new Error(`Replacement updates are not supported here: ${op}`);
+        if (op === '$setOnInsert') {
+            if (inserting) for (const [key, value] of Object.entries(fields)) setPath(doc, key, clone(value));
+            continue;
+        }
+        applyUpdate(doc, { [op]: resolvePositional(doc, filter, clone(fields)) }, options.arrayFilters);
+    }
+};
+
+// Equality conditions of a filter, the starting point of an upserted document
+const upsertBase = (filter) => {
+    const base = {};
+    for (const [key, value] of Object.entries(filter)) {
+        if (key.startsWith('$')) continue;
+        const operator = value && typeof value === 'object' && !Array.isArray(value)
+            && !(value instanceof ObjectId) && !(value instanceof Date)
+            && Object.keys(value).some((k) => k.startsWith('$'));
+        if (operator) {
+            if (value.$eq !== undefined) setPath(base, key, clone(value.$eq));
+            continue;
+        }
+        setPath(base, key, clone(value));
+    }
+    return base;
+};
+
+const updateDocs = (Model, rawFilter, rawUpdate, options = {}, many = false) => {
+    const filter = castFilter(Model, rawFilter);
+    const update = castUpdate(Model, rawUpdate, options);
+    let targets = rows(Model).filter((d) => matches(filter, d));
+    if (options.sort) targets = sortDocs(targets, options.sort);
+    if (!many) targets = targets.slice(0, 1);
+
+    const before = [];
+    for (const doc of targets) {
+        const previous = clone(doc);
+        const next = clone(doc);
+        applyTo(Model, next, filter, update, options, false);
+        Object.assign(doc, next);
+        for (const key of Object.keys(doc)) if (!(key in next)) delete doc[key];
+        try {
+            checkUnique(Model, doc);
+        } catch (err) {
+            for (const key of Object.keys(doc)) delete doc[key];
+            Object.assign(doc, previous);
+            throw err;
+        }
+        before.push(previous);
+    }
+    if (targets.length || !options.upsert) {
+        return { matchedCount: targets.length, modifiedCount: targets.length, before, after: targets, upserted: null };
+    }
+
+    const doc = toStored(Model, upsertBase(filter));
+    const stamps = timestamps(Model);
+    applyTo(Model, doc, filter, update, options, true);
+    if (stamps && doc[stamps.createdAt] === undefined) doc[stamps.createdAt] = new Date();
+    checkUnique(Model, doc);
+    rows(Model).push(doc);
+    return { matchedCount: 0, modifiedCount: 0, before: [null], after: [doc], upserted: doc };
+};
+
+// ── Reading ─────────────────────────────────────────────────────────────────
+const parseSort = (sort) => {
+    if (typeof sort === 'string') {
+        return Object.fromEntries(sort.split(/\s+/).filter(Boolean)
+            .map((k) => (k.startsWith('-') ? [k.slice(1), -1] : [k, 1])));
+    }
+    return Object.fromEntries(Object.entries(sort || {}).map(([k, v]) =>
+        [k, v === -1 || v === 'desc' || v === 'descending' ? -1 : 1]));
+};
+
+const sortKey = (value) => {
+    if (value instanceof ObjectId) return value.toHexString();
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+const compare = (a, b) => {
+    const x = sortKey(a);
+    const y = sortKey(b);
+    if (x == null || y == null) return (x == null ? 0 : 1) - (y == null ? 0 : 1);
+    return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const sortDocs = (docs, sort) => {
+    const keys = Object.entries(parseSort(sort));
+    return [...docs].sort((a, b) => {
+        for (const [key, direction] of keys) {
+            const order = compare(getPath(a, key), getPath(b, key));
+            if (order) return order * direction;
+        }
+        return 0;
+    });
+};
+
+const parseProjection = (projection) => {
+    if (!projection) return null;
+    if (typeof projection === 'string') {
+        const out = {};
+        for (const field of projection.split(/\s+/).filter(Boolean)) {
+            if (field.startsWith('+')) continue;
+            if (field.startsWith('-')) out[field.slice(1)] = 0;
+            else out[field] = 1;
+        }
+        return Object.keys(out).length ? out : null;
+    }
+    return Object.keys(projection).length ? projection : null;
+};
+
+const pick = (src, keys, dst) => {
+    const [key, ...rest] = keys;
+    if (src == null || !(key in Object(src))) return;
+    if (!rest.length) { dst[key] = clone(src[key]); return; }
+    const value = src[key];
+    if (Array.isArray(value)) {
+        dst[key] = dst[key] || value.map(() => ({}));
+        value.forEach((item, i) => pick(item, rest, dst[key][i]));
+    } else if (value && typeof value === 'object') {
+        dst[key] = dst[key] || {};
+        pick(value, rest, dst[key]);
+    }
+};
+
+const drop = (obj, keys) => {
+    const [key, ...rest] = keys;
+    if (obj == null || typeof obj !== 'object') return;
+    if (!rest.length) { delete obj[key]; return; }
+    const value = obj[key];
+    if (Array.isArray(value)) value.forEach((item) => drop(item, rest));
+    else drop(value, rest);
+};
+
+const project = (doc, projection, filter) => {
+    const spec = parseProjection(projection);
+    if (!spec) return clone(doc);
+    const fields = Object.entries(spec).filter(([k]) => k !== '_id');
+    const inclusive = fields.some(([, v]) => !!v);
+    if (!inclusive) {
+        const out = clone(doc);
+        for (const [key, value] of Object.entries(spec)) if (!value) drop(out, key.split('.'));
+        return out;
+    }
+    const out = {};
+    if (spec._id !== 0 && spec._id !== false) out._id = clone(doc._id);
+    for (const [key, value] of fields) {
+        if (!value) continue;
+        if (key.endsWith('.$')) {
+            const arrayPath = key.slice(0, -2);
+            const index = positionalIndex(doc, filter || {}, arrayPath);
+            if (index !== -1) setPath(out, arrayPath, [clone(getPath(doc, arrayPath)[index])]);
+        } else if (value.$elemMatch) {
+            const found = (getPath(doc, key) || []).find((item) => matches(value.$elemMatch, item));
+            if (found) setPath(out, key, [clone(found)]);
+        } else {
+            pick(doc, key.split('.'), out);
+        }
+    }
+    return out;
+};
+
+const findDocs = (Model, rawFilter, opts) => {
+    const filter = castFilter(Model, rawFilter);
+    let docs = rows(Model).filter((d) => matches(filter, d));
+    if (opts.sort) docs = sortDocs(docs, opts.sort);
+    if (opts.skip) docs = docs.slice(opts.skip);
+    if (opts.limit) docs = docs.slice(0, opts.limit);
+    return docs.map((d) => project(d, opts.projection, filter));
+};
+
+// Lean queries get plain objects, the others hydrated documents
+const output = async (Model, docs, opts) => {
+    let result = opts.lean ? docs : docs.map((d) => Model.hydrate(d));
+    if (opts.populate.length && result.length) {
+        result = await Model.populate(result, opts.populate.map((p) => (opts.lean && typeof p === 'object' ? { ...p, options: { lean: true, ...p.options } } : p)));
+    }
+    return result;
+};
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+/** Chainable, thenable stand-in for a Mongoose Query */
+class MemoryQuery {
+    constructor(run, opts = {}) {
+        this._run = run;
+        this._opts = { lean: false, sort: null, skip: 0, limit: 0, projection: null, populate: [], ...opts };
+    }
+
+    lean(lean = true) { this._opts.lean = lean; return this; }
+    select(projection) { this._opts.projection = projection; return this; }
+    sort(sort) { this._opts.sort = sort; return this; }
+    skip(n) { this._opts.skip = n; return this; }
+    limit(n) { this._opts.limit = n; return this; }
+    populate(pathOrOptions, select) {
+        if (typeof pathOrOptions === 'string') {
+            for (const p of pathOrOptions.split(/\s+/).filter(Boolean)) this._opts.populate.push(select ? { path: p, select } : p);
+        } else if (Array.isArray(pathOrOptions)) {
+            this._opts.populate.push(...pathOrOptions);
+        } else {
+            this._opts.populate.push(pathOrOptions);
+        }
+        return this;
+    }
+    session() { return this; }
+    setOptions(options = {}) { if (options.lean) this._opts.lean = true; return this; }
+    maxTimeMS() { return this; }
+    collation() { return this; }
+    hint() { return this; }
+    read() { return this; }
+    cursor() { throw new Error('cursor() is not supported by memoryDb'); }
+
+    exec() {
+        if (!this._promise) this._promise = Promise.resolve().then(() => this._run(this._opts));
+        return this._promise;
+    }
+    then(resolve, reject) { return this.exec().then(resolve, reject); }
+    catch(reject) { return this.exec().catch(reject); }
+    finally(fn) { return this.exec().finally(fn); }
+}
+
+const queryOptions = (projection, options = {}) => ({
+    projection: projection || options.projection || options.fields || options.select || null,
+    sort: options.sort || null,
+    skip: options.skip || 0,
+    limit: options.limit || 0,
+    lean: !!options.lean,
+});
+
+const returnsNew = (options) => options.new === true || options.returnDocument === 'after';
+
+const buildStatics = (Model) => {
+    const find = (filter, projection, options) => new MemoryQuery(
+        (opts) => output(Model, findDocs(Model, filter, opts), opts),
+        queryOptions(projection, options)
+    );
+
+    const findOne = (filter, projection, options) => new MemoryQuery(
+        async (opts) => (await output(Model, findDocs(Model, filter, { ...opts, limit: 1 }), opts))[0] || null,
+        queryOptions(projection, options)
+    );
+
+    const findOneAndUpdate = (filter, update, options = {}) => new MemoryQuery(async (opts) => {
+        const result = updateDocs(Model, filter, update, { ...options, sort: opts.sort || options.sort });
+        const doc = returnsNew(options) ? result.after[0] : result.before[0];
+        if (!doc) return null;
+        return (await output(Model, [project(doc, opts.projection, castFilter(Model, filter))], opts))[0];
+    }, queryOptions(null, options));
+
+    const findOneAndDelete = (filter, options = {}) => new MemoryQuery(async (opts) => {
+        const cast = castFilter(Model, filter);
+        let docs = rows(Model).filter((d) => matches(cast, d));
+        if (opts.sort) docs = sortDocs(docs, opts.sort);
+        const doc = docs[0];
+        if (!doc) return null;
+        rows(Model).splice(rows(Model).indexOf(doc), 1);
+        return (await output(Model, [project(doc, opts.projection, cast)], opts))[0];
+    }, queryOptions(null, options));
+
+    const deleteDocs = (filter, many) => new MemoryQuery(() => {
+        const cast = castFilter(Model, filter);
+        const list = rows(Model);
+        let deletedCount = 0;
+        for (let i = list.length - 1; i >= 0; i -= 1) {
+            if (!matches(cast, list[i])) continue;
+            if (!many && deletedCount) break;
+            list.splice(i, 1);
+            deletedCount += 1;
+        }
+        return { acknowledged: true, deletedCount };
+    });
+
+    const updateResult = (result) => ({
+        acknowledged: true,
+        matchedCount: result.matchedCount,
+        modifiedCount: result.modifiedCount,
+        upsertedCount: result.upserted ? 1 : 0,
+        upsertedId: result.upserted?._id || null,
+    });
+
+    const create = async (input, ...more) => {
+        const many = Array.isArray(input);
+        const inputs = many ? input : [input, ...more];
+        const created = [];
+        for (const item of inputs) {
+            const doc = item instanceof Model ? item : new Model(item);
+            await doc.save();
+            created.push(doc);
+        }
+        return many || more.length ? created : created[0];
+    };
+
+    return {
+        find,
+        findOne,
+        findById: (id, projection, options) => (id == null
+            ? new MemoryQuery(() => null)
+            : findOne({ _id: id }, projection, options)),
+        findOneAndUpdate,
+        findByIdAndUpdate: (id, update, options) => findOneAndUpdate({ _id: id }, update, options),
+        findOneAndDelete,
+        findByIdAndDelete: (id, options) => findOneAndDelete({ _id: id }, options),
+        updateOne: (filter, update, options = {}) =>
+            new MemoryQuery(() => updateResult(updateDocs(Model, filter, update, options))),
+        updateMany: (filter, update, options = {}) =>
+            new MemoryQuery(() => updateResult(updateDocs(Model, filter, update, options, true))),
+        deleteOne: (filter) => deleteDocs(filter, false),
+        deleteMany: (filter) => deleteDocs(filter, true),
+        create,
+        insertMany: (docs) => create([...docs]),
+        countDocuments: (filter) => new MemoryQuery(() => findDocs(Model, filter, { projection: null }).length),
+        exists: (filter) => new MemoryQuery(() => {
+            const [doc] = findDocs(Model, filter, { limit: 1, projection: { _id: 1 } });
+            return doc || null;
+        }),
+        distinct: (field, filter) => new MemoryQuery(() => {
+            const values = [];
+            for (const doc of findDocs(Model, filter, { projection: null })) {
+                for (const value of [].concat(getPath(doc, field) ?? [])) {
+                    if (!values.some((v) => sameValue(v, value))) values.push(value);
+                }
+            }
+            return values;
+        }),
+        aggregate: (pipeline = []) => new MemoryQuery(() =>
+            clone(new Aggregator(pipeline).run(clone(rows(Model))))),
+    };
+};
+
+// document.save(): insert a new document, replace a loaded one
+const save = async function save() {
+    const Model = this.constructor;
+    await this.validate();
+    const stamps = timestamps(Model);
+    if (stamps) {
+        const now = new Date();
+        if (this.isNew && !this.get(stamps.createdAt)) this.set(stamps.createdAt, now);
+        this.set(stamps.updatedAt, now);
+    }
+    const doc = toStored(Model, this);
+    const list = rows(Model);
+    const index = list.findIndex((d) => sameValue(d._id, doc._id));
+    if (this.isNew || index === -1) {
+        checkUnique(Model, doc);
+        list.push(doc);
+    } else {
+        const previous = list[index];
+        list[index] = doc;
+        try {
+            checkUnique(Model, doc);
+        } catch (err) {
+            list[index] = previous;
+            throw err;
+        }
+    }
+    this.isNew = false;
+    return this;
+};
+
+// ── Setup ───────────────────────────────────────────────────────────────────
+let installed = false;
+
+/** Load every model and point its queries at the in-memory collections */
+const install = () => {
+    if (installed) return;
+    installed = true;
+    const dir = path.join(__dirname, '..', '..', 'models');
+    for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.js'))) require(path.join(dir, file));
+
+    for (const name of mongoose.modelNames()) {
+        const Model = mongoose.model(name);
+        Object.assign(Model, buildStatics(Model));
+        Model.prototype.save = save;
+        Model.prototype.deleteOne = function deleteOne() {
+            return Model.deleteOne({ _id: this._id });
+        };
+    }
+};
+
+/** Empty every collection */
+const reset = () => collections.clear();
+
+/** Stored documents of a model (live array, for assertions) */
+const collection = (Model) => rows(Model);
+
+module.exports = { install, reset, collection };
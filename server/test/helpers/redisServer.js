@@ -0,0 +1,377 @@
+/**
+ * redisServer.js – A small Redis-protocol (RESP2) server for tests
+ *
+ * There is no Redis in the test environment. This speaks enough of the
+ * protocol for the real `redis` client used by socket/store/redisStore.js and
+ * @socket.io/redis-adapter: strings, hashes, sorted sets, key expiry,
+ * MULTI/EXEC with WATCH, and pub/sub. Several processes can connect to it, like to a real
+ * server.
+ *
+ *   const redis = await startRedisServer();
+ *   process.env.REDIS_URL = redis.url;
+ *   ...
+ *   await redis.close();
+ */
+
+const net = require('net');
+
+// ── Replies ─────────────────────────────────────────────────────────────────
+const OK = { simple: 'OK' };
+const QUEUED = { simple: 'QUEUED' };
+const replyError = (message) => ({ error: message });
+
+const encode = (value) => {
+    if (value === null || value === undefined) return Buffer.from('$-1\r\n');
+    if (value.simple) return Buffer.from(`+${value.simple}\r\n`);
+    if (value.error) return Buffer.from(`-${value.error}\r\n`);
+    if (typeof value === 'number') return Buffer.from(`:${value}\r\n`);
+    if (Array.isArray(value)) return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map(encode)]);
+    const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    return Buffer.concat([Buffer.from(`$${bytes.length}\r\n`), bytes, Buffer.from('\r\n')]);
+};
+
+// ── Requests ────────────────────────────────────────────────────────────────
+// Complete commands at the start of `buffer`, and how many bytes they used
+const parseCommands = (buffer) => {
+    const commands = [];
+    let offset = 0;
+    const line = (from) => {
+        const end = buffer.indexOf('\r\n', from);
+        return end === -1 ? null : { text: buffer.toString('latin1', from, end), next: end + 2 };
+    };
+    for (;;) {
+        const header = line(offset);
+        if (!header) break;
+        if (header.text[0] !== '*') throw new Error(`Unsupported request: ${header.text}`);
+        const count = parseInt(header.text.slice(1), 10);
+        const args = [];
+        let at = header.next;
+        let complete = true;
+        for (let i = 0; i < count; i++) {
+            const size = line(at);
+            if (!size) { complete = false; break; }
+            const length = parseInt(size.text.slice(1), 10);
+            if (buffer.length < size.next + length + 2) { complete = false; break; }
+            args.push(buffer.subarray(size.next, size.next + length));
+            at = size.next + length + 2;
+        }
+        if (!complete) break;
+        commands.push(args);
+        offset = at;
+    }
+    return { commands, used: offset };
+};
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern.replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')}$`, 's');
+
+/**
+ * Start a server on a free local port
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+const startRedisServer = async () => {
+    const keys = new Map(); // key → { type: 'string'|'hash'|'zset', value }
+    const expiries = new Map(); // key → ms since the epoch
+    const subscribers = new Set();
+    const versions = new Map(); // key → writes so far, for WATCH
+
+    const live = (key) => {
+        if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+            keys.delete(key);
+            expiries.delete(key);
+        }
+        return keys.get(key);
+    };
+
+    const take = (key, type, create) => {
+        const entry = live(key);
+        if (entry) {
+            if (entry.type !== type) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+            return entry.value;
+        }
+        if (!create) return null;
+        const value = new Map();
+        keys.set(key, { type, value });
+        return value;
+    };
+
+    const remove = (key) => {
+        const existed = !!live(key);
+        keys.delete(key);
+        expiries.delete(key);
+        return existed;
+    };
+
+    const dropIfEmpty = (key, map) => {
+        if (map && map.size === 0) remove(key);
+    };
+
+    const scoreBound = (raw) => {
+        const text = String(raw);
+        if (text === '-inf') return { value: -Infinity, open: false };
+        if (text === '+inf' || text === 'inf') return { value: Infinity, open: false };
+        if (text.startsWith('(')) return { value: Number(text.slice(1)), open: true };
+        return { value: Number(text), open: false };
+    };
+
+    const publish = (channel, message) => {
+        let receivers = 0;
+        for (const client of subscribers) {
+            if (client.channels.has(channel)) {
+                client.write(encode([Buffer.from('message'), Buffer.from(channel), message]));
+                receivers += 1;
+            }
+            for (const pattern of client.patterns.keys()) {
+                if (!client.patterns.get(pattern).test(channel)) continue;
+                client.write(encode([Buffer.from('pmessage'), Buffer.from(pattern), Buffer.from(channel), message]));
+                receivers += 1;
+            }
+        }
+        return receivers;
+    };
+
+    const subscriptions = (client) => client.channels.size + client.patterns.size;
+
+    // Commands that change their key(s); a watched key that changed fails the EXEC
+    const WRITES = new Set(['SET', 'DEL', 'EXPIRE', 'PEXPIRE', 'HSET', 'HDEL', 'ZADD', 'ZREM']);
+    const touch = (key) => versions.set(key, (versions.get(key) || 0) + 1);
+
+    // One command; `args` are Buffers, the name is args[0]
+    const run = (client, args) => {
+        const name = args[0].toString().toUpperCase();
+        const str = (i) => args[i].toString();
+        if (WRITES.has(name)) (name === 'DEL' ? args.slice(1) : [args[1]]).forEach((k) => touch(k.toString()));
+
+        switch (name) {
+            case 'PING': return args[1] ? args[1] : { simple: 'PONG' };
+            case 'SELECT':
+            case 'CLIENT':
+                return OK;
+            case 'QUIT': client.end(encode(OK)); return undefined;
+
+            // ── Strings and keys ──
+            case 'GET': {
+                const entry = live(str(1));
+                return entry?.type === 'string' ? entry.value : null;
+            }
+            case 'SET': {
+                let ttl = null;
+                let onlyNew = false;
+                for (let i = 3; i < args.length; i++) {
+                    const option = str(i).toUpperCase();
+                    if (option === 'EX') ttl = Number(str(++i)) * 1000;
+                    else if (option === 'PX') ttl = Number(str(++i));
+                    else if (option === 'NX') onlyNew = true;
+                }
+                if (onlyNew && live(str(1))) return null;
+                keys.set(str(1), { type: 'string', value: args[2] });
+                if (ttl) expiries.set(str(1), Date.now() + ttl);
+                else expiries.delete(str(1));
+                return OK;
+            }
+            case 'DEL': return args.slice(1).filter((k) => remove(k.toString())).length;
+            case 'EXISTS': return args.slice(1).filter((k) => live(k.toString())).length;
+            case 'EXPIRE':
+            case 'PEXPIRE': {
+                if (!live(str(1))) return 0;
+                expiries.set(str(1), Date.now() + Number(str(2)) * (name === 'EXPIRE' ? 1000 : 1));
+                return 1;
+            }
+
+            // ── Hashes ──
+            case 'HSET': {
+                const hash = take(str(1), 'hash', true);
+                let added = 0;
+                for (let i = 2; i < args.length; i += 2) {
+                    if (!hash.has(str(i))) added += 1;
+                    hash.set(str(i), args[i + 1]);
+                }
+                return added;
+            }
+            case 'HGET': return take(str(1), 'hash', false)?.get(str(2)) ?? null;
+            case 'HDEL': {
+                const hash = take(str(1), 'hash', false);
+                if (!hash) return 0;
+                const removed = args.slice(2).filter((f) => hash.delete(f.toString())).length;
+                dropIfEmpty(str(1), hash);
+                return removed;
+            }
+            case 'HGETALL': {
+                const hash = take(str(1), 'hash', false);
+                return hash ? [...hash].flatMap(([field, value]) => [field, value]) : [];
+            }
+            case 'HLEN': return take(str(1), 'hash', false)?.size || 0;
+            case 'HKEYS': return [...(take(str(1), 'hash', false)?.keys() || [])];
+
+            // ── Sorted sets ──
+            case 'ZADD': {
+                const set = take(str(1), 'zset', true);
+                let i = 2;
+                while (/^(NX|XX|GT|LT|CH)$/i.test(str(i))) i += 1;
+                let added = 0;
+                for (; i < args.length; i += 2) {
+                    if (!set.has(str(i + 1))) added += 1;
+                    set.set(str(i + 1), Number(str(i)));
+                }
+                return added;
+            }
+            case 'ZREM': {
+                const set = take(str(1), 'zset', false);
+                if (!set) return 0;
+                const removed = args.slice(2).filter((m) => set.delete(m.toString())).length;
+                dropIfEmpty(str(1), set);
+                return removed;
+            }
+            case 'ZSCORE': {
+                const score = take(str(1), 'zset', false)?.get(str(2));
+                return score === undefined ? null : String(score);
+            }
+            case 'ZRANGEBYSCORE': {
+                const set = take(str(1), 'zset', false);
+                const min = scoreBound(str(2));
+                const max = scoreBound(str(3));
+                let offset = 0;
+                let count = Infinity;
+                let withScores = false;
+                for (let i = 4; i < args.length; i++) {
+                    const option = str(i).toUpperCase();
+                    if (option === 'WITHSCORES') withScores = true;
+                    if (option === 'LIMIT') {
+                        offset = Number(str(i + 1));
+                        count = Number(str(i + 2)) < 0 ? Infinity : Number(str(i + 2));
+                        i += 2;
+                    }
+                }
+                const inRange = [...(set || [])]
+                    .filter(([, score]) => (min.open ? score > min.value : score >= min.value)
+                        && (max.open ? score < max.value : score <= max.value))
+                    .sort(([a, x], [b, y]) => x - y || (a < b ? -1 : 1))
+                    .slice(offset, offset + count);
+                return inRange.flatMap(([member, score]) => (withScores ? [member, String(score)] : [member]));
+            }
+
+            // ── Pub/sub ──
+            case 'PUBLISH': return publish(str(1), args[2]);
+            case 'SUBSCRIBE':
+            case 'PSUBSCRIBE': {
+                subscribers.add(client);
+                const pattern = name === 'PSUBSCRIBE';
+                for (const arg of args.slice(1)) {
+                    if (pattern) client.patterns.set(arg.toString(), globToRegExp(arg.toString()));
+                    else client.channels.add(arg.toString());
+                    client.write(encode([Buffer.from(name.toLowerCase()), arg, subscriptions(client)]));
+                }
+                return undefined;
+            }
+            case 'UNSUBSCRIBE':
+            case 'PUNSUBSCRIBE': {
+                const pattern = name === 'PUNSUBSCRIBE';
+                const targets = args.length > 1
+                    ? args.slice(1).map(String)
+                    : [...(pattern ? client.patterns.keys() : client.channels)];
+                for (const target of targets) {
+                    if (pattern) client.patterns.delete(target);
+                    else client.channels.delete(target);
+                    client.write(encode([Buffer.from(name.toLowerCase()), Buffer.from(target), subscriptions(client)]));
+                }
+                if (!targets.length) client.write(encode([Buffer.from(name.toLowerCase()), null, subscriptions(client)]));
+                return undefined;
+            }
+            case 'PUBSUB': {
+                const sub = str(1).toUpperCase();
+                if (sub === 'NUMSUB') {
+                    return args.slice(2).flatMap((ch) => [ch, [...subscribers].filter((c) => c.channels.has(ch.toString())).length]);
+                }
+                if (sub === 'NUMPAT') return [...subscribers].reduce((n, c) => n + c.patterns.size, 0);
+                if (sub === 'CHANNELS') return [...new Set([...subscribers].flatMap((c) => [...c.channels]))];
+                return replyError(`ERR unknown PUBSUB subcommand '${sub}'`);
+            }
+
+            default:
+                return replyError(`ERR unknown command '${name}'`);
+        }
+    };
+
+    const handle = (client, args) => {
+        const name = args[0].toString().toUpperCase();
+        if (name === 'MULTI') {
+            client.queue = [];
+            return OK;
+        }
+        if (name === 'WATCH') {
+            args.slice(1).forEach((k) => client.watched.set(k.toString(), versions.get(k.toString()) || 0));
+            return OK;
+        }
+        if (name === 'UNWATCH') {
+            client.watched.clear();
+            return OK;
+        }
+        if (name === 'DISCARD') {
+            client.queue = null;
+            client.watched.clear();
+            return OK;
+        }
+        if (name === 'EXEC') {
+            const queued = client.queue || [];
+            const changed = [...client.watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+            client.queue = null;
+            client.watched.clear();
+            if (changed) return null;
+            return queued.map((command) => {
+                try {
+                    return run(client, command);
+                } catch (err) {
+                    return replyError(err.message);
+                }
+            });
+        }
+        if (client.queue) {
+            client.queue.push(args);
+            return QUEUED;
+        }
+        return run(client, args);
+    };
+
+    const server = net.createServer((client) => {
+        client.channels = new Set();
+        client.patterns = new Map();
+        client.queue = null;
+        client.watched = new Map();
+        let pending = Buffer.alloc(0);
+
+        client.on('data', (chunk) => {
+            pending = Buffer.concat([pending, chunk]);
+            const { commands, used } = parseCommands(pending);
+            pending = pending.subarray(used);
+            for (const args of commands) {
+                let reply;
+                try {
+                    reply = handle(client, args);
+                } catch (err) {
+                    reply = replyError(err.message);
+                }
+                if (reply !== undefined && !client.destroyed) client.write(encode(reply));
+            }
+        });
+        client.on('close', () => subscribers.delete(client));
+        client.on('error', () => subscribers.delete(client));
+    });
+
+    const sockets = new Set();
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `redis://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((resolve) => {
+            sockets.forEach((s) => s.destroy());
+            server.close(() => resolve());
+        }),
+    };
+};
+
+module.exports = { startRedisServer };
@@ -0,0 +1,66 @@
+/**
+ * unzip.js – Reads a ZIP archive back, for tests of utils/zip.js
+ *
+ *   const entries = readZip(buffer); // [{ name, data, crc, modified }]
+ *
+ * Works from the end-of-central-directory record like an unzip tool does,
+ * and checks every local header against its central directory entry.
+ */
+
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const END_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const fromDos = (date, time) => new Date(
+    (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+);
+
+const readZip = (zip) => {
+    const endAt = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    assert.ok(endAt >= 0, 'no end of central directory');
+    assert.equal(zip.readUInt32LE(endAt), END_SIGNATURE);
+    const count = zip.readUInt16LE(endAt + 10);
+    const centralSize = zip.readUInt32LE(endAt + 12);
+    const centralAt = zip.readUInt32LE(endAt + 16);
+    assert.equal(centralAt + centralSize, endAt, 'central directory does not end where the end record starts');
+
+    const entries = [];
+    let at = centralAt;
+    for (let i = 0; i < count; i++) {
+        assert.equal(zip.readUInt32LE(at), CENTRAL_SIGNATURE);
+        const flags = zip.readUInt16LE(at + 8);
+        const method = zip.readUInt16LE(at + 10);
+        const time = zip.readUInt16LE(at + 12);
+        const date = zip.readUInt16LE(at + 14);
+        const crc = zip.readUInt32LE(at + 16);
+        const compressedSize = zip.readUInt32LE(at + 20);
+        const size = zip.readUInt32LE(at + 24);
+        const nameLength = zip.readUInt16LE(at + 28);
+        const extraLength = zip.readUInt16LE(at + 30);
+        const commentLength = zip.readUInt16LE(at + 32);
+        const localAt = zip.readUInt32LE(at + 42);
+        const name = zip.toString(flags & 0x0800 ? 'utf8' : 'latin1', at + 46, at + 46 + nameLength);
+        at += 46 + nameLength + extraLength + commentLength;
+
+        assert.equal(zip.readUInt32LE(localAt), LOCAL_SIGNATURE, `${name}: no local header`);
+        assert.equal(zip.readUInt16LE(localAt + 8), method, `${name}: method differs`);
+        assert.equal(zip.readUInt32LE(localAt + 14), crc, `${name}: CRC differs`);
+        assert.equal(zip.readUInt32LE(localAt + 18), compressedSize, `${name}: compressed size differs`);
+        assert.equal(zip.readUInt32LE(localAt + 22), size, `${name}: size differs`);
+        const localNameLength = zip.readUInt16LE(localAt + 26);
+        const dataAt = localAt + 30 + localNameLength + zip.readUInt16LE(localAt + 28);
+        assert.equal(zip.toString('utf8', localAt + 30, localAt + 30 + localNameLength), name);
+
+        const stored = zip.subarray(dataAt, dataAt + compressedSize);
+        const data = method === 8 ? zlib.inflateRawSync(stored) : stored;
+        assert.equal(data.length, size, `${name}: inflated size differs`);
+        entries.push({ name, data, crc, modified: fromDos(date, time) });
+    }
+    return entries;
+};
+
+module.exports = { readZip };
@@ -0,0 +1,88 @@
+/**
+ * Calendar feed (utils/icalendar.js): every TZID an event uses is defined by a
+ * VTIMEZONE in the same calendar, so clients place the meeting at the right time.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar } = require('../utils/icalendar');
+const { parseRRule } = require('../utils/recurrence');
+
+const event = (fields) => ({
+    uid: `${fields.timeZone}@smartmeet`,
+    durationMinutes: 30,
+    summary: 'Weekly sync',
+    updatedAt: new Date('2026-10-01T00:00:00Z'),
+    ...fields,
+});
+
+/** Content lines, unfolded */
+const linesOf = (ics) => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+/** The properties of each VTIMEZONE sub-component, by TZID */
+const timeZonesOf = (lines) => {
+    const zones = {};
+    let zone = null;
+    let part = null;
+    for (const line of lines) {
+        if (line.startsWith('TZID:')) zone = zones[line.slice(5)] = [];
+        else if (zone && /^BEGIN:(STANDARD|DAYLIGHT)$/.test(line)) part = { kind: line.slice(6) };
+        else if (part && /^END:(STANDARD|DAYLIGHT)$/.test(line)) { zone.push(part); part = null; }
+        else if (part) part[line.split(':')[0]] = line.split(':')[1];
+        else if (line === 'END:VTIMEZONE') zone = null;
+    }
+    return zones;
+};
+
+describe('calendar feed', () => {
+    it('defines the time zone of a recurring meeting, summer time included', () => {
+        const lines = linesOf(buildCalendar({
+            name: 'Hana',
+            events: [event({
+                start: new Date('2026-10-20T07:00:00Z'),
+                timeZone: 'Europe/Berlin',
+                recurrence: parseRRule('FREQ=WEEKLY;BYDAY=TU'),
+            })],
+        }));
+
+        assert.ok(lines.includes('DTSTART;TZID=Europe/Berlin:20261020T090000'));
+        assert.ok(lines.indexOf('BEGIN:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+
+        const { 'Europe/Berlin': berlin } = timeZonesOf(lines);
+        assert.deepEqual(berlin.find((p) => p.kind === 'DAYLIGHT'), {
+            kind: 'DAYLIGHT',
+            DTSTART: '20260329T020000',
+            RRULE: 'FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+            TZOFFSETFROM: '+0100',
+            TZOFFSETTO: '+0200',
+        });
+        assert.deepEqual(berlin.filter((p) => p.RRULE?.includes('BYMONTH=10')).map((p) => [p.kind, p.TZOFFSETTO]), [['STANDARD', '+0100']]);
+    });
+
+    it('defines each zone once, and leaves UTC meetings in UTC', () => {
+        const lines = linesOf(buildCalendar({
+            name: 'Hana',
+            events: [
+                event({ start: new Date('2026-11-02T00:00:00Z'), timeZone: 'Asia/Tokyo', uid: 'a@smartmeet' }),
+                event({ start: new Date('2027-01-05T00:00:00Z'), timeZone: 'Asia/Tokyo', uid: 'b@smartmeet' }),
+                event({ start: new Date('2026-11-02T15:00:00Z'), timeZone: 'UTC' }),
+            ],
+        }));
+
+        const zones = timeZonesOf(lines);
+        assert.deepEqual(Object.keys(zones), ['Asia/Tokyo']);
+        assert.deepEqual(zones['Asia/Tokyo'].map((p) => [p.kind, p.TZOFFSETFROM, p.TZOFFSETTO, p.RRULE]), [['STANDARD', '+0900', '+0900', undefined]]);
+        assert.ok(lines.includes('DTSTART;TZID=Asia/Tokyo:20261102T090000'));
+        assert.ok(lines.includes('DTSTART:20261102T150000Z'));
+    });
+
+    it('does not carry on summer time that a zone has given up', () => {
+        const lines = linesOf(buildCalendar({
+            name: 'Hana',
+            events: [event({ start: new Date('2021-06-01T15:00:00Z'), timeZone: 'America/Mexico_City' })],
+        }));
+        const mexico = timeZonesOf(lines)['America/Mexico_City'];
+        assert.ok(mexico.some((p) => p.kind === 'DAYLIGHT' && p.DTSTART === '20220403T020000'));
+        assert.ok(mexico.every((p) => !p.RRULE));
+    });
+});
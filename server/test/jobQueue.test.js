@@ -0,0 +1,73 @@
+/**
+ * Job queue (services/jobQueue.js): a unique job is queued once even when
+ * enqueued at the same time, and a long job keeps its lock without reporting
+ * progress.
+ */
+
+process.env.JOB_WORKERS = '2';
+process.env.JOB_POLL_SECONDS = '0.02';
+process.env.JOB_LOCK_SECONDS = '0.3';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet } = require('./helpers/meetingServer');
+const Job = require('../models/Job');
+const { registerJobHandler, enqueueJob, startJobWorkers, stopJobWorkers } = require('../services/jobQueue');
+
+quiet();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const until = async (check, timeout = 3000) => {
+    const end = Date.now() + timeout;
+    while (!(await check())) {
+        if (Date.now() > end) throw new Error('Condition not met in time');
+        await sleep(20);
+    }
+};
+
+let runs = 0;
+registerJobHandler('test-slow', async () => {
+    runs += 1;
+    await sleep(1000); // more than three lock periods, no progress reported
+    return { ok: true };
+});
+
+after(() => stopJobWorkers());
+
+describe('unique jobs', () => {
+    it('are queued once when enqueued at the same time', async () => {
+        const jobs = await Promise.all(Array.from({ length: 5 }, () =>
+            enqueueJob('test-unique', {}, { meetingId: 'JOB-001', unique: true })));
+
+        assert.equal(new Set(jobs.map((j) => String(j._id))).size, 1);
+        assert.equal(await Job.countDocuments({ type: 'test-unique', meetingId: 'JOB-001' }), 1);
+    });
+
+    it('can be queued again once the last one finished', async () => {
+        const first = await enqueueJob('test-unique', {}, { meetingId: 'JOB-002', unique: true });
+        await Job.updateOne({ _id: first._id }, { $set: { status: 'completed' }, $unset: { singleton: 1 } });
+
+        const second = await enqueueJob('test-unique', {}, { meetingId: 'JOB-002', unique: true });
+        assert.notEqual(String(second._id), String(first._id));
+    });
+
+    it('do not hold back jobs queued without `unique`', async () => {
+        await enqueueJob('test-unique', {}, { meetingId: 'JOB-003', unique: true });
+        await enqueueJob('test-unique', {}, { meetingId: 'JOB-003' });
+        assert.equal(await Job.countDocuments({ type: 'test-unique', meetingId: 'JOB-003' }), 2);
+    });
+});
+
+describe('locks', () => {
+    it('are renewed while a silent job runs, so no other worker takes it', async () => {
+        const job = await enqueueJob('test-slow', {}, { meetingId: 'JOB-004', unique: true });
+        startJobWorkers(null);
+
+        await until(async () => (await Job.findById(job._id).lean()).status === 'completed');
+        const done = await Job.findById(job._id).lean();
+        assert.equal(runs, 1);
+        assert.equal(done.attempts, 1);
+        assert.equal(done.singleton, undefined);
+    });
+});
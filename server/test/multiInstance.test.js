@@ -0,0 +1,213 @@
+/**
+ * Several app instances against one local Redis-protocol store
+ * (SOCKET_STORE=redis): live state and broadcasts cross instances, and
+ * deadlines fire from the store – once – even when the instance that set
+ * them is gone.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClient } = require('redis');
+const { quiet, newUserId, createMeeting, waitFor, joinMeeting } = require('./helpers/meetingServer');
+const { startRedisServer } = require('./helpers/redisServer');
+const { startInstance } = require('./helpers/instances');
+const createRedisStore = require('../socket/store/redisStore');
+
+quiet();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let redis;
+let client; // for looking into the store
+const instances = [];
+const clients = [];
+
+const instance = async () => {
+    const started = await startInstance({
+        SOCKET_STORE: 'redis',
+        REDIS_URL: redis.url,
+        RESUME_GRACE_SECONDS: '1',
+        TIMER_POLL_MS: '100',
+    });
+    instances.push(started);
+    return started;
+};
+
+const join = async (on, meetingId, options) => {
+    const participant = await on.connect(options);
+    clients.push(participant);
+    await joinMeeting(participant, meetingId);
+    return participant;
+};
+
+/** A meeting known to every given instance */
+const seedMeeting = async (...on) => {
+    const hostId = newUserId();
+    const meeting = await createMeeting({ hostId });
+    await Promise.all(on.map((i) => i.seed(meeting.toObject())));
+    return { meetingId: meeting.meetingId, hostId };
+};
+
+const until = async (check, timeout = 3000) => {
+    const end = Date.now() + timeout;
+    while (!(await check())) {
+        if (Date.now() > end) throw new Error('Condition not met in time');
+        await sleep(25);
+    }
+};
+
+before(async () => {
+    redis = await startRedisServer();
+    client = createClient({ url: redis.url });
+    await client.connect();
+});
+
+after(async () => {
+    clients.forEach((c) => c.disconnect());
+    await Promise.all(instances.map((i) => i.kill()));
+    await client.quit();
+    await redis.close();
+});
+
+describe('two instances on one store', () => {
+    let a;
+    let b;
+    before(async () => {
+        [a, b] = [await instance(), await instance()];
+    });
+
+    it('shows participants on one instance to those on the other', async () => {
+        const { meetingId, hostId } = await seedMeeting(a, b);
+        const host = await join(a, meetingId, { userId: hostId, name: 'Hana' });
+
+        const ada = await b.connect({ name: 'Ada' });
+        clients.push(ada);
+        const joined = waitFor(host, 'user-joined');
+        const roster = waitFor(ada, 'room-participants');
+        ada.emit('join-room', { meetingId });
+
+        assert.equal((await joined).userName, 'Ada');
+        assert.deepEqual((await roster).participants.map((p) => p.userName), ['Hana']);
+    });
+
+    it('delivers broadcasts to sockets on the other instance', async () => {
+        const { meetingId, hostId } = await seedMeeting(a, b);
+        const host = await join(a, meetingId, { userId: hostId, name: 'Hana' });
+        const ada = await join(b, meetingId, { name: 'Ada' });
+
+        const locked = waitFor(ada, 'meeting-locked');
+        host.emit('lock-meeting', { meetingId, isLocked: true });
+        assert.equal((await locked).lockedBy, 'Hana');
+    });
+
+    it('ends a dropped seat after the grace period when its instance is gone', async () => {
+        const c = await instance();
+        const { meetingId, hostId } = await seedMeeting(a, c);
+        const host = await join(a, meetingId, { userId: hostId, name: 'Hana' });
+        const ada = await join(c, meetingId, { name: 'Ada' });
+        const adaId = ada.id;
+
+        // c holds the seat, then dies before the grace period is over
+        ada.disconnect();
+        await until(async () => !!(await client.hGet('sm:timer-data', `seat:${adaId}`)));
+        await c.kill();
+
+        const left = await waitFor(host, 'user-left', (p) => p.socketId === adaId, 3000);
+        assert.equal(left.userName, 'Ada');
+        assert.equal(await client.hGet(`sm:m:${meetingId}:p`, adaId), null);
+    });
+
+    it('closes breakout rooms on time when the instance that opened them is gone', async () => {
+        const c = await instance();
+        const { meetingId, hostId } = await seedMeeting(a, c);
+        const host = await join(c, meetingId, { userId: hostId, name: 'Hana' });
+        const ada = await join(a, meetingId, { name: 'Ada' });
+
+        const opened = waitFor(ada, 'breakout-opened');
+        host.emit('breakout-start', { meetingId, count: 1, durationMinutes: 1 / 60 }); // one second
+        const { endsAt } = await opened;
+        await c.kill();
+
+        const closed = waitFor(ada, 'breakout-closed', () => true, 3000);
+        await closed;
+        assert.ok(Date.now() >= new Date(endsAt).getTime());
+        assert.equal(await client.hGet(`sm:m:${meetingId}:v`, 'breakouts'), null);
+    });
+});
+
+describe('redis store', () => {
+    const stores = [];
+    const storeClients = [];
+    let server; // its own, so no running instance takes the timers
+
+    before(async () => {
+        server = await startRedisServer();
+        for (let i = 0; i < 2; i++) {
+            const c = createClient({ url: server.url });
+            await c.connect();
+            storeClients.push(c);
+            stores.push(createRedisStore(c));
+        }
+    });
+
+    after(async () => {
+        await Promise.all(storeClients.map((c) => c.quit()));
+        await server.close();
+    });
+
+    it('keeps both patches to a participant made from two instances at once', async () => {
+        await stores[0].addParticipant('PATCH-1', 'socket-ada', { socketId: 'socket-ada', userName: 'Ada', role: 'attendee' });
+        await Promise.all([
+            stores[0].updateParticipant('PATCH-1', 'socket-ada', { role: 'co-host' }),
+            stores[1].updateParticipant('PATCH-1', 'socket-ada', { handRaised: true }),
+            stores[0].updateParticipant('PATCH-1', 'socket-ada', { disconnected: true }),
+        ]);
+        assert.deepEqual(await stores[1].getParticipant('PATCH-1', 'socket-ada'), {
+            socketId: 'socket-ada', userName: 'Ada', role: 'co-host', handRaised: true, disconnected: true,
+        });
+    });
+
+    it('does not bring back a participant removed while a patch was made', async () => {
+        await stores[0].addParticipant('PATCH-2', 'socket-bo', { socketId: 'socket-bo', userName: 'Bo' });
+        await Promise.all([
+            stores[0].updateParticipant('PATCH-2', 'socket-bo', { handRaised: true }),
+            stores[1].removeParticipant('PATCH-2', 'socket-bo'),
+        ]);
+        assert.equal(await stores[0].getParticipant('PATCH-2', 'socket-bo'), null);
+    });
+
+    it('hands a value taken from two instances at once to one of them', async () => {
+        await stores[0].setValue('TAKE-1', 'resume:socket-cy', 'token');
+        const taken = await Promise.all(stores.map((s) => s.takeValue('TAKE-1', 'resume:socket-cy')));
+        assert.deepEqual(taken.filter(Boolean), ['token']);
+        assert.equal(await stores[0].getValue('TAKE-1', 'resume:socket-cy'), null);
+    });
+
+    it('hands each due timer to exactly one instance', async () => {
+        const now = Date.now();
+        for (let i = 0; i < 30; i++) await stores[i % 2].scheduleTimer(`race:${i}`, now - 1, { n: i });
+        await stores[0].scheduleTimer('race:later', now + 60000, { n: 'later' });
+
+        const [first, second] = await Promise.all(stores.map((s) => s.takeDueTimers(now)));
+        const fired = [...first, ...second].map((t) => t.data.n).sort((x, y) => x - y);
+        assert.deepEqual(fired, Array.from({ length: 30 }, (_, i) => i));
+        assert.deepEqual(await stores[1].takeDueTimers(now), []);
+        await stores[0].cancelTimer('race:later');
+    });
+
+    it('fires a rescheduled timer at its new time only', async () => {
+        const now = Date.now();
+        await stores[0].scheduleTimer('moved', now - 1, { v: 1 });
+        await stores[1].scheduleTimer('moved', now + 1000, { v: 2 });
+
+        assert.deepEqual(await stores[0].takeDueTimers(now), []);
+        assert.deepEqual(await stores[1].takeDueTimers(now + 1000), [{ key: 'moved', data: { v: 2 } }]);
+    });
+
+    it('never fires a cancelled timer', async () => {
+        const now = Date.now();
+        await stores[0].scheduleTimer('cancelled', now - 1, {});
+        await stores[1].cancelTimer('cancelled');
+        assert.deepEqual(await stores[0].takeDueTimers(now), []);
+    });
+});
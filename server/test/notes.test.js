@@ -0,0 +1,62 @@
+/**
+ * The agenda (services/notesService.js): changes made at the same time – by
+ * two hosts, or on two instances – are all kept.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, createMeeting } = require('./helpers/meetingServer');
+const Meeting = require('../models/Meeting');
+const { updateAgenda, setAgendaItemStatus, finishAgenda } = require('../services/notesService');
+
+quiet();
+
+const withAgenda = async () => {
+    const { meetingId } = await createMeeting({
+        agenda: [{ title: 'Welcome', minutes: 5 }, { title: 'Budget', minutes: 10 }, { title: 'Hiring', minutes: 10 }],
+    });
+    const { agenda } = await Meeting.findOne({ meetingId }).lean();
+    return { meetingId, ids: agenda.map((i) => String(i._id)) };
+};
+
+const statuses = async (meetingId) =>
+    Object.fromEntries((await Meeting.findOne({ meetingId }).lean()).agenda.map((i) => [i.title, i.status]));
+
+describe('agenda', () => {
+    it('keeps every status change made at the same time', async () => {
+        const { meetingId, ids } = await withAgenda();
+        await Promise.all([
+            setAgendaItemStatus(null, meetingId, ids[0], 'done'),
+            setAgendaItemStatus(null, meetingId, ids[1], 'active'),
+            setAgendaItemStatus(null, meetingId, ids[2], 'skipped'),
+        ]);
+        assert.deepEqual(await statuses(meetingId), { Welcome: 'done', Budget: 'active', Hiring: 'skipped' });
+    });
+
+    it('keeps a status change made while the agenda is edited', async () => {
+        const { meetingId, ids } = await withAgenda();
+        await Promise.all([
+            setAgendaItemStatus(null, meetingId, ids[0], 'active'),
+            updateAgenda(null, meetingId, [
+                { id: ids[0], title: 'Welcome', minutes: 5 },
+                { id: ids[1], title: 'Budget review', minutes: 15 },
+                { title: 'Questions', minutes: 5 },
+            ]),
+        ]);
+        assert.deepEqual(await statuses(meetingId), { 'Welcome': 'active', 'Budget review': 'pending', 'Questions': 'pending' });
+    });
+
+    it('starts over from the finished agenda when the meeting ends', async () => {
+        const { meetingId, ids } = await withAgenda();
+        await setAgendaItemStatus(null, meetingId, ids[0], 'active');
+
+        const meeting = await Meeting.findOne({ meetingId });
+        const before = meeting.agendaRevision;
+        finishAgenda(meeting);
+        await meeting.save();
+        assert.equal((await Meeting.findOne({ meetingId }).lean()).agendaRevision, before + 1);
+
+        await setAgendaItemStatus(null, meetingId, ids[1], 'skipped');
+        assert.deepEqual(await statuses(meetingId), { Welcome: 'done', Budget: 'skipped', Hiring: 'pending' });
+    });
+});
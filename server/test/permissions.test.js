@@ -0,0 +1,231 @@
+/**
+ * Every privileged socket event (socket/permissions.js POLICIES): the roles it
+ * names get through, everyone else gets `permission-denied` and nothing happens.
+ */
+
+process.env.RESUME_GRACE_SECONDS = '0';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    quiet,
+    newUserId,
+    createMeeting,
+    waitFor,
+    joinMeeting,
+    startServer,
+} = require('./helpers/meetingServer');
+const Meeting = require('../models/Meeting');
+const Poll = require('../models/Poll');
+const { POLICIES } = require('../socket/permissions');
+
+quiet();
+
+// Presenters are checked like attendees: no privileged event names them
+const SEATED_ROLES = ['host', 'co-host', 'attendee', 'viewer'];
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.close());
+
+/** A meeting with one person in each role */
+const seatEveryone = async () => {
+    const ids = { host: newUserId(), coHost: newUserId(), viewer: newUserId() };
+    const meeting = await createMeeting({
+        hostId: ids.host,
+        roles: [
+            { userId: ids.coHost, userName: 'Cora', role: 'co-host' },
+            { userId: ids.viewer, userName: 'Vic', role: 'viewer' },
+        ],
+    });
+    const clients = {
+        host: await server.connect({ userId: ids.host, name: 'Hana' }),
+        'co-host': await server.connect({ userId: ids.coHost, name: 'Cora' }),
+        attendee: await server.connect({ name: 'Ada' }),
+        viewer: await server.connect({ userId: ids.viewer, name: 'Vic' }),
+    };
+    for (const client of Object.values(clients)) await joinMeeting(client, meeting.meetingId);
+    return { meetingId: meeting.meetingId, clients };
+};
+
+// Someone to act on who is neither the actor nor a moderator
+const targetOf = ({ clients }, role) => (role === 'attendee' ? clients.viewer : clients.attendee);
+
+// ── Setups ──────────────────────────────────────────────────────────────────
+const queueGuest = async (ctx) => {
+    await Meeting.updateOne({ meetingId: ctx.meetingId }, { $set: { waitingRoomEnabled: true } });
+    ctx.waiting = await server.connect({ name: 'Wes' });
+    const queued = waitFor(ctx.waiting, 'join-waiting-room');
+    ctx.waiting.emit('join-room', { meetingId: ctx.meetingId });
+    await queued;
+};
+
+const openBreakouts = async (ctx) => {
+    const moved = [ctx.clients.attendee, ctx.clients.viewer].map((c) => waitFor(c, 'breakout-moved'));
+    ctx.clients.host.emit('breakout-start', { meetingId: ctx.meetingId, count: 1 });
+    await Promise.all(moved);
+};
+
+const createPoll = (status) => async (ctx) => {
+    ctx.poll = await Poll.create({
+        meetingId: ctx.meetingId,
+        createdBy: newUserId(),
+        question: 'Ship it?',
+        options: ['Yes', 'No'],
+        status,
+    });
+};
+
+// ── Cases ───────────────────────────────────────────────────────────────────
+// setup(ctx, role)      state the event needs
+// payload(ctx, role)    sent with the event (meetingId is added)
+// succeeded(ctx, role)  resolves once the event has taken effect
+const CASES = {
+    'lock-meeting': {
+        payload: () => ({ isLocked: true }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'meeting-locked', (p) => p.isLocked === true),
+    },
+    'end-meeting': {
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'meeting-ended'),
+    },
+    'approve-waiting': {
+        setup: queueGuest,
+        payload: (ctx) => ({ waitingSocketId: ctx.waiting.id }),
+        succeeded: (ctx) => waitFor(ctx.waiting, 'join-approved'),
+    },
+    'reject-waiting': {
+        setup: queueGuest,
+        payload: (ctx) => ({ waitingSocketId: ctx.waiting.id }),
+        succeeded: (ctx) => waitFor(ctx.waiting, 'join-rejected'),
+    },
+    'set-waiting-message': {
+        setup: queueGuest,
+        payload: () => ({ message: 'Starting in five minutes' }),
+        succeeded: (ctx) => waitFor(ctx.waiting, 'waiting-room-message'),
+    },
+    'remove-participant': {
+        payload: (ctx, role) => ({ targetSocketId: targetOf(ctx, role).id }),
+        succeeded: (ctx, role) => waitFor(targetOf(ctx, role), 'removed-from-meeting'),
+    },
+    'set-role': {
+        payload: (ctx, role) => ({ targetSocketId: targetOf(ctx, role).id, role: 'presenter' }),
+        succeeded: (ctx) => waitFor(ctx.clients.host, 'role-changed', (p) => p.role === 'presenter'),
+    },
+    'set-attendee-permissions': {
+        payload: () => ({ canUnmute: false }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'attendee-permissions', (p) => p.canUnmute === false),
+    },
+    'breakout-start': {
+        payload: () => ({ count: 2 }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'breakout-opened', (p) => p.rooms.length === 2),
+    },
+    'breakout-move': {
+        setup: openBreakouts,
+        payload: (ctx, role) => ({ targetSocketId: targetOf(ctx, role).id, breakoutId: null }),
+        succeeded: (ctx, role) => waitFor(targetOf(ctx, role), 'breakout-moved', (p) => p.breakoutId === null),
+    },
+    'breakout-broadcast': {
+        payload: () => ({ message: 'Two minutes left' }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'breakout-broadcast'),
+    },
+    'breakout-timer': {
+        setup: openBreakouts,
+        payload: () => ({ seconds: 120 }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'breakout-timer', (p) => !!p.endsAt),
+    },
+    'breakout-close': {
+        setup: openBreakouts,
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'breakout-closed'),
+    },
+    'poll-launch': {
+        setup: createPoll('draft'),
+        payload: (ctx) => ({ pollId: String(ctx.poll._id) }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'poll-launched'),
+    },
+    'poll-close': {
+        setup: createPoll('live'),
+        payload: (ctx) => ({ pollId: String(ctx.poll._id) }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'poll-closed'),
+    },
+    'qa-moderate': {
+        setup: async (ctx) => {
+            const asked = waitFor(ctx.clients.attendee, 'qa-asked');
+            ctx.clients.attendee.emit('qa-ask', { meetingId: ctx.meetingId, text: 'When is the release?' });
+            ctx.questionId = String((await asked).questionId);
+        },
+        payload: (ctx) => ({ questionId: ctx.questionId, action: 'promote' }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'qa-question', (p) => p.question.status === 'live'),
+    },
+    'lower-hand': {
+        setup: async (ctx, role) => {
+            const raised = waitFor(ctx.clients.host, 'hand-queue', (p) => p.queue.length === 1);
+            targetOf(ctx, role).emit('raise-hand', { meetingId: ctx.meetingId, raised: true });
+            await raised;
+        },
+        payload: (ctx, role) => ({ targetSocketId: targetOf(ctx, role).id }),
+        succeeded: (ctx) => waitFor(ctx.clients.host, 'hand-queue', (p) => p.queue.length === 0),
+    },
+    'wb-clear': {
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'wb-cleared'),
+    },
+    'agenda-set': {
+        payload: () => ({ agenda: [{ title: 'Intro', minutes: 5 }] }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'agenda-updated', (p) => p.agenda[0]?.title === 'Intro'),
+    },
+    'agenda-item': {
+        setup: async (ctx) => {
+            const updated = waitFor(ctx.clients.host, 'agenda-updated');
+            ctx.clients.host.emit('agenda-set', { meetingId: ctx.meetingId, agenda: [{ title: 'Intro', minutes: 5 }] });
+            ctx.itemId = (await updated).agenda[0].id;
+        },
+        payload: (ctx) => ({ itemId: ctx.itemId, status: 'active' }),
+        succeeded: (ctx) => waitFor(ctx.clients.attendee, 'agenda-updated', (p) => p.agenda[0]?.status === 'active'),
+    },
+};
+
+// Gives anything the server would still send for an earlier event time to arrive
+const roundTrip = async (ctx) => {
+    const denied = waitFor(ctx.clients.viewer, 'permission-denied', (p) => p.event === 'lock-meeting');
+    ctx.clients.viewer.emit('lock-meeting', { meetingId: ctx.meetingId, isLocked: false });
+    await denied;
+};
+
+it('has a case for every privileged event', () => {
+    assert.deepEqual(Object.keys(CASES).sort(), Object.keys(POLICIES).sort());
+});
+
+for (const [event, allowed] of Object.entries(POLICIES)) {
+    describe(event, () => {
+        for (const role of SEATED_ROLES) {
+            const permitted = allowed.includes(role);
+
+            it(permitted ? `succeeds for the ${role}` : `is denied to the ${role}`, async () => {
+                const { setup, payload = () => ({}), succeeded } = CASES[event];
+                const ctx = await seatEveryone();
+                try {
+                    if (setup) await setup(ctx, role);
+                    const actor = ctx.clients[role];
+                    const outcome = permitted
+                        ? succeeded(ctx, role)
+                        : waitFor(actor, 'permission-denied', (p) => p.event === event);
+                    let leaked = false;
+                    if (!permitted) succeeded(ctx, role).then(() => { leaked = true; }, () => { });
+
+                    actor.emit(event, { ...payload(ctx, role), meetingId: ctx.meetingId });
+                    const result = await outcome;
+
+                    if (!permitted) {
+                        assert.equal(result.meetingId, ctx.meetingId);
+                        // The handler never ran: a round trip later, still no effect
+                        await roundTrip(ctx);
+                        assert.equal(leaked, false, `${event} took effect for the ${role}`);
+                    }
+                } finally {
+                    [...Object.values(ctx.clients), ctx.waiting].filter(Boolean).forEach((c) => c.disconnect());
+                }
+            });
+        }
+    });
+}
@@ -0,0 +1,48 @@
+/**
+ * Hands and questions (socket/qa.js): a failure while raising a hand is
+ * reported with `qa-error`, like every other Q&A action.
+ */
+
+process.env.RESUME_GRACE_SECONDS = '0';
+
+const { it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, createMeeting, waitFor, joinMeeting, startServer } = require('./helpers/meetingServer');
+const { getStore, setStore } = require('../socket/roomState');
+
+quiet();
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.close());
+
+it('answers a raise-hand the store could not save with qa-error', async () => {
+    const { meetingId } = await createMeeting();
+    const ada = await server.connect({ name: 'Ada' });
+    await joinMeeting(ada, meetingId);
+
+    const store = getStore();
+    console.error = () => { }; // the handler logs the unexpected error
+    setStore({ ...store, updateParticipant: async () => { throw new Error('store unavailable'); } });
+    try {
+        const error = waitFor(ada, 'qa-error');
+        ada.emit('raise-hand', { meetingId, raised: true });
+        assert.deepEqual(await error, { questionId: null, message: 'Something went wrong with the Q&A.' });
+    } finally {
+        setStore(store);
+        ada.disconnect();
+    }
+
+    // Still works once the store is back
+    const ben = await server.connect({ name: 'Ben' });
+    try {
+        await joinMeeting(ben, meetingId);
+        const raised = waitFor(ben, 'hand-raised', (p) => p.raised);
+        ben.emit('raise-hand', { meetingId, raised: true });
+        assert.equal((await raised).userName, 'Ben');
+    } finally {
+        ben.disconnect();
+    }
+});
@@ -0,0 +1,71 @@
+/**
+ * Recording uploads (services/recordingService.js): a chunk sent twice – a
+ * retry racing the first request, or a retry after a write that was never
+ * counted – ends up in the file once.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting } = require('./helpers/meetingServer');
+const { collection } = require('./helpers/memoryDb');
+const Recording = require('../models/Recording');
+const { setStorage } = require('../services/storage');
+const createMemoryStorage = require('../services/storage/memory');
+const { startRecording, appendChunk } = require('../services/recordingService');
+
+quiet();
+
+let storage;
+beforeEach(() => {
+    storage = createMemoryStorage();
+    // Slow enough writes for a second request to arrive during the first
+    const append = storage.append;
+    storage.append = async (key, data) => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return append(key, data);
+    };
+    setStorage(storage);
+});
+
+const recording = async () => {
+    const hostId = newUserId();
+    const meeting = await createMeeting({ hostId });
+    return startRecording(null, meeting, { _id: hostId, name: 'Hana' }, { mimeType: 'video/webm' });
+};
+
+const stored = (rec) => storage.files.get(rec.storageKey);
+
+describe('recording chunks', () => {
+    it('writes a chunk sent twice at the same time once', async () => {
+        const rec = await recording();
+        const chunk = Buffer.from('chunk-0');
+
+        const results = await Promise.allSettled([appendChunk(rec, 0, chunk), appendChunk(rec, 0, chunk)]);
+        assert.equal(results.filter((r) => r.status === 'fulfilled').length, 1);
+        const refused = results.find((r) => r.status === 'rejected');
+        assert.equal(refused.reason.status, 503);
+        assert.deepEqual(stored(rec), chunk);
+
+        // The client's retry, once the first one has finished, is acknowledged
+        const retried = await appendChunk(rec, 0, chunk);
+        assert.equal(retried.chunks, 1);
+        assert.deepEqual(stored(rec), chunk);
+
+        await appendChunk(retried, 1, Buffer.from('chunk-1'));
+        assert.equal(stored(rec).toString(), 'chunk-0chunk-1');
+    });
+
+    it('drops the bytes of a write that was never counted before the retry', async () => {
+        const rec = await recording();
+        const first = await appendChunk(rec, 0, Buffer.from('chunk-0'));
+
+        // Chunk 1 reached the file, but the request failed before it was counted
+        await storage.append(rec.storageKey, Buffer.from('chunk-1'));
+        collection(Recording).find((r) => String(r._id) === String(rec._id)).writingAt = new Date(Date.now() - 2 * 60 * 1000);
+
+        const retried = await appendChunk(first, 1, Buffer.from('chunk-1'));
+        assert.equal(retried.chunks, 2);
+        assert.equal(retried.size, 14);
+        assert.equal(stored(rec).toString(), 'chunk-0chunk-1');
+    });
+});
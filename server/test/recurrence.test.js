@@ -0,0 +1,204 @@
+/**
+ * Recurring series: where a series ends (utils/recurrence.js) and how each
+ * occurrence gets a record of its own when the series is joined again
+ * (services/occurrenceService.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting } = require('./helpers/meetingServer');
+const Meeting = require('../models/Meeting');
+const Job = require('../models/Job');
+const MeetingEvent = require('../models/MeetingEvent');
+const Poll = require('../models/Poll');
+const Transcript = require('../models/Transcript');
+const { parseRRule, expandOccurrences, getSeriesEnd } = require('../utils/recurrence');
+const { joinMeeting } = require('../controllers/meetingController');
+const { occurrenceMeetingId } = require('../services/occurrenceService');
+
+quiet();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const series = (rrule, start = '2026-10-20T09:00:00Z') => ({
+    start: new Date(start),
+    durationMinutes: 30,
+    timeZone: 'UTC',
+    recurrence: parseRRule(rrule),
+});
+
+describe('getSeriesEnd', () => {
+    it('ends an UNTIL series at UNTIL plus one meeting, however many occurrences there are', () => {
+        const s = series('FREQ=DAILY;UNTIL=20301231T235959Z');
+        assert.equal(getSeriesEnd(s).toISOString(), '2031-01-01T00:29:59.000Z');
+    });
+
+    it('ends a COUNT series after its last occurrence', () => {
+        const s = series('FREQ=WEEKLY;COUNT=3');
+        assert.equal(getSeriesEnd(s).toISOString(), '2026-11-03T09:30:00.000Z');
+    });
+
+    it('has no end without COUNT or UNTIL', () => {
+        assert.equal(getSeriesEnd(series('FREQ=DAILY')), null);
+    });
+});
+
+describe('expandOccurrences', () => {
+    it('finds occurrences years into an open series', () => {
+        const from = new Date('2036-03-01T00:00:00Z');
+        const [occ] = expandOccurrences(series('FREQ=DAILY'), { from, to: new Date(from.getTime() + DAY_MS), limit: 1 });
+        assert.equal(occ.start.toISOString(), '2036-03-01T09:00:00.000Z');
+        assert.equal(occ.index, Math.round((occ.start - new Date('2026-10-20T09:00:00Z')) / DAY_MS));
+    });
+
+    it('stops on a rule no day matches', () => {
+        const from = new Date('2027-02-01T00:00:00Z');
+        // Every twelfth month from February: never has a 30th
+        const occurrences = expandOccurrences(series('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=30', '2027-02-01T09:00:00Z'), {
+            from,
+            to: new Date(from.getTime() + 3650 * DAY_MS),
+        });
+        assert.deepEqual(occurrences, []);
+    });
+});
+
+// ── Occurrences ─────────────────────────────────────────────────────────────
+const join = async (meetingId, userId) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await joinMeeting({ body: { meetingId }, user: userId ? { _id: userId } : null }, res);
+    return res;
+};
+
+/**
+ * A weekly series whose last occurrence ran and ended; the next one starts
+ * `startsIn` ms from now. Its host and an invited participant can reopen it.
+ */
+const endedSeries = async (startsIn = 5 * 60 * 1000) => {
+    const hostId = newUserId();
+    const invitedId = newUserId();
+    const scheduledStart = new Date(Date.now() + startsIn - 7 * DAY_MS);
+    const meeting = await createMeeting({
+        hostId,
+        participants: [invitedId],
+        status: 'ended',
+        isScheduled: true,
+        scheduledStart,
+        startTime: new Date(scheduledStart.getTime() + 2 * 60 * 1000),
+        endTime: new Date(scheduledStart.getTime() + 40 * 60 * 1000),
+        duration: 2280,
+        durationMinutes: 30,
+        timeZone: 'UTC',
+        recurrence: parseRRule('FREQ=WEEKLY'),
+        expiresAt: null,
+        summary: 'We shipped it.',
+        chatMessages: [{ userId: hostId, userName: 'Hana', message: 'Hello' }],
+        agenda: [{ title: 'Intro', minutes: 5, status: 'done' }],
+        notes: { text: 'Ship on Friday', revision: 3 },
+    });
+    const { meetingId } = meeting;
+    await Transcript.create({ meetingId, speakerName: 'Hana', text: 'Let us ship it' });
+    await Poll.create({ meetingId, createdBy: hostId, question: 'Ship it?', options: ['Yes', 'No'], status: 'closed' });
+    await MeetingEvent.create({ meetingId, type: 'hand-raise', userName: 'Ada' });
+    await Job.create({ type: 'summarize-meeting', meetingId, payload: { meetingId }, status: 'completed' });
+    return { meetingId, hostId, invitedId, occurrenceId: occurrenceMeetingId(meeting), ranAt: meeting.startTime };
+};
+
+describe('joining an ended recurring meeting', () => {
+    it('files the ended occurrence under its own meetingId and starts the next one clean', async () => {
+        const { meetingId, hostId, occurrenceId } = await endedSeries();
+
+        const res = await join(meetingId, hostId);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.meetingId, meetingId);
+
+        const past = await Meeting.findOne({ meetingId: occurrenceId }).lean();
+        assert.equal(past.seriesId, meetingId);
+        assert.equal(past.status, 'ended');
+        assert.equal(past.recurrence, null);
+        assert.equal(past.summary, 'We shipped it.');
+        assert.equal(past.notes.text, 'Ship on Friday');
+        assert.equal(past.chatMessages[0].message, 'Hello');
+
+        const next = await Meeting.findOne({ meetingId }).lean();
+        assert.equal(next.status, 'active');
+        assert.equal(next.recurrence.freq, 'WEEKLY');
+        assert.equal(next.summary, '');
+        assert.deepEqual(next.chatMessages, []);
+        assert.equal(next.notes.revision, 0);
+        assert.deepEqual(next.agenda.map((i) => [i.title, i.status]), [['Intro', 'pending']]);
+        assert.equal(next.endTime, undefined);
+
+        for (const Model of [Transcript, Poll, MeetingEvent, Job]) {
+            assert.equal(await Model.countDocuments({ meetingId }), 0, `${Model.modelName} left on the series`);
+            assert.equal(await Model.countDocuments({ meetingId: occurrenceId }), 1, `${Model.modelName} not moved`);
+        }
+        const job = await Job.findOne({ meetingId: occurrenceId }).lean();
+        assert.equal(job.payload.meetingId, occurrenceId);
+    });
+
+    it('gives a second occurrence on the same day its own meetingId', async () => {
+        const { meetingId, hostId, occurrenceId, ranAt } = await endedSeries();
+        await join(meetingId, hostId);
+        await Meeting.updateOne(
+            { meetingId },
+            { $set: { status: 'ended', startTime: ranAt, endTime: new Date(ranAt.getTime() + 60 * 60 * 1000) } }
+        );
+
+        await join(meetingId, hostId);
+        assert.deepEqual(
+            (await Meeting.find({ seriesId: meetingId }).lean()).map((m) => m.meetingId).sort(),
+            [occurrenceId, `${occurrenceId}-2`]
+        );
+    });
+
+    it('files the occurrence once when several people join at the same time', async () => {
+        const { meetingId, hostId, invitedId, occurrenceId } = await endedSeries();
+        const results = await Promise.all([join(meetingId, hostId), join(meetingId, invitedId), join(meetingId, hostId)]);
+
+        assert.deepEqual(results.map((r) => r.statusCode), [200, 200, 200]);
+        assert.equal(await Meeting.countDocuments({ seriesId: meetingId }), 1);
+        assert.equal(await Transcript.countDocuments({ meetingId: occurrenceId }), 1);
+    });
+
+    it('waits for the last occurrence\'s summary before reopening', async () => {
+        const { meetingId, hostId } = await endedSeries();
+        await Job.create({ type: 'build-report', meetingId, payload: { meetingId }, status: 'running' });
+
+        const res = await join(meetingId, hostId);
+        assert.equal(res.statusCode, 409);
+        assert.equal((await Meeting.findOne({ meetingId }).lean()).status, 'ended');
+        assert.equal(await Meeting.countDocuments({ seriesId: meetingId }), 0);
+    });
+
+    it('is reopened by the host or an invitee only', async () => {
+        const { meetingId, invitedId } = await endedSeries();
+
+        for (const userId of [null, newUserId()]) {
+            const res = await join(meetingId, userId);
+            assert.equal(res.statusCode, 403);
+        }
+        assert.equal((await Meeting.findOne({ meetingId }).lean()).status, 'ended');
+
+        assert.equal((await join(meetingId, invitedId)).statusCode, 200);
+        // Once it is open, anyone with the link joins as usual
+        assert.equal((await join(meetingId, null)).statusCode, 200);
+    });
+
+    it('is not reopened long before the next occurrence', async () => {
+        const { meetingId, hostId } = await endedSeries(DAY_MS);
+
+        const res = await join(meetingId, hostId);
+        assert.equal(res.statusCode, 410);
+        assert.match(res.body.message, /opens 15 minutes before it starts/);
+        assert.equal((await Meeting.findOne({ meetingId }).lean()).status, 'ended');
+        assert.equal(await Meeting.countDocuments({ seriesId: meetingId }), 0);
+
+        // Late for the occurrence, but while it is still on
+        const late = await endedSeries(-20 * 60 * 1000);
+        assert.equal((await join(late.meetingId, late.hostId)).statusCode, 200);
+    });
+});
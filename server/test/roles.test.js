@@ -0,0 +1,101 @@
+/**
+ * Role changes (socket/roles.js) are saved on the Meeting in one write each:
+ * changes made at the same time are all kept, and a user never ends up with
+ * two entries, or none while their role is being changed.
+ */
+
+process.env.RESUME_GRACE_SECONDS = '0';
+
+const { it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting, waitFor, joinMeeting, startServer } = require('./helpers/meetingServer');
+const Meeting = require('../models/Meeting');
+
+quiet();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.close());
+
+/** The saved roles, once they match `expected` */
+const savedRoles = async (meetingId, expected) => {
+    for (let i = 0; ; i += 1) {
+        const { roles } = await Meeting.findOne({ meetingId }).lean();
+        const saved = Object.fromEntries(roles.map((r) => [r.userName, r.role]));
+        if (i > 100 || JSON.stringify(saved) === JSON.stringify(expected)) return { saved, roles };
+        await sleep(10);
+    }
+};
+
+it('keeps every role change made at the same time', async () => {
+    const ids = { host: newUserId(), cora: newUserId(), ada: newUserId(), bo: newUserId() };
+    const { meetingId } = await createMeeting({
+        hostId: ids.host,
+        roles: [{ userId: ids.cora, userName: 'Cora', role: 'co-host' }],
+    });
+    const host = await server.connect({ userId: ids.host, name: 'Hana' });
+    const people = {
+        Cora: await server.connect({ userId: ids.cora, name: 'Cora' }),
+        Ada: await server.connect({ userId: ids.ada, name: 'Ada' }),
+        $bo: await server.connect({ userId: ids.bo, name: '$bo' }),
+    };
+    try {
+        for (const client of [host, ...Object.values(people)]) await joinMeeting(client, meetingId);
+
+        const changes = { Cora: 'presenter', Ada: 'co-host', $bo: 'viewer' };
+        const changed = Object.keys(changes).map((name) => waitFor(host, 'role-changed', (p) => p.userName === name));
+        for (const [name, role] of Object.entries(changes)) {
+            host.emit('set-role', { meetingId, targetSocketId: people[name].id, role });
+        }
+        await Promise.all(changed);
+
+        const { saved, roles } = await savedRoles(meetingId, changes);
+        assert.deepEqual(saved, changes);
+        assert.equal(roles.length, 3);
+
+        // Back to attendee: the entry goes
+        const back = waitFor(host, 'role-changed', (p) => p.userName === 'Ada');
+        host.emit('set-role', { meetingId, targetSocketId: people.Ada.id, role: 'attendee' });
+        await back;
+        assert.deepEqual((await savedRoles(meetingId, { Cora: 'presenter', $bo: 'viewer' })).saved, { Cora: 'presenter', $bo: 'viewer' });
+    } finally {
+        [host, ...Object.values(people)].forEach((c) => c.disconnect());
+    }
+});
+
+it('never saves a user without their role while it changes', async () => {
+    const ids = { host: newUserId(), cora: newUserId() };
+    const { meetingId } = await createMeeting({
+        hostId: ids.host,
+        roles: [{ userId: ids.cora, userName: 'Cora', role: 'co-host' }],
+    });
+    const host = await server.connect({ userId: ids.host, name: 'Hana' });
+    const cora = await server.connect({ userId: ids.cora, name: 'Cora' });
+    for (const client of [host, cora]) await joinMeeting(client, meetingId);
+
+    // What another instance could read after each write
+    const seen = [];
+    const updateOne = Meeting.updateOne;
+    Meeting.updateOne = function (...args) {
+        return updateOne.apply(this, args).then(async (result) => {
+            const { roles } = await Meeting.findOne({ meetingId }).lean();
+            seen.push(roles.filter((r) => r.userId === ids.cora).map((r) => r.role));
+            return result;
+        });
+    };
+    try {
+        const changed = waitFor(host, 'role-changed', (p) => p.userName === 'Cora');
+        host.emit('set-role', { meetingId, targetSocketId: cora.id, role: 'presenter' });
+        await changed;
+        await savedRoles(meetingId, { Cora: 'presenter' });
+
+        assert.deepEqual(seen, [['presenter']]);
+    } finally {
+        Meeting.updateOne = updateOne;
+        [host, cora].forEach((c) => c.disconnect());
+    }
+});
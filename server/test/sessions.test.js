@@ -0,0 +1,94 @@
+/**
+ * Resuming a dropped seat (socket/sessions.js): a resume token is used once, so
+ * two resumes at the same time – or a resume racing the end of the grace
+ * period – leave the user with one seat.
+ */
+
+process.env.RESUME_GRACE_SECONDS = '5';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting, joinMeeting, startServer } = require('./helpers/meetingServer');
+const { getStore, setStore } = require('../socket/roomState');
+const { scheduleTimer, fireDueTimers } = require('../socket/timers');
+
+quiet();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** The memory store, answering a few ms late like one over the network */
+const withLatency = (store) => Object.fromEntries(Object.entries(store).map(([name, fn]) => [
+    name,
+    async (...args) => {
+        await sleep(5);
+        return fn(...args);
+    },
+]));
+
+let server;
+let memory;
+before(async () => {
+    memory = getStore();
+    setStore(withLatency(memory));
+    server = await startServer();
+});
+after(async () => {
+    await server.close();
+    setStore(memory);
+});
+
+/** A signed-in user's seat, held after their connection dropped */
+const droppedSeat = async () => {
+    const userId = newUserId();
+    const { meetingId } = await createMeeting({ hostId: userId });
+    const first = await server.connect({ userId, name: 'Hana' });
+    const { resumeToken } = await joinMeeting(first, meetingId);
+    const previousSocketId = first.id;
+    first.disconnect();
+
+    for (let i = 0; !(await getStore().getParticipant(meetingId, previousSocketId))?.disconnected; i += 1) {
+        if (i > 100) throw new Error('The seat was not held');
+        await sleep(10);
+    }
+    return { userId, meetingId, previousSocketId, resumeToken };
+};
+
+/** Emit resume-session and resolve with the outcome */
+const resume = (client, request) => new Promise((resolve) => {
+    client.once('session-resumed', () => resolve('resumed'));
+    client.once('resume-failed', () => resolve('failed'));
+    client.emit('resume-session', request);
+});
+
+const seatsOf = async (meetingId, userId) =>
+    (await getStore().getParticipants(meetingId)).filter((p) => String(p.userId) === userId);
+
+describe('resume', () => {
+    it('gives the seat to one of two resumes sent at the same time', async () => {
+        const { userId, meetingId, ...request } = await droppedSeat();
+        const tabs = await Promise.all([1, 2].map(() => server.connect({ userId, name: 'Hana' })));
+
+        const outcomes = await Promise.all(tabs.map((tab) => resume(tab, { meetingId, ...request })));
+        assert.deepEqual([...outcomes].sort(), ['failed', 'resumed']);
+
+        const seats = await seatsOf(meetingId, userId);
+        assert.equal(seats.length, 1);
+        assert.equal(seats[0].socketId, tabs[outcomes.indexOf('resumed')].id);
+        tabs.forEach((tab) => tab.disconnect());
+    });
+
+    it('keeps a resumed seat when the grace period ends at the same time', async () => {
+        const { userId, meetingId, ...request } = await droppedSeat();
+        const tab = await server.connect({ userId, name: 'Hana' });
+
+        // The grace period is up right now
+        const { previousSocketId } = request;
+        await scheduleTimer(`seat:${previousSocketId}`, Date.now(), 'seat-grace', { meetingId, socketId: previousSocketId });
+        const [outcome] = await Promise.all([resume(tab, { meetingId, ...request }), fireDueTimers(server.io)]);
+
+        const seats = await seatsOf(meetingId, userId);
+        if (outcome === 'resumed') assert.deepEqual(seats.map((s) => s.socketId), [tab.id]);
+        else assert.equal(seats.length, 0);
+        tab.disconnect();
+    });
+});
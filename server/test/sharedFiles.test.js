@@ -0,0 +1,152 @@
+/**
+ * Files shared in the chat (services/fileService.js): the meeting's budget
+ * holds under concurrent uploads, unshared uploads are cleaned up, and a
+ * download link only works for the person it was sent to.
+ */
+
+process.env.SHARED_FILES_MEETING_MB = '1';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting } = require('./helpers/meetingServer');
+const { collection } = require('./helpers/memoryDb');
+const Meeting = require('../models/Meeting');
+const SharedFile = require('../models/SharedFile');
+const { setStorage, getStorage } = require('../services/storage');
+const createMemoryStorage = require('../services/storage/memory');
+const { getStore } = require('../socket/roomState');
+const {
+    saveSharedFile,
+    attachSharedFile,
+    removeUnsharedFiles,
+    issueFileToken,
+    verifyFileToken,
+    canOpenSharedFile,
+    formatAttachment,
+} = require('../services/fileService');
+const { postMessage } = require('../services/chatService');
+const { streamSharedFile } = require('../controllers/fileController');
+
+quiet();
+
+before(() => setStorage(createMemoryStorage()));
+
+const KB = 1024;
+
+const pdf = (bytes) => ({
+    originalname: 'notes.pdf',
+    mimetype: 'application/pdf',
+    buffer: Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(bytes - 9)]),
+});
+
+const usedBytes = async (meetingId) => (await Meeting.findOne({ meetingId }).lean()).sharedFileBytes;
+
+const uploader = { userId: 'guest_ada', userName: 'Ada' };
+
+describe('meeting budget', () => {
+    it('lets no more through than fits when uploads arrive together', async () => {
+        const { meetingId } = await createMeeting();
+        const results = await Promise.allSettled(
+            Array.from({ length: 5 }, () => saveSharedFile(meetingId, uploader, pdf(300 * KB)))
+        );
+
+        const saved = results.filter((r) => r.status === 'fulfilled');
+        assert.equal(saved.length, 3);
+        results.filter((r) => r.status === 'rejected').forEach((r) => assert.equal(r.reason.status, 413));
+        assert.equal(await usedBytes(meetingId), 900 * KB);
+        assert.equal(await SharedFile.countDocuments({ meetingId }), 3);
+    });
+
+    it('gives the space back when a file is removed', async () => {
+        const { meetingId } = await createMeeting();
+        await saveSharedFile(meetingId, uploader, pdf(600 * KB));
+        await removeUnsharedFiles({ meetingId });
+
+        assert.equal(await usedBytes(meetingId), 0);
+        await saveSharedFile(meetingId, uploader, pdf(900 * KB));
+    });
+});
+
+describe('unshared uploads', () => {
+    it('are removed, bytes and all, once they are older than PENDING_FILE_MINUTES', async () => {
+        const { meetingId } = await createMeeting();
+        const stale = await saveSharedFile(meetingId, uploader, pdf(700 * KB));
+        // createdAt is immutable to updates: age the stored record itself
+        collection(SharedFile).find((f) => String(f._id) === String(stale._id)).createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+        // Without the stale one this would not fit
+        await saveSharedFile(meetingId, uploader, pdf(700 * KB));
+
+        assert.equal(await SharedFile.exists({ _id: stale._id }), null);
+        assert.equal(await getStorage().stat(stale.storageKey), null);
+        assert.equal(await usedBytes(meetingId), 700 * KB);
+    });
+
+    it('are removed when the meeting ends, shared ones are kept', async () => {
+        const { meetingId } = await createMeeting();
+        const shared = await saveSharedFile(meetingId, uploader, pdf(10 * KB));
+        await attachSharedFile(meetingId, shared._id, uploader.userId, newUserId());
+        await saveSharedFile(meetingId, uploader, pdf(10 * KB));
+
+        assert.equal(await removeUnsharedFiles({ meetingId }), 1);
+        assert.deepEqual((await SharedFile.find({ meetingId }).lean()).map((f) => String(f._id)), [String(shared._id)]);
+    });
+});
+
+describe('download links', () => {
+    const respond = () => ({
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    });
+
+    /** A file Ada sent to Bo as a direct message, in a meeting both are seated in */
+    const directFile = async () => {
+        const hostId = newUserId();
+        const { meetingId } = await createMeeting({ hostId, participants: [hostId] });
+        await getStore().addParticipant(meetingId, 'socket-ada', { socketId: 'socket-ada', userId: 'guest_ada', userName: 'Ada' });
+        await getStore().addParticipant(meetingId, 'socket-bo', { socketId: 'socket-bo', userId: 'guest_bo', userName: 'Bo' });
+
+        const file = await saveSharedFile(meetingId, uploader, pdf(10 * KB));
+        await postMessage(
+            meetingId,
+            uploader,
+            { text: 'For you', recipient: { userId: 'guest_bo', userName: 'Bo' }, fileId: file._id },
+            async () => []
+        );
+        return { meetingId, hostId, file: await SharedFile.findById(file._id) };
+    };
+
+    it('name the person they were issued to', () => {
+        const token = issueFileToken('64b000000000000000000001', 'guest_bo');
+        assert.deepEqual(verifyFileToken(token), { fileId: '64b000000000000000000001', viewerId: 'guest_bo' });
+        assert.equal(formatAttachment({ fileId: '64b000000000000000000001' }, null), null);
+    });
+
+    it('open for the two people of a direct message, not for others', async () => {
+        const { meetingId, hostId, file } = await directFile();
+        assert.equal(await canOpenSharedFile(file, 'guest_ada'), true);
+        assert.equal(await canOpenSharedFile(file, 'guest_bo'), true);
+        // The host is a member, but not part of the direct message
+        assert.equal(await canOpenSharedFile(file, hostId), false);
+
+        await getStore().removeParticipant(meetingId, 'socket-bo');
+        assert.equal(await canOpenSharedFile(file, 'guest_bo'), false, 'a guest who left keeps access');
+    });
+
+    it('are refused for anyone but the person they were issued to', async () => {
+        const { meetingId, file } = await directFile();
+        await getStore().addParticipant(meetingId, 'socket-cy', { socketId: 'socket-cy', userId: 'guest_cy', userName: 'Cy' });
+
+        const res = respond();
+        await streamSharedFile(
+            { params: { id: String(file._id) }, query: { token: issueFileToken(file._id, 'guest_cy') }, headers: {} },
+            res
+        );
+        assert.equal(res.statusCode, 403);
+
+        const forged = respond();
+        await streamSharedFile({ params: { id: String(file._id) }, query: { token: 'nope' }, headers: {} }, forged);
+        assert.equal(forged.statusCode, 401);
+    });
+});
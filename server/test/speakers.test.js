@@ -0,0 +1,81 @@
+/**
+ * Speaker labels (services/speakerService.js): mapping the voices of an
+ * imported recording credits their speaking time, to any registered user.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting } = require('./helpers/meetingServer');
+const Engagement = require('../models/Engagement');
+const Meeting = require('../models/Meeting');
+const Transcript = require('../models/Transcript');
+const User = require('../models/User');
+const { mapSpeakerLabel } = require('../services/speakerService');
+
+quiet();
+
+let people = 0;
+const register = (name) => {
+    people += 1;
+    return User.create({ name, email: `${name.toLowerCase()}${people}@example.com`, password: 'secret123' });
+};
+
+/** An imported meeting (only its host is a member) with two 30-second segments of "Speaker 1" */
+const imported = async () => {
+    const meeting = await createMeeting({ hostId: newUserId(), source: 'imported', status: 'ended' });
+    await Transcript.create([0, 30].map((s) => ({
+        meetingId: meeting.meetingId,
+        speakerId: null,
+        speakerName: 'Speaker 1',
+        speakerLabel: 'Speaker 1',
+        diarizationId: 'import-1',
+        text: 'Hello from the recording',
+        duration: 30,
+        timestamp: new Date(meeting.startTime.getTime() + s * 1000),
+    })));
+    return Meeting.findOne({ meetingId: meeting.meetingId });
+};
+
+const speakingTime = async (meetingId, user) =>
+    (await Engagement.findOne({ meetingId, userId: user._id }).lean())?.speakingTime ?? null;
+
+describe('speaker mapping', () => {
+    it('credits uncredited segments to a user who was not in the meeting', async () => {
+        const meeting = await imported();
+        const ada = await register('Ada');
+
+        const result = await mapSpeakerLabel(meeting, { diarizationId: 'import-1', label: 'Speaker 1', userId: String(ada._id) });
+        assert.equal(result.speakerName, 'Ada');
+        assert.equal(await speakingTime(meeting.meetingId, ada), 60);
+
+        const stored = await Meeting.findById(meeting._id).lean();
+        assert.ok(stored.participants.some((p) => String(p) === String(ada._id)));
+        assert.ok((await User.findById(ada._id).lean()).meetingsJoined.some((m) => String(m) === String(meeting._id)));
+    });
+
+    it('moves the time along when the label is mapped again, by email or to a guest', async () => {
+        const meeting = await imported();
+        const ada = await register('Ada');
+        const bo = await register('Bo');
+
+        await mapSpeakerLabel(meeting, { diarizationId: 'import-1', label: 'Speaker 1', userId: String(ada._id) });
+        await mapSpeakerLabel(meeting, { diarizationId: 'import-1', label: 'Speaker 1', email: bo.email.toUpperCase() });
+        assert.equal(await speakingTime(meeting.meetingId, ada), 0);
+        assert.equal(await speakingTime(meeting.meetingId, bo), 60);
+
+        // Mapping to the same person twice credits them once
+        await mapSpeakerLabel(meeting, { diarizationId: 'import-1', label: 'Speaker 1', userId: String(bo._id) });
+        assert.equal(await speakingTime(meeting.meetingId, bo), 60);
+
+        await mapSpeakerLabel(meeting, { diarizationId: 'import-1', label: 'Speaker 1', name: 'Visitor' });
+        assert.equal(await speakingTime(meeting.meetingId, bo), 0);
+    });
+
+    it('refuses an unknown user', async () => {
+        const meeting = await imported();
+        await assert.rejects(
+            mapSpeakerLabel(meeting, { diarizationId: 'import-1', label: 'Speaker 1', email: 'nobody@example.com' }),
+            { status: 400 }
+        );
+    });
+});
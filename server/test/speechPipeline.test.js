@@ -0,0 +1,128 @@
+/**
+ * Uploaded audio to summary, offline: transcribe-chunk jobs run through the
+ * fake speech provider (services/speech/fake.js) and summarize-meeting
+ * summarizes what they saved (services/jobHandlers.js), once no chunk is
+ * left to transcribe.
+ */
+
+process.env.JOB_WORKERS = '1';
+process.env.JOB_POLL_SECONDS = '0.02';
+process.env.SUMMARY_WAIT_SECONDS = '0.05';
+// Summaries on: a transcript this short is quoted, not sent to the model
+process.env.HUGGINGFACE_API_KEY = 'hf_test';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting } = require('./helpers/meetingServer');
+const Job = require('../models/Job');
+const Meeting = require('../models/Meeting');
+const Transcript = require('../models/Transcript');
+const { enqueueJob, startJobWorkers, stopJobWorkers } = require('../services/jobQueue');
+const { JOB_TYPES, registerJobHandlers } = require('../services/jobHandlers');
+const { setSpeechProvider } = require('../services/speech');
+const createFakeProvider = require('../services/speech/fake');
+
+quiet();
+console.error = () => { }; // the failing job is logged
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** The job once a worker is done with it */
+const finished = async (job, timeout = 3000) => {
+    const end = Date.now() + timeout;
+    for (;;) {
+        const current = await Job.findById(job._id).lean();
+        if (['completed', 'failed'].includes(current.status)) return current;
+        if (Date.now() > end) throw new Error(`Job ${job.type} still ${current.status}`);
+        await sleep(20);
+    }
+};
+
+let stt;
+before(() => {
+    stt = createFakeProvider({
+        results: [
+            'We decided to ship the release on Friday.',
+            new Error('Speech provider unavailable'),
+            'Bo will update the docs by Monday.',
+            'We will meet again next Tuesday to review the launch.',
+        ],
+    });
+    setSpeechProvider(stt);
+    registerJobHandlers();
+    startJobWorkers(null);
+});
+after(() => stopJobWorkers());
+
+describe('speech to summary', () => {
+    it('transcribes uploaded chunks and summarizes the meeting from them', async () => {
+        const hostId = newUserId();
+        const { meetingId } = await createMeeting({ hostId, startTime: new Date('2026-10-19T10:00:00Z') });
+        const chunk = (speakerName, at) => enqueueJob(JOB_TYPES.TRANSCRIBE_CHUNK, {
+            meetingId,
+            speakerId: hostId,
+            speakerName,
+            duration: 4,
+            mimeType: 'audio/webm',
+            timestamp: new Date(at),
+        }, { meetingId, data: Buffer.from(`${speakerName} speaking`), maxAttempts: 1 });
+
+        const first = await finished(await chunk('Hana', '2026-10-19T10:00:05Z'));
+        assert.equal(first.status, 'completed', first.lastError);
+        assert.equal(first.result.text, 'We decided to ship the release on Friday.');
+
+        const lost = await finished(await chunk('Hana', '2026-10-19T10:00:10Z'));
+        assert.equal(lost.status, 'failed');
+        assert.match(lost.lastError, /Speech provider unavailable/);
+
+        const third = await finished(await chunk('Bo', '2026-10-19T10:00:15Z'));
+        assert.equal(third.result.speakerName, 'Bo');
+
+        assert.deepEqual(stt.calls.map((c) => [c.bytes, c.mimeType]), [
+            [13, 'audio/webm'], [13, 'audio/webm'], [11, 'audio/webm'],
+        ]);
+        const saved = await Transcript.find({ meetingId }).sort({ timestamp: 1 }).lean();
+        assert.deepEqual(saved.map((t) => t.speakerName), ['Hana', 'Bo']);
+        assert.equal(saved[0].words.length, 8); // word timings from the provider
+
+        const summarized = await finished(await enqueueJob(JOB_TYPES.SUMMARIZE_MEETING, { meetingId }, { meetingId, unique: true }));
+        assert.equal(summarized.status, 'completed');
+
+        const meeting = await Meeting.findOne({ meetingId }).lean();
+        assert.equal(meeting.summary, 'Hana: We decided to ship the release on Friday.\nBo: Bo will update the docs by Monday.');
+        assert.deepEqual(meeting.summaryStructured.decisions, ['Hana: We decided to ship the release on Friday']);
+        assert.equal(meeting.summaryStructured.highlights.length, 1);
+        assert.match(meeting.summaryStructured.actionItems.join('\n'), /update the docs/);
+    });
+
+    it('waits for chunks still being transcribed before summarizing', async () => {
+        const hostId = newUserId();
+        const { meetingId } = await createMeeting({ hostId, startTime: new Date('2026-10-19T10:00:00Z') });
+
+        // The last chunk of the meeting failed once and is backing off
+        const chunk = await enqueueJob(JOB_TYPES.TRANSCRIBE_CHUNK, {
+            meetingId,
+            speakerId: hostId,
+            speakerName: 'Hana',
+            duration: 4,
+            mimeType: 'audio/webm',
+            timestamp: new Date('2026-10-19T10:59:55Z'),
+        }, { meetingId, data: Buffer.from('last words') });
+        await Job.updateOne({ _id: chunk._id }, { $set: { runAt: new Date(Date.now() + 60 * 1000) } });
+
+        const summary = await enqueueJob(JOB_TYPES.SUMMARIZE_MEETING, { meetingId }, { meetingId, unique: true });
+        await sleep(300);
+        const waiting = await Job.findById(summary._id).lean();
+        assert.equal(waiting.status, 'queued');
+        assert.ok(waiting.deferrals >= 2);
+        assert.equal(waiting.attempts, 0);
+        assert.match(waiting.lastError, /Waiting for 1 audio chunk/);
+
+        await Job.updateOne({ _id: chunk._id }, { $set: { runAt: new Date() } });
+        assert.equal((await finished(summary)).status, 'completed');
+        assert.equal((await finished(chunk)).status, 'completed');
+
+        const meeting = await Meeting.findOne({ meetingId }).lean();
+        assert.equal(meeting.summary, 'Hana: We will meet again next Tuesday to review the launch.');
+    });
+});
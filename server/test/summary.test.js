@@ -0,0 +1,46 @@
+/**
+ * The summary page's data (GET /api/meetings/:id/summary): for the meeting's
+ * members only, like its notes, timeline and whiteboard.
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting } = require('./helpers/meetingServer');
+const { getMeetingSummary } = require('../controllers/meetingController');
+
+quiet();
+
+const respond = () => ({
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+});
+
+const summaryFor = async (meetingId, userId) => {
+    const res = respond();
+    await getMeetingSummary({ params: { meetingId }, user: { _id: userId } }, res);
+    return res;
+};
+
+it('is refused to a signed-in user who was not in the meeting', async () => {
+    const hostId = newUserId();
+    const participantId = newUserId();
+    const { meetingId } = await createMeeting({
+        hostId,
+        participants: [participantId],
+        status: 'ended',
+        notes: { text: 'Budget: confidential', revision: 1 },
+        agenda: [{ title: 'Layoffs', minutes: 10 }],
+    });
+
+    const outsider = await summaryFor(meetingId, newUserId());
+    assert.equal(outsider.statusCode, 404);
+    assert.equal(outsider.body.notes, undefined);
+
+    for (const member of [hostId, participantId]) {
+        const res = await summaryFor(meetingId, member);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.notes, 'Budget: confidential');
+        assert.deepEqual(res.body.agenda.map((i) => i.title), ['Layoffs']);
+    }
+});
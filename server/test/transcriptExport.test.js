@@ -0,0 +1,117 @@
+/**
+ * Transcript exports: the ZIP and DOCX writers (utils/zip.js, utils/docx.js)
+ * produce archives a reader can open, and SRT / WebVTT captions
+ * (services/transcriptExportService.js) keep to two lines of 42 characters.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, createMeeting } = require('./helpers/meetingServer');
+const { readZip } = require('./helpers/unzip');
+const Transcript = require('../models/Transcript');
+const { createZip, crc32 } = require('../utils/zip');
+const { createDocx } = require('../utils/docx');
+const { exportTranscript } = require('../services/transcriptExportService');
+
+quiet();
+
+describe('zip', () => {
+    it('computes the standard CRC-32', () => {
+        assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+        assert.equal(crc32(Buffer.alloc(0)), 0);
+    });
+
+    it('reads back every file, name and date as written', () => {
+        const modified = new Date(2026, 9, 19, 14, 30, 8);
+        const files = [
+            { name: 'notes.txt', data: 'Hello, world\n'.repeat(200) },
+            { name: 'dossier/résumé – été.txt', data: 'Ünïcödé ✓' },
+            { name: 'empty.bin', data: Buffer.alloc(0) },
+            { name: 'random.bin', data: Buffer.from(Array.from({ length: 4096 }, (_, i) => (i * 7919) % 251)) },
+        ];
+
+        const entries = readZip(createZip(files, modified));
+        assert.deepEqual(entries.map((e) => e.name), files.map((f) => f.name));
+        entries.forEach((entry, i) => {
+            const data = Buffer.isBuffer(files[i].data) ? files[i].data : Buffer.from(files[i].data, 'utf8');
+            assert.deepEqual(entry.data, data, entry.name);
+            assert.equal(entry.crc, crc32(data), entry.name);
+            assert.equal(entry.modified.getTime(), modified.getTime());
+        });
+    });
+});
+
+describe('docx', () => {
+    it('is a package Word can open, with the text escaped and line breaks kept', () => {
+        const docx = createDocx({
+            title: 'Q3 <review> & "plans"',
+            paragraphs: [
+                { runs: [{ text: 'Title', bold: true, size: 18 }], spacingAfter: 6 },
+                { runs: [{ text: 'Ada & Bo\nsecond line\u0007', italic: true, color: '666666' }] },
+            ],
+        });
+
+        const parts = new Map(readZip(docx).map((e) => [e.name, e.data.toString('utf8')]));
+        assert.deepEqual([...parts.keys()], ['[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/document.xml']);
+        assert.match(parts.get('[Content_Types].xml'), /PartName="\/word\/document\.xml"/);
+        assert.match(parts.get('_rels/.rels'), /Target="word\/document\.xml"/);
+        assert.match(parts.get('docProps/core.xml'), /<dc:title>Q3 &lt;review&gt; &amp; &quot;plans&quot;<\/dc:title>/);
+
+        const document = parts.get('word/document.xml');
+        assert.match(document, /<w:rPr><w:b\/><w:sz w:val="36"\/><\/w:rPr><w:t xml:space="preserve">Title<\/w:t>/);
+        assert.match(document, /<w:spacing w:after="120"\/>/);
+        assert.match(document, /Ada &amp; Bo<\/w:t><w:br\/><w:t xml:space="preserve">second line<\/w:t>/);
+    });
+});
+
+describe('captions', () => {
+    const LONG = 'Pneumonoultramicroscopicsilicovolcanoconiosis-and-then-some'; // 59 characters
+
+    /** A meeting whose transcript has long words, with and without word timings */
+    const transcribed = async () => {
+        const meeting = await createMeeting({ startTime: new Date('2026-10-19T10:00:00Z') });
+        const text = `The doctor said ${LONG} twice, then explained the ${LONG} diagnosis to everyone who was still listening in the room at that point.`;
+        let at = 0;
+        await Transcript.create([
+            { meetingId: meeting.meetingId, speakerName: 'Dr. Maximiliana Featherstonehaugh', text, timestamp: new Date('2026-10-19T10:00:05Z'), duration: 20 },
+            {
+                meetingId: meeting.meetingId,
+                speakerName: 'Ada',
+                text,
+                timestamp: new Date('2026-10-19T10:00:30Z'),
+                words: text.split(' ').map((word) => ({ word, start: at, end: (at += 0.4) })),
+            },
+        ]);
+        return { meeting, text };
+    };
+
+    /** Cue text blocks of an SRT / WebVTT file, without their number and timing lines */
+    const cueBlocks = (body) => body.trim().split(/\n\n+/)
+        .map((block) => block.split('\n'))
+        .filter((lines) => lines.some((l) => l.includes(' --> ')))
+        .map((lines) => lines.slice(lines.findIndex((l) => l.includes(' --> ')) + 1));
+
+    const assertFits = (blocks) => {
+        blocks.forEach((lines) => {
+            assert.ok(lines.length <= 2, `more than two lines: ${JSON.stringify(lines)}`);
+            lines.forEach((line) => assert.ok(line.length <= 42, `line of ${line.length} characters: "${line}"`));
+        });
+    };
+
+    it('keep SRT cues to two lines of 42 characters, speaker label included', async () => {
+        const { meeting, text } = await transcribed();
+        const blocks = cueBlocks((await exportTranscript(meeting, 'srt')).body);
+        assertFits(blocks);
+
+        // Nothing said is lost in the wrapping
+        const ada = blocks.map((lines) => lines.join(' ')).filter((cue) => cue.startsWith('Ada: '));
+        assert.equal(ada.map((cue) => cue.slice('Ada: '.length)).join(' ').replace(/\s+/g, ''), text.replace(/\s+/g, ''));
+    });
+
+    it('keep WebVTT cues to two lines of 42 characters', async () => {
+        const { meeting } = await transcribed();
+        const { body } = await exportTranscript(meeting, 'vtt');
+        assert.ok(body.startsWith('WEBVTT'));
+        assertFits(cueBlocks(body.replace(/<v [^>]*>/g, '')));
+    });
+});
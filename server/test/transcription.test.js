@@ -0,0 +1,141 @@
+/**
+ * Streaming transcription (socket/transcription.js) with the fake speech
+ * provider: captions reach the stage, and a stream ends as soon as its
+ * speaker may no longer speak.
+ */
+
+process.env.RESUME_GRACE_SECONDS = '0';
+process.env.TRANSCRIPTION_MODE = 'stream';
+process.env.TRANSCRIBE_PARTIAL_SECONDS = '0.001'; // a partial for every chunk
+process.env.TRANSCRIBE_SEGMENT_SECONDS = '60';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, newUserId, createMeeting, waitFor, joinMeeting, startServer } = require('./helpers/meetingServer');
+const Transcript = require('../models/Transcript');
+const { setSpeechProvider } = require('../services/speech');
+const createFakeProvider = require('../services/speech/fake');
+
+quiet();
+
+let server;
+let stt;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.close());
+beforeEach(() => {
+    stt = createFakeProvider({ results: ['Hello there'] });
+    setSpeechProvider(stt);
+});
+
+const chunk = (n) => Buffer.from(`chunk-${n}`);
+
+/** Host and an attendee in a meeting, the attendee streaming */
+const streaming = async () => {
+    const hostId = newUserId();
+    const { meetingId } = await createMeeting({ hostId });
+    const host = await server.connect({ userId: hostId, name: 'Hana' });
+    const ada = await server.connect({ name: 'Ada' });
+    await joinMeeting(host, meetingId);
+    await joinMeeting(ada, meetingId);
+
+    const started = waitFor(ada, 'transcription-started');
+    ada.emit('transcription-start', { meetingId, mimeType: 'audio/webm' });
+    await started;
+    return { meetingId, host, ada };
+};
+
+/** Send a chunk and wait until the server has taken it (its partial caption) */
+const speak = async (client, meetingId, n) => {
+    const partial = waitFor(client, 'transcript-partial');
+    client.emit('transcription-audio', { meetingId, chunk: chunk(n) });
+    return partial;
+};
+
+// Anything the server would still do for an earlier event has happened by the time this answers
+const roundTrip = async (client) => {
+    const answered = waitFor(client, 'transcription-error');
+    client.emit('transcription-start', { meetingId: 'NO-SUCH' });
+    await answered;
+};
+
+describe('streaming transcription', () => {
+    it('sends captions to the stage and saves the final text', async () => {
+        const { meetingId, host, ada } = await streaming();
+        try {
+            const partial = waitFor(host, 'transcript-partial');
+            ada.emit('transcription-audio', { meetingId, chunk: chunk(1) });
+            assert.equal((await partial).text, 'Hello there');
+
+            const final = waitFor(host, 'transcript-final');
+            ada.emit('transcription-stop');
+            assert.equal((await final).userName, 'Ada');
+
+            const saved = await Transcript.find({ meetingId }).lean();
+            assert.deepEqual(saved.map((t) => [t.speakerName, t.text]), [['Ada', 'Hello there']]);
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+
+    it('stops when the host takes away the right to unmute', async () => {
+        const { meetingId, host, ada } = await streaming();
+        try {
+            await speak(ada, meetingId, 1);
+
+            const revoked = waitFor(ada, 'attendee-permissions', (p) => p.canUnmute === false);
+            host.emit('set-attendee-permissions', { meetingId, canUnmute: false });
+            await revoked;
+
+            // What was said before still counts; the chunk sent after does not
+            const stopped = waitFor(ada, 'transcription-stopped');
+            const final = waitFor(host, 'transcript-final');
+            ada.emit('transcription-audio', { meetingId, chunk: chunk(2) });
+            assert.equal((await stopped).meetingId, meetingId);
+            assert.equal((await final).text, 'Hello there');
+            assert.ok(!stt.calls.some((c) => c.bytes > chunk(1).length), 'audio after the change was transcribed');
+
+            const calls = stt.calls.length;
+            ada.emit('transcription-audio', { meetingId, chunk: chunk(3) });
+            await roundTrip(ada);
+            assert.equal(stt.calls.length, calls);
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+
+    it('stops when the speaker is made a viewer', async () => {
+        const { meetingId, host, ada } = await streaming();
+        try {
+            await speak(ada, meetingId, 1);
+
+            const changed = waitFor(ada, 'role-changed', (p) => p.role === 'viewer');
+            host.emit('set-role', { meetingId, targetSocketId: ada.id, role: 'viewer' });
+            await changed;
+
+            const stopped = waitFor(ada, 'transcription-stopped');
+            ada.emit('transcription-audio', { meetingId, chunk: chunk(2) });
+            await stopped;
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+
+    it('stops once the speaker has left the meeting', async () => {
+        const { meetingId, host, ada } = await streaming();
+        try {
+            await speak(ada, meetingId, 1);
+
+            const left = waitFor(host, 'user-left');
+            ada.emit('leave-room', { meetingId });
+            await left;
+
+            const stopped = waitFor(ada, 'transcription-stopped');
+            ada.emit('transcription-audio', { meetingId, chunk: chunk(2) });
+            await stopped;
+        } finally {
+            [host, ada].forEach((c) => c.disconnect());
+        }
+    });
+});
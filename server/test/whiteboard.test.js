@@ -0,0 +1,59 @@
+/**
+ * Whiteboard size (services/whiteboardService.js): a board is refused more
+ * drawings once it nears MongoDB's document limit, instead of failing to save.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mongo } = require('mongoose');
+const { quiet, createMeeting } = require('./helpers/meetingServer');
+const {
+    MAX_ELEMENTS,
+    MAX_PEN_POINTS,
+    MAX_BOARD_POINTS,
+    cleanElement,
+    getBoard,
+    addElement,
+    eraseElements,
+} = require('../services/whiteboardService');
+
+quiet();
+
+const MAX_DOCUMENT_BYTES = 16 * 1024 * 1024;
+const author = { userId: 'user-1', userName: 'A very long display name for a whiteboard author' };
+
+let drawn = 0;
+/** The longest freehand stroke allowed */
+const longStroke = () => {
+    drawn += 1;
+    const points = Array.from({ length: MAX_PEN_POINTS * 2 }, (_, i) => (i * 7.3) % 900);
+    return cleanElement({ id: `stroke-${drawn}`, type: 'pen', points, width: 3 }, author);
+};
+
+// The longest text, in 3-byte characters
+const note = (id) => cleanElement({ id, type: 'sticky', points: [10, 10], text: '€'.repeat(300) }, author);
+
+describe('whiteboard size', () => {
+    it('refuses a drawing that would take the board past its points', async () => {
+        const { meetingId } = await createMeeting();
+        const fits = MAX_BOARD_POINTS / (MAX_PEN_POINTS * 2);
+        for (let i = 0; i < fits; i++) await addElement(meetingId, longStroke());
+
+        await assert.rejects(addElement(meetingId, longStroke()), { status: 409, message: /whiteboard is full/ });
+        await assert.rejects(addElement(meetingId, note('note-full')), { status: 409 });
+        assert.equal((await getBoard(meetingId)).length, fits);
+
+        // Erasing makes room again, for exactly what was erased
+        const [first] = await getBoard(meetingId);
+        await eraseElements(meetingId, [first.id]);
+        assert.ok(await addElement(meetingId, note('note-after-erase')));
+        await assert.rejects(addElement(meetingId, longStroke()), { status: 409 });
+    });
+
+    it('keeps the largest board allowed inside a MongoDB document', () => {
+        const strokes = Array.from({ length: MAX_BOARD_POINTS / (MAX_PEN_POINTS * 2) }, longStroke);
+        const notes = Array.from({ length: MAX_ELEMENTS - strokes.length }, (_, i) => note(`note-${i}`));
+        const board = { meetingId: 'ABC-DEFG-HIJ', elements: [...strokes, ...notes], createdAt: new Date(), updatedAt: new Date() };
+        assert.ok(mongo.BSON.calculateObjectSize(board) < MAX_DOCUMENT_BYTES);
+    });
+});
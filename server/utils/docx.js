@@ -0,0 +1,88 @@
+/**
+ * docx.js – Minimal Office Open XML (.docx) writer: paragraphs of text runs
+ * with bold / italic / size / colour, enough for transcript exports
+ */
+
+const { createZip } = require('./zip');
+
+const escapeXml = (value = '') =>
+    String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '') // Not allowed in XML 1.0
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const coreProps = (title, created) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:creator>SmartMeet</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${created.toISOString().replace(/\.\d{3}/, '')}</dcterms:created>
+</cp:coreProperties>`;
+
+/**
+ * One text run
+ * @param {{text: string, bold?: boolean, italic?: boolean, size?: number, color?: string}} run
+ *        size in points, color as "RRGGBB"
+ */
+const runXml = (run) => {
+    const props = [
+        run.bold && '<w:b/>',
+        run.italic && '<w:i/>',
+        run.color && `<w:color w:val="${run.color}"/>`,
+        run.size && `<w:sz w:val="${Math.round(run.size * 2)}"/>`,
+    ].filter(Boolean).join('');
+
+    // Line breaks inside a run become <w:br/>
+    const text = String(run.text ?? '').split('\n')
+        .map((line) => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+        .join('<w:br/>');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${text}</w:r>`;
+};
+
+/**
+ * @param {{runs: object[], spacingAfter?: number}} paragraph - spacingAfter in points
+ */
+const paragraphXml = (paragraph) => {
+    const spacing = paragraph.spacingAfter !== undefined
+        ? `<w:pPr><w:spacing w:after="${Math.round(paragraph.spacingAfter * 20)}"/></w:pPr>`
+        : '';
+    return `<w:p>${spacing}${paragraph.runs.map(runXml).join('')}</w:p>`;
+};
+
+/**
+ * Build a .docx file
+ * @param {{title: string, paragraphs: {runs: object[], spacingAfter?: number}[]}} doc
+ * @returns {Buffer}
+ */
+const createDocx = ({ title = 'Document', paragraphs = [] }) => {
+    const created = new Date();
+    const body = paragraphs.map(paragraphXml).join('');
+    const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+    return createZip([
+        { name: '[Content_Types].xml', data: CONTENT_TYPES },
+        { name: '_rels/.rels', data: ROOT_RELS },
+        { name: 'docProps/core.xml', data: coreProps(title, created) },
+        { name: 'word/document.xml', data: document },
+    ], created);
+};
+
+module.exports = { createDocx };
@@ -0,0 +1,76 @@
+/**
+ * dueDate.js – Due dates mentioned in spoken sentences
+ * "by Friday", "tomorrow", "next week", "in 3 days", "end of the month",
+ * "October 20", "20 Oct", "2026-10-20". Relative phrases count from when the
+ * sentence was spoken. Dates are end of day, server time.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MONTH_RE = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const endOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(23, 59, 59, 999);
+    return d;
+};
+
+const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return endOfDay(d);
+};
+
+// Next occurrence of a weekday strictly after `from`
+const nextWeekday = (from, weekday) => {
+    const diff = (weekday - from.getDay() + 7) % 7 || 7;
+    return addDays(from, diff);
+};
+
+// "Oct 20" said in December means next year's October
+const upcomingDate = (from, month, day) => {
+    const d = endOfDay(new Date(from.getFullYear(), month, day));
+    if (d < from) d.setFullYear(d.getFullYear() + 1);
+    return d;
+};
+
+/**
+ * Find a due date in a sentence
+ * @param {string} text
+ * @param {Date} spokenAt - reference for relative phrases
+ * @returns {Date|null}
+ */
+const parseDueDate = (text, spokenAt = new Date()) => {
+    const s = String(text || '').toLowerCase();
+    const from = new Date(spokenAt);
+    let m;
+
+    if ((m = s.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+        const d = endOfDay(new Date(+m[1], +m[2] - 1, +m[3]));
+        return isNaN(d) ? null : d;
+    }
+    if ((m = s.match(new RegExp(`\\b${MONTH_RE}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`)))) {
+        return upcomingDate(from, MONTHS.indexOf(m[1].slice(0, 3)), +m[2]);
+    }
+    if ((m = s.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE}\\b`)))) {
+        return upcomingDate(from, MONTHS.indexOf(m[2].slice(0, 3)), +m[1]);
+    }
+
+    if (/\b(today|tonight|end of (the )?day|eod)\b/.test(s)) return endOfDay(from);
+    if (/\btomorrow\b/.test(s)) return addDays(from, 1);
+    if ((m = s.match(/\bin (\d{1,2}|a|one|two|three) (day|week)s?\b/))) {
+        const n = { a: 1, one: 1, two: 2, three: 3 }[m[1]] || parseInt(m[1], 10);
+        return addDays(from, m[2] === 'week' ? n * 7 : n);
+    }
+    if (/\bnext week\b/.test(s)) return addDays(from, 7);
+    if (/\b(end of (the )?week|eow)\b/.test(s)) return nextWeekday(addDays(from, -1), 5);
+    if (/\bend of (the )?month\b/.test(s)) return endOfDay(new Date(from.getFullYear(), from.getMonth() + 1, 0));
+
+    if ((m = s.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/))) {
+        return nextWeekday(from, WEEKDAYS.indexOf(m[1]));
+    }
+    return null;
+};
+
+module.exports = { parseDueDate };
@@ -0,0 +1,84 @@
+/**
+ * fileTypes.js – Kinds of files that can be shared in the meeting chat
+ *
+ * The extension picks the type. The browser's declared type has to agree with
+ * it (or be the generic application/octet-stream), and the first bytes of the
+ * file have to look like that kind of file. A renamed executable doesn't get
+ * through as a PDF.
+ */
+
+const path = require('path');
+
+const OOXML = 'application/vnd.openxmlformats-officedocument';
+
+// ext → [mime type, signature]
+const SHARED_FILE_TYPES = {
+    png: ['image/png', 'png'],
+    jpg: ['image/jpeg', 'jpeg'],
+    jpeg: ['image/jpeg', 'jpeg'],
+    gif: ['image/gif', 'gif'],
+    webp: ['image/webp', 'webp'],
+    pdf: ['application/pdf', 'pdf'],
+    ppt: ['application/vnd.ms-powerpoint', 'ole'],
+    pptx: [`${OOXML}.presentationml.presentation`, 'zip'],
+    doc: ['application/msword', 'ole'],
+    docx: [`${OOXML}.wordprocessingml.document`, 'zip'],
+    xls: ['application/vnd.ms-excel', 'ole'],
+    xlsx: [`${OOXML}.spreadsheetml.sheet`, 'zip'],
+    odp: ['application/vnd.oasis.opendocument.presentation', 'zip'],
+    odt: ['application/vnd.oasis.opendocument.text', 'zip'],
+    ods: ['application/vnd.oasis.opendocument.spreadsheet', 'zip'],
+    zip: ['application/zip', 'zip'],
+    txt: ['text/plain', 'text'],
+    csv: ['text/csv', 'text'],
+    md: ['text/markdown', 'text'],
+};
+
+// Declared types that browsers use for the same files
+const ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'application/x-zip-compressed': 'application/zip',
+    'application/vnd.ms-excel': 'text/csv', // Windows reports .csv like this
+    'text/x-markdown': 'text/markdown',
+};
+
+const startsWith = (buffer, bytes) => buffer.length >= bytes.length && buffer.subarray(0, bytes.length).equals(bytes);
+const ascii = (buffer, from, to) => buffer.subarray(from, to).toString('latin1');
+
+const SIGNATURES = {
+    png: (b) => startsWith(b, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    jpeg: (b) => startsWith(b, Buffer.from([0xff, 0xd8, 0xff])),
+    gif: (b) => /^GIF8[79]a$/.test(ascii(b, 0, 6)),
+    webp: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP',
+    pdf: (b) => ascii(b, 0, 5) === '%PDF-',
+    zip: (b) => startsWith(b, Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+    ole: (b) => startsWith(b, Buffer.from('d0cf11e0a1b11ae1', 'hex')),
+    // Plain text: no NUL bytes near the start
+    text: (b) => !b.subarray(0, 8192).includes(0),
+};
+
+const extensionOf = (fileName) => path.extname(String(fileName || '')).slice(1).toLowerCase();
+
+/**
+ * Type of a shared file from its name and declared type
+ * @returns {{ ext: string, mimeType: string, signature: string }|null} null when not allowed
+ */
+const sharedFileType = (fileName, declaredType) => {
+    const ext = extensionOf(fileName);
+    const known = Object.prototype.hasOwnProperty.call(SHARED_FILE_TYPES, ext) ? SHARED_FILE_TYPES[ext] : null;
+    if (!known) return null;
+
+    const [mimeType, signature] = known;
+    const declared = String(declaredType || '').split(';')[0].trim().toLowerCase();
+    const generic = !declared || declared === 'application/octet-stream';
+    if (!generic && declared !== mimeType && ALIASES[declared] !== mimeType) return null;
+    return { ext, mimeType, signature };
+};
+
+/** Whether the bytes look like the given kind of file (see SIGNATURES) */
+const looksLike = (signature, buffer) => !!buffer?.length && !!SIGNATURES[signature]?.(buffer);
+
+const isImageType = (mimeType) => String(mimeType || '').startsWith('image/');
+
+module.exports = { SHARED_FILE_TYPES, sharedFileType, looksLike, isImageType };
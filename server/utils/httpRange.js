@@ -0,0 +1,23 @@
+/**
+ * httpRange.js – Range requests for streamed files (recordings, shared files)
+ */
+
+// "bytes=100-" → { start: 100, end: size - 1 }; null when unsatisfiable
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!match || (!match[1] && !match[2])) return null;
+
+    let start;
+    let end;
+    if (match[1]) {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    } else {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    }
+    return start <= end && start < size ? { start, end } : null;
+};
+
+module.exports = { parseRange };
@@ -0,0 +1,229 @@
+/**
+ * icalendar.js – Minimal RFC 5545 (iCalendar) writer for meeting feeds
+ * Events keep the wall clock of their time zone (DTSTART;TZID=...), so a
+ * recurring meeting stays at 9:00 across DST; every zone used gets a VTIMEZONE
+ * built from the offset changes the runtime knows about.
+ */
+
+const { getZonedParts, getOffset, toRRuleString } = require('./recurrence');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** 20261019T073000Z */
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/** 20261019T093000 (wall clock in the event's time zone) */
+const formatLocal = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+/** Escape TEXT values: backslash, semicolon, comma and newlines */
+const escapeText = (value = '') =>
+    String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+/** Fold content lines longer than 75 octets (continuation lines start with a space) */
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const out = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch, 'utf8');
+        const limit = out.length === 0 ? 75 : 74; // Leading space counts toward the limit
+        if (currentBytes + size > limit) {
+            out.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += ch;
+        currentBytes += size;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+};
+
+const isZoned = (timeZone) => !!timeZone && timeZone !== 'UTC';
+
+const dateProp = (name, date, timeZone) =>
+    isZoned(timeZone)
+        ? `${name};TZID=${timeZone}:${formatLocal(date, timeZone)}`
+        : `${name}:${formatUtc(date)}`;
+
+// ── Time zones ──────────────────────────────────────────────────────────────
+
+/** +0100 / -0430 */
+const formatOffset = (ms) => {
+    const minutes = Math.round(Math.abs(ms) / 60000);
+    return `${ms < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+/** Wall clock of an instant at a given offset: 20270314T020000 */
+const formatAtOffset = (instant, offset) => formatUtc(new Date(instant + offset)).slice(0, -1);
+
+/**
+ * Offset changes of a time zone in [start, end), found by weekly steps and a
+ * binary search down to the second
+ * @returns {{ at: number, from: number, to: number }[]}
+ */
+const findTransitions = (timeZone, start, end) => {
+    const transitions = [];
+    let before = getOffset(start, timeZone);
+    for (let t = start; t < end; t += WEEK_MS) {
+        const next = Math.min(t + WEEK_MS, end);
+        const after = getOffset(next, timeZone);
+        if (after === before) continue;
+
+        let lo = t;
+        let hi = next;
+        while (hi - lo > 1000) {
+            const mid = lo + Math.floor((hi - lo) / 2000) * 1000;
+            if (getOffset(mid, timeZone) === before) lo = mid;
+            else hi = mid;
+        }
+        transitions.push({ at: hi, from: before, to: after });
+        before = after;
+    }
+    return transitions;
+};
+
+/** The yearly rule a transition follows, e.g. last Sunday of March at 02:00 */
+const yearlyRule = ({ at, from, to }) => {
+    const local = new Date(at + from);
+    const day = local.getUTCDate();
+    const monthDays = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const nth = day + 7 > monthDays ? -1 : Math.ceil(day / 7);
+    return {
+        rrule: `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${nth}${WEEKDAYS[local.getUTCDay()]}`,
+        key: `${nth}/${local.getUTCMonth()}/${local.getUTCDay()}/${local.getUTCHours()}:${local.getUTCMinutes()}/${from}/${to}`,
+    };
+};
+
+const observance = (kind, dtstart, from, to, rrule) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${dtstart}`,
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${kind}`,
+];
+
+const zoneCache = new Map();
+
+/**
+ * VTIMEZONE for events from fromYear on. The offset changes up to toYear are
+ * listed one by one; the ones that still follow a yearly weekday rule in
+ * toYear (DST as it is today) carry on as an RRULE.
+ */
+const buildTimeZone = (timeZone, fromYear, toYear) => {
+    const cacheKey = `${timeZone}/${fromYear}/${toYear}`;
+    if (zoneCache.has(cacheKey)) return zoneCache.get(cacheKey);
+
+    const start = Date.UTC(fromYear, 0, 1);
+    const transitions = findTransitions(timeZone, start, Date.UTC(toYear + 1, 0, 1));
+    const initial = getOffset(start, timeZone);
+    const lines = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        // The offset until the first change in range (summer time if that change ends it)
+        ...observance(transitions[0]?.to < initial ? 'DAYLIGHT' : 'STANDARD', '19700101T000000', initial, initial),
+    ];
+
+    // Per kind, the trailing run of changes that share one yearly rule (at least two years, up to toYear)
+    const ruled = new Map();
+    for (const daylight of [true, false]) {
+        const ofKind = transitions.filter((t) => (t.to > t.from) === daylight);
+        const last = ofKind[ofKind.length - 1];
+        if (!last || new Date(last.at + last.from).getUTCFullYear() < toYear) continue;
+        const { key } = yearlyRule(last);
+        let first = ofKind.length - 1;
+        while (first > 0 && yearlyRule(ofKind[first - 1]).key === key) first -= 1;
+        if (first < ofKind.length - 1) ruled.set(ofKind[first], ofKind.slice(first + 1));
+    }
+    const covered = new Set([...ruled.values()].flat());
+
+    for (const t of transitions) {
+        if (covered.has(t)) continue;
+        const kind = t.to > t.from ? 'DAYLIGHT' : 'STANDARD';
+        const rrule = ruled.has(t) ? yearlyRule(t).rrule : null;
+        lines.push(...observance(kind, formatAtOffset(t.at, t.from), t.from, t.to, rrule));
+    }
+    lines.push('END:VTIMEZONE');
+
+    zoneCache.set(cacheKey, lines);
+    return lines;
+};
+
+/**
+ * Build one VEVENT block
+ * @param {object} event
+ * @param {string} event.uid
+ * @param {Date} event.start
+ * @param {number} event.durationMinutes
+ * @param {string} [event.timeZone]
+ * @param {object} [event.recurrence] - normalized rule from recurrence.parseRRule
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.url]
+ * @param {string} [event.organizerName]
+ * @param {Date} [event.updatedAt]
+ */
+const buildEvent = (event) => {
+    const end = new Date(event.start.getTime() + (event.durationMinutes || 60) * 60 * 1000);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatUtc(event.updatedAt || new Date())}`,
+        dateProp('DTSTART', event.start, event.timeZone),
+        dateProp('DTEND', end, event.timeZone),
+        `SUMMARY:${escapeText(event.summary)}`,
+    ];
+
+    const rrule = toRRuleString(event.recurrence);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`, `LOCATION:${escapeText(event.url)}`);
+    if (event.organizerName) lines.push(`ORGANIZER;CN=${escapeText(event.organizerName)}:noreply@smartmeet.local`);
+    lines.push('STATUS:CONFIRMED', 'END:VEVENT');
+
+    return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {{ name: string, events: object[] }} calendar
+ * @returns {string}
+ */
+const buildCalendar = ({ name, events }) => {
+    // One VTIMEZONE per zone, from the first event's year to a year past the last one (or now)
+    const zones = new Map();
+    for (const event of events.filter((e) => isZoned(e.timeZone))) {
+        const year = getZonedParts(event.start, event.timeZone).year;
+        const range = zones.get(event.timeZone) || { from: year, to: new Date().getUTCFullYear() + 1 };
+        zones.set(event.timeZone, { from: Math.min(range.from, year), to: Math.max(range.to, year + 1) });
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//SmartMeet//Meeting Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...[...zones].flatMap(([timeZone, { from, to }]) => buildTimeZone(timeZone, from, to)),
+        ...events.flatMap(buildEvent),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCalendar, buildEvent, buildTimeZone, escapeText };
@@ -35,4 +35,17 @@ const isValidMeetingId = (id) => {
     return /^[A-Z0-9]{6,7}$/.test(clean);
 };
 
-module.exports = { generateMeetingId, generateMeetingPassword, isValidMeetingId };
+/**
+ * Whether a user took part in a meeting (host, joined participant or role holder)
+ * @param {object} meeting - Meeting document or lean object
+ * @param {string|ObjectId} userId
+ */
+const isMeetingMember = (meeting, userId) => {
+    const id = userId?.toString();
+    if (!id || !meeting) return false;
+    return (meeting.host?._id || meeting.host)?.toString() === id
+        || (meeting.participants || []).some((p) => (p._id || p).toString() === id)
+        || (meeting.roles || []).some((r) => r.userId === id);
+};
+
+module.exports = { generateMeetingId, generateMeetingPassword, isValidMeetingId, isMeetingMember };
@@ -0,0 +1,319 @@
+/**
+ * recurrence.js – Scheduling helpers for recurring meetings
+ * Supports an RRULE subset (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY)
+ * and expands a series into concrete occurrences in the meeting's time zone.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A rule whose periods keep coming up empty (BYMONTHDAY=30 every February) never
+// produces another occurrence; the walk gives up after this many empty periods in a row
+const MAX_EMPTY_PERIODS = 1000;
+
+/**
+ * Check that a string is an IANA time zone known to this runtime
+ */
+const isValidTimeZone = (tz) => {
+    if (!tz || typeof tz !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Parse "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" (optionally prefixed with "RRULE:")
+ * or an already-structured object into a normalized rule.
+ * @throws {Error} when the rule is not supported
+ */
+const parseRRule = (input) => {
+    if (!input) return null;
+
+    let raw = input;
+    if (typeof input === 'string') {
+        raw = {};
+        input.replace(/^RRULE:/i, '').split(';').forEach((part) => {
+            const [key, value] = part.split('=');
+            if (key && value) raw[key.trim().toUpperCase()] = value.trim();
+        });
+    }
+
+    const pick = (...keys) => keys.map((k) => raw[k]).find((v) => v !== undefined && v !== null && v !== '');
+    const toList = (v) => (Array.isArray(v) ? v : String(v).split(',')).map((s) => String(s).trim()).filter(Boolean);
+
+    const freq = String(pick('FREQ', 'freq') || '').toUpperCase();
+    if (!FREQUENCIES.includes(freq)) {
+        throw new Error(`Unsupported recurrence frequency: ${freq || '(none)'}. Use DAILY, WEEKLY or MONTHLY.`);
+    }
+
+    const interval = parseInt(pick('INTERVAL', 'interval') || 1, 10);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 366) {
+        throw new Error('Recurrence interval must be a positive whole number.');
+    }
+
+    const rule = { freq, interval };
+
+    const count = pick('COUNT', 'count');
+    if (count !== undefined) {
+        rule.count = parseInt(count, 10);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 1000) {
+            throw new Error('Recurrence count must be between 1 and 1000.');
+        }
+    }
+
+    const until = pick('UNTIL', 'until');
+    if (until !== undefined) {
+        rule.until = parseUntil(until);
+        if (!rule.until) throw new Error(`Invalid recurrence UNTIL value: ${until}`);
+    }
+
+    const byDay = pick('BYDAY', 'byDay');
+    if (byDay !== undefined) {
+        rule.byDay = toList(byDay).map((d) => d.toUpperCase());
+        const bad = rule.byDay.find((d) => !/^[+-]?\d{0,2}(SU|MO|TU|WE|TH|FR|SA)$/.test(d));
+        if (bad) throw new Error(`Invalid BYDAY value: ${bad}`);
+        if (freq !== 'MONTHLY' && rule.byDay.some((d) => /\d/.test(d))) {
+            throw new Error('Ordinal BYDAY values (e.g. 1MO) are only valid for MONTHLY rules.');
+        }
+    }
+
+    const byMonthDay = pick('BYMONTHDAY', 'byMonthDay');
+    if (byMonthDay !== undefined) {
+        rule.byMonthDay = toList(byMonthDay).map((d) => parseInt(d, 10));
+        if (rule.byMonthDay.some((d) => !Number.isInteger(d) || d === 0 || d < -31 || d > 31)) {
+            throw new Error('BYMONTHDAY values must be between 1 and 31 (or -1 to -31).');
+        }
+    }
+
+    return rule;
+};
+
+// UNTIL may be an RRULE timestamp (20261231T235959Z / 20261231) or anything Date accepts
+const parseUntil = (value) => {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    const date = m
+        ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 23), +(m[5] || 59), +(m[6] || 59)))
+        : new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+/**
+ * Serialize a normalized rule back into RRULE text (without the "RRULE:" prefix)
+ */
+const toRRuleString = (rule) => {
+    if (!rule?.freq) return '';
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${formatUtcStamp(new Date(rule.until))}`);
+    return parts.join(';');
+};
+
+const formatUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// ── Time zone conversion ─────────────────────────────────────────────────────
+
+/**
+ * Wall-clock parts of an instant in a given time zone
+ */
+const getZonedParts = (date, timeZone) => {
+    const fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    const parts = {};
+    fmt.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        year: +parts.year,
+        month: +parts.month,
+        day: +parts.day,
+        hour: +parts.hour,
+        minute: +parts.minute,
+        second: +parts.second,
+    };
+};
+
+// Offset (ms) of the time zone from UTC at a given instant
+const getOffset = (instant, timeZone) => {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC Date.
+ * Times skipped by a DST jump roll forward; ambiguous times take the first instant.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    let instant = asUtc - getOffset(asUtc, timeZone);
+    const corrected = asUtc - getOffset(instant, timeZone);
+    if (corrected !== instant) instant = Math.min(instant, corrected);
+    return new Date(instant);
+};
+
+// ── Expansion ────────────────────────────────────────────────────────────────
+
+// Calendar days are handled as UTC-midnight timestamps so DST never shifts them
+const dayKey = (y, m, d) => Date.UTC(y, m - 1, d);
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+/**
+ * Candidate calendar days for the n-th period of a rule, in ascending order
+ */
+const periodDays = (rule, first, n) => {
+    if (rule.freq === 'DAILY') {
+        return [first.key + n * rule.interval * DAY_MS];
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        // Weeks start on Monday (RFC 5545 default WKST)
+        const weekStart = first.key - ((first.weekday + 6) % 7) * DAY_MS + n * rule.interval * 7 * DAY_MS;
+        const days = rule.byDay?.length ? rule.byDay : [WEEKDAYS[first.weekday]];
+        return days
+            .map((d) => weekStart + ((WEEKDAYS.indexOf(d) + 6) % 7) * DAY_MS)
+            .sort((a, b) => a - b);
+    }
+
+    // MONTHLY
+    const monthIndex = first.month - 1 + n * rule.interval;
+    const year = first.year + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const length = daysInMonth(year, month);
+    const days = new Set();
+
+    if (rule.byDay?.length) {
+        rule.byDay.forEach((spec) => {
+            const [, ord, wd] = spec.match(/^([+-]?\d{0,2})(\w{2})$/);
+            const weekday = WEEKDAYS.indexOf(wd);
+            const matches = [];
+            for (let d = 1; d <= length; d++) {
+                if (new Date(dayKey(year, month, d)).getUTCDay() === weekday) matches.push(d);
+            }
+            const ordinal = parseInt(ord, 10);
+            if (!ordinal) matches.forEach((d) => days.add(d));
+            else {
+                const d = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+                if (d) days.add(d);
+            }
+        });
+    } else {
+        (rule.byMonthDay?.length ? rule.byMonthDay : [first.day]).forEach((d) => {
+            const day = d > 0 ? d : length + d + 1;
+            if (day >= 1 && day <= length) days.add(day); // Invalid dates (Feb 30) are skipped
+        });
+    }
+
+    return [...days].sort((a, b) => a - b).map((d) => dayKey(year, month, d));
+};
+
+/**
+ * Expand a scheduled meeting into concrete occurrences.
+ * @param {{ start: Date, durationMinutes: number, timeZone?: string, recurrence?: object }} series
+ * @param {{ from?: Date, to?: Date, limit?: number }} window
+ * @returns {{ start: Date, end: Date, index: number }[]}
+ */
+const expandOccurrences = (series, { from = new Date(0), to, limit = 100 } = {}) => {
+    const start = new Date(series.start);
+    const durationMs = (series.durationMinutes || 60) * 60 * 1000;
+    const timeZone = series.timeZone || 'UTC';
+    const rule = series.recurrence?.freq ? series.recurrence : null;
+    const windowEnd = to ? new Date(to).getTime() : Infinity;
+    const fromMs = new Date(from).getTime();
+
+    const occurrences = [];
+    const push = (occStart, index) => {
+        const occEnd = new Date(occStart.getTime() + durationMs);
+        if (occEnd.getTime() > fromMs && occStart.getTime() <= windowEnd) {
+            occurrences.push({ start: occStart, end: occEnd, index });
+        }
+    };
+
+    if (!rule) {
+        push(start, 0);
+        return occurrences;
+    }
+
+    const local = getZonedParts(start, timeZone);
+    const first = {
+        ...local,
+        key: dayKey(local.year, local.month, local.day),
+        weekday: new Date(dayKey(local.year, local.month, local.day)).getUTCDay(),
+    };
+    const until = rule.until ? new Date(rule.until).getTime() : Infinity;
+    const lastInstant = Math.min(until, windowEnd);
+
+    // Days that end before the window only need counting (for COUNT and the index)
+    const skipBefore = fromMs - durationMs - 2 * DAY_MS;
+
+    let index = 0;
+    let emptyPeriods = 0;
+    for (let n = 0; emptyPeriods < MAX_EMPTY_PERIODS; n++) {
+        const days = periodDays(rule, first, n).filter((key) => key >= first.key); // Nothing before DTSTART
+        emptyPeriods = days.length ? 0 : emptyPeriods + 1;
+
+        for (const key of days) {
+            if (rule.count && index >= rule.count) return occurrences;
+            if (key - DAY_MS > lastInstant) return occurrences; // Starts after the end in any time zone
+            if (key < skipBefore) {
+                index++;
+                continue;
+            }
+
+            const d = new Date(key);
+            const occStart = zonedTimeToUtc({
+                year: d.getUTCFullYear(),
+                month: d.getUTCMonth() + 1,
+                day: d.getUTCDate(),
+                hour: local.hour,
+                minute: local.minute,
+                second: local.second,
+            }, timeZone);
+
+            if (occStart.getTime() > lastInstant) return occurrences;
+
+            push(occStart, index);
+            index++;
+            if (occurrences.length >= limit) return occurrences;
+        }
+    }
+
+    return occurrences;
+};
+
+/**
+ * End of the last occurrence of a series, or null when it repeats forever.
+ * An UNTIL-bounded series ends at the latest when an occurrence starting at
+ * UNTIL would end; only COUNT rules are expanded.
+ */
+const getSeriesEnd = (series) => {
+    const durationMs = (series.durationMinutes || 60) * 60 * 1000;
+    const start = new Date(series.start).getTime();
+    const rule = series.recurrence?.freq ? series.recurrence : null;
+    if (!rule) return new Date(start + durationMs);
+    if (!rule.count && !rule.until) return null;
+
+    if (!rule.count) return new Date(Math.max(start, new Date(rule.until).getTime()) + durationMs);
+
+    const all = expandOccurrences(series, { limit: rule.count });
+    const last = all[all.length - 1];
+    return last ? last.end : new Date(start + durationMs);
+};
+
+module.exports = {
+    isValidTimeZone,
+    parseRRule,
+    toRRuleString,
+    getZonedParts,
+    getOffset,
+    zonedTimeToUtc,
+    expandOccurrences,
+    getSeriesEnd,
+};
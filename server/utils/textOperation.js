@@ -0,0 +1,109 @@
+/**
+ * textOperation.js – Operational transformation for plain text
+ * An operation walks over the whole document as a list of components:
+ *   n  (positive integer)  keep the next n characters
+ *   -n (negative integer)  delete the next n characters
+ *   "text"                 insert text here
+ * e.g. "Hello" → "Hello, world" is [5, ', world'].
+ *
+ * Two edits made on the same revision are merged with transform(); the result
+ * is the same whichever order they are applied in, so every copy of the notes
+ * converges. public/js/notes.js has the same functions for the browser.
+ */
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isDelete = (c) => typeof c === 'number' && c < 0;
+const isInsert = (c) => typeof c === 'string';
+
+// Length of a component in the document before / after the operation
+const baseLength = (ops) => ops.reduce((n, c) => n + (isInsert(c) ? 0 : Math.abs(c)), 0);
+const targetLength = (ops) => ops.reduce((n, c) => n + (isDelete(c) ? 0 : isInsert(c) ? c.length : c), 0);
+
+/** Append a component, merging it with the previous one of the same kind */
+const push = (ops, c) => {
+    if (c === 0 || c === '') return ops;
+    const last = ops[ops.length - 1];
+    if (isInsert(c) && isInsert(last)) ops[ops.length - 1] = last + c;
+    else if (isRetain(c) && isRetain(last)) ops[ops.length - 1] = last + c;
+    else if (isDelete(c) && isDelete(last)) ops[ops.length - 1] = last + c;
+    // Insert before delete: the same edit, one canonical form
+    else if (isInsert(c) && isDelete(last)) {
+        const prev = ops[ops.length - 2];
+        if (isInsert(prev)) ops[ops.length - 2] = prev + c;
+        else ops.splice(ops.length - 1, 0, c);
+    } else ops.push(c);
+    return ops;
+};
+
+/** Validated, normalized copy of an operation received from a client */
+const normalize = (input) => {
+    if (!Array.isArray(input)) return null;
+    const ops = [];
+    for (const c of input) {
+        if (!(isInsert(c) || (Number.isInteger(c) && c !== 0))) return null;
+        push(ops, c);
+    }
+    return ops;
+};
+
+/** Apply an operation to a string */
+const apply = (text, ops) => {
+    if (baseLength(ops) !== text.length) throw new Error('Operation does not match the document length');
+    let out = '';
+    let pos = 0;
+    for (const c of ops) {
+        if (isRetain(c)) {
+            out += text.slice(pos, pos + c);
+            pos += c;
+        } else if (isDelete(c)) pos -= c;
+        else out += c;
+    }
+    return out;
+};
+
+/**
+ * Merge two operations made on the same document
+ * @returns {[Array, Array]} [a', b']: apply(apply(doc, a), b') === apply(apply(doc, b), a')
+ * Text inserted at the same place by both goes a first.
+ */
+const transform = (a, b) => {
+    if (baseLength(a) !== baseLength(b)) throw new Error('Operations do not start from the same document');
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0;
+    let j = 0;
+    let ca = a[i++];
+    let cb = b[j++];
+
+    while (ca !== undefined || cb !== undefined) {
+        if (isInsert(ca)) {
+            push(aPrime, ca);
+            push(bPrime, ca.length);
+            ca = a[i++];
+            continue;
+        }
+        if (isInsert(cb)) {
+            push(aPrime, cb.length);
+            push(bPrime, cb);
+            cb = b[j++];
+            continue;
+        }
+
+        const n = Math.min(Math.abs(ca), Math.abs(cb));
+        if (isRetain(ca) && isRetain(cb)) {
+            push(aPrime, n);
+            push(bPrime, n);
+        } else if (isDelete(ca) && isRetain(cb)) {
+            push(aPrime, -n);
+        } else if (isRetain(ca) && isDelete(cb)) {
+            push(bPrime, -n);
+        }
+        // Both deleted the same text: nothing left to do for either
+
+        ca = Math.abs(ca) === n ? a[i++] : ca - Math.sign(ca) * n;
+        cb = Math.abs(cb) === n ? b[j++] : cb - Math.sign(cb) * n;
+    }
+    return [aPrime, bPrime];
+};
+
+module.exports = { normalize, apply, transform, baseLength, targetLength };